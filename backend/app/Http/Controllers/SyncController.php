@@ -3,8 +3,10 @@
 namespace App\Http\Controllers;
 
 use App\Models\Campaign;
+use Illuminate\Contracts\Cache\LockTimeoutException;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Storage;
 
@@ -34,7 +36,8 @@ public function listCampaigns(Request $request): JsonResponse
 
     /**
      * Push a campaign snapshot part to the server.
-     * Accepts chunked uploads: part = "meta" | "players" | "seasons"
+     * Accepts chunked uploads: part = "meta" | "players" | "seasons",
+     * or part = "delta" for a batch of changed records (incremental sync).
      * POST /api/sync/{clientId}/push
      */
     public function pushSnapshot(Request $request, string $clientId): JsonResponse
@@ -42,6 +45,10 @@ public function pushSnapshot(Request $request, string $clientId): JsonResponse
         $part = $request->input('part');
         $userId = $request->user()->id;
 
+        if ($part === 'delta') {
+            return $this->pushDelta($request, $clientId, $userId);
+        }
+
         // Chunked upload: validate based on part type
         if ($part && in_array($part, ['meta', 'players', 'seasons'])) {
             return $this->pushSnapshotPart($request, $clientId, $part, $userId);
@@ -209,69 +216,198 @@ private function pushSnapshotPart(Request $request, string $clientId, string $pa
     }
 
     /**
-     * Pull the full campaign snapshot from the server.
-     * Reads chunked part files and combines them, with fallback to legacy snapshot.json.
-     * GET /api/sync/{clientId}/pull
+     * Merge a batch of changed records into the campaign's record store.
+     *
+     * The client sends the revision it last synced with. If another device has
+     * pushed since, the batch is rejected with 409 and the records both sides
+     * changed are listed, unless the client forces the push after the user
+     * chose to keep their device's copy. Each accepted batch is a new revision.
      */
-    public function pullSnapshot(Request $request, string $clientId): JsonResponse
+    private function pushDelta(Request $request, string $clientId, int $userId): JsonResponse
     {
-        $userId = $request->user()->id;
+        $request->validate([
+            'baseRevision' => 'required|integer|min:0',
+            'force' => 'sometimes|boolean',
+            'records' => 'present|array',
+            'records.*.key' => 'required|string',
+            'records.*.store' => 'required|string|in:campaign,teams,players,seasons',
+            'records.*.data' => 'required|array',
+            'deleted' => 'present|array',
+            'deleted.*' => 'string',
+            'clientUpdatedAt' => 'required|string',
+        ]);
+
+        $records = $request->input('records');
+        $deleted = $request->input('deleted');
+        $baseRevision = (int) $request->input('baseRevision');
+
+        $campaignRecord = collect($records)->firstWhere('store', 'campaign');
+        $campaignData = $campaignRecord['data'] ?? null;
 
         $campaign = Campaign::where('client_id', $clientId)
             ->where('user_id', $userId)
             ->first();
 
+        // The first push of a campaign carries its campaign record
         if (!$campaign) {
-            return response()->json(['message' => 'Campaign not found'], 404);
+            if (!$campaignData) {
+                return response()->json(['message' => 'Campaign not found. Push the campaign record first.'], 404);
+            }
+
+            $campaign = Campaign::firstOrCreate(
+                ['client_id' => $clientId, 'user_id' => $userId],
+                [
+                    'name' => $campaignData['name'] ?? 'Campaign',
+                    'current_date' => $campaignData['currentDate'] ?? $campaignData['current_date'] ?? '2025-10-21',
+                    'difficulty' => $campaignData['difficulty'] ?? 'pro',
+                ]
+            );
         }
 
+        // Hold the campaign's lock from reading the revision to writing the next
+        // one, so two devices pushing at once can't both build on the same base
         try {
-            // Try chunked part files first
-            $metaPath = "campaigns/{$clientId}/meta.json.gz";
-            $playersPath = "campaigns/{$clientId}/players.json.gz";
-            $seasonsPath = "campaigns/{$clientId}/seasons.json.gz";
-
-            if (Storage::exists($metaPath)) {
-                $snapshot = [];
-
-                // Read meta part
-                $metaData = $this->readCompressedJson($metaPath);
-                if ($metaData) {
-                    $snapshot['campaign'] = $metaData['campaign'] ?? null;
-                    $snapshot['teams'] = $metaData['teams'] ?? [];
-                    $snapshot['clientUpdatedAt'] = $metaData['clientUpdatedAt'] ?? null;
+            $result = Cache::lock("sync:{$clientId}", 30)->block(10, function () use ($request, $clientId, $records, $deleted, $baseRevision) {
+                $store = $this->loadRecordStore($clientId);
+
+                if ($store === null) {
+                    return response()->json(['message' => 'Failed to read campaign records'], 500);
+                }
+
+                if (!$request->boolean('force') && $store['revision'] !== $baseRevision) {
+                    $keys = array_merge(array_column($records, 'key'), $deleted);
+                    $conflicts = array_values(array_filter($keys, function ($key) use ($store, $baseRevision) {
+                        return ($store['records'][$key]['rev'] ?? 0) > $baseRevision
+                            || ($store['deleted'][$key] ?? 0) > $baseRevision;
+                    }));
+
+                    return response()->json([
+                        'message' => 'Campaign was changed on another device',
+                        'revision' => $store['revision'],
+                        'conflicts' => $conflicts,
+                    ], 409);
+                }
+
+                $revision = $store['revision'] + 1;
+
+                foreach ($records as $record) {
+                    $store['records'][$record['key']] = [
+                        'rev' => $revision,
+                        'store' => $record['store'],
+                        'data' => $record['data'],
+                    ];
+                    unset($store['deleted'][$record['key']]);
                 }
 
-                // Read players part
-                if (Storage::exists($playersPath)) {
-                    $playersData = $this->readCompressedJson($playersPath);
-                    if ($playersData) {
-                        $snapshot['players'] = $playersData['players'] ?? [];
-                    }
+                foreach ($deleted as $key) {
+                    unset($store['records'][$key]);
+                    $store['deleted'][$key] = $revision;
                 }
 
-                // Read seasons part
-                if (Storage::exists($seasonsPath)) {
-                    $seasonsData = $this->readCompressedJson($seasonsPath);
-                    if ($seasonsData) {
-                        $snapshot['seasons'] = $seasonsData['seasons'] ?? [];
-                    }
+                $store['revision'] = $revision;
+                $store['clientUpdatedAt'] = $request->input('clientUpdatedAt');
+
+                if (!$this->writeCompressedJson($this->recordStorePath($clientId), $store)) {
+                    return response()->json(['message' => 'Failed to store delta'], 500);
                 }
 
-                return response()->json($snapshot);
+                return $revision;
+            });
+        } catch (LockTimeoutException $e) {
+            return response()->json(['message' => 'Campaign is being synced from another device, try again'], 409);
+        }
+
+        if ($result instanceof JsonResponse) {
+            return $result;
+        }
+
+        $revision = $result;
+
+        $campaign->update([
+            'name' => $campaignData['name'] ?? $campaign->name,
+            'last_played_at' => now(),
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'part' => 'delta',
+            'revision' => $revision,
+            'serverUpdatedAt' => $campaign->fresh()->updated_at->toISOString(),
+        ]);
+    }
+
+    /**
+     * List records changed since a revision, for incremental sync.
+     * A campaign that was never synced has nothing to report.
+     * GET /api/sync/{clientId}/changes?since={revision}
+     */
+    public function changes(Request $request, string $clientId): JsonResponse
+    {
+        $since = (int) $request->query('since', 0);
+
+        $campaign = Campaign::where('client_id', $clientId)
+            ->where('user_id', $request->user()->id)
+            ->first();
+
+        if (!$campaign) {
+            return response()->json(['revision' => 0, 'records' => [], 'deleted' => []]);
+        }
+
+        $store = $this->loadRecordStore($clientId);
+
+        if ($store === null) {
+            return response()->json(['message' => 'Failed to read campaign records'], 500);
+        }
+
+        $records = [];
+        foreach ($store['records'] as $key => $entry) {
+            if ($entry['rev'] > $since) {
+                $records[] = ['key' => $key, 'store' => $entry['store'], 'data' => $entry['data']];
             }
+        }
 
-            // Fallback: legacy monolithic snapshot.json
-            $snapshotPath = "campaigns/{$clientId}/snapshot.json";
+        $deleted = array_keys(array_filter($store['deleted'], fn ($rev) => $rev > $since));
 
-            if (!Storage::exists($snapshotPath)) {
-                return response()->json(['message' => 'No snapshot available'], 404);
+        return response()->json([
+            'revision' => $store['revision'],
+            'records' => $records,
+            'deleted' => $deleted,
+        ]);
+    }
+
+    /**
+     * Pull the full campaign snapshot from the server.
+     * Reads the per-record store written by incremental sync, falling back to
+     * chunked part files and then legacy snapshot.json.
+     * GET /api/sync/{clientId}/pull
+     */
+    public function pullSnapshot(Request $request, string $clientId): JsonResponse
+    {
+        $userId = $request->user()->id;
+
+        $campaign = Campaign::where('client_id', $clientId)
+            ->where('user_id', $userId)
+            ->first();
+
+        if (!$campaign) {
+            return response()->json(['message' => 'Campaign not found'], 404);
+        }
+
+        try {
+            if (Storage::exists($this->recordStorePath($clientId))) {
+                $store = $this->loadRecordStore($clientId);
+
+                if ($store === null) {
+                    return response()->json(['message' => 'Failed to read snapshot'], 500);
+                }
+
+                return response()->json($this->snapshotFromRecordStore($store));
             }
 
-            $snapshot = $this->readCompressedJson($snapshotPath);
+            $snapshot = $this->readLegacySnapshot($clientId);
 
             if ($snapshot === null) {
-                return response()->json(['message' => 'Failed to read snapshot'], 500);
+                return response()->json(['message' => 'No snapshot available'], 404);
             }
 
             return response()->json($snapshot);
@@ -281,6 +417,159 @@ public function pullSnapshot(Request $request, string $clientId): JsonResponse
         }
     }
 
+    /**
+     * Read a snapshot uploaded before incremental sync: chunked part files,
+     * or the monolithic snapshot.json. Returns null if there is none.
+     */
+    private function readLegacySnapshot(string $clientId): ?array
+    {
+        // Try chunked part files first
+        $metaPath = "campaigns/{$clientId}/meta.json.gz";
+        $playersPath = "campaigns/{$clientId}/players.json.gz";
+        $seasonsPath = "campaigns/{$clientId}/seasons.json.gz";
+
+        if (Storage::exists($metaPath)) {
+            $snapshot = [];
+
+            // Read meta part
+            $metaData = $this->readCompressedJson($metaPath);
+            if ($metaData) {
+                $snapshot['campaign'] = $metaData['campaign'] ?? null;
+                $snapshot['teams'] = $metaData['teams'] ?? [];
+                $snapshot['clientUpdatedAt'] = $metaData['clientUpdatedAt'] ?? null;
+            }
+
+            // Read players part
+            if (Storage::exists($playersPath)) {
+                $playersData = $this->readCompressedJson($playersPath);
+                if ($playersData) {
+                    $snapshot['players'] = $playersData['players'] ?? [];
+                }
+            }
+
+            // Read seasons part
+            if (Storage::exists($seasonsPath)) {
+                $seasonsData = $this->readCompressedJson($seasonsPath);
+                if ($seasonsData) {
+                    $snapshot['seasons'] = $seasonsData['seasons'] ?? [];
+                }
+            }
+
+            return $snapshot;
+        }
+
+        // Fallback: legacy monolithic snapshot.json
+        $snapshotPath = "campaigns/{$clientId}/snapshot.json";
+
+        if (!Storage::exists($snapshotPath)) {
+            return null;
+        }
+
+        return $this->readCompressedJson($snapshotPath);
+    }
+
+    // -------------------------------------------------------------------------
+    // Record store (incremental sync)
+    // -------------------------------------------------------------------------
+    // One gzipped JSON file per campaign:
+    //   { revision, records: { key: { rev, store, data } }, deleted: { key: rev } }
+    // Keys look like "players:<id>" or "seasons:<year>"; rev is the revision
+    // that last wrote (or deleted) the record.
+
+    private function recordStorePath(string $clientId): string
+    {
+        return "campaigns/{$clientId}/records.json.gz";
+    }
+
+    /**
+     * Load the record store, seeding it from a legacy snapshot the first time.
+     * Seeded records get revision 0, so they never show up as changes.
+     */
+    private function loadRecordStore(string $clientId): ?array
+    {
+        $path = $this->recordStorePath($clientId);
+
+        if (Storage::exists($path)) {
+            $store = $this->readCompressedJson($path);
+
+            if ($store === null) {
+                return null;
+            }
+
+            return [
+                'revision' => $store['revision'] ?? 0,
+                'records' => $store['records'] ?? [],
+                'deleted' => $store['deleted'] ?? [],
+            ];
+        }
+
+        $store = ['revision' => 0, 'records' => [], 'deleted' => []];
+        $snapshot = $this->readLegacySnapshot($clientId) ?? [];
+
+        $rows = [['campaign', array_filter([$snapshot['campaign'] ?? null])]];
+        foreach (['teams', 'players', 'seasons'] as $name) {
+            $rows[] = [$name, $snapshot[$name] ?? []];
+        }
+
+        foreach ($rows as [$name, $items]) {
+            foreach ($items as $data) {
+                $id = $name === 'seasons' ? ($data['year'] ?? $data['metadata']['year'] ?? null) : ($data['id'] ?? null);
+                if ($id === null) {
+                    continue;
+                }
+                $store['records']["{$name}:{$id}"] = ['rev' => 0, 'store' => $name, 'data' => $data];
+            }
+        }
+
+        return $store;
+    }
+
+    /**
+     * Shape a record store like a full snapshot (what pull returns).
+     */
+    private function snapshotFromRecordStore(array $store): array
+    {
+        $snapshot = [
+            'campaign' => null,
+            'teams' => [],
+            'players' => [],
+            'seasons' => [],
+            'revision' => $store['revision'],
+        ];
+
+        foreach ($store['records'] as $entry) {
+            if ($entry['store'] === 'campaign') {
+                $snapshot['campaign'] = $entry['data'];
+            } else {
+                $snapshot[$entry['store']][] = $entry['data'];
+            }
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Compress and write JSON to storage. Returns false on failure.
+     */
+    private function writeCompressedJson(string $path, array $data): bool
+    {
+        $json = json_encode($data, JSON_UNESCAPED_UNICODE);
+
+        if ($json === false) {
+            Log::error("Failed to encode JSON for {$path}: " . json_last_error_msg());
+            return false;
+        }
+
+        $compressed = gzencode($json, 6);
+
+        if ($compressed === false) {
+            Log::error("Failed to compress {$path}");
+            return false;
+        }
+
+        return Storage::put($path, $compressed);
+    }
+
     /**
      * Read and decompress a gzipped JSON file from storage.
      */
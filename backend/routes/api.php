@@ -59,6 +59,7 @@
     Route::get('/sync/campaigns', [SyncController::class, 'listCampaigns']);
     Route::post('/sync/{clientId}/push', [SyncController::class, 'pushSnapshot']);
     Route::get('/sync/{clientId}/pull', [SyncController::class, 'pullSnapshot']);
+    Route::get('/sync/{clientId}/changes', [SyncController::class, 'changes']);
     Route::delete('/sync/{clientId}', [SyncController::class, 'deleteCampaign']);
 });
 
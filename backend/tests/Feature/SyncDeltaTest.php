@@ -0,0 +1,56 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Laravel\Sanctum\Sanctum;
+use Tests\TestCase;
+
+class SyncDeltaTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function delta(int $baseRevision, string $name): array
+    {
+        return [
+            'part' => 'delta',
+            'baseRevision' => $baseRevision,
+            'records' => [
+                ['key' => 'campaign:c1', 'store' => 'campaign', 'data' => ['id' => 'c1', 'name' => $name]],
+            ],
+            'deleted' => [],
+            'clientUpdatedAt' => now()->toISOString(),
+        ];
+    }
+
+    public function test_delta_built_on_the_current_revision_is_accepted(): void
+    {
+        Storage::fake();
+        Sanctum::actingAs(User::factory()->create());
+
+        $this->postJson('/api/sync/c1/push', $this->delta(0, 'First'))
+            ->assertOk()
+            ->assertJson(['revision' => 1]);
+
+        $this->postJson('/api/sync/c1/push', $this->delta(1, 'Second'))
+            ->assertOk()
+            ->assertJson(['revision' => 2]);
+    }
+
+    public function test_delta_with_a_stale_base_revision_is_rejected(): void
+    {
+        Storage::fake();
+        Sanctum::actingAs(User::factory()->create());
+
+        $this->postJson('/api/sync/c1/push', $this->delta(0, 'Laptop'))->assertOk();
+
+        $this->postJson('/api/sync/c1/push', $this->delta(0, 'Phone'))
+            ->assertStatus(409)
+            ->assertJson([
+                'revision' => 1,
+                'conflicts' => ['campaign:c1'],
+            ]);
+    }
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * simulate-season.js
+ *
+ * Headless season simulator for balance tuning. Builds a league in memory,
+ * plays every regular-season and playoff game through the engine, and
+ * writes league averages (pace, PPG, FG%, 3PA rate, TOV, FTA, ...) as JSON
+ * or CSV.
+ *
+ * The engine uses extensionless imports (bundler style), so modules are
+ * loaded through Vite's SSR loader instead of plain Node resolution.
+ *
+ * Usage:
+ *   npm run simulate -- [options]
+ *
+ * Options:
+ *   --seasons <n>     Seasons to simulate (default 1)
+ *   --games <n>       Regular season games per team: 29, 54 or 82 (default 54)
+ *   --seed <seed>     Master seed; same seed → same league and results
+ *   --format <fmt>    json | csv (default json)
+ *   --out <path>      Write to file instead of stdout
+ *   --quiet           No progress or schedule report on stderr
+ */
+
+import { writeFileSync } from 'node:fs'
+import { resolve, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { createServer } from 'vite'
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+
+const USAGE = `Usage: npm run simulate -- [--seasons N] [--games 29|54|82] [--seed SEED] [--format json|csv] [--out FILE] [--quiet]`
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      seasons: { type: 'string', default: '1' },
+      games: { type: 'string', default: '54' },
+      seed: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  const seasons = Number.parseInt(values.seasons, 10)
+  if (!Number.isInteger(seasons) || seasons < 1) {
+    throw new Error(`--seasons must be a positive integer (got "${values.seasons}")`)
+  }
+  const games = Number.parseInt(values.games, 10)
+  if (!Number.isInteger(games) || games < 1) {
+    throw new Error(`--games must be a positive integer (got "${values.games}")`)
+  }
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`--format must be json or csv (got "${values.format}")`)
+  }
+
+  // Numeric seeds stay numeric so they match seeds passed from engine code
+  const seed = values.seed === undefined
+    ? undefined
+    : (/^\d+$/.test(values.seed) ? Number(values.seed) : values.seed)
+
+  return { ...values, seasons, games, seed }
+}
+
+function progressReporter(quiet, season, seasons) {
+  if (quiet) return null
+  return ({ phase, completed, total }) => {
+    if (completed % 25 !== 0 && completed !== total) return
+    const label = phase === 'regular_season' ? `regular season ${completed}/${total}` : `playoffs ${completed}`
+    process.stderr.write(`\rSeason ${season}/${seasons}: ${label}      `)
+  }
+}
+
+async function main() {
+  const options = parseOptions()
+  if (options.help) {
+    console.log(USAGE)
+    return
+  }
+
+  const server = await createServer({
+    root,
+    configFile: false,
+    logLevel: 'error',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] },
+    resolve: { alias: { '@': resolve(root, 'src') } },
+  })
+
+  try {
+    const {
+      createLeague,
+      simulateSeason,
+      calculateLeagueAverages,
+      formatLeagueAveragesCsv,
+    } = await server.ssrLoadModule('/src/engine/season/LeagueSimulator.js')
+    const { SeasonManager } = await server.ssrLoadModule('/src/engine/season/SeasonManager.js')
+
+    const league = createLeague({ seed: options.seed })
+    const seasons = []
+    const allResults = []
+
+    for (let i = 0; i < options.seasons; i++) {
+      const { year, results, champion, scheduleReport } = simulateSeason(league, {
+        year: 2025 + i,
+        seasonLength: options.games,
+        onProgress: progressReporter(options.quiet, i + 1, options.seasons),
+      })
+      if (!options.quiet) process.stderr.write(`\n${SeasonManager.formatScheduleReport(scheduleReport)}\n`)
+
+      seasons.push({
+        season: year,
+        champion: champion?.abbreviation ?? null,
+        regularSeason: calculateLeagueAverages(results.regularSeason),
+        playoffs: calculateLeagueAverages(results.playoffs),
+      })
+      allResults.push(...results.regularSeason, ...results.playoffs)
+    }
+    if (!options.quiet) process.stderr.write('\n')
+
+    const overall = calculateLeagueAverages(allResults)
+
+    let output
+    if (options.format === 'csv') {
+      const rows = []
+      for (const s of seasons) {
+        rows.push({ season: s.season, phase: 'regular_season', ...s.regularSeason })
+        rows.push({ season: s.season, phase: 'playoffs', ...s.playoffs })
+      }
+      rows.push({ season: 'all', phase: 'all', ...overall })
+      output = formatLeagueAveragesCsv(rows)
+    } else {
+      output = JSON.stringify({ seed: league.seed, seasons, overall }, null, 2) + '\n'
+    }
+
+    if (options.out) {
+      writeFileSync(resolve(process.cwd(), options.out), output)
+      if (!options.quiet) process.stderr.write(`Wrote ${options.out} (seed ${league.seed})\n`)
+    } else {
+      process.stdout.write(output)
+    }
+  } finally {
+    await server.close()
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  console.error(USAGE)
+  process.exit(1)
+})
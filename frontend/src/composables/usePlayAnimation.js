@@ -17,6 +17,10 @@ export function usePlayAnimation() {
   const isQuarterBreak = ref(false)
   const completedQuarter = ref(0)
   const isLiveMode = ref(false)  // True for quarter-by-quarter simulation
+  // Possession-by-possession coaching: pause after the loaded possession
+  // instead of treating the end of the data as the end of the quarter
+  const isPossessionBreak = ref(false)
+  let stepMode = false
 
   // Animation frame ID for cleanup
   let animationFrameId = null
@@ -301,6 +305,8 @@ export function usePlayAnimation() {
    * @param {Object} options - Optional settings
    * @param {boolean} options.isLive - True for live quarter-by-quarter mode
    * @param {number} options.quarter - Current quarter number (for live mode)
+   * @param {boolean} options.possessionStep - Live data is a single possession
+   *   mid-period; end with a possession break rather than a quarter break
    */
   function loadAnimationData(data, options = {}) {
     stop()
@@ -336,8 +342,10 @@ export function usePlayAnimation() {
     // Initialize quarter break state
     quarterEndIndices.value = data?.quarter_end_indices || []
     isQuarterBreak.value = false
+    isPossessionBreak.value = false
     // For live mode, track the quarter we're about to play
     isLiveMode.value = options.isLive || false
+    stepMode = options.possessionStep || false
     if (options.quarter) {
       completedQuarter.value = options.quarter - 1  // Will become this quarter when done
     } else {
@@ -345,6 +353,53 @@ export function usePlayAnimation() {
     }
   }
 
+  /**
+   * Reached the end of live data: pause for the next possession's calls, or
+   * for the quarter break when the period is over.
+   */
+  function endLiveSegment() {
+    // Update displayed scores and box score immediately for the break
+    if (currentPossession.value) {
+      displayedHomeScore.value = currentPossession.value.home_score || 0
+      displayedAwayScore.value = currentPossession.value.away_score || 0
+      displayedBoxScore.value = currentPossession.value.box_score || null
+    }
+    if (stepMode) {
+      isPossessionBreak.value = true
+    } else {
+      completedQuarter.value = currentQuarter.value
+      isQuarterBreak.value = true
+    }
+    pause()
+  }
+
+  /**
+   * Go straight to the live break for a step with nothing to animate (free
+   * throws after an intentional foul, say), leaving the last possession on
+   * the court.
+   * @param {Object} options
+   * @param {number} options.homeScore
+   * @param {number} options.awayScore
+   * @param {Object} [options.boxScore]
+   * @param {number} options.quarter - Quarter the step was played in
+   * @param {boolean} [options.possessionStep] - Mid-period; pause for the next possession
+   */
+  function showLiveBreak({ homeScore, awayScore, boxScore = null, quarter, possessionStep = false }) {
+    pause()
+    isLiveMode.value = true
+    stepMode = possessionStep
+    displayedHomeScore.value = homeScore
+    displayedAwayScore.value = awayScore
+    if (boxScore) {
+      displayedBoxScore.value = boxScore
+    }
+    isPossessionBreak.value = stepMode
+    if (!stepMode) {
+      completedQuarter.value = quarter
+      isQuarterBreak.value = true
+    }
+  }
+
   /**
    * Start or resume animation playback.
    */
@@ -493,16 +548,9 @@ export function usePlayAnimation() {
       } else {
         // Reached end of animation data
         if (isLiveMode.value) {
-          // In live mode, reaching the end means quarter is complete
-          // Update displayed scores and box score immediately for quarter break
-          if (currentPossession.value) {
-            displayedHomeScore.value = currentPossession.value.home_score || 0
-            displayedAwayScore.value = currentPossession.value.away_score || 0
-            displayedBoxScore.value = currentPossession.value.box_score || null
-          }
-          completedQuarter.value = currentQuarter.value
-          isQuarterBreak.value = true
-          pause()
+          // In live mode, reaching the end means the quarter (or the
+          // coached possession) is complete
+          endLiveSegment()
           return
         } else {
           // Replay mode - animation complete
@@ -556,6 +604,7 @@ export function usePlayAnimation() {
     playbackSpeed,
     elapsedTime,
     isQuarterBreak,
+    isPossessionBreak,
     completedQuarter,
     isLiveMode,
 
@@ -590,6 +639,7 @@ export function usePlayAnimation() {
     setSpeed,
     seekTo,
     continueAfterQuarterBreak,
+    showLiveBreak,
     cleanup
   }
 }
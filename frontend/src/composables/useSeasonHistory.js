@@ -5,9 +5,10 @@
 
 /**
  * Convert a single seasonHistory entry's raw totals to per-game averages.
+ * Pass { playoffs: true } to format the entry's playoff split instead.
  */
-export function formatSeasonHistoryRow(entry) {
-  const s = entry.stats || {}
+export function formatSeasonHistoryRow(entry, { playoffs = false } = {}) {
+  const s = (playoffs ? entry.playoffStats : entry.stats) || {}
   const gp = s.gamesPlayed || 0
   if (gp === 0) return null
 
@@ -75,3 +76,65 @@ export function buildSeasonStatsTable(seasonHistory, currentSeasonStats, current
 
   return rows
 }
+
+/**
+ * Build the playoff stats table from past seasonHistory playoff splits plus
+ * the current season's playoff stats (already per-game averages).
+ * Returns array sorted by year descending.
+ */
+export function buildPlayoffStatsTable(seasonHistory, currentPlayoffStats, currentYear, currentTeamAbbr) {
+  const rows = []
+
+  if (Array.isArray(seasonHistory)) {
+    for (const entry of seasonHistory) {
+      const row = formatSeasonHistoryRow(entry, { playoffs: true })
+      if (row) {
+        row.isCurrent = false
+        rows.push(row)
+      }
+    }
+  }
+
+  if (currentPlayoffStats && currentYear) {
+    const cs = currentPlayoffStats
+    rows.push({
+      year: currentYear,
+      team: currentTeamAbbr || '—',
+      gp: cs.games_played ?? cs.gamesPlayed ?? 0,
+      ppg: cs.ppg ?? 0,
+      rpg: cs.rpg ?? 0,
+      apg: cs.apg ?? 0,
+      spg: cs.spg ?? 0,
+      bpg: cs.bpg ?? 0,
+      fg_pct: cs.fg_pct ?? cs.fgPct ?? 0,
+      three_pct: cs.three_pct ?? cs.threePct ?? 0,
+      ft_pct: cs.ft_pct ?? cs.ftPct ?? 0,
+      mpg: cs.mpg ?? 0,
+      isCurrent: true,
+    })
+  }
+
+  rows.sort((a, b) => b.year - a.year)
+
+  return rows
+}
+
+/**
+ * Career per-game averages from archived seasonHistory totals, for either
+ * the regular season or the playoffs. Returns null with no games played.
+ */
+export function buildCareerRow(seasonHistory, { playoffs = false } = {}) {
+  if (!Array.isArray(seasonHistory)) return null
+
+  const totals = {}
+  for (const entry of seasonHistory) {
+    const s = (playoffs ? entry.playoffStats : entry.stats) || {}
+    for (const [key, value] of Object.entries(s)) {
+      totals[key] = (totals[key] || 0) + (value || 0)
+    }
+  }
+
+  const row = formatSeasonHistoryRow({ year: null, teamAbbreviation: 'Career', stats: totals })
+  if (row) row.isCareer = true
+  return row
+}
@@ -0,0 +1,317 @@
+// =============================================================================
+// AICoachingService.js
+// =============================================================================
+// Coaching carousel: each offseason AI teams judge their head coach against
+// what the roster should have won, fire or re-sign, and hire replacements
+// from the pool of unemployed coaches. Also provides the contract terms
+// used when the user hires a coach.
+// =============================================================================
+
+import { analyzeTeamDirection } from './AITradeService';
+import { calculateCoachSalary } from '../data/coaches';
+import { random } from '../utils/Random';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Win% a roster of each archetype is expected to reach
+const EXPECTED_WIN_PCT = {
+  title_contender: 0.62,
+  win_now: 0.54,
+  ascending: 0.42,
+  rebuilding: 0.32,
+};
+
+const SHORTFALL_WEIGHT = 4;           // 10 points of win% under expectation → +0.4 hot seat
+const FIRST_SEASON_GRACE = 0.25;      // New hires get a season to install their system
+const TRACK_RECORD_WEIGHT = 0.5;      // Career win% above .500 buys patience
+const CHAMPIONSHIP_CUSHION = 0.15;    // Per career title (max 2 counted)
+const PLAYOFF_DROUGHT_PENALTY = 0.1;  // 3+ seasons in charge and missed the playoffs
+const FIRE_THRESHOLD = 0.15;          // Below this a coach is never fired
+const MAX_FIRE_CHANCE = 0.9;
+const RESIGN_THRESHOLD = 0.05;        // Expiring coaches at or under this hot seat are re-signed
+const HIRE_SHORTLIST = 3;             // Vacancies pick among the best N available coaches
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function randInt(min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+function getOverall(coach) {
+  return coach?.overallRating ?? coach?.overall_rating ?? 70;
+}
+
+function getContractYears(coach) {
+  return coach?.contractYearsRemaining ?? coach?.contract_years_remaining ?? 0;
+}
+
+function flattenStandings(standings) {
+  const records = {};
+  for (const conf of ['east', 'west']) {
+    for (const s of standings?.[conf] ?? []) {
+      const teamId = s.teamId ?? s.team_id;
+      if (teamId) records[teamId] = { wins: s.wins ?? 0, losses: s.losses ?? 0 };
+    }
+  }
+  return records;
+}
+
+/**
+ * Seasons the coach has been in charge of their current team.
+ * Coaches from campaign creation predate seasons_with_team, so fall back
+ * to seasons coached in this league.
+ */
+export function getCoachTenure(coach) {
+  return coach?.seasons_with_team ?? coach?.career_stats?.seasons_coached ?? 0;
+}
+
+// =============================================================================
+// CONTRACTS
+// =============================================================================
+
+/**
+ * Contract length range a coach will sign for; elite coaches get longer deals.
+ * @param {object} coach
+ * @returns {[number, number]}
+ */
+export function getCoachContractYearsRange(coach) {
+  return getOverall(coach) >= 85 ? [3, 5] : [2, 4];
+}
+
+/**
+ * Contract a coach signs: length from getCoachContractYearsRange, salary
+ * from COACH_SALARY_RANGES.
+ * @param {object} coach
+ * @returns {{ years: number, salary: number }}
+ */
+export function createCoachContract(coach) {
+  return {
+    years: randInt(...getCoachContractYearsRange(coach)),
+    salary: calculateCoachSalary(getOverall(coach)),
+  };
+}
+
+/**
+ * Put a coach under contract with a new team.
+ * @returns {object} New coach object
+ */
+export function signCoach(coach, contract, year) {
+  return {
+    ...coach,
+    contractYearsRemaining: contract.years,
+    contract_years_remaining: contract.years,
+    contractSalary: contract.salary,
+    contract_salary: contract.salary,
+    seasons_with_team: 0,
+    hired_season: year,
+  };
+}
+
+/**
+ * Release a coach into the unemployed pool.
+ * @returns {object} New coach object
+ */
+export function releaseCoach(coach) {
+  return {
+    ...coach,
+    contractYearsRemaining: 0,
+    contract_years_remaining: 0,
+    seasons_with_team: 0,
+  };
+}
+
+// =============================================================================
+// JOB SECURITY
+// =============================================================================
+
+/**
+ * Judge a head coach's season against the roster's expectations.
+ *
+ * @param {object} team - Team with coach
+ * @param {Array} roster - Team roster (sets expectations via analyzeTeamDirection)
+ * @param {{ wins: number, losses: number }} record - Regular-season record
+ * @param {object} [options]
+ * @param {boolean} [options.madePlayoffs=false]
+ * @param {boolean} [options.wonTitle=false]
+ * @returns {{ direction, expectedWinPct, winPct, hotSeat, fireChance }|null}
+ */
+export function evaluateCoachJobSecurity(team, roster, record, options = {}) {
+  const coach = team.coach;
+  if (!coach) return null;
+
+  const { madePlayoffs = false, wonTitle = false } = options;
+
+  // Roster-only read: no record weighting, so this is what the team "should" be
+  const direction = analyzeTeamDirection(team, roster, { standings: {}, gamesPlayed: 0 });
+  const expectedWinPct = EXPECTED_WIN_PCT[direction] ?? 0.45;
+
+  const games = (record?.wins ?? 0) + (record?.losses ?? 0);
+  const winPct = games > 0 ? record.wins / games : 0.5;
+
+  const tenure = getCoachTenure(coach);
+  const cs = coach.career_stats ?? {};
+
+  let hotSeat = (expectedWinPct - winPct) * SHORTFALL_WEIGHT;
+  if (tenure <= 1) hotSeat -= FIRST_SEASON_GRACE;
+  if ((cs.seasons_coached ?? 0) >= 2) hotSeat -= ((cs.win_pct ?? 0.5) - 0.5) * TRACK_RECORD_WEIGHT;
+  hotSeat -= Math.min(2, cs.championships ?? 0) * CHAMPIONSHIP_CUSHION;
+  if (tenure >= 3 && !madePlayoffs) hotSeat += PLAYOFF_DROUGHT_PENALTY;
+
+  const fireChance = wonTitle || hotSeat < FIRE_THRESHOLD
+    ? 0
+    : Math.min(MAX_FIRE_CHANCE, hotSeat);
+
+  return {
+    direction,
+    expectedWinPct,
+    winPct: Math.round(winPct * 1000) / 1000,
+    hotSeat: Math.round(hotSeat * 1000) / 1000,
+    fireChance: Math.round(fireChance * 1000) / 1000,
+  };
+}
+
+// =============================================================================
+// MAIN: RUN COACHING CAROUSEL
+// =============================================================================
+
+/**
+ * Run the offseason coaching carousel. Mutates team.coach (and AI teams'
+ * coaching_scheme) in place.
+ *
+ * Every coach's contract ticks down a year. AI coaches are fired on a bad
+ * season relative to expectations; expiring AI coaches are re-signed or
+ * let go. The user's coach is never fired here — an expiring one simply
+ * signs on again. Vacancies are filled worst record first from the pool.
+ *
+ * @param {object} params
+ * @param {Array} params.teams - All teams
+ * @param {Array} params.players - All players (for rosters)
+ * @param {object} params.standings - { east: [...], west: [...] }
+ * @param {Set} [params.playoffTeamIds] - Teams that made the playoffs
+ * @param {string|null} [params.championTeamId]
+ * @param {Array} params.coachPool - Unemployed coaches
+ * @param {string|null} params.userTeamId
+ * @param {number} params.year - Upcoming season year (recorded as hired_season)
+ * @param {Function} [params.generateCoach] - () => coach, used if the pool runs dry
+ * @returns {{ firings: Array, hirings: Array, extensions: Array, coachPool: Array, changedTeamIds: Array }}
+ */
+export function runCoachingCarousel({
+  teams,
+  players,
+  standings,
+  playoffTeamIds = new Set(),
+  championTeamId = null,
+  coachPool = [],
+  userTeamId = null,
+  year,
+  generateCoach = null,
+}) {
+  const records = flattenStandings(standings);
+  const firings = [];
+  const extensions = [];
+  const vacancies = [];
+  let pool = [...coachPool];
+
+  for (const team of teams) {
+    const coach = team.coach;
+    if (!coach) continue;
+
+    const yearsLeft = Math.max(0, getContractYears(coach) - 1);
+    team.coach = { ...coach, contractYearsRemaining: yearsLeft, contract_years_remaining: yearsLeft };
+    const record = records[team.id] ?? { wins: 0, losses: 0 };
+
+    if (team.id === userTeamId) {
+      if (yearsLeft === 0) {
+        const contract = createCoachContract(team.coach);
+        team.coach = { ...signCoach(team.coach, contract, year), seasons_with_team: getCoachTenure(coach) };
+        extensions.push({ teamId: team.id, teamName: team.name, coach: team.coach, ...contract });
+      }
+      continue;
+    }
+
+    const roster = players.filter(p => p.teamId === team.id);
+    const evaluation = evaluateCoachJobSecurity(team, roster, record, {
+      madePlayoffs: playoffTeamIds.has(team.id),
+      wonTitle: team.id === championTeamId,
+    });
+
+    let reason = null;
+    if (evaluation.fireChance > 0 && random() < evaluation.fireChance) {
+      reason = 'fired';
+    } else if (yearsLeft === 0) {
+      if (evaluation.hotSeat <= RESIGN_THRESHOLD) {
+        const contract = createCoachContract(team.coach);
+        team.coach = { ...signCoach(team.coach, contract, year), seasons_with_team: getCoachTenure(coach) };
+        extensions.push({ teamId: team.id, teamName: team.name, coach: team.coach, ...contract });
+      } else {
+        reason = 'contract_expired';
+      }
+    }
+
+    if (reason) {
+      const released = releaseCoach(team.coach);
+      firings.push({
+        teamId: team.id,
+        teamName: team.name,
+        teamAbbreviation: team.abbreviation,
+        coach: released,
+        record,
+        reason,
+        evaluation,
+      });
+      vacancies.push({ team, record, previousCoach: released });
+      pool.push(released);
+    }
+  }
+
+  // Worst record hires first
+  vacancies.sort((a, b) => {
+    const pct = r => (r.wins + r.losses > 0 ? r.wins / (r.wins + r.losses) : 0.5);
+    return pct(a.record) - pct(b.record);
+  });
+
+  const hirings = [];
+  for (const { team, previousCoach } of vacancies) {
+    const shortlist = pool
+      .filter(c => c.id !== previousCoach.id)
+      .sort((a, b) => getOverall(b) - getOverall(a))
+      .slice(0, HIRE_SHORTLIST);
+
+    let candidate = shortlist.length > 0
+      ? shortlist[Math.floor(random() * shortlist.length)]
+      : generateCoach?.() ?? null;
+    if (!candidate) candidate = previousCoach;
+
+    pool = pool.filter(c => c.id !== candidate.id);
+    const contract = createCoachContract(candidate);
+    const hired = signCoach(candidate, contract, year);
+
+    team.coach = hired;
+    team.coaching_scheme = {
+      ...team.coaching_scheme,
+      offensive: hired.offensiveScheme ?? team.coaching_scheme?.offensive ?? 'balanced',
+      defensive: hired.defensiveScheme ?? team.coaching_scheme?.defensive ?? 'man',
+    };
+
+    hirings.push({
+      teamId: team.id,
+      teamName: team.name,
+      teamAbbreviation: team.abbreviation,
+      coach: hired,
+      previousCoach,
+      ...contract,
+    });
+  }
+
+  return {
+    firings,
+    hirings,
+    extensions,
+    coachPool: pool,
+    changedTeamIds: hirings.map(h => h.teamId),
+  };
+}
@@ -7,6 +7,23 @@
 
 import { analyzeTeamDirection, buildContext } from './AITradeService';
 import { calculateRetentionScore, getMarketSize } from './MotivationService';
+import {
+  calculateDeadMoney,
+  getDeadMoneyTotal,
+  getCapStatus,
+  getOwnerBudget,
+  getTeamSpending,
+  LUXURY_TAX_LINE,
+  SECOND_APRON,
+  MINIMUM_SALARY,
+} from '../finance/FinanceManager';
+import {
+  createContract,
+  declineOption,
+  exerciseOption,
+  getPendingOption,
+  shouldOptOut,
+} from '../finance/ContractService';
 
 const POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
 
@@ -14,13 +31,14 @@ const POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
 // CONSTANTS
 // =============================================================================
 
-const SALARY_CAP = 136_000_000;
-const LUXURY_TAX_LINE = 165_000_000;
 const MIN_ROSTER_SIZE = 10;
 const TARGET_ROSTER_SIZE = 14;
 const MAX_ROSTER_SIZE = 15;
 const MINIMUM_SEASON_ROSTER = 14;
 
+// Teams pick up an option when the player is worth at least this share of it
+const TEAM_OPTION_VALUE_FLOOR = 0.9;
+
 // =============================================================================
 // SALARY LOOKUP
 // =============================================================================
@@ -111,18 +129,30 @@ function calculateTeamPayroll(roster) {
   return roster.reduce((sum, p) => sum + (p.contractSalary ?? p.contract_salary ?? 0), 0);
 }
 
-function getCapSituation(roster) {
-  const payroll = calculateTeamPayroll(roster);
-  const capSpace = SALARY_CAP - payroll;
+/**
+ * A team's payroll (dead money included) against the cap, tax line and
+ * aprons, and how much of the owner's budget is left.
+ */
+function getCapSituation(roster, team = null) {
+  const payroll = calculateTeamPayroll(roster) + getDeadMoneyTotal(team?.deadMoney);
+  const status = getCapStatus(payroll);
+  const ownerBudget = team ? getOwnerBudget(team) : Infinity;
   return {
-    payroll,
-    capSpace,
-    isOverCap: payroll > SALARY_CAP,
-    isInTax: payroll > LUXURY_TAX_LINE,
-    capRoom: Math.max(0, capSpace),
+    ...status,
+    capRoom: Math.max(0, status.capSpace),
+    ownerBudget,
+    budgetRoom: ownerBudget - getTeamSpending(payroll),
   };
 }
 
+/**
+ * Whether ownership will pay for a payroll: under the second apron and
+ * within budget once the tax is added.
+ */
+function withinOwnerBudget(capSituation, payroll) {
+  return payroll <= SECOND_APRON && getTeamSpending(payroll) <= capSituation.ownerBudget;
+}
+
 // =============================================================================
 // DRAFT CAPITAL ASSESSMENT
 // =============================================================================
@@ -237,10 +267,11 @@ export function processTeamCuts({
   teamAbbreviation,
   getPlayerStatsFn = () => null,
   draftCapital = { draftRichness: 0.5 },
+  team = null,
 }) {
   const cuts = [];
   let updatedPlayers = [...leaguePlayers];
-  const capSituation = getCapSituation(roster);
+  const capSituation = getCapSituation(roster, team);
 
   // Sort roster by rating descending to identify top players
   const sortedByRating = [...roster].sort((a, b) => getPlayerRating(b) - getPlayerRating(a));
@@ -248,7 +279,8 @@ export function processTeamCuts({
 
   const rosterContext = {
     rosterSize: roster.length,
-    isInTax: capSituation.isInTax,
+    // Over the owner's budget, salary has to go just like in the tax
+    isInTax: capSituation.isInTax || capSituation.budgetRoom < 0,
     topPlayerIds,
   };
 
@@ -298,6 +330,8 @@ export function processTeamCuts({
       playerId: player.id,
       salary: player.contractSalary ?? player.contract_salary ?? 0,
       reason: cutReason,
+      // Guaranteed money stays on the books; tax cuts stretch it to get under the line
+      deadMoney: calculateDeadMoney({ player, stretch: cutReason === 'luxury_tax_relief' }),
     });
 
     cutCount++;
@@ -477,6 +511,310 @@ export function calculateContractOffer(player, direction, capSituation = null) {
   };
 }
 
+/**
+ * The contract a team would offer a free agent, or null when signing them
+ * would push a non-contender over the luxury tax.
+ */
+function buildFreeAgentOffer(player, direction, teamRoster, capSituation) {
+  const contract = calculateContractOffer(player, direction, capSituation);
+
+  // Cap check: minimum deals always fit; otherwise the owner has to pay for it,
+  // and only contenders go into the tax
+  if (capSituation && contract.salary > MINIMUM_SALARY) {
+    const projectedPayroll = capSituation.payroll + contract.salary;
+    const isContending = direction === 'contending' || direction === 'title_contender' || direction === 'win_now';
+    if (!withinOwnerBudget(capSituation, projectedPayroll)) {
+      return null;
+    }
+    if (projectedPayroll > LUXURY_TAX_LINE && !isContending) {
+      return null;
+    }
+  }
+
+  return contract;
+}
+
+// =============================================================================
+// COMPETING OFFERS
+// =============================================================================
+
+/**
+ * Offers AI teams would make a free agent right now, using the same
+ * interest and pricing rules as processTeamSignings. Used to give the
+ * player alternatives when the user negotiates with them.
+ *
+ * @param {object} params
+ * @param {object} params.player - The free agent
+ * @param {Array} params.aiTeams - AI team objects
+ * @param {Array} params.leaguePlayers - All players (rosters by teamAbbreviation)
+ * @param {object} params.standings - Season standings ({ east, west })
+ * @param {Array} params.allTeams - All teams (for standings lookup)
+ * @param {string} params.seasonPhase
+ * @returns {Array<{ teamId, teamAbbreviation, teamName, direction, winPct, roster, years, salary }>}
+ */
+export function collectCompetingOffers({
+  player,
+  aiTeams,
+  leaguePlayers,
+  standings,
+  allTeams,
+  seasonPhase = 'regular_season',
+}) {
+  const context = buildContext({ standings, teams: allTeams, seasonPhase });
+  const offers = [];
+
+  for (const team of aiTeams) {
+    const teamRoster = getTeamRoster(leaguePlayers, team.abbreviation);
+    if (teamRoster.length >= TARGET_ROSTER_SIZE) continue;
+
+    const direction = analyzeTeamDirection(team, teamRoster, context);
+    const capSituation = getCapSituation(teamRoster, team);
+    if (!evaluateFreeAgentSigning(player, direction, teamRoster, capSituation)) continue;
+
+    const contract = buildFreeAgentOffer(player, direction, teamRoster, capSituation);
+    if (!contract) continue;
+
+    const record = context.standings[team.abbreviation] ?? { wins: 0, losses: 0 };
+    const games = record.wins + record.losses;
+
+    offers.push({
+      teamId: team.id,
+      teamAbbreviation: team.abbreviation,
+      teamName: team.name,
+      direction,
+      winPct: games > 0 ? record.wins / games : 0.5,
+      roster: teamRoster,
+      years: contract.years,
+      salary: contract.salary,
+    });
+  }
+
+  return offers.sort((a, b) => b.salary - a.salary);
+}
+
+// =============================================================================
+// WAIVERS
+// =============================================================================
+
+// A claiming team will take on a contract up to this much over what it would offer
+const WAIVER_CLAIM_TOLERANCE = 1.15;
+
+/**
+ * The team that claims a released player off waivers, if any. Teams get
+ * first claim in reverse order of record, and claim when they have a roster
+ * spot, want the player and think the contract is about what they'd pay.
+ * The claiming team takes the contract as it stands.
+ * @returns {object|null} { teamId, teamAbbreviation, teamName }
+ */
+export function findWaiverClaim({
+  player,
+  aiTeams,
+  leaguePlayers,
+  standings,
+  allTeams,
+  seasonPhase = 'regular_season',
+}) {
+  const context = buildContext({ standings, teams: allTeams, seasonPhase });
+  const salary = player.contractSalary ?? player.contract_salary ?? 0;
+
+  const winPct = team => {
+    const record = context.standings[team.abbreviation] ?? { wins: 0, losses: 0 };
+    const games = record.wins + record.losses;
+    return games > 0 ? record.wins / games : 0.5;
+  };
+  const claimOrder = [...aiTeams].sort((a, b) => winPct(a) - winPct(b));
+
+  for (const team of claimOrder) {
+    const teamRoster = getTeamRoster(leaguePlayers, team.abbreviation).filter(p => p.id !== player.id);
+    if (teamRoster.length >= MAX_ROSTER_SIZE) continue;
+
+    const direction = analyzeTeamDirection(team, teamRoster, context);
+    const capSituation = getCapSituation(teamRoster, team);
+    if (!evaluateFreeAgentSigning(player, direction, teamRoster, capSituation)) continue;
+
+    const { salary: value } = calculateContractOffer(player, direction, capSituation);
+    if (salary > value * WAIVER_CLAIM_TOLERANCE) continue;
+
+    // The owner has to pay for it, and only contenders take a claim into the tax
+    const isContending = direction === 'contending' || direction === 'title_contender' || direction === 'win_now';
+    if (!withinOwnerBudget(capSituation, capSituation.payroll + salary)) continue;
+    if (capSituation.payroll + salary > LUXURY_TAX_LINE && !isContending) continue;
+
+    return {
+      teamId: team.id,
+      teamAbbreviation: team.abbreviation,
+      teamName: team.name,
+    };
+  }
+
+  return null;
+}
+
+// =============================================================================
+// FREE AGENCY OFFERS (daily bidding rounds)
+// =============================================================================
+
+// New offers a team puts out per day of free agency
+const DAILY_OFFERS_PER_TEAM = 2;
+
+/**
+ * How badly a team wants a free agent: rating first, then position need and
+ * fit with where the team is headed.
+ */
+function getTargetPriority(player, direction, teamRoster) {
+  const rating = getPlayerRating(player);
+  const age = getPlayerAge(player);
+  let priority = rating;
+  if (hasPositionNeed(teamRoster, player.position ?? 'SF')) priority += 3;
+  if (direction === 'rebuilding' && age <= 25) priority += 4;
+  if ((direction === 'contending' || direction === 'title_contender' || direction === 'win_now') && age >= 28) priority += 2;
+  return priority;
+}
+
+/**
+ * One day's new offers during the free agency period. Each team with open
+ * roster spots works down its own priority list of free agents, holding
+ * room (slots and payroll) for the offers it already has out.
+ *
+ * @param {object} params
+ * @param {Array} params.aiTeams - AI team objects
+ * @param {Array} params.leaguePlayers - All players (rosters by teamAbbreviation)
+ * @param {Array} params.freeAgents - Unsigned free agents still on the market
+ * @param {Array} params.pendingOffers - Offers already out ({ teamId, playerId, salary })
+ * @param {object} params.standings - Season standings ({ east, west })
+ * @param {Array} params.allTeams - All teams (for standings lookup)
+ * @param {string} params.seasonPhase
+ * @returns {Array<{ teamId, teamAbbreviation, teamName, playerId, priority, years, salary }>}
+ */
+export function planFreeAgentOffers({
+  aiTeams,
+  leaguePlayers,
+  freeAgents,
+  pendingOffers = [],
+  standings,
+  allTeams,
+  seasonPhase = 'offseason',
+}) {
+  const context = buildContext({ standings, teams: allTeams, seasonPhase });
+  const offers = [];
+
+  for (const team of aiTeams) {
+    const teamRoster = getTeamRoster(leaguePlayers, team.abbreviation);
+    const outstanding = pendingOffers.filter(o => o.teamId === team.id);
+    const openSlots = TARGET_ROSTER_SIZE - teamRoster.length - outstanding.length;
+    if (openSlots <= 0) continue;
+
+    const direction = analyzeTeamDirection(team, teamRoster, context);
+    const alreadyOffered = new Set(outstanding.map(o => o.playerId));
+
+    // Outstanding offers count against the payroll until they're answered
+    const committedRoster = [
+      ...teamRoster,
+      ...outstanding.map(o => ({ contractSalary: o.salary, position: freeAgents.find(p => p.id === o.playerId)?.position })),
+    ];
+
+    const targets = freeAgents
+      .filter(p => !alreadyOffered.has(p.id))
+      .map(player => ({ player, priority: getTargetPriority(player, direction, committedRoster) }))
+      .sort((a, b) => b.priority - a.priority);
+
+    let made = 0;
+    for (const { player, priority } of targets) {
+      if (made >= Math.min(openSlots, DAILY_OFFERS_PER_TEAM)) break;
+
+      const capSituation = getCapSituation(committedRoster, team);
+      if (!evaluateFreeAgentSigning(player, direction, committedRoster, capSituation)) continue;
+
+      const contract = buildFreeAgentOffer(player, direction, committedRoster, capSituation);
+      if (!contract) continue;
+
+      offers.push({
+        teamId: team.id,
+        teamAbbreviation: team.abbreviation,
+        teamName: team.name,
+        playerId: player.id,
+        priority,
+        years: contract.years,
+        salary: contract.salary,
+      });
+      committedRoster.push({ contractSalary: contract.salary, position: player.position });
+      made++;
+    }
+  }
+
+  return offers;
+}
+
+// =============================================================================
+// CONTRACT OPTIONS (offseason)
+// =============================================================================
+
+/**
+ * Decide the options on next season's contracts. Players opt out when the
+ * market would pay them more; AI teams pick up options on players worth the
+ * money and the owner will pay for. The user team's options are left for the
+ * user to decide.
+ * @param {object} params
+ * @param {Array} params.leaguePlayers
+ * @param {Array} params.allTeams
+ * @param {string} [params.userTeamId]
+ * @param {object} params.standings
+ * @returns {{ decisions: Array, updatedPlayers: Array }}
+ */
+export function processContractOptions({ leaguePlayers, allTeams, userTeamId = null, standings }) {
+  const decisions = [];
+  const updatedPlayers = [...leaguePlayers];
+  const context = buildContext({ standings, teams: allTeams, seasonPhase: 'offseason' });
+
+  for (const team of allTeams) {
+    const roster = getTeamRoster(updatedPlayers, team.abbreviation);
+    const direction = analyzeTeamDirection(team, roster, context);
+    // Next season's books: expiring and declined deals are off them
+    const committedCap = () => getCapSituation(
+      getTeamRoster(updatedPlayers, team.abbreviation)
+        .filter(p => (p.contractYearsRemaining ?? p.contract_years_remaining ?? 0) > 0),
+      team
+    );
+    let capSituation = committedCap();
+
+    for (const player of roster) {
+      const option = getPendingOption(player);
+      if (!option) continue;
+      if (option === 'team' && team.id === userTeamId) continue;
+
+      const salary = player.contractSalary ?? player.contract_salary ?? 0;
+      let exercised;
+      if (option === 'player') {
+        exercised = !shouldOptOut(player, calculateContractOffer(player, null).salary);
+      } else {
+        const worth = calculateContractOffer(player, direction).salary;
+        exercised = worth >= salary * TEAM_OPTION_VALUE_FLOOR
+          && (salary <= MINIMUM_SALARY || withinOwnerBudget(capSituation, capSituation.payroll));
+      }
+
+      const index = updatedPlayers.findIndex(p => p.id === player.id);
+      updatedPlayers[index] = {
+        ...updatedPlayers[index],
+        ...(exercised ? exerciseOption(player) : declineOption(player)),
+      };
+
+      decisions.push({
+        team: team.abbreviation,
+        teamId: team.id,
+        player: getPlayerName(player),
+        playerId: player.id,
+        option,
+        salary,
+        exercised,
+      });
+
+      if (!exercised) capSituation = committedCap();
+    }
+  }
+
+  return { decisions, updatedPlayers };
+}
+
 // =============================================================================
 // PROCESS TEAM EXTENSIONS (cap-aware)
 // =============================================================================
@@ -492,6 +830,7 @@ export function processTeamExtensions({
 }) {
   const extensions = [];
   const updatedPlayers = [...leaguePlayers];
+  let payroll = capSituation?.payroll ?? 0;
 
   const expiringPlayers = roster.filter(player => {
     const years = player.contractYearsRemaining ?? player.contract_years_remaining ?? 0;
@@ -506,15 +845,18 @@ export function processTeamExtensions({
     if (shouldResign) {
       const contract = calculateContractOffer(player, direction, capSituation);
 
+      // Let them walk if the owner won't pay the new deal
+      const oldSalary = player.contractSalary ?? player.contract_salary ?? 0;
+      const projectedPayroll = payroll - oldSalary + contract.salary;
+      if (capSituation && contract.salary > MINIMUM_SALARY && !withinOwnerBudget(capSituation, projectedPayroll)) continue;
+      payroll = projectedPayroll;
+
       // Update player in league players array
       for (let i = 0; i < updatedPlayers.length; i++) {
         if ((updatedPlayers[i].id ?? '') == player.id) {
           updatedPlayers[i] = {
             ...updatedPlayers[i],
-            contractYearsRemaining: contract.years,
-            contract_years_remaining: contract.years,
-            contractSalary: contract.salary,
-            contract_salary: contract.salary,
+            ...createContract({ salary: contract.salary, years: contract.years }),
           };
           break;
         }
@@ -571,16 +913,8 @@ export function processTeamSignings({
     const shouldSign = evaluateFreeAgentSigning(player, direction, teamRoster, capSituation);
 
     if (shouldSign) {
-      const contract = calculateContractOffer(player, direction, capSituation);
-
-      // Cap check: skip if signing would push team over luxury tax (unless contending)
-      if (capSituation) {
-        const projectedPayroll = calculateTeamPayroll(teamRoster) + contract.salary;
-        const isContending = direction === 'contending' || direction === 'title_contender' || direction === 'win_now';
-        if (projectedPayroll > LUXURY_TAX_LINE && !isContending) {
-          continue;
-        }
-      }
+      const contract = buildFreeAgentOffer(player, direction, teamRoster, capSituation);
+      if (!contract) continue;
 
       // Update player in league players array
       for (let i = 0; i < updatedPlayers.length; i++) {
@@ -590,10 +924,7 @@ export function processTeamSignings({
             teamId,
             teamAbbreviation,
             team_abbreviation: teamAbbreviation,
-            contractYearsRemaining: contract.years,
-            contract_years_remaining: contract.years,
-            contractSalary: contract.salary,
-            contract_salary: contract.salary,
+            ...createContract({ salary: contract.salary, years: contract.years }),
             isFreeAgent: 0,
           };
           break;
@@ -661,10 +992,7 @@ function backfillRoster({
           teamId,
           teamAbbreviation,
           team_abbreviation: teamAbbreviation,
-          contractYearsRemaining: years,
-          contract_years_remaining: years,
-          contractSalary: salary,
-          contract_salary: salary,
+          ...createContract({ salary, years }),
           isFreeAgent: 0,
         };
         break;
@@ -699,6 +1027,7 @@ export function runAIRosterManagement({
   seasonPhase = 'offseason',
   getPlayerStatsFn = () => null,
   gameYear = 1,
+  signFreeAgents = true,
 }) {
   const results = {
     cuts: [],
@@ -713,7 +1042,6 @@ export function runAIRosterManagement({
     const teamRoster = getTeamRoster(currentPlayers, team.abbreviation);
     const direction = analyzeTeamDirection(team, teamRoster, context);
     const draftCapital = assessDraftCapital(team, gameYear);
-    const capSituation = getCapSituation(teamRoster);
 
     // Step 1: Evaluate & cut overpaid/underperforming players
     const cutResults = processTeamCuts({
@@ -723,13 +1051,15 @@ export function runAIRosterManagement({
       teamAbbreviation: team.abbreviation,
       getPlayerStatsFn,
       draftCapital,
+      team,
     });
     results.cuts.push(...cutResults.cuts);
     currentPlayers = cutResults.updatedPlayers;
 
-    // Refresh roster and cap after cuts
+    // Refresh roster and cap after cuts (the cuts' dead money included)
     const rosterAfterCuts = getTeamRoster(currentPlayers, team.abbreviation);
-    const capAfterCuts = getCapSituation(rosterAfterCuts);
+    const deadMoney = [...(team.deadMoney ?? []), ...cutResults.cuts.map(c => c.deadMoney).filter(Boolean)];
+    const capAfterCuts = getCapSituation(rosterAfterCuts, { ...team, deadMoney });
 
     // Step 2: Re-sign expiring players (cap-aware)
     const extensionResults = processTeamExtensions({
@@ -744,9 +1074,12 @@ export function runAIRosterManagement({
     results.extensions.push(...extensionResults.extensions);
     currentPlayers = extensionResults.updatedPlayers;
 
+    // Free agents are left for the free agency period to sort out
+    if (!signFreeAgents) continue;
+
     // Step 3: Sign free agents (cap-aware, target 13)
     const rosterAfterExtensions = getTeamRoster(currentPlayers, team.abbreviation);
-    const capAfterExtensions = getCapSituation(rosterAfterExtensions);
+    const capAfterExtensions = getCapSituation(rosterAfterExtensions, { ...team, deadMoney });
 
     if (rosterAfterExtensions.length < TARGET_ROSTER_SIZE) {
       const signingResults = processTeamSignings({
@@ -830,10 +1163,7 @@ export function ensureMinimumRosters({ aiTeams, leaguePlayers }) {
             teamId: team.id,
             teamAbbreviation: team.abbreviation,
             team_abbreviation: team.abbreviation,
-            contractYearsRemaining: years,
-            contract_years_remaining: years,
-            contractSalary: salary,
-            contract_salary: salary,
+            ...createContract({ salary, years }),
             isFreeAgent: 0,
           };
           break;
@@ -5,6 +5,8 @@
 // Translated from PHP: backend/app/Services/AILineupService.php
 // =============================================================================
 
+import { random } from '../utils/Random';
+
 const POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
 
 // Fatigue thresholds for lineup decisions
@@ -190,7 +192,7 @@ export function selectSubstitutionStrategy(roster, starterIds) {
   }
 
   // Random 30% chance of platoon
-  if (Math.random() * 100 <= 30) {
+  if (random() * 100 <= 30) {
     return 'platoon';
   }
 
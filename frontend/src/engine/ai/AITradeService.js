@@ -8,6 +8,10 @@
 // =============================================================================
 
 import { calculateRetentionScore } from './MotivationService';
+import { random } from '../utils/Random';
+import { DEFAULT_SALARY_CAP, LUXURY_TAX_LINE, getDeadMoneyTotal, getOwnerBudget } from '../finance/FinanceManager';
+import { validateSalaryCap } from '../finance/TradeExecutor';
+import { willWaiveNoTradeClause } from '../finance/ContractService';
 
 const TRADE_DEADLINE_MONTH = 1; // January
 const TRADE_DEADLINE_DAY = 6;
@@ -213,9 +217,10 @@ export function getDifficultyConfig(difficulty = 'pro') {
  * @param {object} params.standings - { east: [...], west: [...] }
  * @param {Array} params.teams - Array of all team objects with abbreviation, id, etc.
  * @param {string} params.seasonPhase - e.g. 'regular_season', 'preseason'
+ * @param {number} [params.seasonLength] - Regular-season games per team
  * @returns {object} context
  */
-export function buildContext({ standings = { east: [], west: [] }, teams = [], seasonPhase = 'preseason' }) {
+export function buildContext({ standings = { east: [], west: [] }, teams = [], seasonPhase = 'preseason', seasonLength = TOTAL_GAMES }) {
   let gamesPlayed = 0;
   const flat = {};
 
@@ -239,6 +244,7 @@ export function buildContext({ standings = { east: [], west: [] }, teams = [], s
   return {
     standings: flat,
     gamesPlayed,
+    seasonLength,
     season_phase: seasonPhase,
   };
 }
@@ -318,6 +324,7 @@ export function analyzeRoster(roster) {
 export function analyzeTeamDirection(team, teamRoster, context) {
   const standings = context.standings;
   const gamesPlayed = context.gamesPlayed;
+  const seasonLength = context.seasonLength ?? TOTAL_GAMES;
 
   const teamRecord = standings[team.abbreviation] ?? { wins: 0, losses: 0 };
   const wins = teamRecord.wins ?? 0;
@@ -325,7 +332,7 @@ export function analyzeTeamDirection(team, teamRoster, context) {
   const winPct = (wins + losses) > 0 ? wins / (wins + losses) : 0.5;
 
   // Record weight increases as season progresses
-  const recordWeight = Math.min(0.7, (gamesPlayed / TOTAL_GAMES) * 0.9);
+  const recordWeight = Math.min(0.7, (gamesPlayed / seasonLength) * 0.9);
   const rosterWeight = 1.0 - recordWeight;
 
   // Get roster analysis
@@ -357,8 +364,8 @@ export function analyzeTeamDirection(team, teamRoster, context) {
 
   // Special overrides for clear-cut cases
   if (gamesPlayed >= 20) {
-    const gamesRemaining = TOTAL_GAMES - gamesPlayed;
-    const winsNeeded = 41 - wins;
+    const gamesRemaining = seasonLength - gamesPlayed;
+    const winsNeeded = Math.ceil(seasonLength / 2) - wins;
     if (gamesRemaining > 0 && winsNeeded > gamesRemaining) {
       return 'rebuilding'; // Mathematically eliminated
     }
@@ -403,7 +410,9 @@ function calculateYoungPlayerPremium(age) {
 
 /**
  * Calculate expected salary based on overall rating and production.
- * @param {object|null} playerStats - Season stats
+ * When the stats carry advanced metrics, PER relative to what the rating
+ * should produce adjusts the figure further.
+ * @param {object|null} playerStats - Season stats, optionally with `advanced` from AnalyticsService
  * @param {number} overallRating
  * @returns {number}
  */
@@ -433,6 +442,19 @@ export function calculateExpectedSalary(playerStats, overallRating) {
 
     const productionRatio = Math.min(1.2, Math.max(0.8, production / Math.max(1, expectedProduction)));
     ratingBase *= productionRatio;
+
+    const per = playerStats.advanced?.per;
+    if (per != null && (playerStats.minutesPlayed ?? 0) > 0) {
+      let expectedPer;
+      if (overallRating >= 90) expectedPer = 24;
+      else if (overallRating >= 85) expectedPer = 20;
+      else if (overallRating >= 80) expectedPer = 17;
+      else if (overallRating >= 75) expectedPer = 14;
+      else expectedPer = 11;
+
+      const efficiencyRatio = Math.min(1.15, Math.max(0.85, per / expectedPer));
+      ratingBase *= efficiencyRatio;
+    }
   }
 
   return ratingBase;
@@ -755,6 +777,19 @@ export function calculateGivingValue({
   return Math.round(value * 100) / 100;
 }
 
+/**
+ * The first player in a set of assets who won't waive their no-trade clause
+ * to join a team, or null.
+ */
+function findNoTradeBlock(assets, destinationTeam, context, getPlayerFn) {
+  for (const asset of assets ?? []) {
+    if (asset.type !== 'player') continue;
+    const player = getPlayerFn(asset.playerId);
+    if (player && !willWaiveNoTradeClause(player, destinationTeam, context)) return player;
+  }
+  return null;
+}
+
 /**
  * Evaluate a trade proposal from AI team's perspective.
  * Returns { decision, reason, team_direction, value_analysis }.
@@ -768,6 +803,7 @@ export function calculateGivingValue({
  * @param {function} params.getPlayerFn - Function(playerId) => player object
  * @param {function} [params.getPlayerStatsFn] - Function(playerId) => stats or null
  * @param {function} [params.getPickValueFn] - Function(pickId) => numeric value
+ * @param {object} [params.partnerTeam] - Team on the other side; its incoming players' no-trade clauses are checked too
  * @returns {object}
  */
 export function evaluateTrade({
@@ -779,6 +815,7 @@ export function evaluateTrade({
   getPlayerFn,
   getPlayerStatsFn = () => null,
   getPickValueFn = () => 5,
+  partnerTeam = null,
 }) {
   const diffConfig = getDifficultyConfig(difficulty);
   const teamDirection = analyzeTeamDirection(team, teamRoster, context);
@@ -803,6 +840,19 @@ export function evaluateTrade({
   });
 
   const netValue = receiving - giving;
+
+  // A player with a no-trade clause has to agree to the move
+  const blocked = findNoTradeBlock(proposal.aiReceives, team, context, getPlayerFn)
+    ?? (partnerTeam ? findNoTradeBlock(proposal.aiGives, partnerTeam, context, getPlayerFn) : null);
+  if (blocked) {
+    return {
+      decision: 'reject',
+      reason: `${getPlayerName(blocked)} won't waive their no-trade clause`,
+      team_direction: teamDirection,
+      value_analysis: { receiving, giving, net: netValue },
+    };
+  }
+
   const thresholdPct = diffConfig.threshold_pct;
   const fairnessMult = diffConfig.fairness_mult;
   const fairnessThreshold = Math.max(giving * thresholdPct * fairnessMult, 1);
@@ -1101,12 +1151,14 @@ export function generateProposalReason(direction, target, need) {
  * @param {object} params
  * @param {Array} params.aiTeams - Array of AI team objects (with abbreviation, id, etc.)
  * @param {Array} params.userRoster - User's roster array
+ * @param {string} [params.userTeamId] - Defaults to the team of the first rostered player
  * @param {object} params.standings - { east: [...], west: [...] }
  * @param {Array} params.allTeams - All teams for context
  * @param {string} params.currentDate - ISO date string
  * @param {number} params.seasonYear
  * @param {string} params.difficulty
  * @param {string} params.seasonPhase
+ * @param {number} [params.seasonLength] - Regular-season games per team
  * @param {Array} params.pendingProposals - Existing pending proposals
  * @param {function} params.getTeamRosterFn - (teamAbbr) => roster array
  * @param {function} params.getPlayerFn - (playerId) => player object
@@ -1118,6 +1170,7 @@ export function generateProposalReason(direction, target, need) {
 export function generateWeeklyProposals({
   aiTeams,
   userRoster,
+  userTeamId = userRoster?.[0]?.teamId ?? userRoster?.[0]?.team_id,
   standings,
   allTeams,
   currentDate,
@@ -1131,6 +1184,7 @@ export function generateWeeklyProposals({
   getPlayerStatsFn = () => null,
   getPickValueFn = () => 5,
   userTradingBlock = [],
+  seasonLength = TOTAL_GAMES,
 }) {
   if (!userRoster || userRoster.length === 0) return [];
 
@@ -1143,7 +1197,8 @@ export function generateWeeklyProposals({
   const daysUntilDeadline = Math.ceil((deadlineDate - current) / (1000 * 60 * 60 * 24));
   const isDeadlineMonth = daysUntilDeadline >= 0 && daysUntilDeadline <= 30;
 
-  const context = buildContext({ standings, teams: allTeams, seasonPhase });
+  const context = buildContext({ standings, teams: allTeams, seasonPhase, seasonLength });
+  const userTeam = allTeams.find(t => t.id === userTeamId) ?? null;
   const newProposals = [];
 
   // Pre-compute cooldown: 30-day window for rejected/expired proposals
@@ -1201,7 +1256,7 @@ export function generateWeeklyProposals({
       }
     }
 
-    if (Math.random() * 100 > baseProbability * 100) continue;
+    if (random() * 100 > baseProbability * 100) continue;
 
     // Identify team's need
     const need = identifyNeed(direction, aiRoster);
@@ -1212,8 +1267,10 @@ export function generateWeeklyProposals({
     if (targetPlayers.length === 0) continue;
 
     // Filter out players this team already had rejected for (exact team+player combo, 30-day cooldown)
+    // and players whose no-trade clause keeps them from coming
     let filteredTargets = targetPlayers.filter(p =>
       !rejectedTeamPlayerCombos.has(`${teamIdStr}::${String(p.id)}`)
+      && willWaiveNoTradeClause(p, aiTeam, context)
     );
 
     // Retention-based targeting: skip very happy players, prefer unhappy ones
@@ -1258,6 +1315,7 @@ export function generateWeeklyProposals({
       getPlayerFn,
       getPlayerStatsFn,
       getPickValueFn,
+      partnerTeam: userTeam,
     });
 
     if (verification.decision !== 'accept') continue;
@@ -1343,8 +1401,6 @@ export function processTradeDeadlineEvents({ currentDate, seasonYear, settings =
 // AI-TO-AI TRADING
 // =============================================================================
 
-const LUXURY_TAX_LINE = 165_000_000;
-
 /**
  * Find target players from any roster that match a team's need.
  * Adapts findTargetPlayers() for bilateral AI-to-AI use.
@@ -1395,6 +1451,23 @@ function _calculateTeamPayroll(roster) {
   return roster.reduce((sum, p) => sum + (p.contractSalary ?? p.contract_salary ?? 0), 0);
 }
 
+/**
+ * Whether one side of an AI-to-AI trade passes the league's cap rules
+ * (aprons and owner budget included) and stays under the luxury tax.
+ */
+function _fitsAiPayroll(team, roster, gives, receives, getPlayerFn) {
+  const payroll = _calculateTeamPayroll(roster) + getDeadMoneyTotal(team.deadMoney);
+  const check = validateSalaryCap({
+    userGiving: gives,
+    userReceiving: receives,
+    getPlayerFn,
+    currentPayroll: payroll,
+    salaryCap: team.salary_cap ?? team.salaryCap ?? DEFAULT_SALARY_CAP,
+    ownerBudget: getOwnerBudget(team),
+  });
+  return check.valid && payroll + check.incoming_salary - check.outgoing_salary <= LUXURY_TAX_LINE;
+}
+
 /**
  * Attempt to find a mutually acceptable AI-to-AI trade between two teams.
  * Returns trade object or null.
@@ -1527,35 +1600,9 @@ function _findAiToAiTrade({
 
     if (team1Gives.length === 0 || team2Gives.length === 0) continue;
 
-    // Cap check: ensure neither team exceeds luxury tax after the trade
-    let team1IncomingSalary = 0, team1OutgoingSalary = 0;
-    let team2IncomingSalary = 0, team2OutgoingSalary = 0;
-    for (const a of team2Gives) {
-      if (a.type === 'player') {
-        const p = getPlayerFn(a.playerId);
-        if (p) team1IncomingSalary += (p.contractSalary ?? p.contract_salary ?? 0);
-      }
-    }
-    for (const a of team1Gives) {
-      if (a.type === 'player') {
-        const p = getPlayerFn(a.playerId);
-        if (p) {
-          team1OutgoingSalary += (p.contractSalary ?? p.contract_salary ?? 0);
-          team2IncomingSalary += (p.contractSalary ?? p.contract_salary ?? 0);
-        }
-      }
-    }
-    for (const a of team2Gives) {
-      if (a.type === 'player') {
-        const p = getPlayerFn(a.playerId);
-        if (p) team2OutgoingSalary += (p.contractSalary ?? p.contract_salary ?? 0);
-      }
-    }
-
-    const team1Payroll = _calculateTeamPayroll(team1Roster);
-    const team2Payroll = _calculateTeamPayroll(team2Roster);
-    if (team1Payroll + team1IncomingSalary - team1OutgoingSalary > LUXURY_TAX_LINE) continue;
-    if (team2Payroll + team2IncomingSalary - team2OutgoingSalary > LUXURY_TAX_LINE) continue;
+    // Cap check: both teams follow the cap rules and stay out of the tax
+    if (!_fitsAiPayroll(team1, team1Roster, team1Gives, team2Gives, getPlayerFn)) continue;
+    if (!_fitsAiPayroll(team2, team2Roster, team2Gives, team1Gives, getPlayerFn)) continue;
 
     // Evaluate from both perspectives
     const eval1 = evaluateTrade({
@@ -1596,6 +1643,7 @@ function _findAiToAiTrade({
  * @param {string} params.currentDate - ISO date string
  * @param {number} params.seasonYear
  * @param {string} params.difficulty
+ * @param {number} [params.seasonLength] - Regular-season games per team
  * @returns {object} { trades, playerMoves, pickMoves, newsEvents }
  */
 export function processAiToAiTrades({
@@ -1606,13 +1654,14 @@ export function processAiToAiTrades({
   currentDate,
   seasonYear,
   difficulty = 'pro',
+  seasonLength = TOTAL_GAMES,
 }) {
   const empty = { trades: [], playerMoves: [], pickMoves: [], newsEvents: [] };
 
   // Gate: must be before trade deadline
   if (!isBeforeDeadline(currentDate, seasonYear)) return empty;
 
-  const context = buildContext({ standings, teams: allTeams, seasonPhase: 'regular_season' });
+  const context = buildContext({ standings, teams: allTeams, seasonPhase: 'regular_season', seasonLength });
 
   // Build player lookup
   const playerMap = new Map();
@@ -1644,7 +1693,7 @@ export function processAiToAiTrades({
   const nearDeadline = daysUntilDeadline >= 0 && daysUntilDeadline <= 30;
 
   // Shuffle teams for randomness
-  const shuffled = [...aiTeams].sort(() => Math.random() - 0.5);
+  const shuffled = [...aiTeams].sort(() => random() - 0.5);
   const tradedTeams = new Set();
   const trades = [];
   const playerMoves = [];
@@ -1673,7 +1722,7 @@ export function processAiToAiTrades({
           probability *= 1.5;
         }
       }
-      if (Math.random() > probability) continue;
+      if (random() > probability) continue;
 
       // Attempt to find a deal
       const deal = _findAiToAiTrade({
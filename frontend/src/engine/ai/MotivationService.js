@@ -6,6 +6,8 @@
 // trade risk assessment, and re-sign negotiations.
 // =============================================================================
 
+import { random } from '../utils/Random';
+
 // =============================================================================
 // MARKET SIZE MAP
 // =============================================================================
@@ -173,7 +175,7 @@ export function generateMotivations(player) {
 
   // Weighted random selection
   const totalWeight = Object.values(pool).reduce((a, b) => a + b, 0);
-  let roll = Math.random() * totalWeight;
+  let roll = random() * totalWeight;
   let selectedKey = 'balanced';
   for (const [key, weight] of Object.entries(pool)) {
     roll -= weight;
@@ -187,7 +189,7 @@ export function generateMotivations(player) {
   const motivations = {};
 
   for (const [cat, baseWeight] of Object.entries(archetype.weights)) {
-    const variance = (Math.random() - 0.5) * 0.3; // ±0.15
+    const variance = (random() - 0.5) * 0.3; // ±0.15
     const weight = Math.min(1.0, Math.max(0.05, baseWeight + variance));
     motivations[cat] = {
       weight: Math.round(weight * 100) / 100,
@@ -25,25 +25,34 @@ import { CampaignRepository } from '../db/CampaignRepository'
 import { TeamRepository } from '../db/TeamRepository'
 import { PlayerRepository } from '../db/PlayerRepository'
 import { SeasonRepository } from '../db/SeasonRepository'
-import { SeasonManager } from '../season/SeasonManager'
+import { SyncMetaRepository } from '../db/SyncMetaRepository'
+import { SeasonManager, DEFAULT_SEASON_LENGTH } from '../season/SeasonManager'
+import { PlayoffManager } from '../season/PlayoffManager'
 import {
   initializeTeamLineup,
   initializeUserTeamLineup,
 } from '../ai/AILineupService'
 import { generateAITargetMinutes } from '../simulation/SubstitutionEngine'
 import { processSeasonEnd } from '../evolution/PlayerEvolution'
-import { runAIRosterManagement, ensureMinimumRosters } from '../ai/AIContractService'
+import { updateAfterCoachingChange } from '../evolution/MoraleService'
+import { runAIRosterManagement, ensureMinimumRosters, processContractOptions } from '../ai/AIContractService'
+import { openFreeAgency, runFreeAgencyDay } from '../finance/FreeAgencyService'
+import { advanceDeadMoney, settleSeasonFinances } from '../finance/FinanceManager'
+import { advanceContract, createContract, exerciseOption, getPendingOption } from '../finance/ContractService'
+import { runCoachingCarousel, createCoachContract, signCoach, releaseCoach, getCoachTenure } from '../ai/AICoachingService'
 import { generateMotivations, getMarketSize } from '../ai/MotivationService'
 import { generateAndSaveRookieClass } from '../draft/RookieGenerationService'
+import { DEFAULT_LOTTERY_FORMAT } from '../draft/DraftOrderService'
 import { AwardService } from '../season/AwardService'
 import { AllStarService } from '../season/AllStarService'
+import { random, generateSeed, deriveSeed, withSeed } from '../utils/Random'
 
 // =============================================================================
 // HELPERS
 // =============================================================================
 
 function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return Math.floor(random() * (max - min + 1)) + min
 }
 
 function clampRating(rating) {
@@ -64,14 +73,14 @@ function generateUUID() {
 
 function shuffleArray(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[arr[i], arr[j]] = [arr[j], arr[i]]
   }
   return arr
 }
 
 function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)]
+  return arr[Math.floor(random() * arr.length)]
 }
 
 /**
@@ -79,7 +88,7 @@ function pickRandom(arr) {
  * @param {string} abbreviation
  * @returns {number} 1-4
  */
-function getTeamTier(abbreviation) {
+export function getTeamTier(abbreviation) {
   for (const [tier, teams] of Object.entries(TEAM_TIERS)) {
     if (teams.includes(abbreviation)) {
       return Number(tier)
@@ -95,12 +104,12 @@ function getTeamTier(abbreviation) {
 // Called once per player during campaign initialization to add variety.
 
 function randFloat(min, max) {
-  return min + Math.random() * (max - min)
+  return min + random() * (max - min)
 }
 
 function normalRandom(mean, stddev) {
-  const u1 = Math.max(0.0001, Math.random())
-  const u2 = Math.random()
+  const u1 = Math.max(0.0001, random())
+  const u2 = random()
   const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2)
   return mean + z * stddev
 }
@@ -390,13 +399,7 @@ function prepareMasterPlayer(masterData, campaignId, teamId, teamAbbreviation) {
   const overall = masterData.overallRating ?? 75
   const position = masterData.position ?? 'SF'
   const salary = masterData.contractSalary ?? calculateSalary(overall, age)
-  const contractYears = randInt(1, 4)
-  const contractDetailsObj = {
-    totalYears: randInt(2, 5),
-    salaries: [salary],
-    options: {},
-    noTradeClause: false,
-  }
+  const contract = createContract({ salary, years: randInt(1, 4) })
 
   // Generate attributes/tendencies/badges/personality when master data is missing them
   const attrs = masterData.attributes ?? generateAttributes(position, overall)
@@ -487,12 +490,7 @@ function prepareMasterPlayer(masterData, campaignId, teamId, teamAbbreviation) {
     motivations,
 
     // Contract
-    contractYearsRemaining: contractYears,
-    contract_years_remaining: contractYears,
-    contractSalary: salary,
-    contract_salary: salary,
-    contractDetails: contractDetailsObj,
-    contract_details: contractDetailsObj,
+    ...contract,
     tradeValue,
     tradeValueTotal,
     injuryRisk: masterData.injuryRisk ?? 'M',
@@ -850,26 +848,26 @@ function calculateSalary(overall, age) {
   return Math.round(baseSalary / 10000) * 10000
 }
 
+/**
+ * A contract some way into its run: signed up to two seasons ago at a salary
+ * for the player's rating, with the raises since.
+ */
 function generateContract(overall, age) {
   const yearsRemaining = randInt(1, 4)
-  const salary = calculateSalary(overall, age)
-
-  const salaries = []
-  for (let i = 0; i <= yearsRemaining; i++) {
-    salaries.push(Math.round(salary * (1 + 0.05 * i) / 10000) * 10000)
-  }
-
-  return {
-    years: yearsRemaining,
-    salary,
-    details: {
-      totalYears: yearsRemaining + randInt(0, 2),
-      salaries,
-      options: randInt(0, 1) ? { [`year${yearsRemaining + 1}`]: randInt(0, 1) ? 'player' : 'team' } : {},
-      noTradeClause: overall >= 88 && !!randInt(0, 1),
-      signedYear: 2025 - randInt(0, 3),
-    },
+  const seasonsPlayed = randInt(0, 2)
+
+  let contract = createContract({
+    salary: calculateSalary(overall, age),
+    years: yearsRemaining + seasonsPlayed,
+    // An option on this season would already have been decided
+    option: yearsRemaining > 1 && randInt(0, 1) ? (randInt(0, 1) ? 'player' : 'team') : 'none',
+    noTradeClause: overall >= 88 && !!randInt(0, 1),
+    signedYear: 2025 - seasonsPlayed,
+  })
+  for (let i = 0; i < seasonsPlayed; i++) {
+    contract = advanceContract(contract)
   }
+  return contract
 }
 
 // =============================================================================
@@ -884,23 +882,29 @@ function generateContract(overall, age) {
  * @param {string} options.teamAbbreviation - User's chosen team abbreviation
  * @param {string} options.difficulty - 'rookie' | 'pro' | 'all_star' | 'hall_of_fame'
  * @param {string} [options.draftMode='standard'] - 'standard' | 'fantasy'
- * @param {number} [options.seasonLength=54] - Games per team in regular season
+ * @param {string} [options.draftLotteryFormat='flattened'] - Key of LOTTERY_FORMATS
+ * @param {Object} [options.playoffFormat] - { teamsPerConference, playIn, seriesLengths } (see PlayoffManager.resolveFormat)
+ * @param {number} [options.seasonLength=54] - Games per team in regular season (29, 54 or 82 use the divisional schedule)
+ * @param {number|string} [options.seed] - Master RNG seed; the same seed builds the same league and schedule
  * @returns {Promise<Object>} The created campaign object
  */
 export async function createCampaign(options) {
   const {
     name,
     difficulty = 'pro',
-    seasonLength = 54,
   } = options
 
   // Accept both camelCase and snake_case parameter names
   const teamAbbreviation = options.teamAbbreviation ?? options.team_abbreviation
   const draftMode = options.draftMode ?? options.draft_mode ?? 'standard'
+  const seasonLength = options.seasonLength ?? options.season_length ?? DEFAULT_SEASON_LENGTH
+  const draftLotteryFormat = options.draftLotteryFormat ?? options.draft_lottery_format ?? DEFAULT_LOTTERY_FORMAT
+  const playoffFormat = PlayoffManager.resolveFormat(options.playoffFormat ?? options.playoff_format)
 
   const isFantasy = draftMode === 'fantasy'
   const campaignId = generateUUID()
   const startYear = 2025
+  const seed = options.seed ?? generateSeed()
 
   // -------------------------------------------------------------------------
   // 1. Create campaign record
@@ -914,11 +918,18 @@ export async function createCampaign(options) {
     difficulty,
     draftMode,
     draftCompleted: !isFantasy,
+    seed,
     settings: {
       autoSave: true,
       injuryFrequency: 'normal',
       tradeFrequency: 'normal',
       seasonLength,
+      draftLotteryFormat,
+      playoffFormat: {
+        teamsPerConference: playoffFormat.teamsPerConference,
+        playIn: playoffFormat.playIn,
+        seriesLengths: playoffFormat.seriesLengths,
+      },
       awardTokens: 0,
       scoutingPoints: 0,
       lastScoutingWeek: 0,
@@ -932,7 +943,7 @@ export async function createCampaign(options) {
   // -------------------------------------------------------------------------
   // 2. Generate all 30 teams with coaches
   // -------------------------------------------------------------------------
-  const teams = generateTeams(campaignId)
+  const teams = withSeed(deriveSeed(seed, 'teams'), () => generateTeams(campaignId))
   await TeamRepository.saveBulk(teams)
 
   // -------------------------------------------------------------------------
@@ -956,21 +967,23 @@ export async function createCampaign(options) {
 
   if (!isFantasy) {
     // Standard mode: load master players, randomize, assign to teams by teamAbbreviation
-    for (const masterEntry of playersMaster) {
-      const randomized = randomizePlayerData(masterEntry)
-      const abbr = randomized.teamAbbreviation
-      const team = teamsByAbbr[abbr]
-
-      if (team) {
-        const player = prepareMasterPlayer(randomized, campaignId, team.id, abbr)
-        allPlayers.push(player)
-      } else {
-        // Player's team not found (e.g. free agent or unknown abbreviation) — add as free agent
-        const player = prepareMasterPlayer(randomized, campaignId, null, abbr)
-        player.isFreeAgent = 1
-        allPlayers.push(player)
+    withSeed(deriveSeed(seed, 'players'), () => {
+      for (const masterEntry of playersMaster) {
+        const randomized = randomizePlayerData(masterEntry)
+        const abbr = randomized.teamAbbreviation
+        const team = teamsByAbbr[abbr]
+
+        if (team) {
+          const player = prepareMasterPlayer(randomized, campaignId, team.id, abbr)
+          allPlayers.push(player)
+        } else {
+          // Player's team not found (e.g. free agent or unknown abbreviation) — add as free agent
+          const player = prepareMasterPlayer(randomized, campaignId, null, abbr)
+          player.isFreeAgent = 1
+          allPlayers.push(player)
+        }
       }
-    }
+    })
     await PlayerRepository.saveBulk(allPlayers)
 
     // Update team payroll from master players
@@ -983,12 +996,14 @@ export async function createCampaign(options) {
     await TeamRepository.saveBulk(teams)
   } else {
     // Fantasy draft mode: load all master players as free agents
-    for (const masterEntry of playersMaster) {
-      const randomized = randomizePlayerData(masterEntry)
-      const player = prepareMasterPlayer(randomized, campaignId, null, 'FA')
-      player.isFreeAgent = 1
-      allPlayers.push(player)
-    }
+    withSeed(deriveSeed(seed, 'players'), () => {
+      for (const masterEntry of playersMaster) {
+        const randomized = randomizePlayerData(masterEntry)
+        const player = prepareMasterPlayer(randomized, campaignId, null, 'FA')
+        player.isFreeAgent = 1
+        allPlayers.push(player)
+      }
+    })
     await PlayerRepository.saveBulk(allPlayers)
   }
 
@@ -1002,8 +1017,8 @@ export async function createCampaign(options) {
   // 6. Initialize season 1 (schedule + standings)
   // -------------------------------------------------------------------------
   const seasonData = SeasonManager.initializeSeason(teams, startYear, campaignId)
-  const gamesCreated = SeasonManager.generateSchedule(
-    seasonData, teams, userTeam.id, startYear, '2025-10-21'
+  const gamesCreated = withSeed(deriveSeed(seed, 'schedule', startYear), () =>
+    SeasonManager.generateSchedule(seasonData, teams, userTeam.id, startYear, '2025-10-21', { seasonLength })
   )
 
   // Persist season data to IndexedDB
@@ -1151,8 +1166,39 @@ export async function deleteCampaign(campaignId) {
   const { clearCampaignData } = await import('../db/GameDatabase')
   await clearCampaignData(campaignId)
 
-  // Delete the campaign record itself
+  // Delete the campaign record itself, and what sync knew about it
   await CampaignRepository.delete(campaignId)
+  await SyncMetaRepository.delete(campaignId)
+}
+
+/**
+ * Season totals as stored in a player's seasonHistory entry.
+ *
+ * @param {Object} stats - SeasonManager player stats record
+ * @returns {Object}
+ */
+function archivedStatLine(stats) {
+  return {
+    gamesPlayed: stats.gamesPlayed ?? 0,
+    gamesStarted: stats.gamesStarted ?? 0,
+    points: stats.points ?? 0,
+    rebounds: stats.rebounds ?? 0,
+    assists: stats.assists ?? 0,
+    steals: stats.steals ?? 0,
+    blocks: stats.blocks ?? 0,
+    turnovers: stats.turnovers ?? 0,
+    minutesPlayed: stats.minutesPlayed ?? 0,
+    fieldGoalsMade: stats.fieldGoalsMade ?? 0,
+    fieldGoalsAttempted: stats.fieldGoalsAttempted ?? 0,
+    threePointersMade: stats.threePointersMade ?? 0,
+    threePointersAttempted: stats.threePointersAttempted ?? 0,
+    freeThrowsMade: stats.freeThrowsMade ?? 0,
+    freeThrowsAttempted: stats.freeThrowsAttempted ?? 0,
+    offensiveRebounds: stats.offensiveRebounds ?? 0,
+    defensiveRebounds: stats.defensiveRebounds ?? 0,
+    personalFouls: stats.personalFouls ?? 0,
+    plusMinus: stats.plusMinus ?? 0,
+  }
 }
 
 /**
@@ -1169,37 +1215,26 @@ async function archiveSeasonData(campaignId, currentYear, teams, allPlayers) {
   const seasonData = await SeasonRepository.get(campaignId, currentYear)
   if (!seasonData) return
 
-  // 2A. Player season history
+  // 2A. Player season history (regular season, plus a playoff split when they played in one)
   const playerStats = seasonData.playerStats || {}
+  const playoffPlayerStats = seasonData.playoffPlayerStats || {}
   for (const player of allPlayers) {
     const stats = playerStats[String(player.id)]
-    if (!stats || !stats.gamesPlayed) continue
+    const playoffStats = playoffPlayerStats[String(player.id)]
+    if (!stats?.gamesPlayed && !playoffStats?.gamesPlayed) continue
 
-    player.seasonHistory = player.seasonHistory || []
-    player.seasonHistory.push({
+    const entry = {
       year: currentYear,
       teamId: player.teamId,
       teamAbbreviation: player.teamAbbreviation,
-      stats: {
-        gamesPlayed: stats.gamesPlayed ?? 0,
-        points: stats.points ?? 0,
-        rebounds: stats.rebounds ?? 0,
-        assists: stats.assists ?? 0,
-        steals: stats.steals ?? 0,
-        blocks: stats.blocks ?? 0,
-        turnovers: stats.turnovers ?? 0,
-        minutesPlayed: stats.minutesPlayed ?? 0,
-        fieldGoalsMade: stats.fieldGoalsMade ?? 0,
-        fieldGoalsAttempted: stats.fieldGoalsAttempted ?? 0,
-        threePointersMade: stats.threePointersMade ?? 0,
-        threePointersAttempted: stats.threePointersAttempted ?? 0,
-        freeThrowsMade: stats.freeThrowsMade ?? 0,
-        freeThrowsAttempted: stats.freeThrowsAttempted ?? 0,
-        offensiveRebounds: stats.offensiveRebounds ?? 0,
-        defensiveRebounds: stats.defensiveRebounds ?? 0,
-        personalFouls: stats.personalFouls ?? 0,
-      },
-    })
+      stats: archivedStatLine(stats || {}),
+    }
+    if (playoffStats?.gamesPlayed) {
+      entry.playoffStats = archivedStatLine(playoffStats)
+    }
+
+    player.seasonHistory = player.seasonHistory || []
+    player.seasonHistory.push(entry)
   }
 
   // 2B. Team season history
@@ -1229,6 +1264,7 @@ async function archiveSeasonData(campaignId, currentYear, teams, allPlayers) {
     ) + 1
 
     const ts = teamStats[team.id] || {}
+    const pts = seasonData.playoffTeamStats?.[team.id] || null
     const isChampion = bracket?.champion?.teamId === team.id
 
     team.seasonHistory.push({
@@ -1238,6 +1274,10 @@ async function archiveSeasonData(campaignId, currentYear, teams, allPlayers) {
       conferenceRank: confRank || null,
       playoffSeed: ts.playoffSeed ?? null,
       playoffResult: ts.playoffResult ?? null,
+      playoffWins: pts?.wins ?? 0,
+      playoffLosses: pts?.losses ?? 0,
+      playoffPointsScored: pts?.pointsScored ?? 0,
+      playoffPointsAllowed: pts?.pointsAllowed ?? 0,
       champion: isChampion,
     })
   }
@@ -1247,16 +1287,8 @@ async function archiveSeasonData(campaignId, currentYear, teams, allPlayers) {
   // Tally playoff wins/losses per team from the bracket
   const playoffRecord = {} // { [teamId]: { wins, losses } }
   if (bracket) {
-    const allSeries = []
-    for (const conf of ['east', 'west']) {
-      const confData = bracket[conf]
-      if (!confData) continue
-      for (const round of ['round1', 'round2']) {
-        if (confData[round]) allSeries.push(...confData[round])
-      }
-      if (confData.confFinals) allSeries.push(confData.confFinals)
-    }
-    if (bracket.finals) allSeries.push(bracket.finals)
+    // Play-in games aren't playoff games
+    const allSeries = PlayoffManager.getAllSeries(bracket).filter(series => series.round !== 0)
 
     for (const series of allSeries) {
       if (!series || series.status !== 'complete') continue
@@ -1286,6 +1318,8 @@ async function archiveSeasonData(campaignId, currentYear, teams, allPlayers) {
     )
     if (!standing) continue
 
+    team.coach.seasons_with_team = getCoachTenure(team.coach) + 1
+
     const cs = team.coach.career_stats || {}
     cs.seasons_coached = (cs.seasons_coached ?? 0) + 1
     cs.wins = (cs.wins ?? 0) + (standing.wins ?? 0)
@@ -1317,6 +1351,60 @@ async function archiveSeasonData(campaignId, currentYear, teams, allPlayers) {
   await TeamRepository.saveBulk(teams)
 }
 
+// Seasons of settled books kept on each team
+const FINANCE_HISTORY_SEASONS = 5
+
+/**
+ * Close every team's books for the season: luxury tax on the final payroll,
+ * revenue from the gate and playoff home games, and next season's owner
+ * budget. Called before processSeasonEnd so payrolls are the season's own.
+ * Mutates the teams; the caller saves them.
+ *
+ * @param {Array} teams
+ * @param {Array} allPlayers
+ * @param {Object|null} seasonData
+ * @param {number} year
+ */
+function settleTeamFinances(teams, allPlayers, seasonData, year) {
+  const standings = [...(seasonData?.standings?.east || []), ...(seasonData?.standings?.west || [])]
+  const completedGames = (seasonData?.schedule || []).filter(g => g.isComplete && !g.isCancelled)
+  const seasonLength = seasonData?.metadata?.seasonLength
+
+  for (const team of teams) {
+    const record = standings.find(s => s.teamId === team.id) ?? {}
+    const homeGames = completedGames.filter(g => g.homeTeamId === team.id)
+
+    const finances = settleSeasonFinances({
+      team,
+      roster: allPlayers.filter(p => p.teamId === team.id),
+      seasonYear: year,
+      wins: record.wins ?? 0,
+      losses: record.losses ?? 0,
+      // Without a schedule to count from, assume a full slate of home games
+      homeGames: completedGames.length > 0 ? homeGames.filter(g => !g.isPlayoff).length : null,
+      scheduledHomeGames: seasonLength ? Math.ceil(seasonLength / 2) : null,
+      playoffHomeGames: homeGames.filter(g => g.isPlayoff).length,
+    })
+
+    team.totalPayroll = finances.payroll
+    team.total_payroll = finances.payroll
+    team.luxuryTaxBill = finances.luxuryTax
+    team.luxury_tax_bill = finances.luxuryTax
+    team.ownerBudget = finances.ownerBudget
+    team.financeHistory = [...(team.financeHistory ?? []), finances].slice(-FINANCE_HISTORY_SEASONS)
+  }
+}
+
+/**
+ * Pick up every option still undecided when the season starts.
+ *
+ * @param {Array} players
+ * @returns {Array} Players, with exercised options
+ */
+function exercisePendingOptions(players) {
+  return players.map(p => (getPendingOption(p) ? { ...p, ...exerciseOption(p) } : p))
+}
+
 /**
  * Advance the campaign to the next season.
  * Processes end-of-season awards, player aging, contracts, and initializes the new season.
@@ -1335,6 +1423,10 @@ export async function advanceToNextSeason(campaignId) {
   const teams = await TeamRepository.getAllForCampaign(campaignId)
   const allPlayers = await PlayerRepository.getAllForCampaign(campaignId)
 
+  // Settle the finished season's books before contracts roll over
+  const finishedSeason = await SeasonRepository.get(campaignId, currentYear)
+  settleTeamFinances(teams, allPlayers, finishedSeason, currentYear)
+
   // -------------------------------------------------------------------------
   // 1. Process end-of-season for all players (aging, retirement, contracts)
   // -------------------------------------------------------------------------
@@ -1344,6 +1436,16 @@ export async function advanceToNextSeason(campaignId) {
     campaign.difficulty ?? 'pro'
   )
 
+  // Options on the coming season: there's no offseason to decide the user's
+  // team options in, so they're picked up
+  const optionResults = processContractOptions({
+    leaguePlayers: seasonEndResult.players,
+    allTeams: teams,
+    userTeamId: campaign.teamId,
+    standings: finishedSeason?.standings || { east: [], west: [] },
+  })
+  seasonEndResult.players = exercisePendingOptions(optionResults.updatedPlayers)
+
   // Save updated players (retired players are excluded from the returned array)
   await PlayerRepository.saveBulk(
     seasonEndResult.players.map(p => ({
@@ -1352,6 +1454,11 @@ export async function advanceToNextSeason(campaignId) {
     }))
   )
 
+  // Dead money runs down with the contracts it came from
+  for (const team of teams) {
+    team.deadMoney = advanceDeadMoney(team.deadMoney)
+  }
+
   // -------------------------------------------------------------------------
   // 2. Update campaign to next season
   // -------------------------------------------------------------------------
@@ -1367,8 +1474,10 @@ export async function advanceToNextSeason(campaignId) {
   const userTeam = teams.find(t => t.id === campaign.teamId)
   const userTeamId = userTeam?.id ?? campaign.teamId
 
-  const gamesCreated = SeasonManager.generateSchedule(
-    seasonData, teams, userTeamId, nextYear, `${nextYear}-10-21`
+  const gamesCreated = withSeed(deriveSeed(campaign.seed ?? campaignId, 'schedule', nextYear), () =>
+    SeasonManager.generateSchedule(seasonData, teams, userTeamId, nextYear, `${nextYear}-10-21`, {
+      seasonLength: campaign.settings?.seasonLength,
+    })
   )
 
   await SeasonRepository.save({
@@ -1419,6 +1528,7 @@ export async function advanceToNextSeason(campaignId) {
     gamesCreated,
     seasonEndResult: seasonEndResult.results,
     news: seasonEndResult.news,
+    contractOptions: optionResults.decisions,
   }
 }
 
@@ -1472,28 +1582,42 @@ export async function enterOffseason(campaignId) {
   // Save players with updated award counters
   await PlayerRepository.saveBulk(allPlayers.map(p => ({ ...p, campaignId })))
 
+  // 1c. Settle the season's books: luxury tax, revenue, next season's owner budgets
+  settleTeamFinances(teams, allPlayers, seasonData, currentYear)
+
   // 2. Build team context map for motivation recalculation
   const standingsData = seasonData?.standings || { east: [], west: [] }
   const allStandingsEntries = [...(standingsData.east || []), ...(standingsData.west || [])]
-  const playoffData = seasonData?.playoffs || null
-  const playoffTeamIds = new Set()
-  if (playoffData?.bracket) {
-    // Collect all team IDs that appeared in the playoff bracket
-    const collectBracketTeams = (bracket) => {
-      if (!bracket) return
-      for (const round of Object.values(bracket)) {
-        if (Array.isArray(round)) {
-          for (const series of round) {
-            if (series.team1Id) playoffTeamIds.add(series.team1Id)
-            if (series.team2Id) playoffTeamIds.add(series.team2Id)
-          }
-        }
+  const playoffBracket = seasonData?.playoffBracket || null
+  const playoffTeamIds = PlayoffManager.getPlayoffTeamIds(playoffBracket)
+  const championTeamId = playoffBracket?.champion?.teamId ?? null
+
+  // 2b. Coaching carousel (firings, expiring contracts, hires from the pool)
+  const coachingCarousel = withSeed(deriveSeed(campaign.seed ?? campaignId, 'coaches', currentYear), () =>
+    runCoachingCarousel({
+      teams,
+      players: allPlayers,
+      standings: standingsData,
+      playoffTeamIds,
+      championTeamId,
+      coachPool: ensureCoachPool(campaign, teams),
+      userTeamId: campaign.teamId,
+      year: currentYear + 1,
+      generateCoach: () => generateFreeAgentCoach(getUsedCoachNames(teams, [])),
+    })
+  )
+  campaign.settings = { ...campaign.settings, coachPool: refillCoachPool(coachingCarousel.coachPool, teams) }
+  await TeamRepository.saveBulk(teams)
+
+  // Players react to a new head coach
+  const changedTeamIds = new Set(coachingCarousel.changedTeamIds)
+  for (const hire of coachingCarousel.hirings) {
+    for (let i = 0; i < allPlayers.length; i++) {
+      if (allPlayers[i].teamId === hire.teamId) {
+        allPlayers[i] = updateAfterCoachingChange(allPlayers[i], hire.previousCoach, hire.coach)
       }
     }
-    collectBracketTeams(playoffData.bracket.east)
-    collectBracketTeams(playoffData.bracket.west)
   }
-  const championTeamId = playoffData?.champion?.teamId ?? null
 
   const teamContextMap = {}
   for (const team of teams) {
@@ -1509,7 +1633,7 @@ export async function enterOffseason(campaignId) {
       madePlayoffs: playoffTeamIds.has(team.id),
       hasChampionship: team.id === championTeamId,
       marketSize: getMarketSize(abbr),
-      coachStability: true, // TODO: track coach changes
+      coachStability: !changedTeamIds.has(team.id),
       roster: teamRoster,
     }
   }
@@ -1522,14 +1646,29 @@ export async function enterOffseason(campaignId) {
     teamContextMap
   )
 
+  // 2c. Options on the coming season. Declined options expire with the other
+  // contracts below; the user decides their team options before the season starts
+  const standings = seasonData?.standings || { east: [], west: [] }
+  const userTeamId = campaign.teamId
+  const optionResults = processContractOptions({
+    leaguePlayers: seasonEndResult.players,
+    allTeams: teams,
+    userTeamId,
+    standings,
+  })
+  seasonEndResult.players = optionResults.updatedPlayers
+
   // Save updated players (retired excluded)
   await PlayerRepository.saveBulk(
     seasonEndResult.players.map(p => ({ ...p, campaignId }))
   )
 
-  // 3. Run AI roster management (cuts + re-signings + FA signings + backfill)
-  const standings = seasonData?.standings || { east: [], west: [] }
-  const userTeamId = campaign.teamId
+  // Dead money runs down with the contracts it came from
+  for (const team of teams) {
+    team.deadMoney = advanceDeadMoney(team.deadMoney)
+  }
+
+  // 3. Run AI roster management (cuts + re-signings; free agents wait for free agency)
   const aiTeams = teams.filter(t => t.id !== userTeamId)
 
   const aiContractResults = runAIRosterManagement({
@@ -1539,10 +1678,18 @@ export async function enterOffseason(campaignId) {
     allTeams: teams,
     seasonPhase: 'offseason',
     gameYear: campaign.gameYear ?? 1,
+    signFreeAgents: false,
   })
 
+  // Cut players' guaranteed money stays on their old team's cap
+  for (const cut of aiContractResults.cuts) {
+    const team = teams.find(t => t.abbreviation === cut.team)
+    if (team && cut.deadMoney) team.deadMoney = [...team.deadMoney, cut.deadMoney]
+  }
+  await TeamRepository.saveBulk(teams)
+
   // 4. All players with contract_years_remaining === 0 (not re-signed) → free agent
-  let updatedPlayers = aiContractResults.updatedPlayers
+  const updatedPlayers = aiContractResults.updatedPlayers
   const releasedUserPlayers = []
   for (let i = 0; i < updatedPlayers.length; i++) {
     const p = updatedPlayers[i]
@@ -1568,20 +1715,14 @@ export async function enterOffseason(campaignId) {
     }
   }
 
-  // 4b. Backfill AI teams to 14 players after expired-contract releases
-  const backfillResult = ensureMinimumRosters({
-    aiTeams,
-    leaguePlayers: updatedPlayers,
-  })
-  updatedPlayers = backfillResult.updatedPlayers
-  aiContractResults.signings.push(...backfillResult.signings)
-
   await PlayerRepository.saveBulk(
     updatedPlayers.map(p => ({ ...p, campaignId }))
   )
 
-  // 5. Update campaign phase
+  // 5. Update campaign phase and open free agency (rosters are backfilled when the new season starts)
   campaign.phase = 'offseason'
+  campaign.freeAgency = openFreeAgency(currentYear)
+  campaign.currentDate = campaign.freeAgency.date
   // Reset trade deadline for next season
   if (campaign.settings) {
     delete campaign.settings.trade_deadline_passed
@@ -1598,13 +1739,86 @@ export async function enterOffseason(campaignId) {
       signings: aiContractResults.signings,
     },
     releasedUserPlayers,
+    contractOptions: optionResults.decisions,
     seasonAwards,
+    coachingCarousel: {
+      firings: coachingCarousel.firings,
+      hirings: coachingCarousel.hirings,
+      extensions: coachingCarousel.extensions,
+    },
   }
 }
 
+/**
+ * Play out free agency days on a loaded campaign, saving the players who
+ * signed. Mutates campaign.freeAgency and campaign.currentDate; the caller
+ * saves the campaign.
+ *
+ * @param {Object} campaign
+ * @param {number} days - Days to run (Infinity runs to the end of the period)
+ * @returns {Promise<Array>} Signings made
+ */
+async function runFreeAgencyDays(campaign, days) {
+  const campaignId = campaign.id
+  const teams = await TeamRepository.getAllForCampaign(campaignId)
+  const allPlayers = await PlayerRepository.getAllForCampaign(campaignId)
+  const seasonData = await SeasonRepository.get(campaignId, campaign.currentSeasonYear ?? 2025)
+  const standings = seasonData?.standings || { east: [], west: [] }
+
+  let state = campaign.freeAgency
+  let players = allPlayers
+  const signings = []
+  for (let i = 0; i < days && state.status === 'open'; i++) {
+    const result = runFreeAgencyDay({
+      state,
+      leaguePlayers: players,
+      allTeams: teams,
+      userTeamId: campaign.teamId,
+      standings,
+    })
+    state = result.state
+    players = result.updatedPlayers
+    signings.push(...result.signings)
+  }
+
+  const signedIds = new Set(signings.map(s => s.playerId))
+  if (signedIds.size > 0) {
+    await PlayerRepository.saveBulk(
+      players.filter(p => signedIds.has(p.id)).map(p => ({ ...p, campaignId }))
+    )
+  }
+
+  campaign.freeAgency = state
+  campaign.currentDate = state.date
+  return signings
+}
+
+/**
+ * Advance the free agency period during the offseason.
+ *
+ * @param {string} campaignId
+ * @param {Object} [options]
+ * @param {number} [options.days=1] - Days to advance (Infinity runs to the end)
+ * @returns {Promise<Object>} { campaign, freeAgency, signings }
+ */
+export async function advanceFreeAgency(campaignId, { days = 1 } = {}) {
+  const campaign = await CampaignRepository.get(campaignId)
+  if (!campaign) throw new Error(`Campaign ${campaignId} not found`)
+
+  if (campaign.phase !== 'offseason' || campaign.freeAgency?.status !== 'open') {
+    throw new Error('Free agency is not open')
+  }
+
+  const signings = await runFreeAgencyDays(campaign, days)
+  await CampaignRepository.save(campaign)
+
+  return { campaign, freeAgency: campaign.freeAgency, signings }
+}
+
 /**
  * Start a new season after the offseason period.
- * Releases any remaining expired-contract players and initializes the new season.
+ * Finishes free agency, releases any remaining expired-contract players and
+ * initializes the new season.
  *
  * @param {string} campaignId
  * @returns {Promise<Object>} { campaign, seasonData, gamesCreated, releasedPlayers }
@@ -1620,8 +1834,14 @@ export async function startNewSeason(campaignId) {
   const currentYear = campaign.currentSeasonYear ?? 2025
   const nextYear = currentYear + 1
 
-  // 1. Release un-re-signed expired contracts (including user team)
-  let allPlayers = await PlayerRepository.getAllForCampaign(campaignId)
+  // 0. Play out whatever is left of free agency
+  if (campaign.freeAgency?.status === 'open') {
+    await runFreeAgencyDays(campaign, Infinity)
+  }
+
+  // 1. Pick up any team options the user left undecided, then release
+  // un-re-signed expired contracts (including user team)
+  let allPlayers = exercisePendingOptions(await PlayerRepository.getAllForCampaign(campaignId))
   const releasedPlayers = []
 
   for (let i = 0; i < allPlayers.length; i++) {
@@ -1702,8 +1922,10 @@ export async function startNewSeason(campaignId) {
   // 4. Initialize new season (schedule + standings)
   const seasonData = SeasonManager.initializeSeason(teams, nextYear, campaignId)
   const userTeamId = campaign.teamId
-  const gamesCreated = SeasonManager.generateSchedule(
-    seasonData, teams, userTeamId, nextYear, `${nextYear}-10-21`
+  const gamesCreated = withSeed(deriveSeed(campaign.seed ?? campaignId, 'schedule', nextYear), () =>
+    SeasonManager.generateSchedule(seasonData, teams, userTeamId, nextYear, `${nextYear}-10-21`, {
+      seasonLength: campaign.settings?.seasonLength,
+    })
   )
 
   await SeasonRepository.save({
@@ -1756,6 +1978,72 @@ export async function startNewSeason(campaignId) {
   }
 }
 
+// =============================================================================
+// COACHING CHANGES (user team)
+// =============================================================================
+
+/**
+ * Unemployed coaches available to hire.
+ *
+ * @param {string} campaignId
+ * @returns {Promise<Array>}
+ */
+export async function getCoachPool(campaignId) {
+  const campaign = await CampaignRepository.get(campaignId)
+  if (!campaign) throw new Error(`Campaign ${campaignId} not found`)
+
+  if (!Array.isArray(campaign.settings?.coachPool) || campaign.settings.coachPool.length === 0) {
+    const teams = await TeamRepository.getAllForCampaign(campaignId)
+    campaign.settings = { ...campaign.settings, coachPool: ensureCoachPool(campaign, teams) }
+    await CampaignRepository.save(campaign)
+  }
+
+  return campaign.settings.coachPool
+}
+
+/**
+ * Fire the user's head coach and hire a coach from the pool.
+ * The fired coach joins the pool; the new coach signs a contract from
+ * COACH_SALARY_RANGES. The user's scheme choices are kept. Every player
+ * on the roster reacts to the change (morale, and through it chemistry).
+ *
+ * @param {string} campaignId
+ * @param {string} coachId - ID of a coach in the pool
+ * @returns {Promise<Object>} { team, previousCoach, coach, contract }
+ */
+export async function replaceCoach(campaignId, coachId) {
+  const campaign = await CampaignRepository.get(campaignId)
+  if (!campaign) throw new Error(`Campaign ${campaignId} not found`)
+
+  const teams = await TeamRepository.getAllForCampaign(campaignId)
+  const team = teams.find(t => t.id === campaign.teamId)
+  if (!team) throw new Error(`Team ${campaign.teamId} not found`)
+
+  const pool = await getCoachPool(campaignId)
+  const candidate = pool.find(c => c.id === coachId)
+  if (!candidate) throw new Error(`Coach ${coachId} is not available`)
+
+  const year = campaign.currentSeasonYear ?? 2025
+  const previousCoach = team.coach ? releaseCoach(team.coach) : null
+  const contract = createCoachContract(candidate)
+  const coach = signCoach(candidate, contract, year)
+
+  team.coach = coach
+  await TeamRepository.save(team)
+
+  const remaining = pool.filter(c => c.id !== coachId)
+  if (previousCoach) remaining.push(previousCoach)
+  campaign.settings = { ...campaign.settings, coachPool: refillCoachPool(remaining, teams) }
+  await CampaignRepository.save(campaign)
+
+  const roster = await PlayerRepository.getByTeam(campaignId, team.id)
+  await PlayerRepository.saveBulk(
+    roster.map(p => ({ ...updateAfterCoachingChange(p, previousCoach, coach), campaignId }))
+  )
+
+  return { team, previousCoach, coach, contract }
+}
+
 // =============================================================================
 // TEAM + COACH GENERATION
 // =============================================================================
@@ -1815,13 +2103,6 @@ export function generateTeams(campaignId) {
  * @returns {Object} Coach object
  */
 function generateCoach(tier, index, usedNames) {
-  const range = COACH_TIER_RANGES[tier] ?? COACH_TIER_RANGES[3]
-  const overall = randInt(range[0], range[1])
-  const attributes = generateCoachAttributes(overall)
-  const salary = calculateCoachSalary(overall)
-  const offensiveScheme = pickRandom(Object.keys(OFFENSIVE_SCHEMES))
-  const defensiveScheme = pickRandom(Object.keys(DEFENSIVE_SCHEMES))
-
   // Generate unique name
   let firstName, lastName, fullName
   let attempts = 0
@@ -1837,6 +2118,21 @@ function generateCoach(tier, index, usedNames) {
   } while (usedNames.has(fullName) && attempts < 100)
   usedNames.add(fullName)
 
+  return buildCoach(tier, firstName, lastName)
+}
+
+/**
+ * Build a coach record with rating, attributes, schemes and contract.
+ */
+function buildCoach(tier, firstName, lastName) {
+  const range = COACH_TIER_RANGES[tier] ?? COACH_TIER_RANGES[3]
+  const overall = randInt(range[0], range[1])
+  const attributes = generateCoachAttributes(overall)
+  const salary = calculateCoachSalary(overall)
+  const offensiveScheme = pickRandom(Object.keys(OFFENSIVE_SCHEMES))
+  const defensiveScheme = pickRandom(Object.keys(DEFENSIVE_SCHEMES))
+  const fullName = `${firstName} ${lastName}`
+
   return {
     id: generateUUID(),
     firstName,
@@ -1863,6 +2159,75 @@ function generateCoach(tier, index, usedNames) {
   }
 }
 
+// =============================================================================
+// COACH POOL (unemployed coaches)
+// =============================================================================
+
+const COACH_POOL_SIZE = 10
+const COACH_POOL_MAX = 15
+const FREE_AGENT_COACH_TIERS = [1, 2, 2, 3, 3, 3, 4, 4]
+
+/**
+ * Names of every employed and unemployed coach.
+ */
+function getUsedCoachNames(teams, pool) {
+  const names = new Set()
+  for (const team of teams) {
+    if (team.coach?.name) names.add(team.coach.name)
+  }
+  for (const coach of pool) {
+    if (coach?.name) names.add(coach.name)
+  }
+  return names
+}
+
+/**
+ * Generate an unemployed coach with a random, unused name.
+ */
+function generateFreeAgentCoach(usedNames) {
+  let firstName, lastName
+  let attempts = 0
+  do {
+    firstName = pickRandom(COACH_FIRST_NAMES)
+    lastName = pickRandom(COACH_LAST_NAMES)
+    attempts++
+  } while (usedNames.has(`${firstName} ${lastName}`) && attempts < 100)
+  usedNames.add(`${firstName} ${lastName}`)
+
+  const coach = buildCoach(pickRandom(FREE_AGENT_COACH_TIERS), firstName, lastName)
+  coach.contractYearsRemaining = 0
+  coach.contract_years_remaining = 0
+  return coach
+}
+
+/**
+ * Top the pool up to COACH_POOL_SIZE and trim the weakest beyond COACH_POOL_MAX.
+ *
+ * @param {Array} pool - Unemployed coaches
+ * @param {Array} teams - All teams (their coaches' names are taken)
+ * @returns {Array} New pool, best coaches first
+ */
+export function refillCoachPool(pool, teams) {
+  const usedNames = getUsedCoachNames(teams, pool)
+  const refilled = [...pool]
+  while (refilled.length < COACH_POOL_SIZE) {
+    refilled.push(generateFreeAgentCoach(usedNames))
+  }
+  return refilled
+    .sort((a, b) => (b.overallRating ?? 0) - (a.overallRating ?? 0))
+    .slice(0, COACH_POOL_MAX)
+}
+
+/**
+ * The campaign's coach pool, generated on first use (campaigns created
+ * before the coaching carousel have none).
+ */
+function ensureCoachPool(campaign, teams) {
+  const pool = campaign.settings?.coachPool
+  if (Array.isArray(pool) && pool.length > 0) return pool
+  return withSeed(deriveSeed(campaign.seed ?? campaign.id, 'coach_pool'), () => refillCoachPool([], teams))
+}
+
 // =============================================================================
 // ROSTER GENERATION
 // =============================================================================
@@ -1996,12 +2361,7 @@ export function generatePlayer(options) {
     personality,
 
     // Contract
-    contractYearsRemaining: contract.years,
-    contract_years_remaining: contract.years,
-    contractSalary: contract.salary,
-    contract_salary: contract.salary,
-    contractDetails: contract.details,
-    contract_details: contract.details,
+    ...contract,
 
     // Status
     isInjured: false,
@@ -0,0 +1,281 @@
+/**
+ * SaveFileService
+ *
+ * Exports a campaign (campaign record, teams, players, seasons, news and
+ * trades) as a single gzipped JSON save file, and imports one back as a new
+ * campaign. Every id in an imported save is replaced, so a save can be
+ * loaded next to the campaign it came from.
+ */
+
+import { withDB, clearCampaignData } from '../db/GameDatabase'
+import { CampaignRepository } from '../db/CampaignRepository'
+import { TeamRepository } from '../db/TeamRepository'
+import { PlayerRepository } from '../db/PlayerRepository'
+import { SeasonRepository } from '../db/SeasonRepository'
+
+export const SAVE_FORMAT = 'bball-sim-save'
+export const SAVE_SCHEMA_VERSION = 1
+export const SAVE_FILE_EXTENSION = '.bbsave'
+
+const RECORD_STORES = ['teams', 'players', 'seasons', 'news', 'trades']
+
+// Campaign, team, player, coach and draft pick ids are all v4 UUIDs
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi
+
+const GZIP_MAGIC = [0x1f, 0x8b]
+
+/**
+ * Upgrades for older saves, keyed by the schema version they upgrade from.
+ * Each takes a save at that version and returns it at the next one.
+ */
+const MIGRATIONS = {}
+
+function generateUUID() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  // Fallback UUID v4 generator
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = (Math.random() * 16) | 0
+    const v = c === 'x' ? r : (r & 0x3) | 0x8
+    return v.toString(16)
+  })
+}
+
+/**
+ * Wrap a campaign's records in a save file envelope.
+ *
+ * @param {Object} data - { campaign, teams, players, seasons, news, trades }
+ * @returns {Object}
+ */
+export function buildSaveFile(data) {
+  const save = {
+    format: SAVE_FORMAT,
+    schemaVersion: SAVE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    campaign: data.campaign,
+  }
+  for (const store of RECORD_STORES) {
+    save[store] = data[store] ?? []
+  }
+  return save
+}
+
+/**
+ * Check a parsed save file, upgrading older schema versions on the way.
+ * Throws with a message fit for the user when the save can't be loaded.
+ *
+ * @param {Object} save
+ * @returns {Object} The save at SAVE_SCHEMA_VERSION
+ */
+export function validateSaveFile(save) {
+  if (!save || typeof save !== 'object' || save.format !== SAVE_FORMAT) {
+    throw new Error('This file is not a campaign save')
+  }
+
+  const version = save.schemaVersion
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('This save file has no valid schema version')
+  }
+  if (version > SAVE_SCHEMA_VERSION) {
+    throw new Error('This save was made by a newer version of the game. Update the game to load it.')
+  }
+
+  let current = save
+  for (let v = version; v < SAVE_SCHEMA_VERSION; v++) {
+    const migrate = MIGRATIONS[v]
+    if (!migrate) throw new Error(`Save files from schema version ${v} can no longer be loaded`)
+    current = { ...migrate(current), schemaVersion: v + 1 }
+  }
+
+  const { campaign } = current
+  if (!campaign || typeof campaign.id !== 'string' || !campaign.name) {
+    throw new Error('The save file has no campaign')
+  }
+
+  for (const store of RECORD_STORES) {
+    if (!Array.isArray(current[store])) {
+      throw new Error(`The save file is missing its ${store}`)
+    }
+    if (current[store].some(r => !r || r.campaignId !== campaign.id)) {
+      throw new Error(`The save file has ${store} from another campaign`)
+    }
+  }
+
+  const teamIds = new Set(current.teams.map(t => t.id))
+  if (current.teams.length === 0 || current.teams.some(t => typeof t.id !== 'string')) {
+    throw new Error('The save file has no valid teams')
+  }
+  if (campaign.teamId && !teamIds.has(campaign.teamId)) {
+    throw new Error("The save file is missing the user's team")
+  }
+
+  const playerIds = new Set()
+  for (const player of current.players) {
+    if (typeof player.id !== 'string' || playerIds.has(player.id)) {
+      throw new Error('The save file has players without unique ids')
+    }
+    playerIds.add(player.id)
+    if (player.teamId && !teamIds.has(player.teamId)) {
+      throw new Error(`Player ${player.id} belongs to a team that is not in the save`)
+    }
+  }
+
+  if (current.seasons.some(s => !Number.isInteger(s.year))) {
+    throw new Error('The save file has a season without a year')
+  }
+
+  return current
+}
+
+/**
+ * Give every id in a save a new UUID, everywhere it appears (record keys,
+ * references, map keys and ids embedded in longer strings). News and trades
+ * drop their auto-increment ids so IndexedDB assigns new ones.
+ *
+ * @param {Object} save - A validated save
+ * @returns {Object} A remapped copy
+ */
+export function remapSaveIds(save) {
+  const ids = new Map()
+  const remapString = value => value.replace(UUID_PATTERN, id => {
+    const key = id.toLowerCase()
+    if (!ids.has(key)) ids.set(key, generateUUID())
+    return ids.get(key)
+  })
+
+  const remap = value => {
+    if (typeof value === 'string') return remapString(value)
+    if (Array.isArray(value)) return value.map(remap)
+    if (value && typeof value === 'object') {
+      const out = {}
+      for (const [key, inner] of Object.entries(value)) {
+        out[remapString(key)] = remap(inner)
+      }
+      return out
+    }
+    return value
+  }
+
+  const remapped = remap(save)
+  for (const store of ['news', 'trades']) {
+    remapped[store] = remapped[store].map(({ id, ...record }) => record)
+  }
+  return remapped
+}
+
+/**
+ * @param {Object} save
+ * @returns {Promise<Blob>} Gzipped JSON
+ */
+export async function encodeSaveFile(save) {
+  const json = new Blob([JSON.stringify(save)], { type: 'application/json' })
+  const stream = json.stream().pipeThrough(new CompressionStream('gzip'))
+  return new Response(stream).blob()
+}
+
+/**
+ * Parse a save file. Accepts gzipped saves and plain JSON (e.g. a save
+ * someone unzipped to look at).
+ *
+ * @param {Blob|ArrayBuffer} file
+ * @returns {Promise<Object>}
+ */
+export async function decodeSaveFile(file) {
+  const blob = file instanceof Blob ? file : new Blob([file])
+  const head = new Uint8Array(await blob.slice(0, 2).arrayBuffer())
+  const gzipped = head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1]
+
+  let text
+  try {
+    text = gzipped
+      ? await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+      : await blob.text()
+  } catch {
+    throw new Error('The save file is damaged and could not be read')
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch {
+    throw new Error('This file is not a campaign save')
+  }
+}
+
+/**
+ * A file name for a campaign's save, e.g. "lakers-dynasty-2027.bbsave".
+ *
+ * @param {Object} campaign
+ * @returns {string}
+ */
+export function saveFileName(campaign) {
+  const slug = (campaign.name ?? 'campaign')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'campaign'
+  const year = campaign.currentSeasonYear ?? ''
+  return `${slug}${year ? `-${year}` : ''}${SAVE_FILE_EXTENSION}`
+}
+
+/**
+ * Read a campaign out of IndexedDB as a compressed save file.
+ *
+ * @param {string} campaignId
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+export async function exportCampaign(campaignId) {
+  const campaign = await CampaignRepository.get(campaignId)
+  if (!campaign) {
+    throw new Error(`Campaign ${campaignId} not found`)
+  }
+
+  const data = { campaign }
+  await withDB(async db => {
+    for (const store of RECORD_STORES) {
+      data[store] = await db.getAllFromIndex(store, 'campaignId', campaignId)
+    }
+  })
+
+  const blob = await encodeSaveFile(buildSaveFile(data))
+  return { blob, filename: saveFileName(campaign) }
+}
+
+/**
+ * Load a save file into IndexedDB as a new campaign.
+ *
+ * @param {Blob|ArrayBuffer} file
+ * @returns {Promise<Object>} The new campaign record
+ */
+export async function importCampaign(file) {
+  const save = remapSaveIds(validateSaveFile(await decodeSaveFile(file)))
+  const now = new Date().toISOString()
+
+  // Fresh sync history: the imported campaign has never been uploaded
+  const strip = ({ updatedAt, version, ...record }) => record
+  const campaign = { ...strip(save.campaign), lastPlayedAt: now }
+
+  await CampaignRepository.create(campaign)
+  try {
+    await TeamRepository.saveBulk(save.teams.map(strip))
+    await PlayerRepository.saveBulk(save.players.map(strip))
+    for (const season of save.seasons) {
+      await SeasonRepository.save(strip(season))
+    }
+    await withDB(async db => {
+      for (const store of ['news', 'trades']) {
+        const tx = db.transaction(store, 'readwrite')
+        for (const record of save[store]) {
+          tx.store.put(record)
+        }
+        await tx.done
+      }
+    })
+  } catch (err) {
+    // Don't leave half a campaign behind
+    await clearCampaignData(campaign.id)
+    await CampaignRepository.delete(campaign.id)
+    throw err
+  }
+
+  return campaign
+}
@@ -15,11 +15,140 @@
 
 export const QUARTERS = 4;
 export const QUARTER_LENGTH_MINUTES = 10;
-export const POSSESSIONS_PER_MINUTE = 2.2; // ~100 possessions per game
+export const POSSESSIONS_PER_MINUTE = 3.6; // Both teams; ~144 possessions in regulation
 export const SHOT_CLOCK_SECONDS = 24;
 export const OVERTIME_LENGTH_MINUTES = 5;
 export const TOTAL_GAME_MINUTES = 40.0;
 
+// =============================================================================
+// SHOT MAKING
+// =============================================================================
+// Per shot type (paint, midRange, threePoint). make_modifier is added to a
+// shot's make chance before its outcomes are normalised, which is what keeps
+// threes harder to hit than twos. Shots whose play doesn't already call for a
+// foul draw one with shooting_foul_chance; the shooter goes to the line
+// instead of taking a field goal attempt.
+
+export const SHOTS = {
+  make_modifier: {
+    paint: 0.27,
+    midRange: -0.04,
+    threePoint: -0.21,
+  },
+  shooting_foul_chance: {
+    paint: 0.24,
+    midRange: 0.08,
+    threePoint: 0.025,
+  },
+};
+
+// =============================================================================
+// PERSONAL FOULS
+// =============================================================================
+// Defensive fouls charged to the matching defender.
+// Team fouls reset every quarter; once a team has committed
+// team_bonus_threshold fouls, every further non-shooting foul sends the
+// offense to the line for two. Overtime periods use their own threshold.
+
+export const FOULS = {
+  foul_out_limit: 6,
+  team_bonus_threshold: 4,
+  overtime_bonus_threshold: 3,
+  non_shooting_foul_chance: 0.14, // Per possession, before attribute modifiers
+  bonus_free_throws: 2,
+
+  // A player with at least this many fouls in the given quarter is in
+  // foul trouble and gets pulled by the AI (overtime uses the Q4 value).
+  foul_trouble_by_quarter: {
+    1: 2,
+    2: 3,
+    3: 4,
+    4: 5,
+  },
+
+  // Defensive schemes that reach and gamble more often
+  scheme_multipliers: {
+    man: 1.0,
+    zone_2_3: 0.85,
+    zone_3_2: 0.9,
+    zone_1_3_1: 1.1,
+    press: 1.3,
+    trap: 1.25,
+  },
+};
+
+// =============================================================================
+// HOME COURT & REST
+// =============================================================================
+// Situational edges applied per game. Home court is scaled by the game's
+// homeCourtAdvantage option (1 = normal, 0 = neutral site). Rest days are
+// calendar days since a team's previous game (1 = back-to-back).
+
+export const HOME_COURT = {
+  shot_modifier: 0.04, // Added to the home offense make chance; about 3 points a game
+  foul_draw_edge: 0.1, // Home ball handlers draw non-shooting fouls 10% more often, visitors 10% less
+  morale_bonus: 8, // Added to home roster morale before chemistry is calculated
+};
+
+export const REST = {
+  back_to_back_shot_modifier: -0.015, // Played yesterday
+  rested_days: 3, // This many days since the last game counts as well rested
+  rested_shot_modifier: 0.005,
+
+  // Carried fatigue above FATIGUE.performance_penalty_start costs the offense
+  // up to this much make chance, scaled by the lineup's average fatigue
+  fatigue_shot_penalty: 0.03,
+};
+
+// =============================================================================
+// TIMEOUTS & MOMENTUM
+// =============================================================================
+// Each team gets per_half timeouts in each half and per_overtime in each
+// overtime period; unused timeouts don't carry over. A team that has scored
+// run_points unanswered points shoots with momentum_shot_modifier until the
+// other team scores or calls a timeout. AI coaches call one once the
+// opponent's run reaches ai_timeout_run.
+
+export const TIMEOUTS = {
+  per_half: 3,
+  per_overtime: 1,
+  fatigue_recovery: 5, // Taken off each on-court player's fatigue
+  run_points: 8,
+  momentum_shot_modifier: 0.015,
+  ai_timeout_run: 10,
+};
+
+// =============================================================================
+// CLOCK MANAGEMENT
+// =============================================================================
+// How teams use the clock at the end of periods and in crunch time (the last
+// crunch_time_seconds of the fourth quarter and overtime):
+//   - With two_for_one_seconds or less but more than a shot clock left, the
+//     offense shoots quickly to get the period's last possession back.
+//   - With a shot clock or less left, the offense holds for the last shot.
+//   - In crunch time, a leading team milks the shot clock and a trailing
+//     team hurries, hunting threes when down by three_hunt_deficit or more.
+//   - A defense trailing by 1-foul_max_deficit fouls once the shot clock is
+//     off, or with foul_seconds left when down by more than one possession.
+// Possessions that run the full shot clock end in a violation with
+// shot_clock_violation_chance; milked possessions with milk_violation_chance.
+
+export const LATE_GAME = {
+  intentional_foul_seconds: 3, // Clock used before the defense gets its foul
+  crunch_time_seconds: 120,
+  two_for_one_seconds: 36,
+  quick_shot_seconds: [5, 9], // Two-for-ones and hurry-up possessions
+  milk_seconds: [19, 24],
+  last_shot_margin_seconds: 2, // Left on the clock when a held shot goes up
+  late_shot_clock: 5, // Shot clock shown to play selection once the clock is milked
+  foul_seconds: 45,
+  foul_max_deficit: 8,
+  three_hunt_deficit: 3,
+  three_hunt_weight: 3, // Play selection weight on plays whose every shot is a three
+  shot_clock_violation_chance: 0.08,
+  milk_violation_chance: 0.03,
+};
+
 // =============================================================================
 // AGE BRACKETS
 // =============================================================================
@@ -225,6 +354,18 @@ export const PERSONALITY_TRAITS = {
   },
 };
 
+// In-game personality effects (see PersonalityEffects). usage_boost and
+// assist_penalty scale how often a player gets the ball in a play and sets
+// up a teammate; clutch_boost and pressure_penalty move the make probability
+// in clutch minutes: the last clutch_seconds of the fourth quarter or
+// overtime with the score within clutch_max_margin. A hot head is checked
+// for a technical each time they commit a foul or turn the ball over.
+export const PERSONALITY_IN_GAME = {
+  clutch_seconds: 300,
+  clutch_max_margin: 5,
+  technical_free_throws: 1,
+};
+
 // =============================================================================
 // BADGE SYNERGY CONFIGURATION
 // =============================================================================
@@ -265,6 +406,9 @@ export const MORALE = {
     extension_offered: 10,
     underpaid: -3,
     star_treatment: 2,
+    coaching_change: -3, // New voice, new system
+    coach_quality_per_point: 0.3, // Per point of overall gained/lost in the swap
+    coach_quality_cap: 6,
   },
 
   effects: {
@@ -720,6 +864,38 @@ export const TRANSITION_FREQUENCIES = {
   post_centric: 0.1, // Rarely push
 };
 
+// =============================================================================
+// COACHING - COACH ATTRIBUTE EFFECTS
+// =============================================================================
+// Coach ratings (offensiveIQ, defensiveIQ, playerDevelopment, motivation,
+// gameManagement) are mapped to a factor in [-1, 1]:
+//   (rating - average_rating) / rating_spread, clamped.
+// An average coach has no effect; each value below is the effect of a
+// factor of +1 (a below-average coach gets the mirror image).
+
+export const COACH_EFFECTS = {
+  average_rating: 75,
+  rating_spread: 20,
+
+  // offensiveIQ: play selection leans into the defense's weaknesses
+  offensive_iq_exploit_weight: 0.5, // Weight bonus for plays the defense is weak against
+  offensive_iq_avoid_weight: 0.35, // Weight cut for plays the defense is strong against
+
+  // defensiveIQ: scheme execution
+  defensive_iq_shot_modifier: 0.03, // Subtracted from offense make chance
+  defensive_iq_turnover_modifier: 0.015, // Added to offense turnover chance
+
+  // gameManagement: when the closing lineup goes in
+  game_management_window_minutes: 2.0, // Added to the Q4 close-game window
+  game_management_margin_points: 3, // Added to the close-game margin
+
+  // playerDevelopment: scales monthly development points
+  player_development_scale: 0.25,
+
+  // motivation: damps morale swings both ways (results, minutes, weekly form)
+  motivation_damping: 0.3,
+};
+
 // =============================================================================
 // SUBSTITUTION CONSTANTS
 // =============================================================================
@@ -1,3 +1,6 @@
+import { COACH_EFFECTS } from '../config/GameConfig'
+import { random } from '../utils/Random'
+
 export const COACH_FIRST_NAMES = [
   'Greg', 'Steve', 'Mike', 'Erik', 'Joe', 'Tyronn', 'Doc', 'Nick', 'Taylor',
   'Ime', 'Billy', 'Quin', 'Michael', 'Rick', 'Jason', 'Monty', 'Chris',
@@ -37,7 +40,7 @@ function clampRating(rating) {
 }
 
 function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return Math.floor(random() * (max - min + 1)) + min
 }
 
 export function generateCoachAttributes(overall) {
@@ -49,10 +52,25 @@ export function generateCoachAttributes(overall) {
   return attrs
 }
 
+/**
+ * A coach attribute as a factor in [-1, 1] relative to a league-average
+ * coach (see COACH_EFFECTS). Missing coach or rating → 0 (no effect).
+ */
+export function getCoachAttributeFactor(coach, attribute) {
+  const rating = coach?.attributes?.[attribute]
+  if (rating == null) return 0
+  const factor = (rating - COACH_EFFECTS.average_rating) / COACH_EFFECTS.rating_spread
+  return Math.max(-1, Math.min(1, factor))
+}
+
+export function getCoachSalaryRange(overall) {
+  if (overall >= 85) return COACH_SALARY_RANGES.elite
+  if (overall >= 78) return COACH_SALARY_RANGES.great
+  if (overall >= 70) return COACH_SALARY_RANGES.good
+  if (overall >= 62) return COACH_SALARY_RANGES.average
+  return COACH_SALARY_RANGES.below
+}
+
 export function calculateCoachSalary(overall) {
-  if (overall >= 85) return randInt(...COACH_SALARY_RANGES.elite)
-  if (overall >= 78) return randInt(...COACH_SALARY_RANGES.great)
-  if (overall >= 70) return randInt(...COACH_SALARY_RANGES.good)
-  if (overall >= 62) return randInt(...COACH_SALARY_RANGES.average)
-  return randInt(...COACH_SALARY_RANGES.below)
+  return randInt(...getCoachSalaryRange(overall))
 }
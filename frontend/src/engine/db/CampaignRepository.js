@@ -1,4 +1,4 @@
-import { withDB } from './GameDatabase'
+import { withDB, touchRecord } from './GameDatabase'
 
 export const CampaignRepository = {
   async getAll() {
@@ -15,7 +15,7 @@ export const CampaignRepository = {
 
   async save(campaign) {
     return withDB(db => {
-      campaign.updatedAt = new Date().toISOString()
+      touchRecord(campaign)
       return db.put('campaigns', campaign)
     })
   },
@@ -23,7 +23,7 @@ export const CampaignRepository = {
   async create(campaign) {
     return withDB(db => {
       campaign.createdAt = new Date().toISOString()
-      campaign.updatedAt = campaign.createdAt
+      touchRecord(campaign, campaign.createdAt)
       return db.add('campaigns', campaign)
     })
   },
@@ -37,7 +37,7 @@ export const CampaignRepository = {
       const campaign = await db.get('campaigns', id)
       if (!campaign) throw new Error(`Campaign ${id} not found`)
       campaign.settings = { ...campaign.settings, ...settings }
-      campaign.updatedAt = new Date().toISOString()
+      touchRecord(campaign)
       return db.put('campaigns', campaign)
     })
   },
@@ -95,6 +95,16 @@ export async function withDB(fn) {
   }
 }
 
+/**
+ * Stamp a record as modified. Every write bumps its version, which cloud sync
+ * compares against the version it last uploaded to find changed records.
+ */
+export function touchRecord(record, now = new Date().toISOString()) {
+  record.updatedAt = now
+  record.version = (record.version ?? 0) + 1
+  return record
+}
+
 export async function clearDatabase() {
   const db = await getDB()
   const storeNames = [...db.objectStoreNames]
@@ -1,4 +1,4 @@
-import { withDB } from './GameDatabase'
+import { withDB, touchRecord } from './GameDatabase'
 
 export const PlayerRepository = {
   async get(campaignId, playerId) {
@@ -24,7 +24,7 @@ export const PlayerRepository = {
   async save(player) {
     return withDB(db => {
       if (!player.campaignId) throw new Error('Player must have campaignId')
-      player.updatedAt = new Date().toISOString()
+      touchRecord(player)
       return db.put('players', player)
     })
   },
@@ -34,7 +34,7 @@ export const PlayerRepository = {
       const tx = db.transaction('players', 'readwrite')
       const now = new Date().toISOString()
       for (const player of players) {
-        player.updatedAt = now
+        touchRecord(player, now)
         tx.store.put(player)
       }
       await tx.done
@@ -63,7 +63,7 @@ export const PlayerRepository = {
       const player = await db.get('players', [campaignId, playerId])
       if (!player) throw new Error(`Player ${playerId} not found`)
       player.attributes = { ...player.attributes, ...attributes }
-      player.updatedAt = new Date().toISOString()
+      touchRecord(player)
       return db.put('players', player)
     })
   },
@@ -74,7 +74,7 @@ export const PlayerRepository = {
       if (!player) throw new Error(`Player ${playerId} not found`)
       player.teamId = newTeamId
       player.isFreeAgent = newTeamId ? 0 : 1
-      player.updatedAt = new Date().toISOString()
+      touchRecord(player)
       return db.put('players', player)
     })
   },
@@ -1,4 +1,4 @@
-import { withDB } from './GameDatabase'
+import { withDB, touchRecord } from './GameDatabase'
 
 export const SeasonRepository = {
   async get(campaignId, year) {
@@ -12,17 +12,21 @@ export const SeasonRepository = {
   async save(season) {
     return withDB(db => {
       if (!season.campaignId) throw new Error('Season must have campaignId')
-      season.updatedAt = new Date().toISOString()
+      touchRecord(season)
       return db.put('seasons', season)
     })
   },
 
+  async delete(campaignId, year) {
+    return withDB(db => db.delete('seasons', [campaignId, year]))
+  },
+
   async updateSchedule(campaignId, year, schedule) {
     return withDB(async db => {
       const season = await db.get('seasons', [campaignId, year])
       if (!season) throw new Error(`Season ${year} not found`)
       season.schedule = schedule
-      season.updatedAt = new Date().toISOString()
+      touchRecord(season)
       return db.put('seasons', season)
     })
   },
@@ -32,7 +36,7 @@ export const SeasonRepository = {
       const season = await db.get('seasons', [campaignId, year])
       if (!season) throw new Error(`Season ${year} not found`)
       season.standings = standings
-      season.updatedAt = new Date().toISOString()
+      touchRecord(season)
       return db.put('seasons', season)
     })
   },
@@ -42,7 +46,7 @@ export const SeasonRepository = {
       const season = await db.get('seasons', [campaignId, year])
       if (!season) throw new Error(`Season ${year} not found`)
       season.playerStats = playerStats
-      season.updatedAt = new Date().toISOString()
+      touchRecord(season)
       return db.put('seasons', season)
     })
   },
@@ -53,7 +57,7 @@ export const SeasonRepository = {
       if (!season) throw new Error(`Season ${year} not found`)
       if (!season.gameResults) season.gameResults = {}
       season.gameResults[gameId] = result
-      season.updatedAt = new Date().toISOString()
+      touchRecord(season)
       return db.put('seasons', season)
     })
   },
@@ -0,0 +1,141 @@
+/**
+ * SyncChanges
+ *
+ * Pure helpers for incremental cloud sync. Synced records (the campaign, its
+ * teams, players and seasons) are addressed by a record key such as
+ * "players:<id>" or "seasons:<year>". Each device remembers the version of
+ * every record it last exchanged with the server (SyncMetaRepository), so a
+ * sync only uploads records whose version has moved since.
+ */
+
+export const SYNC_STORES = ['campaign', 'teams', 'players', 'seasons']
+
+const MAX_BATCH_RECORDS = 200
+
+/**
+ * @param {string} store - One of SYNC_STORES
+ * @param {Object} record
+ * @returns {string}
+ */
+export function recordKey(store, record) {
+  const id = store === 'seasons' ? (record.year ?? record.metadata?.year) : record.id
+  return `${store}:${id}`
+}
+
+/**
+ * @param {string} key
+ * @returns {{ store: string, id: string }}
+ */
+export function parseRecordKey(key) {
+  const split = key.indexOf(':')
+  return { store: key.slice(0, split), id: key.slice(split + 1) }
+}
+
+/**
+ * Find local records that changed since they were last synced.
+ * @param {Object} local - { campaign: [], teams: [], players: [], seasons: [] }
+ * @param {Object} synced - Record key -> version last synced
+ * @returns {{ changed: Array<{ key, store, record }>, deleted: string[] }}
+ */
+export function collectLocalChanges(local, synced = {}) {
+  const changed = []
+  const present = new Set()
+
+  for (const store of SYNC_STORES) {
+    for (const record of (local[store] ?? [])) {
+      if (!record) continue
+      const key = recordKey(store, record)
+      present.add(key)
+      if (!(key in synced) || synced[key] !== (record.version ?? 0)) {
+        changed.push({ key, store, record })
+      }
+    }
+  }
+
+  // Synced before but gone now (e.g. retired players)
+  const deleted = Object.keys(synced).filter(key => !present.has(key))
+
+  return { changed, deleted }
+}
+
+/**
+ * Record keys changed on this device and on the server since the last sync.
+ * Changes to different records merge cleanly; these ones don't.
+ * @param {{ changed: Array<{ key }>, deleted: string[] }} localChanges
+ * @param {{ records: Array<{ key }>, deleted: string[] }} remoteChanges
+ * @returns {string[]}
+ */
+export function findConflicts(localChanges, remoteChanges) {
+  const remoteKeys = new Set([
+    ...(remoteChanges.records ?? []).map(r => r.key),
+    ...(remoteChanges.deleted ?? []),
+  ])
+  const localKeys = [
+    ...localChanges.changed.map(c => c.key),
+    ...localChanges.deleted,
+  ]
+  return localKeys.filter(key => remoteKeys.has(key))
+}
+
+/**
+ * Drop local changes the server already has: records whose copy on the server
+ * matches this device's, and deletions the server made too. Devices that
+ * upgraded from snapshot sync start with nothing marked synced, so without
+ * this their first sync flags every record another device uploaded.
+ * @param {{ changed: Array<{ key, store, record }>, deleted: string[] }} localChanges
+ * @param {{ records: Array<{ key, data }>, deleted: string[] }} remoteChanges
+ * @param {Function} toSyncData - (store, record) => the record as uploaded
+ * @returns {{ changed: Array<{ key, store, record }>, deleted: string[] }}
+ */
+export function dropIdenticalChanges(localChanges, remoteChanges, toSyncData = (_store, record) => record) {
+  const remoteData = new Map((remoteChanges.records ?? []).map(r => [r.key, canonicalJson(r.data)]))
+  const remoteDeleted = new Set(remoteChanges.deleted ?? [])
+
+  return {
+    changed: localChanges.changed.filter(({ key, store, record }) =>
+      !remoteData.has(key) || remoteData.get(key) !== canonicalJson(toSyncData(store, record))),
+    deleted: localChanges.deleted.filter(key => !remoteDeleted.has(key)),
+  }
+}
+
+// JSON with sorted keys, so copies compare equal whatever order their keys
+// were written in. The server hands empty objects back as empty arrays.
+function canonicalJson(value) {
+  return JSON.stringify(value, (_key, v) => {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return v
+    const keys = Object.keys(v).sort()
+    if (keys.length === 0) return []
+    return Object.fromEntries(keys.map(k => [k, v[k]]))
+  })
+}
+
+/**
+ * Split changes into upload batches: the campaign and teams first, then
+ * players, then seasons one at a time (schedules make them large). Deletions
+ * ride along with the first batch.
+ * @param {{ changed: Array<{ key, store, record }>, deleted: string[] }} changes
+ * @returns {Array<{ records: Array<{ key, store, record }>, deleted: string[] }>}
+ */
+export function batchChanges(changes) {
+  const batches = []
+  const byStore = store => changes.changed.filter(c => c.store === store)
+
+  const meta = [...byStore('campaign'), ...byStore('teams')]
+  if (meta.length > 0) batches.push(meta)
+
+  const players = byStore('players')
+  for (let i = 0; i < players.length; i += MAX_BATCH_RECORDS) {
+    batches.push(players.slice(i, i + MAX_BATCH_RECORDS))
+  }
+
+  for (const season of byStore('seasons')) {
+    batches.push([season])
+  }
+
+  if (batches.length === 0 && changes.deleted.length > 0) batches.push([])
+
+  return batches.map((records, i) => ({
+    records,
+    deleted: i === 0 ? changes.deleted : [],
+  }))
+}
@@ -0,0 +1,24 @@
+import { withDB } from './GameDatabase'
+
+/**
+ * Per-campaign cloud sync bookkeeping, kept in the syncMeta store:
+ * { key, campaignId, revision, synced }
+ *
+ * revision is the server revision this device last synced with; synced maps
+ * record keys (see SyncChanges.recordKey) to the version last uploaded or
+ * downloaded for that record.
+ */
+export const SyncMetaRepository = {
+  async get(campaignId) {
+    const meta = await withDB(db => db.get('syncMeta', `campaign:${campaignId}`))
+    return meta ?? { key: `campaign:${campaignId}`, campaignId, revision: 0, synced: {} }
+  },
+
+  async save(meta) {
+    return withDB(db => db.put('syncMeta', meta))
+  },
+
+  async delete(campaignId) {
+    return withDB(db => db.delete('syncMeta', `campaign:${campaignId}`))
+  },
+}
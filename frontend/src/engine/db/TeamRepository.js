@@ -1,4 +1,4 @@
-import { withDB } from './GameDatabase'
+import { withDB, touchRecord } from './GameDatabase'
 
 export const TeamRepository = {
   async get(campaignId, teamId) {
@@ -20,7 +20,7 @@ export const TeamRepository = {
   async save(team) {
     return withDB(db => {
       if (!team.campaignId) throw new Error('Team must have campaignId')
-      team.updatedAt = new Date().toISOString()
+      touchRecord(team)
       return db.put('teams', team)
     })
   },
@@ -30,19 +30,23 @@ export const TeamRepository = {
       const tx = db.transaction('teams', 'readwrite')
       const now = new Date().toISOString()
       for (const team of teams) {
-        team.updatedAt = now
+        touchRecord(team, now)
         tx.store.put(team)
       }
       await tx.done
     })
   },
 
+  async delete(campaignId, teamId) {
+    return withDB(db => db.delete('teams', [campaignId, teamId]))
+  },
+
   async updateLineup(campaignId, teamId, lineupSettings) {
     return withDB(async db => {
       const team = await db.get('teams', [campaignId, teamId])
       if (!team) throw new Error(`Team ${teamId} not found`)
       team.lineup_settings = { ...team.lineup_settings, ...lineupSettings }
-      team.updatedAt = new Date().toISOString()
+      touchRecord(team)
       return db.put('teams', team)
     })
   },
@@ -52,7 +56,7 @@ export const TeamRepository = {
       const team = await db.get('teams', [campaignId, teamId])
       if (!team) throw new Error(`Team ${teamId} not found`)
       team.coaching_scheme = JSON.parse(JSON.stringify(scheme))
-      team.updatedAt = new Date().toISOString()
+      touchRecord(team)
       return db.put('teams', team)
     })
   },
@@ -62,7 +66,7 @@ export const TeamRepository = {
       const team = await db.get('teams', [campaignId, teamId])
       if (!team) throw new Error(`Team ${teamId} not found`)
       Object.assign(team, financials)
-      team.updatedAt = new Date().toISOString()
+      touchRecord(team)
       return db.put('teams', team)
     })
   },
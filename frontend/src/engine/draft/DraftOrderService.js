@@ -2,54 +2,64 @@
 // DraftOrderService.js
 // =============================================================================
 // Builds 60-pick rookie draft order from standings and traded draft picks.
+// Non-playoff teams are ordered by a weighted draft lottery.
 // =============================================================================
 
+import { random, withSeed, deriveSeed } from '../utils/Random'
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Lottery formats. `chances` are combinations out of 1000 per lottery seed
+ * (worst record = seed 1); seeds beyond the table reuse its last entry.
+ * The first `picksDrawn` picks are drawn, the rest of the lottery teams
+ * follow in reverse order of record.
+ */
+export const LOTTERY_FORMATS = {
+  flattened: {
+    label: 'Flattened Odds',
+    picksDrawn: 4,
+    chances: [140, 140, 140, 125, 105, 90, 75, 60, 45, 30, 20, 15, 10, 5],
+  },
+  reverse_order: {
+    label: 'Reverse Standings',
+    picksDrawn: 0,
+    chances: [],
+  },
+}
+
+export const DEFAULT_LOTTERY_FORMAT = 'flattened'
+
+const PLAYOFF_TEAMS_PER_CONFERENCE = 8
+
 /**
  * Build the full 60-pick rookie draft order based on standings.
  * Worst team picks first; traded picks go to the current owner.
+ * When a lottery result is given, its order replaces the top of round 1.
  *
  * @param {Array} teams - All 30 teams
  * @param {Object} standings - { east: [...], west: [...] }
  * @param {number} gameYear - The draft year
+ * @param {Object|null} [lottery] - Result from runDraftLottery
  * @returns {Array} 60-slot array matching draft store format
  */
-export function buildRookieDraftOrder(teams, standings, gameYear) {
-  // 1. Combine all standings into one list
-  const allStandings = [
-    ...(standings.east || []),
-    ...(standings.west || []),
-  ]
-
-  // 2. Map standings to teams with win/loss data
-  const teamRecords = teams.map(team => {
-    const standing = allStandings.find(s =>
-      (s.teamId ?? s.team_id) === team.id ||
-      s.teamAbbreviation === team.abbreviation
-    )
-    const pointDiff = standing
-      ? (standing.pointDifferential ?? standing.pointDiff ?? ((standing.pointsFor ?? 0) - (standing.pointsAgainst ?? 0)))
-      : 0
-    return {
-      team,
-      wins: standing?.wins ?? 0,
-      losses: standing?.losses ?? 0,
-      pointDiff,
-    }
-  })
-
-  // 3. Sort by wins ascending (worst first), tiebreak by point differential ascending
-  teamRecords.sort((a, b) => {
-    if (a.wins !== b.wins) return a.wins - b.wins
-    return a.pointDiff - b.pointDiff
-  })
+export function buildRookieDraftOrder(teams, standings, gameYear, lottery = null) {
+  const teamRecords = rankTeamsByRecord(teams, standings)
+  const roundOrders = {
+    1: lottery ? applyLotteryOrder(teamRecords, lottery) : teamRecords,
+    2: teamRecords,
+  }
 
-  // 4. Build draft order: for each standing position, look up who owns the pick
+  // Build draft order: for each standing position, look up who owns the pick
   const draftOrder = []
   let pickNumber = 1
 
   for (let round = 1; round <= 2; round++) {
-    for (let i = 0; i < teamRecords.length; i++) {
-      const { team: originalTeam } = teamRecords[i]
+    const roundOrder = roundOrders[round]
+    for (let i = 0; i < roundOrder.length; i++) {
+      const { team: originalTeam } = roundOrder[i]
 
       // Find the draft pick for this original team + year + round
       const pick = findDraftPick(teams, originalTeam.abbreviation, gameYear, round)
@@ -96,6 +106,55 @@ export function buildRookieDraftOrder(teams, standings, gameYear) {
   return draftOrder
 }
 
+/**
+ * Teams with their records, worst first.
+ */
+function rankTeamsByRecord(teams, standings) {
+  // 1. Combine all standings into one list
+  const allStandings = [
+    ...(standings.east || []),
+    ...(standings.west || []),
+  ]
+
+  // 2. Map standings to teams with win/loss data
+  const teamRecords = teams.map(team => {
+    const standing = allStandings.find(s =>
+      (s.teamId ?? s.team_id) === team.id ||
+      s.teamAbbreviation === team.abbreviation
+    )
+    const pointDiff = standing
+      ? (standing.pointDifferential ?? standing.pointDiff ?? ((standing.pointsFor ?? 0) - (standing.pointsAgainst ?? 0)))
+      : 0
+    return {
+      team,
+      wins: standing?.wins ?? 0,
+      losses: standing?.losses ?? 0,
+      pointDiff,
+    }
+  })
+
+  // 3. Sort by wins ascending (worst first), tiebreak by point differential ascending
+  teamRecords.sort((a, b) => {
+    if (a.wins !== b.wins) return a.wins - b.wins
+    return a.pointDiff - b.pointDiff
+  })
+
+  return teamRecords
+}
+
+/**
+ * Round 1 order: lottery teams in lottery order, then everyone else by record.
+ */
+function applyLotteryOrder(teamRecords, lottery) {
+  const recordsById = new Map(teamRecords.map(r => [r.team.id, r]))
+  const lotteryIds = new Set(lottery.order.map(slot => slot.teamId))
+  const lotteryRecords = lottery.order
+    .map(slot => recordsById.get(slot.teamId))
+    .filter(Boolean)
+
+  return [...lotteryRecords, ...teamRecords.filter(r => !lotteryIds.has(r.team.id))]
+}
+
 /**
  * Find a draft pick across all teams matching original team, year, and round.
  */
@@ -112,6 +171,149 @@ function findDraftPick(teams, originalAbbr, year, round) {
   return null
 }
 
+/**
+ * Teams that finished in a playoff spot in their conference
+ * (same ordering as PlayoffManager: win%, then point differential).
+ */
+function getPlayoffTeamIds(standings) {
+  const ids = new Set()
+  for (const conf of ['east', 'west']) {
+    const sorted = [...(standings[conf] || [])].sort((a, b) => {
+      const totalA = a.wins + a.losses
+      const totalB = b.wins + b.losses
+      const pctA = totalA > 0 ? a.wins / totalA : 0
+      const pctB = totalB > 0 ? b.wins / totalB : 0
+      if (pctA !== pctB) return pctB - pctA
+      const diffA = (a.pointsFor ?? 0) - (a.pointsAgainst ?? 0)
+      const diffB = (b.pointsFor ?? 0) - (b.pointsAgainst ?? 0)
+      return diffB - diffA
+    })
+    for (const s of sorted.slice(0, PLAYOFF_TEAMS_PER_CONFERENCE)) {
+      ids.add(s.teamId ?? s.team_id)
+    }
+  }
+  return ids
+}
+
+// ---------------------------------------------------------------------------
+// Draft lottery
+// ---------------------------------------------------------------------------
+
+/**
+ * Run the draft lottery for the non-playoff teams.
+ *
+ * Lottery seeds run worst record first. Each drawn pick goes to a team
+ * picked with weight equal to its chances; once `picksDrawn` picks are
+ * drawn the remaining teams fill in by seed. Slots carry the current owner
+ * of the original team's first-round pick, so traded picks move with the
+ * team that conveyed them.
+ *
+ * @param {Array} teams - All teams (with draftPicks)
+ * @param {Object} standings - { east: [...], west: [...] }
+ * @param {number} gameYear - The draft year
+ * @param {Object} [options]
+ * @param {string} [options.format] - Key of LOTTERY_FORMATS
+ * @param {Set} [options.playoffTeamIds] - Teams excluded from the lottery
+ * @returns {{ year, format, odds: Array, draws: Array, order: Array }}
+ *   odds: lottery teams by seed with chances and first-pick percentage
+ *   draws: drawn slots in draw sequence (pick 1 first)
+ *   order: every lottery slot in pick order, with `drawn` and `movement` (seed - pick)
+ */
+export function runDraftLottery(teams, standings, gameYear, options = {}) {
+  const format = LOTTERY_FORMATS[options.format] ? options.format : DEFAULT_LOTTERY_FORMAT
+  const { picksDrawn, chances } = LOTTERY_FORMATS[format]
+  const playoffTeamIds = options.playoffTeamIds ?? getPlayoffTeamIds(standings)
+
+  const entrants = rankTeamsByRecord(teams, standings)
+    .filter(r => !playoffTeamIds.has(r.team.id))
+    .map((r, i) => {
+      const pick = findDraftPick(teams, r.team.abbreviation, gameYear, 1)
+      const owner = (pick && teams.find(t => t.id === pick.currentOwnerId)) || r.team
+      return {
+        seed: i + 1,
+        teamId: r.team.id,
+        teamAbbr: r.team.abbreviation,
+        teamName: `${r.team.city} ${r.team.name}`,
+        teamColor: r.team.primary_color || '#666',
+        ownerTeamId: owner.id,
+        ownerTeamAbbr: owner.abbreviation,
+        ownerTeamName: `${owner.city} ${owner.name}`,
+        isTraded: owner.id !== r.team.id,
+        wins: r.wins,
+        losses: r.losses,
+        chances: chances.length > 0 ? chances[Math.min(i, chances.length - 1)] : 0,
+      }
+    })
+
+  const totalChances = entrants.reduce((sum, e) => sum + e.chances, 0)
+  const odds = entrants.map(e => ({
+    ...e,
+    firstPickPct: totalChances > 0 ? Math.round(e.chances / totalChances * 1000) / 10 : 0,
+  }))
+
+  // Weighted draw without replacement
+  const remaining = [...odds]
+  const drawn = []
+  while (drawn.length < picksDrawn && remaining.length > 0) {
+    const total = remaining.reduce((sum, e) => sum + e.chances, 0)
+    if (total <= 0) break
+    let roll = random() * total
+    let index = remaining.findIndex(e => (roll -= e.chances) < 0)
+    if (index < 0) index = remaining.length - 1
+    drawn.push(remaining.splice(index, 1)[0])
+  }
+
+  const order = [...drawn, ...remaining].map((e, i) => ({
+    pick: i + 1,
+    seed: e.seed,
+    teamId: e.teamId,
+    teamAbbr: e.teamAbbr,
+    teamName: e.teamName,
+    teamColor: e.teamColor,
+    ownerTeamId: e.ownerTeamId,
+    ownerTeamAbbr: e.ownerTeamAbbr,
+    ownerTeamName: e.ownerTeamName,
+    isTraded: e.isTraded,
+    drawn: i < drawn.length,
+    movement: e.seed - (i + 1),
+  }))
+
+  return {
+    year: gameYear,
+    format,
+    odds,
+    draws: order.slice(0, drawn.length),
+    order,
+  }
+}
+
+/**
+ * The campaign's lottery for a draft year, drawing it on first use.
+ * Seeded from the campaign seed so a redraw gives the same result; the
+ * result is stored on the campaign as `draftLottery_<year>` (caller saves).
+ *
+ * @param {Object} campaign
+ * @param {Array} teams
+ * @param {Object} standings
+ * @param {number} gameYear
+ * @param {Object} [options]
+ * @param {Set} [options.playoffTeamIds] - Teams that made the playoff bracket (defaults to the top 8 per conference)
+ * @returns {Object} Lottery result
+ */
+export function resolveDraftLottery(campaign, teams, standings, gameYear, options = {}) {
+  const key = `draftLottery_${gameYear}`
+  if (campaign[key]) return campaign[key]
+
+  const lottery = withSeed(deriveSeed(campaign.seed ?? campaign.id, 'draft_lottery', gameYear), () =>
+    runDraftLottery(teams, standings, gameYear, {
+      format: campaign.settings?.draftLotteryFormat ?? DEFAULT_LOTTERY_FORMAT,
+      playoffTeamIds: options.playoffTeamIds,
+    })
+  )
+  campaign[key] = { ...lottery, revealed: false }
+  return campaign[key]
+}
+
 /**
  * Assign pick numbers to draft pick objects on teams based on standings.
  * Mutates pick objects in place and returns them for saving.
@@ -119,9 +321,10 @@ function findDraftPick(teams, originalAbbr, year, round) {
  * @param {Array} teams
  * @param {Object} standings
  * @param {number} gameYear
+ * @param {Object|null} [lottery] - Result from runDraftLottery
  */
-export function assignDraftPickNumbers(teams, standings, gameYear) {
-  const order = buildRookieDraftOrder(teams, standings, gameYear)
+export function assignDraftPickNumbers(teams, standings, gameYear, lottery = null) {
+  const order = buildRookieDraftOrder(teams, standings, gameYear, lottery)
 
   for (const slot of order) {
     if (!slot.pickId) continue
@@ -10,7 +10,8 @@ import { TeamRepository } from '../db/TeamRepository'
 import { PlayerRepository } from '../db/PlayerRepository'
 import { SeasonRepository } from '../db/SeasonRepository'
 import { generateAndSaveRookieClass } from './RookieGenerationService'
-import { buildRookieDraftOrder } from './DraftOrderService'
+import { buildRookieDraftOrder, resolveDraftLottery } from './DraftOrderService'
+import { PlayoffManager } from '../season/PlayoffManager'
 import { assignRookieContract, assignUndraftedContract } from './RookieContractService'
 import { rollDraftPicks } from './DraftPickService'
 import { selectRookieDraftPick } from '../../services/AIDraftService'
@@ -25,12 +26,12 @@ import { startNewSeason } from '../campaign/CampaignManager'
 /**
  * Run the entire offseason in one shot:
  * 1. Generate rookies if needed
- * 2. Build draft order from standings
+ * 2. Run the draft lottery and build draft order from standings
  * 3. Auto-draft all 60 picks (user: BPA, AI: direction-aware)
  * 4. Apply rookie contracts
  * 5. Handle undrafted rookies
  * 6. Roll draft picks
- * 7. Start new season
+ * 7. Start new season (any free agency days left are played out first)
  *
  * @param {string} campaignId
  * @returns {Promise<Object>}
@@ -62,7 +63,11 @@ export async function simFullOffseason(campaignId) {
   const seasonYear = campaign.currentSeasonYear ?? 2025
   const seasonData = await SeasonRepository.get(campaignId, seasonYear)
   const standings = seasonData?.standings || { east: [], west: [] }
-  const draftOrder = buildRookieDraftOrder(teams, standings, gameYear)
+  const playoffTeamIds = seasonData?.playoffBracket
+    ? PlayoffManager.getPlayoffTeamIds(seasonData.playoffBracket)
+    : undefined
+  const lottery = resolveDraftLottery(campaign, teams, standings, gameYear, { playoffTeamIds })
+  const draftOrder = buildRookieDraftOrder(teams, standings, gameYear, lottery)
 
   // 3. Compute team directions for AI
   const context = buildContext({ standings, teams, seasonPhase: 'offseason' })
@@ -1,9 +1,14 @@
 // =============================================================================
 // RookieContractService.js
 // =============================================================================
-// Assigns rookie-scale contracts based on draft pick position.
+// Assigns rookie-scale contracts based on draft pick position. First-round
+// deals carry team options on their last two seasons and can be extended
+// once the final option is picked up.
 // =============================================================================
 
+import { random } from '../utils/Random'
+import { buildSalarySchedule } from '../finance/ContractService'
+
 /**
  * Get rookie-scale contract fields for a given pick number.
  *
@@ -35,10 +40,7 @@ export function assignRookieContract(pickNumber) {
   // Round salary to nearest 10K
   salary = Math.round(salary / 10000) * 10000
 
-  const salaries = []
-  for (let i = 0; i < years; i++) {
-    salaries.push(Math.round(salary * (1 + 0.05 * i) / 10000) * 10000)
-  }
+  const salaries = buildSalarySchedule(salary, years)
 
   const options = {}
   if (guaranteed > 0 && years > guaranteed) {
@@ -52,7 +54,7 @@ export function assignRookieContract(pickNumber) {
     salaries,
     options,
     noTradeClause: false,
-    rookieScale: true,
+    rookieScale: pickNumber <= 30,
     pickNumber,
   }
 
@@ -95,5 +97,5 @@ export function assignUndraftedContract() {
 }
 
 function randomBetween(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return Math.floor(random() * (max - min + 1)) + min
 }
@@ -7,6 +7,7 @@
 
 import { generatePlayer } from '../campaign/CampaignManager'
 import { PlayerRepository } from '../db/PlayerRepository'
+import { random } from '../utils/Random'
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -107,17 +108,17 @@ const ROOKIE_LAST_NAMES = [
 // ---------------------------------------------------------------------------
 
 function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return Math.floor(random() * (max - min + 1)) + min
 }
 
 function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)]
+  return arr[Math.floor(random() * arr.length)]
 }
 
 function shuffleArray(arr) {
   const a = [...arr]
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[a[i], a[j]] = [a[j], a[i]]
   }
   return a
@@ -141,7 +142,7 @@ function distributePositions(count) {
   }
   // Fill remaining with weighted random
   while (positions.length < count) {
-    const roll = Math.random()
+    const roll = random()
     let cumulative = 0
     for (const { position, weight } of POSITION_WEIGHTS) {
       cumulative += weight
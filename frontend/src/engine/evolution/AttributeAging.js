@@ -7,6 +7,7 @@
  */
 
 import { ATTRIBUTE_PROFILES } from '../config/GameConfig.js';
+import { random } from '../utils/Random.js';
 
 /**
  * Internal index mapping attribute names to their profile keys.
@@ -180,7 +181,7 @@ function applyInjuryImpact(attributes, impactPoints) {
 
   for (const attr of physicalAttrs) {
     if (affected.physical && affected.physical[attr] != null) {
-      const reduction = impactPoints * (0.8 + Math.random() * 0.4); // 80-120% of impact
+      const reduction = impactPoints * (0.8 + random() * 0.4); // 80-120% of impact
       affected.physical[attr] = Math.max(25, affected.physical[attr] - reduction);
     }
   }
@@ -7,16 +7,19 @@
 
 import {
   AGE_BRACKETS,
+  COACH_EFFECTS,
   DEVELOPMENT,
   DIFFICULTY_SETTINGS,
   MORALE,
 } from '../config/GameConfig.js';
+import { getCoachAttributeFactor } from '../data/coaches.js';
+import { random } from '../utils/Random.js'
 
 /**
  * Generate a random float between min and max (inclusive).
  */
 function randomFloat(min, max) {
-  return min + Math.random() * (max - min);
+  return min + random() * (max - min);
 }
 
 /**
@@ -147,11 +150,22 @@ function getMoraleModifier(morale) {
   }
 }
 
+/**
+ * Development multiplier from the head coach's playerDevelopment rating
+ * (1.0 for an average coach or when no coach is known).
+ *
+ * @param {object|null} coach - Head coach
+ * @returns {number}
+ */
+function getCoachDevelopmentMultiplier(coach) {
+  return 1 + getCoachAttributeFactor(coach, 'playerDevelopment') * COACH_EFFECTS.player_development_scale;
+}
+
 /**
  * Calculate monthly development points for a player.
  *
  * @param {object} player - Player data object
- * @param {object} context - Optional context: { avgMinutesPerGame, hasMentor, badgeSynergyBoost, dynamicDuoBoost }
+ * @param {object} context - Optional context: { avgMinutesPerGame, hasMentor, badgeSynergyBoost, dynamicDuoBoost, coach }
  * @param {string} difficulty - Difficulty level
  * @returns {number} Development points for this month
  */
@@ -194,6 +208,9 @@ function calculateMonthlyDevelopment(player, context = {}, difficulty = 'pro') {
   let total = base + workEthicBonus + playingTimeBonus + mentorBonus + synergyBonus + duoBonus;
   total *= (1 + moraleModifier);
 
+  // Coach player development
+  total *= getCoachDevelopmentMultiplier(context.coach);
+
   return Math.max(0, total);
 }
 
@@ -393,6 +410,7 @@ function getAttributeChangesFromStats(boxScore, change, diffSettings = {}, minut
  * @param {object} player - Player data object
  * @param {object} boxScore - Game box score stats
  * @param {string} difficulty - Difficulty level
+ * @param {object} options - { growthBoost, coach }
  * @returns {object} { performanceRating, attributeChanges, type }
  */
 function calculateMicroDevelopment(player, boxScore, difficulty = 'pro', options = {}) {
@@ -422,6 +440,7 @@ function calculateMicroDevelopment(player, boxScore, difficulty = 'pro', options
     if (options.growthBoost > 0) {
       gain *= (1 + options.growthBoost);
     }
+    gain *= getCoachDevelopmentMultiplier(options.coach);
     result.attributeChanges = getAttributeChangesFromStats(boxScore, gain, diffSettings, minutes);
   } else if (performance <= diffSettings.micro_dev_threshold_low && minutes >= minMinutes) {
     // Poor performance with significant minutes - slight regression
@@ -465,6 +484,7 @@ export {
   getMoraleModifier,
   calculateMonthlyDevelopment,
   calculateMonthlyRegression,
+  getCoachDevelopmentMultiplier,
   calculatePerformanceRating,
   calculateMicroDevelopment,
   canReachPotential,
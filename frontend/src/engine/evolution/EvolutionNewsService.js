@@ -11,6 +11,9 @@
  *
  * All game logic and text templates are preserved exactly.
  */
+
+import { random } from '../utils/Random'
+
 export class EvolutionNewsService {
 
   // ---------------------------------------------------------------------------
@@ -40,7 +43,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'injury',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has been diagnosed with a ${injuryName} and is expected to be out ${estimate}.`,
       game_date: campaign.current_date,
     }
@@ -68,7 +71,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'recovery',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has fully recovered and has been cleared to return to game action.`,
       game_date: campaign.current_date,
     }
@@ -101,7 +104,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'hot_streak',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has been playing at an elite level over the past ${games} games. ${boostText}`,
       game_date: campaign.current_date,
     }
@@ -128,7 +131,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'cold_streak',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has been struggling over the past ${games} games and is looking to break out of the slump.`,
       game_date: campaign.current_date,
     }
@@ -161,7 +164,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'development',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has been working hard and showing noticeable improvement in ${attrName}.`,
       game_date: campaign.current_date,
     }
@@ -189,7 +192,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'breakout',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `At just ${age} years old, ${playerName} has shown tremendous growth this month, improving their overall rating by ${overallGain} points.`,
       game_date: campaign.current_date,
     }
@@ -217,7 +220,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'decline',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `At ${age} years old, ${playerName} appears to be losing a step. The veteran's overall rating has dropped by ${overallLoss} points this month.`,
       game_date: campaign.current_date,
     }
@@ -247,7 +250,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'trade_request',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has formally requested a trade, citing dissatisfaction with their current situation.`,
       game_date: campaign.current_date,
     }
@@ -274,7 +277,7 @@ export class EvolutionNewsService {
       player_id: this._getPlayerId(player),
       team_id: this._getTeamId(player),
       event_type: 'retirement',
-      headline: headlines[Math.floor(Math.random() * headlines.length)],
+      headline: headlines[Math.floor(random() * headlines.length)],
       body: `${playerName} has announced their retirement after a ${careerSeasons}-year career in the league.`,
       game_date: campaign.current_date,
     }
@@ -7,6 +7,7 @@
 
 import { INJURY_TYPES, INJURY_BASE_CHANCE } from '../config/GameConfig.js';
 import { applyInjuryImpact } from './AttributeAging.js';
+import { random } from '../utils/Random.js';
 
 const injuryConfig = {
   base_chance: INJURY_BASE_CHANCE,
@@ -93,7 +94,7 @@ function calculateInjuryChance(player, minutesPlayed, isPlayoff = false) {
  * @returns {string} Severity key (e.g., 'minor', 'moderate', 'severe', 'season_ending')
  */
 function rollInjurySeverity() {
-  const roll = Math.floor(Math.random() * 100) + 1; // 1 to 100
+  const roll = Math.floor(random() * 100) + 1; // 1 to 100
   let cumulative = 0;
 
   for (const [severity, config] of Object.entries(injuryConfig.types)) {
@@ -117,11 +118,11 @@ function generateInjury(player) {
   const injuryTypeConfig = injuryConfig.types[severity];
 
   const injuryEntries = Object.entries(injuryTypeConfig.injuries);
-  const randomIndex = Math.floor(Math.random() * injuryEntries.length);
+  const randomIndex = Math.floor(random() * injuryEntries.length);
   const [injuryKey, injuryName] = injuryEntries[randomIndex];
 
   const [minDuration, maxDuration] = injuryTypeConfig.duration;
-  const duration = Math.floor(Math.random() * (maxDuration - minDuration + 1)) + minDuration;
+  const duration = Math.floor(random() * (maxDuration - minDuration + 1)) + minDuration;
 
   return {
     type: injuryKey,
@@ -153,7 +154,7 @@ function checkForInjury(player, minutesPlayed, isPlayoff = false, options = {})
   // Re-apply 5% cap after reduction
   chance = Math.min(0.05, chance);
 
-  const roll = (Math.floor(Math.random() * 10000) + 1) / 10000; // 0.0001 to 1.0000
+  const roll = (Math.floor(random() * 10000) + 1) / 10000; // 0.0001 to 1.0000
 
   if (roll <= chance) {
     return generateInjury(player);
@@ -206,7 +207,7 @@ function processRecovery(player, options = {}) {
 
   // Base decrement is 1; with recovery speed bonus, probabilistically decrement by 2
   let decrement = 1;
-  if (options.recoverySpeedBonus > 0 && Math.random() < options.recoverySpeedBonus) {
+  if (options.recoverySpeedBonus > 0 && random() < options.recoverySpeedBonus) {
     decrement = 2;
   }
 
@@ -5,7 +5,9 @@
  * Translated from backend/app/Services/PlayerEvolution/MoraleService.php
  */
 
-import { MORALE, PERSONALITY_TRAITS } from '../config/GameConfig.js';
+import { MORALE, PERSONALITY_TRAITS, COACH_EFFECTS } from '../config/GameConfig.js';
+import { getCoachAttributeFactor } from '../data/coaches.js';
+import { random } from '../utils/Random.js';
 
 const moraleConfig = MORALE;
 
@@ -19,6 +21,20 @@ function clamp(value) {
   return Math.round(Math.max(moraleConfig.min, Math.min(moraleConfig.max, value)));
 }
 
+/**
+ * Scale a morale change by the head coach's motivation. A good motivator
+ * steadies the locker room both ways; a poor one lets every swing run further.
+ *
+ * @param {number} previous - Morale before the change
+ * @param {number} morale - Morale after the change
+ * @param {object|null} coach - Head coach
+ * @returns {number} Damped morale
+ */
+function applyCoachMotivation(previous, morale, coach) {
+  const motivation = getCoachAttributeFactor(coach, 'motivation');
+  return previous + (morale - previous) * (1 - motivation * COACH_EFFECTS.motivation_damping);
+}
+
 /**
  * Get expected minutes based on overall rating and difficulty.
  *
@@ -55,9 +71,10 @@ function getExpectedMinutes(player, difficulty = 'pro') {
  * @param {object} gameResult - { won: boolean, streak: number }
  * @param {object} boxScore - Game box score stats
  * @param {string} difficulty - Difficulty level
+ * @param {object|null} coach - Head coach; motivation damps the morale swing
  * @returns {object} Updated player object
  */
-function updateAfterGame(player, gameResult, boxScore, difficulty = 'pro') {
+function updateAfterGame(player, gameResult, boxScore, difficulty = 'pro', coach = null) {
   // Clone to avoid mutation
   player = { ...player, personality: { ...player.personality } };
 
@@ -95,6 +112,8 @@ function updateAfterGame(player, gameResult, boxScore, difficulty = 'pro') {
     morale = (player.personality.morale ?? moraleConfig.starting) + (change * volatility);
   }
 
+  morale = applyCoachMotivation(player.personality.morale ?? moraleConfig.starting, morale, coach);
+
   // Clamp morale
   player.personality.morale = clamp(morale);
 
@@ -107,9 +126,10 @@ function updateAfterGame(player, gameResult, boxScore, difficulty = 'pro') {
  *
  * @param {object} player - Player data object
  * @param {object} teamRecord - { wins: number, losses: number }
+ * @param {object|null} coach - Head coach; motivation damps the morale swing
  * @returns {object} Updated player object
  */
-function updateWeekly(player, teamRecord) {
+function updateWeekly(player, teamRecord, coach = null) {
   // Clone to avoid mutation
   player = { ...player, personality: { ...player.personality } };
 
@@ -138,11 +158,54 @@ function updateWeekly(player, teamRecord) {
     morale = morale + (target - morale) * 0.1;
   }
 
+  morale = applyCoachMotivation(player.personality.morale ?? moraleConfig.starting, morale, coach);
+
   player.personality.morale = clamp(morale);
 
   return player;
 }
 
+/**
+ * Update morale when the team changes head coach.
+ * Any change unsettles the locker room; a clear upgrade more than makes up
+ * for it, a downgrade adds to it. Traits with morale_stability absorb part
+ * of the swing, hot heads amplify it.
+ *
+ * @param {object} player - Player data object
+ * @param {object|null} previousCoach - Outgoing head coach
+ * @param {object} newCoach - Incoming head coach
+ * @returns {object} Updated player object
+ */
+function updateAfterCoachingChange(player, previousCoach, newCoach) {
+  // Clone to avoid mutation
+  player = { ...player, personality: { ...player.personality } };
+
+  const factors = moraleConfig.factors;
+  const previous = player.personality.morale ?? moraleConfig.starting;
+
+  const oldOverall = previousCoach?.overallRating ?? previousCoach?.overall_rating ?? 70;
+  const newOverall = newCoach?.overallRating ?? newCoach?.overall_rating ?? 70;
+  const quality = Math.max(
+    -factors.coach_quality_cap,
+    Math.min(factors.coach_quality_cap, (newOverall - oldOverall) * factors.coach_quality_per_point)
+  );
+
+  let change = factors.coaching_change + quality;
+
+  const traits = player.personality.traits ?? [];
+  for (const trait of traits) {
+    const stability = PERSONALITY_TRAITS[trait]?.morale_stability;
+    if (stability != null) change *= (1 - stability);
+  }
+  if (traits.includes('hot_head')) {
+    change *= PERSONALITY_TRAITS.hot_head?.morale_volatility ?? 2.0;
+  }
+
+  player.personality.morale = clamp(previous + change);
+
+  return player;
+}
+
 /**
  * Check if player wants to request a trade.
  *
@@ -155,7 +218,7 @@ function checkForTradeRequest(player) {
   if (morale < moraleConfig.trade_request_threshold) {
     // Random chance based on how low morale is
     const chance = (moraleConfig.trade_request_threshold - morale) / 100;
-    return (Math.floor(Math.random() * 100) + 1) / 100 <= chance;
+    return (Math.floor(random() * 100) + 1) / 100 <= chance;
   }
 
   return false;
@@ -252,6 +315,7 @@ function getDevelopmentModifier(morale) {
 export {
   updateAfterGame,
   updateWeekly,
+  updateAfterCoachingChange,
   checkForTradeRequest,
   calculateTeamChemistry,
   getMoraleLevel,
@@ -1,4 +1,5 @@
 import { PERSONALITY_TRAITS } from '../config/GameConfig.js'
+import { random } from '../utils/Random.js'
 
 /**
  * PersonalityEffects
@@ -152,7 +153,7 @@ export class PersonalityEffects {
     }
 
     const chance = this.config.hot_head?.tech_foul_chance ?? 0.02
-    return Math.random() <= chance
+    return random() <= chance
   }
 
   /**
@@ -173,7 +174,7 @@ export class PersonalityEffects {
     }
 
     const chance = this.config.hot_head?.ejection_chance ?? 0.005
-    return Math.random() <= chance
+    return random() <= chance
   }
 
   /**
@@ -230,6 +231,11 @@ export class PersonalityEffects {
       modifier += clutchBoost / 100 // Convert to percentage
     }
 
+    // The spotlight weighs on media darlings late in close games too
+    if (traits.includes('media_darling')) {
+      modifier += this.config.media_darling?.pressure_penalty ?? -0.02
+    }
+
     return modifier
   }
 
@@ -30,6 +30,8 @@ import {
   applyWeightShifts,
   getMarketSize,
 } from '../ai/MotivationService';
+import { random } from '../utils/Random';
+import { advanceContract } from '../finance/ContractService';
 
 // Singleton instances for class-based services
 const personalityEffects = new PersonalityEffects();
@@ -127,7 +129,7 @@ function getAttributeWeightedRecovery(player, baseRecovery) {
   const attrModifier = 0.8 + athleticAvg * 0.4;
 
   // Add ~15% random variance (0.85 to 1.15)
-  const variance = 0.85 + (Math.floor(Math.random() * 31) / 100);
+  const variance = 0.85 + (Math.floor(random() * 31) / 100);
 
   return baseRecovery * attrModifier * variance;
 }
@@ -585,7 +587,7 @@ function shouldRetire(player, age) {
     chance += config.low_rating_bonus;
   }
 
-  return (Math.floor(Math.random() * 100) + 1) / 100 <= chance;
+  return (Math.floor(random() * 100) + 1) / 100 <= chance;
 }
 
 // =============================================================================
@@ -682,7 +684,7 @@ function selectAIUpgrade(player, position, potential) {
       let score = positionRelevance;
 
       // 60% chance to prioritize weaknesses, 40% strengths
-      const prioritizeWeakness = Math.floor(Math.random() * 100) + 1 <= 60;
+      const prioritizeWeakness = Math.floor(random() * 100) + 1 <= 60;
 
       if (prioritizeWeakness && isWeakness) {
         // Boost score for weaknesses (bigger gap = higher priority)
@@ -697,7 +699,7 @@ function selectAIUpgrade(player, position, potential) {
       }
 
       // Small random factor for variety
-      score += Math.floor(Math.random() * 21) / 100;
+      score += Math.floor(random() * 21) / 100;
 
       candidates.push({
         category,
@@ -787,6 +789,7 @@ function processAIUpgrades(player, upgradeDate = null) {
  * @param {number} teamScore - This team's score
  * @param {number} opponentScore - Opponent's score
  * @param {number} streak - Current team win/loss streak
+ * @param {Object} options - Trainer perks plus `coach` (the team's head coach)
  * @returns {{ players: Object, summary: Object }}
  */
 function processTeamPostGame(
@@ -894,7 +897,7 @@ function processTeamPostGame(
 
     // Update morale
     const gameResult = { won, streak };
-    player = updateAfterGame(player, gameResult, stats, difficulty);
+    player = updateAfterGame(player, gameResult, stats, difficulty, options.coach ?? null);
     const newMorale = player.personality?.morale ?? 80;
 
     // Track significant morale changes
@@ -912,7 +915,10 @@ function processTeamPostGame(
     const isInjuredNow = checkIsInjured(player);
 
     if (!isInjuredNow) {
-      const microDev = calculateMicroDevelopment(player, stats, difficulty, { growthBoost: options.growthBoost || 0 });
+      const microDev = calculateMicroDevelopment(player, stats, difficulty, {
+        growthBoost: options.growthBoost || 0,
+        coach: options.coach ?? null,
+      });
       if (microDev && microDev.attributeChanges && Object.keys(microDev.attributeChanges).length > 0) {
         player = applyAttributeChanges(player, microDev.attributeChanges, gameDate);
 
@@ -1008,6 +1014,7 @@ function processTeamPostGame(
  * @param {string} difficulty - Campaign difficulty setting
  * @param {boolean} isPlayoff - Whether this is a playoff game
  * @param {string} gameDate - Date of the game (YYYY-MM-DD)
+ * @param {Object} options - { userTeamId, trainerPerks, homeCoach, awayCoach }
  * @returns {{ home: Object, away: Object }} - Evolution results per team
  */
 export function processPostGame(
@@ -1030,8 +1037,12 @@ export function processPostGame(
   const awayTeamId = gameData.awayTeamId
   const trainerPerks = options.trainerPerks || {}
 
-  const homeOptions = (userTeamId && String(homeTeamId) === String(userTeamId)) ? trainerPerks : {}
-  const awayOptions = (userTeamId && String(awayTeamId) === String(userTeamId)) ? trainerPerks : {}
+  const homePerks = (userTeamId && String(homeTeamId) === String(userTeamId)) ? trainerPerks : {}
+  const awayPerks = (userTeamId && String(awayTeamId) === String(userTeamId)) ? trainerPerks : {}
+
+  // Every team's head coach shapes morale and development
+  const homeOptions = { ...homePerks, coach: options.homeCoach ?? null }
+  const awayOptions = { ...awayPerks, coach: options.awayCoach ?? null }
 
   // Process home team
   const homeResult = processTeamPostGame(
@@ -1114,10 +1125,11 @@ export function processGameDevelopment(player, gameStats, difficulty = 'pro') {
  * @param {Object} options - Additional options
  * @param {string} options.currentDate - Campaign current date (YYYY-MM-DD)
  * @param {boolean} options.isAI - Whether these are AI-controlled players
+ * @param {Object} options.coaches - { [abbr]: head coach }, steadies weekly morale
  * @returns {{ players: Array, upgradePointsAwarded: Array, news: Array }}
  */
 export function processWeeklyEvolution(players, gameResults = {}, difficulty = 'pro', week = 0, options = {}) {
-  const { currentDate = null, isAI = false } = options;
+  const { currentDate = null, isAI = false, coaches = {} } = options;
   const teamRecords = gameResults.teamRecords ?? {};
   const upgradePointsAwarded = [];
   const newsEvents = [];
@@ -1152,7 +1164,7 @@ export function processWeeklyEvolution(players, gameResults = {}, difficulty = '
     // Update morale based on team performance
     const teamAbbr = player.teamAbbreviation ?? '';
     const record = teamRecords[teamAbbr] ?? { wins: 0, losses: 0 };
-    player = updateWeekly(player, record, null, difficulty);
+    player = updateWeekly(player, record, coaches[teamAbbr] ?? null);
 
     // Check for hot/cold streaks
     player = processStreaks(player);
@@ -1198,10 +1210,11 @@ export function processWeeklyEvolution(players, gameResults = {}, difficulty = '
  * @param {string} difficulty - Campaign difficulty
  * @param {Object} options - Additional options
  * @param {Array} options.fullRoster - Full team roster for mentor/synergy calculations
+ * @param {Object} options.coach - Team's head coach
  * @returns {{ players: Array, news: Array }}
  */
 export function processMonthlyDevelopment(players, difficulty = 'pro', options = {}) {
-  const { fullRoster = null } = options;
+  const { fullRoster = null, coach = null } = options;
   const newsEvents = [];
 
   const updatedPlayers = players.map(rawPlayer => {
@@ -1234,6 +1247,7 @@ export function processMonthlyDevelopment(players, difficulty = 'pro', options =
       hasMentor,
       badgeSynergyBoost: synergyBoost,
       dynamicDuoBoost: duoBoost,
+      coach,
     };
 
     // Calculate development and regression
@@ -1330,10 +1344,11 @@ export function processSeasonEnd(players, seasonStats = {}, difficulty = 'pro',
     player.streak_data = null;
     player.streakData = null;
 
-    // Decrement contract
+    // Move the contract on a season: one year fewer, next season's salary
     const yearsRemaining = player.contract_years_remaining ?? player.contractYearsRemaining ?? 1;
-    player.contract_years_remaining = Math.max(0, yearsRemaining - 1);
-    player.contractYearsRemaining = player.contract_years_remaining;
+    if (yearsRemaining > 0) {
+      Object.assign(player, advanceContract({ ...player, contractYearsRemaining: yearsRemaining }));
+    }
 
     // Generate motivations if missing (covers existing campaigns)
     if (!player.motivations) {
@@ -1426,6 +1441,22 @@ export function processRestDayRecovery(players, teamsWithGames = []) {
   });
 }
 
+/**
+ * Rest recovery for the off days before a team's next game: one
+ * processRestDayRecovery pass per day without a game.
+ *
+ * @param {Array} players - One team's roster
+ * @param {number|null} restDays - Days since the team's last game (1 = back-to-back)
+ * @returns {Array} - Updated player array
+ */
+export function processScheduledRestRecovery(players, restDays) {
+  let rested = players;
+  for (let day = 1; day < (restDays ?? 0); day++) {
+    rested = processRestDayRecovery(rested, []);
+  }
+  return rested;
+}
+
 /**
  * Process multi-day rest recovery for players.
  * For each team, applies rest recovery for each day they did not have a game.
@@ -0,0 +1,321 @@
+// =============================================================================
+// ContractNegotiation.js
+// =============================================================================
+// Free-agent contract negotiation. The user offers years, salary and an
+// option; the player weighs it against what AI teams would offer and what
+// the open market pays, and accepts, counters or rejects.
+// =============================================================================
+
+import { calculateRetentionScore, getMarketSize } from '../ai/MotivationService';
+import { calculateContractOffer, collectCompetingOffers } from '../ai/AIContractService';
+import { analyzeTeamDirection, buildContext } from '../ai/AITradeService';
+import { DEFAULT_SALARY_CAP } from './FinanceManager';
+
+const MIN_SALARY = 1_100_000;
+const MAX_SALARY = Math.round(DEFAULT_SALARY_CAP * 0.35);
+const MAX_CONTRACT_YEARS = 5;
+
+// Money satisfaction tops out this far above the asking price
+const MARKET_CEILING = 1.3;
+
+// Without a bid in hand, what the player expects the market to pay
+const MARKET_RATE = 0.85;
+
+// Offers below this share of the asking price aren't worth a counter
+const LOWBALL_RATIO = 0.6;
+
+// Score adjustments for contract shape
+const PLAYER_OPTION_BONUS = 2;
+const TEAM_OPTION_PENALTY = 3;
+const YEARS_SHORT_PENALTY = 1.5;
+const YEARS_LONG_PENALTY = 1;
+
+const CONTRACT_OPTIONS = ['none', 'player', 'team'];
+
+const CONTENDING_DIRECTIONS = ['contending', 'title_contender', 'win_now'];
+
+// Minutes by depth chart slot, best player first
+const ROTATION_MINUTES = [34, 33, 31, 30, 28, 24, 20, 16, 12, 8, 4];
+
+// A league-average roster, standing in for "the rest of the market"
+const AVERAGE_ROSTER = [79, 77, 75, 74, 72, 71, 69, 68, 66, 64, 62, 60, 57]
+  .map((overallRating, i) => ({ id: `market-${i}`, overallRating }));
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function getPlayerRating(player) {
+  return player.overallRating ?? player.overall_rating ?? 70;
+}
+
+function getPlayerName(player) {
+  const first = player.firstName ?? player.first_name ?? '';
+  const last = player.lastName ?? player.last_name ?? '';
+  return `${first} ${last}`.trim();
+}
+
+function getPlayerAge(player) {
+  if (player.age != null) return player.age;
+  const birthDate = player.birthDate ?? player.birth_date ?? null;
+  if (!birthDate) return 25;
+  return Math.floor((Date.now() - new Date(birthDate).getTime()) / (365.25 * 24 * 3600 * 1000));
+}
+
+function salaryStep(salary) {
+  if (salary >= 10_000_000) return 500_000;
+  if (salary >= 3_000_000) return 250_000;
+  return 100_000;
+}
+
+/**
+ * Minutes the player could expect on a roster, from where their rating
+ * would slot into the rotation.
+ */
+function projectMinutes(player, roster) {
+  const rating = getPlayerRating(player);
+  const ahead = roster.filter(p => p.id !== player.id && getPlayerRating(p) > rating).length;
+  return ROTATION_MINUTES[ahead] ?? 0;
+}
+
+/**
+ * What a team has to sell a free agent: record, direction, the roster they'd
+ * join and market size.
+ * @param {object} team
+ * @param {object} player - The free agent (left out of the roster)
+ * @param {Array} leaguePlayers
+ * @param {object} context - From buildContext
+ * @returns {{ winPct: number, direction: string, roster: Array, marketSize: string }}
+ */
+export function getTeamSituation(team, player, leaguePlayers, context) {
+  const roster = leaguePlayers.filter(p =>
+    p.id !== player.id && (p.teamId === team.id || (p.teamAbbreviation ?? p.team_abbreviation) === team.abbreviation)
+  );
+  const record = context.standings[team.abbreviation] ?? { wins: 0, losses: 0 };
+  const games = record.wins + record.losses;
+  return {
+    winPct: games > 0 ? record.wins / games : 0.5,
+    direction: analyzeTeamDirection(team, roster, context),
+    roster,
+    marketSize: getMarketSize(team.abbreviation),
+  };
+}
+
+// =============================================================================
+// ASKING PRICE
+// =============================================================================
+
+/**
+ * What the player wants on the open market: rating-based value adjusted for
+ * age and how much they care about money, at the length they prefer.
+ * @param {object} player
+ * @returns {{ years: number, salary: number }}
+ */
+export function getAskingContract(player) {
+  const { years, salary } = calculateContractOffer(player, null);
+  return {
+    years,
+    salary: Math.min(MAX_SALARY, Math.max(MIN_SALARY, salary)),
+  };
+}
+
+/**
+ * Clamp an offer to legal terms.
+ * @param {object} offer - { years, salary, option }
+ * @returns {{ years: number, salary: number, option: string }}
+ */
+export function normalizeOffer(offer = {}) {
+  const years = Math.min(MAX_CONTRACT_YEARS, Math.max(1, Math.round(offer.years ?? 1)));
+  const salary = Math.min(MAX_SALARY, Math.max(MIN_SALARY, Math.round(offer.salary ?? MIN_SALARY)));
+  // Options only make sense on multi-year deals
+  const option = years > 1 && CONTRACT_OPTIONS.includes(offer.option) ? offer.option : 'none';
+  return { years, salary, option };
+}
+
+// =============================================================================
+// OFFER SCORING
+// =============================================================================
+
+/**
+ * How appealing a team's offer is to the player. Motivations are scored
+ * through calculateRetentionScore with the team's situation as context;
+ * players without motivations mostly follow the money.
+ * @param {object} player
+ * @param {object} situation - { winPct, direction, roster, marketSize }
+ * @param {object} terms - { years, salary, option }
+ * @param {object} asking - { years, salary }
+ * @returns {number}
+ */
+export function scoreOffer(player, situation, terms, asking) {
+  const expectedSalary = asking.salary * MARKET_CEILING;
+  const context = {
+    teamWinPct: situation.winPct,
+    madePlayoffs: CONTENDING_DIRECTIONS.includes(situation.direction),
+    teamRoster: situation.roster,
+    teamMarketSize: situation.marketSize,
+    playerStats: { gamesPlayed: 1, minutes: projectMinutes(player, situation.roster) },
+    yearsWithTeam: 0,
+    contractSalary: terms.salary,
+    expectedSalary,
+  };
+
+  let score;
+  if (player.motivations) {
+    // Scoring rewrites satisfaction values; keep the player's own untouched
+    const scratch = { ...player, motivations: structuredClone(player.motivations) };
+    score = calculateRetentionScore(scratch, context, terms.salary);
+  } else {
+    score = Math.min(1, terms.salary / expectedSalary) * 80 + situation.winPct * 20;
+  }
+
+  if (terms.option === 'player') score += PLAYER_OPTION_BONUS;
+  if (terms.option === 'team') score -= TEAM_OPTION_PENALTY;
+
+  // Veterans welcome extra years; everyone minds being short-changed
+  if (terms.years < asking.years) {
+    score -= (asking.years - terms.years) * YEARS_SHORT_PENALTY;
+  } else if (terms.years > asking.years && getPlayerAge(player) < 30) {
+    score -= (terms.years - asking.years) * YEARS_LONG_PENALTY;
+  }
+
+  return Math.round(score * 10) / 10;
+}
+
+/**
+ * The score an average team paying a little under the asking price would
+ * get: what the player can count on without a bid in hand.
+ * @param {object} player
+ * @param {object} asking - { years, salary }
+ * @returns {number}
+ */
+export function getMarketScore(player, asking) {
+  const marketSituation = { winPct: 0.5, direction: 'middling', roster: AVERAGE_ROSTER, marketSize: 'medium' };
+  const marketTerms = { ...asking, salary: Math.round(asking.salary * MARKET_RATE), option: 'none' };
+  return scoreOffer(player, marketSituation, marketTerms, asking);
+}
+
+// =============================================================================
+// NEGOTIATE
+// =============================================================================
+
+/**
+ * Put the user's offer to a free agent.
+ *
+ * The player's bar is the better of an average team paying a little under
+ * their asking price and the best offer an AI team would make. An offer that clears it
+ * is accepted. One that falls short gets a counter at the lowest salary that
+ * would clear it, unless it's a lowball or no salary would be enough.
+ *
+ * @param {object} params
+ * @param {object} params.player - The free agent
+ * @param {object} params.offer - { years, salary, option: 'none'|'player'|'team' }
+ * @param {object} params.userTeam - The user's team record
+ * @param {Array} params.leaguePlayers - All players (rosters by teamAbbreviation)
+ * @param {Array} params.allTeams - All teams
+ * @param {object} params.standings - Season standings ({ east, west })
+ * @param {string} params.seasonPhase
+ * @param {Array} [params.bids] - Offers AI teams have actually made ({ teamId, years, salary, option });
+ *   when omitted, the offers they would make are used
+ * @returns {{ decision: 'accept'|'counter'|'reject', offer: object, counter: object|null, reason: string, askingSalary: number, competingOffers: Array }}
+ */
+export function negotiateFreeAgentContract({
+  player,
+  offer,
+  userTeam,
+  leaguePlayers,
+  allTeams,
+  standings = { east: [], west: [] },
+  seasonPhase = 'regular_season',
+  bids = null,
+}) {
+  const terms = normalizeOffer(offer);
+  const asking = getAskingContract(player);
+  const name = getPlayerName(player);
+
+  const context = buildContext({ standings, teams: allTeams, seasonPhase });
+  const userSituation = getTeamSituation(userTeam, player, leaguePlayers, context);
+
+  const rivalOffers = bids
+    ? bids.flatMap(bid => {
+      const team = allTeams.find(t => t.id === bid.teamId);
+      if (!team) return [];
+      return [{
+        ...getTeamSituation(team, player, leaguePlayers, context),
+        teamId: team.id,
+        teamAbbreviation: team.abbreviation,
+        teamName: team.name,
+        years: bid.years,
+        salary: bid.salary,
+        option: bid.option ?? 'none',
+      }];
+    })
+    : collectCompetingOffers({
+      player,
+      aiTeams: allTeams.filter(t => t.id !== userTeam.id),
+      leaguePlayers,
+      standings,
+      allTeams,
+      seasonPhase,
+    }).map(bid => ({ ...bid, option: 'none', marketSize: getMarketSize(bid.teamAbbreviation) }));
+
+  const competingOffers = rivalOffers.map(({ marketSize, ...bid }) => ({
+    ...bid,
+    score: scoreOffer(player, { ...bid, marketSize }, bid, asking),
+  }));
+  const bestBid = competingOffers.reduce((best, bid) => (!best || bid.score > best.score ? bid : best), null);
+
+  const bar = Math.max(getMarketScore(player, asking), bestBid?.score ?? -Infinity);
+
+  const result = {
+    offer: terms,
+    counter: null,
+    askingSalary: asking.salary,
+    competingOffers: competingOffers.map(({ roster, ...bid }) => bid).sort((a, b) => b.salary - a.salary),
+  };
+
+  if (scoreOffer(player, userSituation, terms, asking) >= bar) {
+    return {
+      ...result,
+      decision: 'accept',
+      reason: `${name} accepts your offer`,
+    };
+  }
+
+  const rivalReason = bestBid
+    ? `${name} prefers the ${bestBid.teamName ?? bestBid.teamAbbreviation} offer`
+    : `${name} isn't interested in joining your team`;
+
+  if (terms.salary < asking.salary * LOWBALL_RATIO) {
+    return {
+      ...result,
+      decision: 'reject',
+      reason: `${name} won't counter an offer that low`,
+    };
+  }
+
+  // Counter at the user's length unless it's what's costing them, keeping a player option
+  const years = terms.years < asking.years ? asking.years : terms.years;
+  const option = terms.option === 'player' ? 'player' : 'none';
+  const ceiling = Math.min(MAX_SALARY, Math.round(asking.salary * MARKET_CEILING));
+  const step = salaryStep(asking.salary);
+
+  for (let salary = terms.salary; salary <= ceiling; salary += step) {
+    const counter = normalizeOffer({ years, salary: Math.ceil(salary / 100_000) * 100_000, option });
+    if (scoreOffer(player, userSituation, counter, asking) >= bar) {
+      return {
+        ...result,
+        decision: 'counter',
+        counter,
+        reason: bestBid
+          ? `${name} has other offers and wants more to sign with you`
+          : `${name} wants a better deal`,
+      };
+    }
+  }
+
+  return {
+    ...result,
+    decision: 'reject',
+    reason: rivalReason,
+  };
+}
@@ -0,0 +1,313 @@
+// =============================================================================
+// ContractService.js
+// =============================================================================
+// Contract structures: a salary for every season of the deal with raises
+// built in, player and team options, no-trade clauses and rookie-scale terms.
+// The structure lives on the player as contractDetails, keyed by season of
+// the contract (year1 is the season it was signed for); contractSalary and
+// contractYearsRemaining stay in step with it as this season's salary and
+// the seasons left, this one included.
+// =============================================================================
+
+const ANNUAL_RAISE = 0.05;
+
+// Rookie-scale extensions top out at this share of the cap
+const ROOKIE_EXTENSION_MAX_SHARE = 0.25;
+
+// A player opts out when the market pays this much more than the option year
+const OPT_OUT_MARGIN = 1.1;
+
+// Below this morale a player with a no-trade clause will go anywhere
+const NO_TRADE_WAIVE_MORALE = 50;
+
+// Players who care about winning waive for a team this much better
+const NO_TRADE_WAIVE_WIN_GAP = 0.1;
+const NO_TRADE_WAIVE_WINNING_WEIGHT = 0.6;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function getYearsRemaining(player) {
+  return player.contractYearsRemaining ?? player.contract_years_remaining ?? 0;
+}
+
+function getSalary(player) {
+  return parseFloat(player.contractSalary ?? player.contract_salary ?? 0);
+}
+
+function roundSalary(salary) {
+  return Math.round(salary / 10_000) * 10_000;
+}
+
+function getWinPct(context, teamAbbreviation) {
+  const record = context?.standings?.[teamAbbreviation];
+  const games = (record?.wins ?? 0) + (record?.losses ?? 0);
+  return games > 0 ? record.wins / games : 0.5;
+}
+
+/**
+ * Player contract fields for a contract structure, as of the season
+ * `yearsRemaining` seasons from its end. A finished contract keeps its last
+ * salary as what the player was making.
+ */
+function contractFields(details, yearsRemaining) {
+  const salary = details.salaries[details.totalYears - yearsRemaining] ?? details.salaries[details.totalYears - 1] ?? 0;
+  return {
+    contractYearsRemaining: yearsRemaining,
+    contract_years_remaining: yearsRemaining,
+    contractSalary: salary,
+    contract_salary: salary,
+    contractOption: details.options[`year${details.totalYears}`] ?? null,
+    contractDetails: details,
+    contract_details: details,
+  };
+}
+
+// =============================================================================
+// STRUCTURE
+// =============================================================================
+
+/**
+ * Salaries for each season of a deal, rising by a fixed share of the first.
+ * @param {number} salary - First season salary
+ * @param {number} years
+ * @param {number} [raise] - Annual raise as a share of the first season
+ * @returns {Array<number>}
+ */
+export function buildSalarySchedule(salary, years, raise = ANNUAL_RAISE) {
+  return Array.from({ length: years }, (_, i) => roundSalary(salary * (1 + raise * i)));
+}
+
+/**
+ * Contract fields for a new deal, to spread onto the player.
+ * @param {object} params
+ * @param {number} params.salary - First season salary
+ * @param {number} params.years
+ * @param {string} [params.option] - 'player' | 'team' | 'none', on the final season
+ * @param {boolean} [params.noTradeClause]
+ * @param {number} [params.signedYear]
+ * @param {number} [params.raise]
+ * @returns {object}
+ */
+export function createContract({ salary, years, option = 'none', noTradeClause = false, signedYear = null, raise = ANNUAL_RAISE }) {
+  const options = option && option !== 'none' ? { [`year${years}`]: option } : {};
+  return contractFields({
+    totalYears: years,
+    salaries: buildSalarySchedule(salary, years, raise),
+    options,
+    noTradeClause,
+    signedYear,
+  }, years);
+}
+
+/**
+ * A player's contract structure. Deals written without one, or whose
+ * structure no longer matches the player's salary, read as the current
+ * salary every season with any option on the last.
+ * @param {object} player
+ * @returns {{ totalYears: number, salaries: Array<number>, options: object, noTradeClause: boolean }}
+ */
+export function getContractDetails(player) {
+  const yearsRemaining = getYearsRemaining(player);
+  const salary = getSalary(player);
+  const details = player.contractDetails ?? player.contract_details ?? null;
+
+  const season = details ? details.totalYears - yearsRemaining : -1;
+  if (details?.salaries && season >= 0 && details.salaries.length >= details.totalYears && details.salaries[season] === salary) {
+    return { ...details, options: details.options ?? {}, noTradeClause: !!details.noTradeClause };
+  }
+
+  const option = player.contractOption ?? player.contract_option ?? null;
+  return {
+    ...(details ?? {}),
+    totalYears: yearsRemaining,
+    salaries: Array(yearsRemaining).fill(salary),
+    options: option && option !== 'none' && yearsRemaining > 0 ? { [`year${yearsRemaining}`]: option } : {},
+    noTradeClause: !!details?.noTradeClause,
+  };
+}
+
+/**
+ * Which season of the contract the player is in, starting at 1.
+ * @param {object} player
+ * @returns {number}
+ */
+export function getContractSeason(player) {
+  return getContractDetails(player).totalYears - getYearsRemaining(player) + 1;
+}
+
+/**
+ * Salaries still to be paid, this season first.
+ * @param {object} player
+ * @returns {Array<number>}
+ */
+export function getSalarySchedule(player) {
+  const details = getContractDetails(player);
+  return details.salaries.slice(details.totalYears - getYearsRemaining(player), details.totalYears);
+}
+
+/**
+ * The option on a season still to come, if any.
+ * @param {object} player
+ * @param {number} [seasonsFromNow] - 0 for this season
+ * @returns {'player'|'team'|null}
+ */
+export function getSeasonOption(player, seasonsFromNow = 0) {
+  if (seasonsFromNow >= getYearsRemaining(player)) return null;
+  const details = getContractDetails(player);
+  return details.options[`year${getContractSeason(player) + seasonsFromNow}`] ?? null;
+}
+
+/**
+ * An option on this season that hasn't been decided yet.
+ * @param {object} player
+ * @returns {'player'|'team'|null}
+ */
+export function getPendingOption(player) {
+  return getSeasonOption(player, 0);
+}
+
+/**
+ * Seasons of the contract the team owes no matter what: everything before
+ * the first team option.
+ * @param {object} player
+ * @returns {number}
+ */
+export function getGuaranteedYears(player) {
+  const years = getYearsRemaining(player);
+  for (let i = 0; i < years; i++) {
+    if (getSeasonOption(player, i) === 'team') return i;
+  }
+  return years;
+}
+
+/**
+ * Move a contract on to next season: one season fewer, next season's salary.
+ * @param {object} player
+ * @returns {object} Contract fields
+ */
+export function advanceContract(player) {
+  return contractFields(getContractDetails(player), Math.max(0, getYearsRemaining(player) - 1));
+}
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+/**
+ * Pick up this season's option; the season becomes guaranteed.
+ * @param {object} player
+ * @returns {object} Contract fields
+ */
+export function exerciseOption(player) {
+  const details = getContractDetails(player);
+  const { [`year${getContractSeason(player)}`]: _decided, ...options } = details.options;
+  return contractFields({ ...details, options }, getYearsRemaining(player));
+}
+
+/**
+ * Turn down this season's option, ending the contract before it.
+ * @param {object} player
+ * @returns {object} Contract fields
+ */
+export function declineOption(player) {
+  const details = getContractDetails(player);
+  const played = details.totalYears - getYearsRemaining(player);
+  return contractFields({ ...details, totalYears: played, salaries: details.salaries.slice(0, played), options: {} }, 0);
+}
+
+/**
+ * Whether a player opts out of their option season for the open market.
+ * @param {object} player
+ * @param {number} marketSalary - What the market would pay them
+ * @returns {boolean}
+ */
+export function shouldOptOut(player, marketSalary) {
+  return marketSalary > getSalary(player) * OPT_OUT_MARGIN;
+}
+
+// =============================================================================
+// EXTENSIONS
+// =============================================================================
+
+/**
+ * Players can be extended in the last season of their deal once any option
+ * on it has been picked up. Rookie-scale deals get there after the team
+ * exercises the fourth-year option.
+ * @param {object} player
+ * @returns {boolean}
+ */
+export function isExtensionEligible(player) {
+  return getYearsRemaining(player) === 1 && !getPendingOption(player);
+}
+
+/**
+ * The most an extension can pay in its first season.
+ * @param {object} player
+ * @param {number} salaryCap
+ * @returns {number}
+ */
+export function getExtensionMaxSalary(player, salaryCap) {
+  return getContractDetails(player).rookieScale
+    ? roundSalary(salaryCap * ROOKIE_EXTENSION_MAX_SHARE)
+    : Infinity;
+}
+
+/**
+ * Add seasons to a contract. The extension starts after the current deal
+ * ends; this season's salary doesn't change.
+ * @param {object} player
+ * @param {object} terms
+ * @param {number} terms.years - Seasons added
+ * @param {number} terms.salary - First extension season salary
+ * @param {string} [terms.option] - 'player' | 'team' | 'none', on the final season
+ * @returns {object} Contract fields
+ */
+export function extendContract(player, { years, salary, option = 'none' }) {
+  const details = getContractDetails(player);
+  const totalYears = details.totalYears + years;
+  const options = { ...details.options };
+  if (option && option !== 'none') options[`year${totalYears}`] = option;
+
+  return contractFields({
+    ...details,
+    totalYears,
+    salaries: [...details.salaries.slice(0, details.totalYears), ...buildSalarySchedule(salary, years)],
+    options,
+    rookieScale: false,
+  }, getYearsRemaining(player) + years);
+}
+
+// =============================================================================
+// NO-TRADE CLAUSES
+// =============================================================================
+
+/**
+ * @param {object} player
+ * @returns {boolean}
+ */
+export function hasNoTradeClause(player) {
+  return !!(player.contractDetails ?? player.contract_details)?.noTradeClause;
+}
+
+/**
+ * Whether a player would waive their no-trade clause to join a team. Unhappy
+ * players will go anywhere; players who care about winning will go to a
+ * clearly better team.
+ * @param {object} player
+ * @param {object} destinationTeam - { abbreviation }
+ * @param {object} context - From buildContext
+ * @returns {boolean} True when the player has no clause or waives it
+ */
+export function willWaiveNoTradeClause(player, destinationTeam, context) {
+  if (!hasNoTradeClause(player)) return true;
+
+  const morale = player.morale ?? player.personality?.morale ?? 80;
+  if (morale < NO_TRADE_WAIVE_MORALE) return true;
+
+  const winningWeight = player.motivations?.winning?.weight ?? 0.5;
+  const currentTeam = player.teamAbbreviation ?? player.team_abbreviation;
+  const winGap = getWinPct(context, destinationTeam?.abbreviation) - getWinPct(context, currentTeam);
+  return winningWeight >= NO_TRADE_WAIVE_WINNING_WEIGHT && winGap >= NO_TRADE_WAIVE_WIN_GAP;
+}
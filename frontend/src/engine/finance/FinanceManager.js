@@ -1,15 +1,57 @@
 // =============================================================================
 // FinanceManager.js
 // =============================================================================
-// Team finance management: salary cap, contracts, free agents, payroll.
+// Team finance management: salary cap, luxury tax, revenue, contracts,
+// free agents, payroll.
 // Translated from PHP: backend/app/Services/FinanceService.php
 // =============================================================================
 
+import { getMarketSize } from '../ai/MotivationService';
+import {
+  createContract,
+  extendContract,
+  getContractDetails,
+  getExtensionMaxSalary,
+  getGuaranteedYears,
+  getPendingOption,
+  getSalarySchedule,
+  getSeasonOption,
+  isExtensionEligible,
+} from './ContractService';
+
 const DEFAULT_SALARY_CAP = 136_000_000; // $136M default NBA cap
 const DEFAULT_FREE_AGENT_SALARY = 8_000_000; // $8M
 const DEFAULT_FREE_AGENT_YEARS = 2;
 const MAX_ROSTER_SIZE = 15;
 
+// Tax line and aprons
+const LUXURY_TAX_LINE = 165_000_000;
+const FIRST_APRON = 173_000_000;
+const SECOND_APRON = 184_000_000;
+
+// Minimum contracts are allowed whatever the payroll
+const MINIMUM_SALARY = 1_100_000;
+
+// Tax per dollar over the line, by $5M bracket; past the last listed rate each bracket adds 0.5
+const TAX_BRACKET_SIZE = 5_000_000;
+const TAX_BRACKET_RATES = [1.5, 1.75, 2.5, 3.25];
+const TAX_RATE_STEP = 0.5;
+
+// Revenue: the league's media money is split evenly, gate receipts follow the market
+const SHARED_REVENUE = 95_000_000;
+const SEASON_GATE = { large: 80_000_000, medium: 62_000_000, small: 50_000_000 };
+const DEFAULT_HOME_GAMES = 27;
+const ATTENDANCE_FLOOR = 0.75;
+const ATTENDANCE_WIN_RANGE = 0.5;
+const PLAYOFF_GATE_MULTIPLIER = 2;
+
+// Losses an owner will fund on top of revenue
+const OWNER_LOSS_TOLERANCE = { large: 40_000_000, medium: 20_000_000, small: 10_000_000 };
+
+// The stretch provision spreads dead money over twice the seasons left, plus one
+const STRETCH_MULTIPLIER = 2;
+const STRETCH_EXTRA_SEASONS = 1;
+
 // =============================================================================
 // COMPOSITE ATTRIBUTE SCORES
 // =============================================================================
@@ -156,6 +198,8 @@ export function enrichPlayerData(player, stats = null) {
   const athleticism = calculateAthleticismScore(attributes);
   const rebounding = calculateReboundingScore(attributes);
   const basketballIQ = attributes?.mental?.basketballIQ ?? null;
+  const contract = getContractDetails(player);
+  const salarySchedule = getSalarySchedule(player);
 
   return {
     // Spread original player so no fields (motivations, personality, morale, etc.) are lost
@@ -172,6 +216,13 @@ export function enrichPlayerData(player, stats = null) {
     weight: player.weightLbs ?? player.weight_lbs ?? null,
     contractSalary: parseFloat(player.contractSalary ?? player.contract_salary ?? 0),
     contractYearsRemaining: parseInt(player.contractYearsRemaining ?? player.contract_years_remaining ?? 0),
+    // Contract structure: salaries and options by season from now
+    salarySchedule,
+    seasonOptions: salarySchedule.map((_, i) => getSeasonOption(player, i)),
+    pendingOption: getPendingOption(player),
+    noTradeClause: contract.noTradeClause,
+    rookieScale: !!contract.rookieScale,
+    extensionEligible: isExtensionEligible(player),
     attributes,
     badges: player.badges ?? [],
     shooting,
@@ -195,25 +246,110 @@ export function enrichPlayerData(player, stats = null) {
 // =============================================================================
 
 /**
- * Get the team's financial summary.
+ * Get the team's financial summary. Dead money counts against the cap.
  * @param {object} params
  * @param {Array} params.roster - Array of player objects with contractSalary
  * @param {number} [params.salaryCap] - Team's salary cap
  * @param {number} [params.currentSeasonYear]
+ * @param {Array} [params.deadMoney] - The team's dead money entries
+ * @param {number} [params.ownerBudget] - Most the owner will spend on payroll and tax
+ * @param {object} [params.revenue] - Projected revenue, from calculateRevenue
+ * @param {Array} [params.history] - Settled seasons, from settleSeasonFinances
  * @returns {object}
  */
-export function getFinanceSummary({ roster, salaryCap = DEFAULT_SALARY_CAP, currentSeasonYear = new Date().getFullYear() }) {
-  const totalPayroll = roster.reduce((sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0);
+export function getFinanceSummary({
+  roster,
+  salaryCap = DEFAULT_SALARY_CAP,
+  currentSeasonYear = new Date().getFullYear(),
+  deadMoney = [],
+  ownerBudget = null,
+  revenue = null,
+  history = [],
+}) {
+  const activePayroll = roster.reduce((sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0);
+  const deadMoneyTotal = getDeadMoneyTotal(deadMoney);
+  const totalPayroll = activePayroll + deadMoneyTotal;
+  const capStatus = getCapStatus(totalPayroll, salaryCap);
+  const spending = totalPayroll + capStatus.luxuryTax;
 
   return {
     salary_cap: salaryCap,
     total_payroll: totalPayroll,
+    active_payroll: activePayroll,
+    dead_money: deadMoneyTotal,
+    dead_money_entries: deadMoney ?? [],
     cap_space: salaryCap - totalPayroll,
+    cap_status: capStatus.status,
+    tax_line: LUXURY_TAX_LINE,
+    first_apron: FIRST_APRON,
+    second_apron: SECOND_APRON,
+    luxury_tax: capStatus.luxuryTax,
+    owner_budget: ownerBudget,
+    budget_room: ownerBudget != null ? ownerBudget - spending : null,
+    projected_revenue: revenue,
+    projected_profit: revenue ? revenue.totalRevenue - spending : null,
+    finance_history: history ?? [],
     roster_count: roster.length,
     current_season: currentSeasonYear,
   };
 }
 
+// =============================================================================
+// DEAD MONEY
+// =============================================================================
+
+/**
+ * The dead money a release leaves on the team's cap: the guaranteed salary
+ * still owed (seasons up to the first team option), spread evenly over the
+ * seasons the contract would have paid it or stretched over more seasons at
+ * a lower annual hit.
+ * @param {object} params
+ * @param {object} params.player - Player being released
+ * @param {boolean} [params.stretch] - Apply the stretch provision
+ * @param {number} [params.seasonYear] - Season of the release
+ * @returns {object|null} { playerId, playerName, annualAmount, seasonsRemaining, totalAmount, stretched, releasedYear }, or null when nothing is owed
+ */
+export function calculateDeadMoney({ player, stretch = false, seasonYear = null }) {
+  const guaranteedYears = getGuaranteedYears(player);
+  const totalAmount = getSalarySchedule(player).slice(0, guaranteedYears).reduce((sum, salary) => sum + salary, 0);
+  if (totalAmount <= 0 || guaranteedYears <= 0) return null;
+
+  const seasonsRemaining = stretch
+    ? guaranteedYears * STRETCH_MULTIPLIER + STRETCH_EXTRA_SEASONS
+    : guaranteedYears;
+
+  return {
+    playerId: player.id,
+    playerName: `${player.firstName ?? player.first_name ?? ''} ${player.lastName ?? player.last_name ?? ''}`.trim(),
+    annualAmount: Math.round(totalAmount / seasonsRemaining),
+    seasonsRemaining,
+    totalAmount,
+    stretched: stretch,
+    releasedYear: seasonYear,
+  };
+}
+
+/**
+ * This season's dead money cap hit.
+ * @param {Array} deadMoney - Dead money entries
+ * @returns {number}
+ */
+export function getDeadMoneyTotal(deadMoney = []) {
+  return (deadMoney ?? []).reduce((sum, entry) => sum + (entry.seasonsRemaining > 0 ? entry.annualAmount : 0), 0);
+}
+
+/**
+ * Roll dead money over at season end, alongside contract years: one less
+ * season owed, paid-off entries dropped.
+ * @param {Array} deadMoney
+ * @returns {Array}
+ */
+export function advanceDeadMoney(deadMoney = []) {
+  return (deadMoney ?? [])
+    .map(entry => ({ ...entry, seasonsRemaining: entry.seasonsRemaining - 1 }))
+    .filter(entry => entry.seasonsRemaining > 0);
+}
+
 // =============================================================================
 // ROSTER CONTRACTS (with stats)
 // =============================================================================
@@ -304,40 +440,35 @@ export function buildSeasonStatsLookup(seasonData) {
 // =============================================================================
 
 /**
- * Validate a new signing against salary cap.
+ * Validate a new signing against the aprons and the owner's budget. The cap
+ * is soft: teams over it can keep signing until they hit the second apron or
+ * the owner stops paying. Minimum contracts are always allowed.
  * @param {object} params
  * @param {number} params.salary - The salary to sign at
- * @param {string} params.capMode - 'easy', 'normal', or 'hard'
- * @param {number} params.currentPayroll
+ * @param {number} params.currentPayroll - Payroll, dead money included
  * @param {number} params.salaryCap
- * @returns {{ valid: boolean, reason?: string, current_payroll?: number, signing_salary?: number, salary_cap?: number }}
+ * @param {number} [params.ownerBudget] - Most the owner will spend on payroll and tax
+ * @returns {{ valid: boolean, reason?: string, current_payroll?: number, signing_salary?: number, salary_cap?: number, luxury_tax?: number }}
  */
-export function validateSigning({ salary, capMode = 'normal', currentPayroll, salaryCap = DEFAULT_SALARY_CAP }) {
-  // Easy mode - no restrictions
-  if (capMode === 'easy') {
-    return { valid: true };
-  }
-
-  // Hard cap mode
-  if (capMode === 'hard') {
-    if (currentPayroll + salary > salaryCap) {
-      return {
-        valid: false,
-        reason: 'Signing would exceed salary cap',
-        current_payroll: currentPayroll,
-        signing_salary: salary,
-        salary_cap: salaryCap,
-      };
-    }
-  }
-
-  // Normal mode - soft cap (allow signings even over cap, like NBA bird rights)
-  return {
-    valid: true,
+export function validateSigning({ salary, currentPayroll, salaryCap = DEFAULT_SALARY_CAP, ownerBudget = Infinity }) {
+  const payroll = currentPayroll + salary;
+  const details = {
     current_payroll: currentPayroll,
     signing_salary: salary,
     salary_cap: salaryCap,
+    luxury_tax: calculateLuxuryTax(payroll).bill,
   };
+
+  if (salary > MINIMUM_SALARY) {
+    if (payroll > SECOND_APRON) {
+      return { valid: false, reason: 'Teams over the second apron can only sign minimum contracts', ...details };
+    }
+    if (getTeamSpending(payroll) > ownerBudget) {
+      return { valid: false, reason: "Ownership won't fund the payroll and tax this signing adds", owner_budget: ownerBudget, ...details };
+    }
+  }
+
+  return { valid: true, ...details };
 }
 
 // =============================================================================
@@ -345,33 +476,40 @@ export function validateSigning({ salary, capMode = 'normal', currentPayroll, sa
 // =============================================================================
 
 /**
- * Sign a free agent to the user's team.
+ * Sign a free agent to the user's team on agreed terms (see
+ * ContractNegotiation for getting the player to agree).
  * Returns the result and updated data, but does NOT mutate input.
  * @param {object} params
  * @param {string} params.playerId
  * @param {Array} params.leaguePlayers - All league players
  * @param {Array} params.currentRoster - Current roster
- * @param {string} params.capMode
+ * @param {object} [params.offer] - { years, salary, option }; defaults to the standard free agent deal
  * @param {number} params.salaryCap
+ * @param {Array} [params.deadMoney] - The team's dead money entries
+ * @param {number} [params.ownerBudget] - Most the owner will spend on payroll and tax
  * @returns {{ success: boolean, player?: object, updatedLeaguePlayers?: Array, error?: string }}
  */
-export function signFreeAgent({ playerId, leaguePlayers, currentRoster, capMode = 'normal', salaryCap = DEFAULT_SALARY_CAP }) {
+export function signFreeAgent({ playerId, leaguePlayers, currentRoster, offer = null, salaryCap = DEFAULT_SALARY_CAP, deadMoney = [], ownerBudget = Infinity }) {
+  const years = offer?.years ?? DEFAULT_FREE_AGENT_YEARS;
+  const salary = offer?.salary ?? DEFAULT_FREE_AGENT_SALARY;
+  const option = offer?.option && offer.option !== 'none' ? offer.option : null;
+
   // Validate roster size
   if (currentRoster.length >= MAX_ROSTER_SIZE) {
     return { success: false, error: 'Roster is full (15 players maximum)' };
   }
 
-  // Calculate current payroll
+  // Calculate current payroll (dead money included)
   const currentPayroll = currentRoster.reduce(
     (sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0
-  );
+  ) + getDeadMoneyTotal(deadMoney);
 
   // Validate salary cap
   const validation = validateSigning({
-    salary: DEFAULT_FREE_AGENT_SALARY,
-    capMode,
+    salary,
     currentPayroll,
     salaryCap,
+    ownerBudget,
   });
 
   if (!validation.valid) {
@@ -386,7 +524,7 @@ export function signFreeAgent({ playerId, leaguePlayers, currentRoster, capMode
     const player = leaguePlayers[i];
     if ((player.id ?? '') == playerId) {
       const teamAbbr = player.teamAbbreviation ?? player.team_abbreviation ?? null;
-      if (!teamAbbr || teamAbbr === 'FA') {
+      if (player.isFreeAgent === 1 || !teamAbbr || teamAbbr === 'FA') {
         freeAgent = player;
         freeAgentIndex = i;
         break;
@@ -401,8 +539,7 @@ export function signFreeAgent({ playerId, leaguePlayers, currentRoster, capMode
   // Build signed player data
   const signedPlayer = {
     ...freeAgent,
-    contractYearsRemaining: DEFAULT_FREE_AGENT_YEARS,
-    contractSalary: DEFAULT_FREE_AGENT_SALARY,
+    ...createContract({ salary, years, option }),
   };
 
   // Remove from league players list
@@ -419,9 +556,10 @@ export function signFreeAgent({ playerId, leaguePlayers, currentRoster, capMode
       type: 'signing',
       playerName,
       playerId: freeAgent.id,
-      years: DEFAULT_FREE_AGENT_YEARS,
-      salary: DEFAULT_FREE_AGENT_SALARY,
-      totalValue: DEFAULT_FREE_AGENT_SALARY * DEFAULT_FREE_AGENT_YEARS,
+      years,
+      salary,
+      option,
+      totalValue: signedPlayer.contractDetails.salaries.reduce((sum, s) => sum + s, 0),
     },
     message: `Signed ${playerName}`,
   };
@@ -432,24 +570,33 @@ export function signFreeAgent({ playerId, leaguePlayers, currentRoster, capMode
 // =============================================================================
 
 /**
- * Re-sign a player to a new contract (same salary rate for Phase 1).
+ * Extend a player in the last season of their deal. The new seasons start
+ * once the current one ends, with raises on the first extension salary.
+ * Rookie-scale extensions are capped at a share of the cap.
  * @param {object} params
  * @param {object} params.player - Player object
- * @param {number} params.years - Number of years
- * @returns {{ success: boolean, player: object, transaction: object, message: string }}
+ * @param {number} params.years - Seasons added
+ * @param {number} [params.salary] - First extension season salary; defaults to the current salary
+ * @param {number} [params.salaryCap]
+ * @returns {{ success: boolean, player?: object, transaction?: object, message?: string, error?: string }}
  */
-export function resignPlayer({ player, years, salary: salaryOverride }) {
+export function resignPlayer({ player, years, salary: salaryOverride, salaryCap = DEFAULT_SALARY_CAP }) {
   const salary = salaryOverride != null
     ? parseFloat(salaryOverride)
     : parseFloat(player.contractSalary ?? player.contract_salary ?? 0);
   const playerName = `${player.firstName ?? player.first_name ?? ''} ${player.lastName ?? player.last_name ?? ''}`.trim();
 
+  if (!isExtensionEligible(player)) {
+    return { success: false, error: `${playerName} isn't eligible for an extension yet` };
+  }
+  const maxSalary = getExtensionMaxSalary(player, salaryCap);
+  if (salary > maxSalary) {
+    return { success: false, error: `Rookie-scale extensions are capped at $${maxSalary.toLocaleString()}` };
+  }
+
   const updatedPlayer = {
     ...player,
-    contractYearsRemaining: years,
-    contract_years_remaining: years,
-    contractSalary: salary,
-    contract_salary: salary,
+    ...extendContract(player, { years, salary }),
   };
 
   return {
@@ -461,9 +608,9 @@ export function resignPlayer({ player, years, salary: salaryOverride }) {
       playerId: player.id,
       years,
       salary,
-      totalValue: salary * years,
+      totalValue: getSalarySchedule(updatedPlayer).slice(1).reduce((sum, s) => sum + s, 0),
     },
-    message: `Re-signed ${playerName} to a ${years}-year deal`,
+    message: `Extended ${playerName} for ${years} more ${years === 1 ? 'season' : 'seasons'}`,
   };
 }
 
@@ -472,17 +619,50 @@ export function resignPlayer({ player, years, salary: salaryOverride }) {
 // =============================================================================
 
 /**
- * Drop a player from the roster (release to free agency).
+ * Drop a player from the roster. A team that claims them off waivers takes
+ * the contract over; otherwise they go to free agency and the guaranteed
+ * money left on the contract stays on the team's cap as dead money.
  * @param {object} params
  * @param {object} params.player - Player object to release
  * @param {Array} params.leaguePlayers - Current league players
- * @returns {{ success: boolean, updatedLeaguePlayers: Array, transaction: object, message: string }}
+ * @param {boolean} [params.stretch] - Apply the stretch provision to the dead money
+ * @param {number} [params.seasonYear] - Season of the release
+ * @param {object} [params.waiverClaim] - { teamId, teamAbbreviation, teamName } of the claiming team
+ * @returns {{ success: boolean, updatedLeaguePlayers: Array, deadMoney: object|null, waiverClaim: object|null, transaction: object, message: string }}
  */
-export function dropPlayer({ player, leaguePlayers }) {
+export function dropPlayer({ player, leaguePlayers, stretch = false, seasonYear = null, waiverClaim = null }) {
   const playerName = `${player.firstName ?? player.first_name ?? ''} ${player.lastName ?? player.last_name ?? ''}`.trim();
   const salary = parseFloat(player.contractSalary ?? player.contract_salary ?? 0);
   const yearsRemaining = player.contractYearsRemaining ?? player.contract_years_remaining ?? 0;
 
+  if (waiverClaim) {
+    return {
+      success: true,
+      updatedLeaguePlayers: leaguePlayers.map(p => (p.id === player.id
+        ? {
+          ...p,
+          teamId: waiverClaim.teamId,
+          teamAbbreviation: waiverClaim.teamAbbreviation,
+          team_abbreviation: waiverClaim.teamAbbreviation,
+          isFreeAgent: 0,
+        }
+        : p)),
+      deadMoney: null,
+      waiverClaim,
+      transaction: {
+        type: 'waiver_claim',
+        playerName,
+        playerId: player.id,
+        salary,
+        yearsRemaining,
+        claimedBy: waiverClaim.teamAbbreviation,
+      },
+      message: `${playerName} claimed off waivers by ${waiverClaim.teamName ?? waiverClaim.teamAbbreviation}`,
+    };
+  }
+
+  const deadMoney = calculateDeadMoney({ player, stretch, seasonYear });
+
   // Create free agent entry
   const freeAgentData = {
     id: `fa_${player.id}_${Date.now()}`,
@@ -508,17 +688,194 @@ export function dropPlayer({ player, leaguePlayers }) {
   return {
     success: true,
     updatedLeaguePlayers,
+    deadMoney,
+    waiverClaim: null,
     transaction: {
       type: 'release',
       playerName,
       playerId: player.id,
       salary,
       yearsRemaining,
+      deadMoney: deadMoney?.totalAmount ?? 0,
+      stretched: stretch,
     },
     message: `Released ${playerName}`,
   };
 }
 
+// =============================================================================
+// LUXURY TAX & APRONS
+// =============================================================================
+
+/**
+ * Tax owed on a payroll: each bracket over the tax line is taxed at a higher
+ * rate than the one before it.
+ * @param {number} payroll - Payroll, dead money included
+ * @returns {{ taxableAmount: number, bill: number, brackets: Array }}
+ */
+export function calculateLuxuryTax(payroll) {
+  const taxableAmount = Math.max(0, payroll - LUXURY_TAX_LINE);
+  const brackets = [];
+  let bill = 0;
+
+  for (let i = 0, from = 0; from < taxableAmount; i++, from += TAX_BRACKET_SIZE) {
+    const rate = TAX_BRACKET_RATES[i] ?? TAX_BRACKET_RATES[TAX_BRACKET_RATES.length - 1] + (i - TAX_BRACKET_RATES.length + 1) * TAX_RATE_STEP;
+    const amount = Math.min(TAX_BRACKET_SIZE, taxableAmount - from) * rate;
+    brackets.push({ from: LUXURY_TAX_LINE + from, rate, amount });
+    bill += amount;
+  }
+
+  return { taxableAmount, bill: Math.round(bill), brackets };
+}
+
+/**
+ * Where a payroll sits against the cap, tax line and aprons.
+ * @param {number} payroll - Payroll, dead money included
+ * @param {number} [salaryCap]
+ * @returns {object}
+ */
+export function getCapStatus(payroll, salaryCap = DEFAULT_SALARY_CAP) {
+  let status = 'under_cap';
+  if (payroll > SECOND_APRON) status = 'second_apron';
+  else if (payroll > FIRST_APRON) status = 'first_apron';
+  else if (payroll > LUXURY_TAX_LINE) status = 'taxpayer';
+  else if (payroll > salaryCap) status = 'over_cap';
+
+  return {
+    status,
+    payroll,
+    capSpace: salaryCap - payroll,
+    isOverCap: payroll > salaryCap,
+    isInTax: payroll > LUXURY_TAX_LINE,
+    isOverFirstApron: payroll > FIRST_APRON,
+    isOverSecondApron: payroll > SECOND_APRON,
+    luxuryTax: calculateLuxuryTax(payroll).bill,
+  };
+}
+
+/**
+ * What a payroll costs the owner: salaries plus the tax on them.
+ * @param {number} payroll
+ * @returns {number}
+ */
+export function getTeamSpending(payroll) {
+  return payroll + calculateLuxuryTax(payroll).bill;
+}
+
+// =============================================================================
+// REVENUE
+// =============================================================================
+
+/**
+ * A season's revenue: the league's shared media money plus ticket sales.
+ * Gate receipts scale with market size and fill up when the team wins;
+ * playoff home games sell at a premium.
+ * @param {object} params
+ * @param {string} params.teamAbbreviation
+ * @param {number} [params.wins]
+ * @param {number} [params.losses]
+ * @param {number} [params.homeGames] - Regular season home games played; omit for a full season
+ * @param {number} [params.scheduledHomeGames] - Home games on a full schedule
+ * @param {number} [params.playoffHomeGames]
+ * @returns {{ sharedRevenue: number, ticketRevenue: number, playoffRevenue: number, totalRevenue: number }}
+ */
+export function calculateRevenue({
+  teamAbbreviation,
+  wins = 0,
+  losses = 0,
+  homeGames = null,
+  scheduledHomeGames = null,
+  playoffHomeGames = 0,
+}) {
+  const games = wins + losses;
+  const winPct = games > 0 ? wins / games : 0.5;
+  const seasonGate = SEASON_GATE[getMarketSize(teamAbbreviation)] ?? SEASON_GATE.medium;
+  const attendance = ATTENDANCE_FLOOR + winPct * ATTENDANCE_WIN_RANGE;
+
+  // A full slate of home games earns the market's season gate
+  const seasonShare = homeGames != null && scheduledHomeGames ? Math.min(1, homeGames / scheduledHomeGames) : 1;
+  const gatePerGame = seasonGate / (scheduledHomeGames || DEFAULT_HOME_GAMES);
+
+  const ticketRevenue = Math.round(seasonGate * seasonShare * attendance);
+  const playoffRevenue = Math.round(playoffHomeGames * gatePerGame * PLAYOFF_GATE_MULTIPLIER);
+
+  return {
+    sharedRevenue: SHARED_REVENUE,
+    ticketRevenue,
+    playoffRevenue,
+    totalRevenue: SHARED_REVENUE + ticketRevenue + playoffRevenue,
+  };
+}
+
+// =============================================================================
+// OWNER BUDGET
+// =============================================================================
+
+/**
+ * The most the owner will spend on payroll and tax in a season: what the team
+ * brought in last season plus the loss they'll stomach, which is bigger in
+ * big markets. Before a season has been played it's what an average season
+ * would bring in.
+ * @param {object} team
+ * @returns {number}
+ */
+export function getOwnerBudget(team) {
+  if (team?.ownerBudget) return team.ownerBudget;
+  const { totalRevenue } = calculateRevenue({ teamAbbreviation: team?.abbreviation });
+  return totalRevenue + OWNER_LOSS_TOLERANCE[getMarketSize(team?.abbreviation)];
+}
+
+// =============================================================================
+// SEASON SETTLEMENT
+// =============================================================================
+
+/**
+ * Close a team's books for the season: charge the luxury tax on the final
+ * payroll, count the revenue and set next season's owner budget.
+ * @param {object} params
+ * @param {object} params.team
+ * @param {Array} params.roster - The team's players at season end
+ * @param {number} params.seasonYear
+ * @param {number} [params.wins]
+ * @param {number} [params.losses]
+ * @param {number} [params.homeGames] - Regular season home games played
+ * @param {number} [params.scheduledHomeGames]
+ * @param {number} [params.playoffHomeGames]
+ * @returns {object} The season's finance record, with ownerBudget for next season
+ */
+export function settleSeasonFinances({
+  team,
+  roster,
+  seasonYear,
+  wins = 0,
+  losses = 0,
+  homeGames = null,
+  scheduledHomeGames = null,
+  playoffHomeGames = 0,
+}) {
+  const payroll = roster.reduce((sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0) +
+    getDeadMoneyTotal(team.deadMoney);
+  const luxuryTax = calculateLuxuryTax(payroll).bill;
+  const revenue = calculateRevenue({
+    teamAbbreviation: team.abbreviation,
+    wins,
+    losses,
+    homeGames,
+    scheduledHomeGames,
+    playoffHomeGames,
+  });
+
+  return {
+    seasonYear,
+    payroll,
+    luxuryTax,
+    ...revenue,
+    playoffHomeGames,
+    profit: revenue.totalRevenue - payroll - luxuryTax,
+    ownerBudget: revenue.totalRevenue + OWNER_LOSS_TOLERANCE[getMarketSize(team.abbreviation)],
+  };
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -528,4 +885,8 @@ export {
   DEFAULT_FREE_AGENT_SALARY,
   DEFAULT_FREE_AGENT_YEARS,
   MAX_ROSTER_SIZE,
+  LUXURY_TAX_LINE,
+  FIRST_APRON,
+  SECOND_APRON,
+  MINIMUM_SALARY,
 };
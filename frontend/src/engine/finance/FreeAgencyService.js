@@ -0,0 +1,305 @@
+// =============================================================================
+// FreeAgencyService.js
+// =============================================================================
+// The offseason free agency period. AI teams put out offers each day, the
+// user bids alongside them, and players decide after a few days of shopping.
+// State lives on the campaign as `freeAgency`; every signing lands in its
+// tracker feed.
+// =============================================================================
+
+import { planFreeAgentOffers } from '../ai/AIContractService';
+import { buildContext } from '../ai/AITradeService';
+import { getAskingContract, getMarketScore, getTeamSituation, normalizeOffer, scoreOffer } from './ContractNegotiation';
+import { createContract } from './ContractService';
+import { getDeadMoneyTotal, getOwnerBudget, validateSigning } from './FinanceManager';
+
+export const FREE_AGENCY_DAYS = 10;
+
+// Opening day, as month-day in the calendar year after the season started
+const OPENING_DATE = '07-01';
+
+const MAX_ROSTER_SIZE = 15;
+
+// The score a player gives up on per day they go unsigned
+const DAILY_PATIENCE = 1.5;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function getPlayerRating(player) {
+  return player.overallRating ?? player.overall_rating ?? 70;
+}
+
+function getPlayerName(player) {
+  const first = player.firstName ?? player.first_name ?? '';
+  const last = player.lastName ?? player.last_name ?? '';
+  return `${first} ${last}`.trim();
+}
+
+function isFreeAgent(player) {
+  if (player.isDraftProspect) return false;
+  if (player.isFreeAgent === 1 || player.is_free_agent === 1) return true;
+  const teamAbbr = player.teamAbbreviation ?? player.team_abbreviation ?? null;
+  return !teamAbbr || teamAbbr === 'FA';
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + days));
+  return next.toISOString().split('T')[0];
+}
+
+/**
+ * Days a player takes to weigh offers once the first one arrives. Better
+ * players let the market develop.
+ */
+function getShoppingDays(player) {
+  const rating = getPlayerRating(player);
+  if (rating >= 80) return 3;
+  if (rating >= 72) return 2;
+  return 1;
+}
+
+/**
+ * Whether a team can still honour an offer with everything it has signed
+ * since: a roster spot, and room under the second apron and the owner's
+ * budget for the salary (dead money included).
+ */
+function canHonourOffer(leaguePlayers, team, offer) {
+  const roster = leaguePlayers.filter(p => p.teamId === team.id);
+  if (roster.length >= MAX_ROSTER_SIZE) return false;
+
+  const currentPayroll = roster.reduce((sum, p) => sum + (p.contractSalary ?? p.contract_salary ?? 0), 0)
+    + getDeadMoneyTotal(team.deadMoney);
+  return validateSigning({
+    salary: offer.salary,
+    currentPayroll,
+    salaryCap: team.salary_cap ?? team.salaryCap,
+    ownerBudget: getOwnerBudget(team),
+  }).valid;
+}
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * A fresh free agency period.
+ * @param {number} seasonYear - The season that just ended
+ * @returns {object}
+ */
+export function openFreeAgency(seasonYear) {
+  return {
+    seasonYear,
+    status: 'open',
+    day: 1,
+    lastDay: FREE_AGENCY_DAYS,
+    date: `${seasonYear + 1}-${OPENING_DATE}`,
+    offers: [],
+    decisionDays: {},
+    tracker: [],
+  };
+}
+
+/**
+ * Offers on the table for a player, best salary first.
+ * @param {object} state
+ * @param {string} playerId
+ * @returns {Array}
+ */
+export function getPlayerOffers(state, playerId) {
+  return (state?.offers ?? [])
+    .filter(o => o.playerId === playerId)
+    .sort((a, b) => b.salary - a.salary);
+}
+
+/**
+ * Put the user's offer to a free agent, replacing any earlier one.
+ * @param {object} state
+ * @param {object} params
+ * @param {object} params.player
+ * @param {object} params.team - The user's team
+ * @param {object} params.offer - { years, salary, option }
+ * @returns {object} The updated state
+ */
+export function placeUserOffer(state, { player, team, offer }) {
+  if (state.status !== 'open') {
+    throw new Error('Free agency is closed');
+  }
+
+  const terms = normalizeOffer(offer);
+  const offers = state.offers.filter(o => !(o.playerId === player.id && o.isUser));
+  offers.push({
+    playerId: player.id,
+    playerName: getPlayerName(player),
+    teamId: team.id,
+    teamAbbreviation: team.abbreviation,
+    teamName: team.name,
+    ...terms,
+    day: state.day,
+    isUser: true,
+  });
+
+  const decisionDays = { ...state.decisionDays };
+  decisionDays[player.id] ??= Math.min(state.lastDay, state.day + getShoppingDays(player));
+
+  return { ...state, offers, decisionDays };
+}
+
+/**
+ * Pull the user's offer to a free agent.
+ * @param {object} state
+ * @param {string} playerId
+ * @returns {object} The updated state
+ */
+export function withdrawUserOffer(state, playerId) {
+  return { ...state, offers: state.offers.filter(o => !(o.playerId === playerId && o.isUser)) };
+}
+
+// =============================================================================
+// DAILY ROUND
+// =============================================================================
+
+/**
+ * Run one day of free agency:
+ * 1. AI teams make new offers, each working down its priority list
+ * 2. Players whose decision day has come pick the best offer, if it beats
+ *    what they think they can still get; on the last day they take the best.
+ *    Offers the team can no longer fit on its roster or payroll are dropped
+ * 3. Signings void the player's other offers and go into the tracker
+ *
+ * @param {object} params
+ * @param {object} params.state - The free agency state
+ * @param {Array} params.leaguePlayers - All players
+ * @param {Array} params.allTeams - All teams
+ * @param {string} params.userTeamId
+ * @param {object} params.standings - Standings of the season that just ended
+ * @returns {{ state: object, updatedPlayers: Array, signings: Array }}
+ */
+export function runFreeAgencyDay({ state, leaguePlayers, allTeams, userTeamId, standings = { east: [], west: [] } }) {
+  if (state.status !== 'open') {
+    return { state, updatedPlayers: leaguePlayers, signings: [] };
+  }
+
+  const players = [...leaguePlayers];
+  const offers = [...state.offers];
+  const decisionDays = { ...state.decisionDays };
+  const tracker = [...state.tracker];
+  const signings = [];
+  const { day, date } = state;
+  const isLastDay = day >= state.lastDay;
+
+  // 1. New AI offers
+  const freeAgents = players.filter(isFreeAgent);
+  const newOffers = planFreeAgentOffers({
+    aiTeams: allTeams.filter(t => t.id !== userTeamId),
+    leaguePlayers: players,
+    freeAgents,
+    pendingOffers: offers.filter(o => !o.isUser),
+    standings,
+    allTeams,
+  });
+
+  const userTargets = new Set(offers.filter(o => o.isUser).map(o => o.playerId));
+  for (const { priority, ...offer } of newOffers) {
+    const player = freeAgents.find(p => p.id === offer.playerId);
+    offers.push({ ...offer, playerName: getPlayerName(player), option: 'none', day, isUser: false });
+    decisionDays[offer.playerId] ??= Math.min(state.lastDay, day + getShoppingDays(player));
+
+    // Rival bids on players the user is after make the feed
+    if (userTargets.has(offer.playerId)) {
+      tracker.push({
+        type: 'offer',
+        day,
+        date,
+        playerId: player.id,
+        playerName: getPlayerName(player),
+        teamId: offer.teamId,
+        teamAbbreviation: offer.teamAbbreviation,
+        teamName: offer.teamName,
+        years: offer.years,
+        salary: offer.salary,
+      });
+    }
+  }
+
+  // 2. Decisions, best players first
+  const context = buildContext({ standings, teams: allTeams, seasonPhase: 'offseason' });
+  const deciding = players
+    .filter(p => isFreeAgent(p) && decisionDays[p.id] != null && (isLastDay || decisionDays[p.id] <= day))
+    .sort((a, b) => getPlayerRating(b) - getPlayerRating(a));
+
+  for (const player of deciding) {
+    const asking = getAskingContract(player);
+
+    const scored = [];
+    for (const offer of offers.filter(o => o.playerId === player.id)) {
+      const team = allTeams.find(t => t.id === offer.teamId);
+      // Offers from teams that filled up or spent the money since are off the table
+      if (!team || !canHonourOffer(players, team, offer)) {
+        offers.splice(offers.indexOf(offer), 1);
+        continue;
+      }
+      const situation = getTeamSituation(team, player, players, context);
+      scored.push({ offer, team, score: scoreOffer(player, situation, offer, asking) });
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+      delete decisionDays[player.id];
+      continue;
+    }
+
+    const bar = getMarketScore(player, asking) - (day - 1) * DAILY_PATIENCE;
+    const [best] = scored;
+    if (!isLastDay && best.score < bar) {
+      // Holding out for something better
+      decisionDays[player.id] = day + 1;
+      continue;
+    }
+
+    const { offer, team } = best;
+    const idx = players.findIndex(p => p.id === player.id);
+    players[idx] = {
+      ...player,
+      teamId: team.id,
+      teamAbbreviation: team.abbreviation,
+      team_abbreviation: team.abbreviation,
+      ...createContract({ salary: offer.salary, years: offer.years, option: offer.option ?? 'none' }),
+      isFreeAgent: 0,
+    };
+
+    const signing = {
+      type: 'signing',
+      day,
+      date,
+      playerId: player.id,
+      playerName: getPlayerName(player),
+      position: player.position,
+      overallRating: getPlayerRating(player),
+      teamId: team.id,
+      teamAbbreviation: team.abbreviation,
+      teamName: team.name,
+      years: offer.years,
+      salary: offer.salary,
+      option: offer.option ?? 'none',
+      offerCount: scored.length,
+      isUser: !!offer.isUser,
+    };
+    signings.push(signing);
+    tracker.push(signing);
+
+    delete decisionDays[player.id];
+    for (let i = offers.length - 1; i >= 0; i--) {
+      if (offers[i].playerId === player.id) offers.splice(i, 1);
+    }
+  }
+
+  // 3. Next day, or close the window
+  const nextState = isLastDay
+    ? { ...state, status: 'closed', offers: [], decisionDays: {}, tracker }
+    : { ...state, day: day + 1, date: addDays(date, 1), offers, decisionDays, tracker };
+
+  return { state: nextState, updatedPlayers: players, signings };
+}
@@ -5,6 +5,15 @@
 // Translated from PHP: backend/app/Services/TradeService.php
 // =============================================================================
 
+import {
+  getDeadMoneyTotal,
+  getTeamSpending,
+  DEFAULT_SALARY_CAP,
+  FIRST_APRON,
+  SECOND_APRON,
+} from './FinanceManager';
+import { willWaiveNoTradeClause } from './ContractService';
+
 // =============================================================================
 // HELPERS
 // =============================================================================
@@ -20,65 +29,111 @@ function getPlayerName(player) {
 // =============================================================================
 
 /**
- * Validate trade meets salary cap rules.
+ * Validate trade meets salary cap rules. A team that sheds salary or stays
+ * under the cap can take back anything. Over the cap, incoming salary is
+ * limited to 125% of outgoing + $100K, and to 100% over the first apron.
+ * Nobody can add salary past the second apron or beyond what the owner
+ * will pay for.
  * @param {object} params
  * @param {Array} params.userGiving - Assets user is giving [{ type, playerId, ... }]
  * @param {Array} params.userReceiving - Assets user is receiving
- * @param {string} params.capMode - 'easy', 'normal', or 'hard'
  * @param {function} params.getPlayerFn - (playerId) => player object or null
- * @param {number} [params.currentPayroll] - User team's current payroll
+ * @param {number} [params.currentPayroll] - User team's current payroll, dead money included
  * @param {number} [params.salaryCap] - Team salary cap
+ * @param {number} [params.ownerBudget] - Most the owner will spend on payroll and tax
  * @returns {{ valid: boolean, reason?: string, incoming_salary?: number, outgoing_salary?: number, max_incoming?: number }}
  */
 export function validateSalaryCap({
   userGiving,
   userReceiving,
-  capMode = 'normal',
   getPlayerFn,
   currentPayroll = 0,
-  salaryCap = 136_000_000,
+  salaryCap = DEFAULT_SALARY_CAP,
+  ownerBudget = Infinity,
 }) {
-  if (capMode === 'easy') {
-    return { valid: true };
-  }
-
   const outgoingSalary = calculateTotalSalary(userGiving, getPlayerFn);
   const incomingSalary = calculateTotalSalary(userReceiving, getPlayerFn);
+  const netChange = incomingSalary - outgoingSalary;
+  const payrollAfter = currentPayroll + netChange;
+  const salaries = { incoming_salary: incomingSalary, outgoing_salary: outgoingSalary };
 
-  if (capMode === 'normal') {
-    // 125% + $100K rule
-    if (outgoingSalary > 0) {
-      const maxIncoming = (outgoingSalary * 1.25) + 100_000;
-      if (incomingSalary > maxIncoming) {
-        return {
-          valid: false,
-          reason: `Incoming salary ($${incomingSalary.toLocaleString()}) exceeds 125% of outgoing ($${maxIncoming.toLocaleString()})`,
-          incoming_salary: incomingSalary,
-          outgoing_salary: outgoingSalary,
-          max_incoming: maxIncoming,
-        };
-      }
-    }
+  if (netChange <= 0 || payrollAfter <= salaryCap) {
+    return { valid: true, ...salaries };
+  }
+
+  if (payrollAfter > SECOND_APRON) {
+    return {
+      valid: false,
+      reason: `Trade would put payroll over the second apron ($${SECOND_APRON.toLocaleString()})`,
+      ...salaries,
+      current_payroll: currentPayroll,
+      net_change: netChange,
+      second_apron: SECOND_APRON,
+    };
   }
 
-  if (capMode === 'hard') {
-    const netChange = incomingSalary - outgoingSalary;
-    if (currentPayroll + netChange > salaryCap) {
+  const overFirstApron = payrollAfter > FIRST_APRON;
+  const maxIncoming = overFirstApron ? outgoingSalary : (outgoingSalary * 1.25) + 100_000;
+  if (incomingSalary > maxIncoming) {
+    return {
+      valid: false,
+      reason: overFirstApron
+        ? `Over the first apron, incoming salary ($${incomingSalary.toLocaleString()}) can't exceed outgoing ($${outgoingSalary.toLocaleString()})`
+        : `Incoming salary ($${incomingSalary.toLocaleString()}) exceeds 125% of outgoing ($${maxIncoming.toLocaleString()})`,
+      ...salaries,
+      max_incoming: maxIncoming,
+    };
+  }
+
+  if (getTeamSpending(payrollAfter) > ownerBudget) {
+    return {
+      valid: false,
+      reason: "Ownership won't fund the payroll and tax this trade adds",
+      ...salaries,
+      current_payroll: currentPayroll,
+      net_change: netChange,
+      owner_budget: ownerBudget,
+    };
+  }
+
+  return { valid: true, ...salaries };
+}
+
+// =============================================================================
+// NO-TRADE CLAUSES
+// =============================================================================
+
+/**
+ * Check that every player with a no-trade clause agrees to the move: the
+ * user's outgoing players to the AI team and the AI team's to the user.
+ * @param {object} params
+ * @param {Array} params.userGiving - Assets user is giving
+ * @param {Array} params.userReceiving - Assets user is receiving
+ * @param {function} params.getPlayerFn - (playerId) => player object or null
+ * @param {object} params.userTeam - { abbreviation }
+ * @param {object} params.aiTeam - { abbreviation }
+ * @param {object} params.context - From buildContext (standings by abbreviation)
+ * @returns {{ valid: boolean, reason?: string, player_id?: string }}
+ */
+export function validateNoTradeClauses({ userGiving, userReceiving, getPlayerFn, userTeam, aiTeam, context }) {
+  const moves = [
+    ...userGiving.map(asset => ({ asset, destination: aiTeam })),
+    ...userReceiving.map(asset => ({ asset, destination: userTeam })),
+  ];
+
+  for (const { asset, destination } of moves) {
+    if (asset.type !== 'player') continue;
+    const player = getPlayerFn(asset.playerId);
+    if (player && !willWaiveNoTradeClause(player, destination, context)) {
       return {
         valid: false,
-        reason: `Trade would put team over salary cap ($${salaryCap.toLocaleString()})`,
-        current_payroll: currentPayroll,
-        net_change: netChange,
-        salary_cap: salaryCap,
+        reason: `${getPlayerName(player)} won't waive their no-trade clause to join ${destination.name ?? destination.abbreviation}`,
+        player_id: asset.playerId,
       };
     }
   }
 
-  return {
-    valid: true,
-    incoming_salary: incomingSalary,
-    outgoing_salary: outgoingSalary,
-  };
+  return { valid: true };
 }
 
 /**
@@ -354,7 +409,8 @@ function transferPick({ pickId, newOwnerId, draftPicks }) {
 // =============================================================================
 
 /**
- * Recalculate team payrolls after a trade.
+ * Recalculate team payrolls after a trade. Dead money from released players
+ * stays on the books.
  * @param {object} params
  * @param {Array} params.teamIds - IDs of teams involved
  * @param {Array} params.userRoster - User's current roster
@@ -367,20 +423,20 @@ export function recalculatePayrolls({ teamIds, userRoster, leaguePlayers, userTe
   const payrolls = {};
 
   for (const teamId of teamIds) {
+    const team = teams.find(t => t.id == teamId);
+    const deadMoney = getDeadMoneyTotal(team?.deadMoney);
+
     if (teamId == userTeamId) {
       payrolls[teamId] = userRoster.reduce(
         (sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0
+      ) + deadMoney;
+    } else if (team) {
+      const roster = leaguePlayers.filter(p =>
+        (p.teamAbbreviation ?? p.team_abbreviation ?? '') === team.abbreviation
       );
-    } else {
-      const team = teams.find(t => t.id === teamId);
-      if (team) {
-        const roster = leaguePlayers.filter(p =>
-          (p.teamAbbreviation ?? p.team_abbreviation ?? '') === team.abbreviation
-        );
-        payrolls[teamId] = roster.reduce(
-          (sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0
-        );
-      }
+      payrolls[teamId] = roster.reduce(
+        (sum, p) => sum + parseFloat(p.contractSalary ?? p.contract_salary ?? 0), 0
+      ) + deadMoney;
     }
   }
 
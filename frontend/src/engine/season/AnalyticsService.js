@@ -0,0 +1,400 @@
+import { SeasonManager } from './SeasonManager'
+import { TOTAL_GAME_MINUTES } from '../config/GameConfig'
+
+// ---------------------------------------------------------------------------
+// AnalyticsService
+// ---------------------------------------------------------------------------
+// Advanced stats derived from season totals: PER, true shooting, usage,
+// assist and rebound rates, win shares for players; possessions, pace,
+// offensive/defensive rating and the four factors for teams.
+// Pure functions — no file I/O or database access.
+//
+// Formulas follow the Basketball-Reference conventions, with two
+// simplifications: win shares use points scored in place of points produced
+// (with offensive rebounds as the possession credit), and a
+// player's defensive rating is their team's. Pace is expressed per
+// TOTAL_GAME_MINUTES rather than per 48.
+// ---------------------------------------------------------------------------
+
+const LEAGUE_AVERAGE_PER = 15
+const FT_POSSESSION_FACTOR = 0.44
+
+export class AnalyticsService {
+
+  // -----------------------------------------------------------------------
+  // Main Entry Point
+  // -----------------------------------------------------------------------
+
+  /**
+   * Compute advanced stats for every player and team in one split.
+   *
+   * @param {Object} seasonData - Current season data
+   * @param {Object} [options]
+   * @param {boolean} [options.playoffs=false] - Playoff split instead of regular season
+   * @returns {Object} { players: { [playerId]: metrics }, teams: { [teamId]: metrics }, league }
+   */
+  static getSeasonAnalytics(seasonData, { playoffs = false } = {}) {
+    const playerStats = SeasonManager.getAllPlayerStats(seasonData, { playoffs })
+    const teamStats = (playoffs ? seasonData?.playoffTeamStats : seasonData?.teamStats) ?? {}
+
+    const teamTotals = AnalyticsService._buildTeamTotals(playerStats, teamStats)
+    const teams = {}
+    for (const [teamId, totals] of Object.entries(teamTotals)) {
+      teams[teamId] = AnalyticsService.computeTeamMetrics(totals)
+    }
+
+    const league = AnalyticsService._buildLeagueContext(playerStats, teamStats, teams)
+
+    const players = {}
+    for (const [playerId, stats] of Object.entries(playerStats)) {
+      const totals = teamTotals[stats.teamId] ?? null
+      players[playerId] = AnalyticsService.computePlayerMetrics(stats, totals, teams[stats.teamId] ?? null, league)
+    }
+
+    // Scale PER so the minutes-weighted league average is 15
+    let weightedPer = 0
+    let totalMinutes = 0
+    for (const metrics of Object.values(players)) {
+      if (metrics._aPer == null) continue
+      weightedPer += metrics._aPer * metrics.minutesPlayed
+      totalMinutes += metrics.minutesPlayed
+    }
+    const lgAPer = totalMinutes > 0 ? weightedPer / totalMinutes : 0
+    for (const metrics of Object.values(players)) {
+      metrics.per = metrics._aPer != null && lgAPer > 0
+        ? AnalyticsService._round(metrics._aPer * (LEAGUE_AVERAGE_PER / lgAPer), 1)
+        : 0
+      delete metrics._aPer
+    }
+
+    return { players, teams, league }
+  }
+
+  /**
+   * Advanced stats for a single player, or null if they have no stats.
+   */
+  static getPlayerAnalytics(seasonData, playerId, { playoffs = false } = {}) {
+    return AnalyticsService.getSeasonAnalytics(seasonData, { playoffs }).players[String(playerId)] ?? null
+  }
+
+  // -----------------------------------------------------------------------
+  // Team Metrics
+  // -----------------------------------------------------------------------
+
+  /**
+   * Estimate possessions from box totals.
+   * @param {Object} box - Team box totals
+   * @returns {number}
+   */
+  static estimatePossessions(box) {
+    if (!box) return 0
+    return (box.fieldGoalsAttempted ?? 0)
+      - (box.offensiveRebounds ?? 0)
+      + (box.turnovers ?? 0)
+      + FT_POSSESSION_FACTOR * (box.freeThrowsAttempted ?? 0)
+  }
+
+  /**
+   * Possessions, pace, ratings and four factors for one team.
+   * @param {Object} totals - { box, opponentBox, games } from _buildTeamTotals
+   * @returns {Object}
+   */
+  static computeTeamMetrics(totals) {
+    const { box, opponentBox, games } = totals
+    const ownPossessions = AnalyticsService.estimatePossessions(box)
+
+    // Both teams get (nearly) the same number of possessions; averaging the
+    // two estimates smooths out rebounding noise.
+    const possessions = opponentBox
+      ? (ownPossessions + AnalyticsService.estimatePossessions(opponentBox)) / 2
+      : ownPossessions
+
+    const teamGames = box.minutes > 0 ? box.minutes / (5 * TOTAL_GAME_MINUTES) : games
+    const pace = opponentBox && teamGames > 0 ? possessions / teamGames : null
+
+    const offRating = possessions > 0 ? 100 * box.points / possessions : 0
+    const defRating = opponentBox && possessions > 0 ? 100 * opponentBox.points / possessions : null
+
+    return {
+      games,
+      possessions: AnalyticsService._round(possessions, 1),
+      pace: pace != null ? AnalyticsService._round(pace, 1) : null,
+      offRating: AnalyticsService._round(offRating, 1),
+      defRating: defRating != null ? AnalyticsService._round(defRating, 1) : null,
+      netRating: defRating != null ? AnalyticsService._round(offRating - defRating, 1) : null,
+      fourFactors: AnalyticsService._fourFactors(box, opponentBox),
+      opponentFourFactors: opponentBox ? AnalyticsService._fourFactors(opponentBox, box) : null,
+    }
+  }
+
+  /**
+   * eFG%, turnover rate, offensive rebound rate and free throw rate (0-100
+   * scale except FT rate, which is FTM per FGA).
+   * @private
+   */
+  static _fourFactors(box, opponentBox) {
+    const fga = box.fieldGoalsAttempted ?? 0
+    const plays = fga + FT_POSSESSION_FACTOR * (box.freeThrowsAttempted ?? 0) + (box.turnovers ?? 0)
+    const orbChances = (box.offensiveRebounds ?? 0) + (opponentBox?.defensiveRebounds ?? 0)
+
+    return {
+      efgPct: AnalyticsService._pct(box.fieldGoalsMade + 0.5 * box.threePointersMade, fga),
+      tovPct: AnalyticsService._pct(box.turnovers, plays),
+      orbPct: opponentBox ? AnalyticsService._pct(box.offensiveRebounds, orbChances) : null,
+      ftRate: fga > 0 ? AnalyticsService._round(box.freeThrowsMade / fga, 3) : 0,
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Player Metrics
+  // -----------------------------------------------------------------------
+
+  /**
+   * Advanced stats for one player. `per` is left unscaled here (in `_aPer`)
+   * because the league normalisation needs every player's value first.
+   *
+   * @param {Object} stats - Season totals from SeasonManager
+   * @param {Object|null} teamTotals - { box, opponentBox } for the player's team
+   * @param {Object|null} teamMetrics - From computeTeamMetrics
+   * @param {Object} league - From _buildLeagueContext
+   * @returns {Object}
+   */
+  static computePlayerMetrics(stats, teamTotals, teamMetrics, league) {
+    const mp = stats.minutesPlayed ?? 0
+    const fga = stats.fieldGoalsAttempted ?? 0
+    const fta = stats.freeThrowsAttempted ?? 0
+    const tov = stats.turnovers ?? 0
+    const pts = stats.points ?? 0
+
+    const metrics = {
+      playerId: stats.playerId,
+      playerName: stats.playerName,
+      teamId: stats.teamId,
+      gamesPlayed: stats.gamesPlayed ?? 0,
+      minutesPlayed: mp,
+      tsPct: AnalyticsService._pct(pts, 2 * (fga + FT_POSSESSION_FACTOR * fta)),
+      efgPct: AnalyticsService._pct((stats.fieldGoalsMade ?? 0) + 0.5 * (stats.threePointersMade ?? 0), fga),
+      usgPct: 0,
+      astPct: 0,
+      orbPct: 0,
+      drbPct: 0,
+      trbPct: 0,
+      ows: 0,
+      dws: 0,
+      ws: 0,
+      wsPer48: 0,
+      _aPer: null,
+    }
+
+    if (mp <= 0) return metrics
+
+    const box = teamTotals?.box
+    const opp = teamTotals?.opponentBox
+    const teamFiveMinutes = box?.minutes > 0 ? box.minutes / 5 : 0
+
+    if (teamFiveMinutes > 0) {
+      const share = teamFiveMinutes / mp
+      const teamPlays = box.fieldGoalsAttempted + FT_POSSESSION_FACTOR * box.freeThrowsAttempted + box.turnovers
+      metrics.usgPct = AnalyticsService._pct((fga + FT_POSSESSION_FACTOR * fta + tov) * share, teamPlays)
+
+      const teammateFgm = (mp / teamFiveMinutes) * box.fieldGoalsMade - (stats.fieldGoalsMade ?? 0)
+      metrics.astPct = AnalyticsService._pct(stats.assists ?? 0, teammateFgm)
+
+      if (opp) {
+        metrics.orbPct = AnalyticsService._pct((stats.offensiveRebounds ?? 0) * share, box.offensiveRebounds + opp.defensiveRebounds)
+        metrics.drbPct = AnalyticsService._pct((stats.defensiveRebounds ?? 0) * share, box.defensiveRebounds + opp.offensiveRebounds)
+        metrics.trbPct = AnalyticsService._pct(
+          (stats.rebounds ?? 0) * share,
+          box.offensiveRebounds + box.defensiveRebounds + opp.offensiveRebounds + opp.defensiveRebounds
+        )
+      }
+    }
+
+    metrics._aPer = AnalyticsService._adjustedPer(stats, box, teamMetrics, league)
+
+    // Win shares
+    const paceRatio = teamMetrics?.pace && league.pace ? teamMetrics.pace / league.pace : 1
+    const pointsPerWin = 0.32 * league.pointsPerGame * paceRatio
+    if (pointsPerWin > 0) {
+      // Offensive rebounds extend possessions rather than using them, so
+      // players' possessions sum to the team's
+      const possessions = AnalyticsService.estimatePossessions(stats)
+      const marginalOffense = pts - 0.92 * league.pointsPerPossession * possessions
+      metrics.ows = marginalOffense / pointsPerWin
+
+      if (teamFiveMinutes > 0 && teamMetrics?.defRating != null) {
+        const minuteShare = mp / (teamFiveMinutes * 5)
+        const marginalDefense = minuteShare * teamMetrics.possessions
+          * (1.08 * league.pointsPerPossession - teamMetrics.defRating / 100)
+        metrics.dws = marginalDefense / pointsPerWin
+      }
+    }
+    metrics.ws = metrics.ows + metrics.dws
+    metrics.wsPer48 = AnalyticsService._round(metrics.ws / mp * 48, 3)
+    metrics.ows = AnalyticsService._round(metrics.ows, 1)
+    metrics.dws = AnalyticsService._round(metrics.dws, 1)
+    metrics.ws = AnalyticsService._round(metrics.ws, 1)
+
+    return metrics
+  }
+
+  /**
+   * Hollinger's unadjusted PER, pace-adjusted to the league. Falls back to
+   * league assist ratios when the team has no box totals.
+   * @private
+   */
+  static _adjustedPer(stats, teamBox, teamMetrics, league) {
+    const mp = stats.minutesPlayed ?? 0
+    if (mp <= 0 || !league.vop) return null
+
+    const fgm = stats.fieldGoalsMade ?? 0
+    const fga = stats.fieldGoalsAttempted ?? 0
+    const ftm = stats.freeThrowsMade ?? 0
+    const fta = stats.freeThrowsAttempted ?? 0
+    const orb = stats.offensiveRebounds ?? 0
+    const trb = stats.rebounds ?? 0
+    const { vop, drbPct, factor } = league
+
+    const teamAstRatio = teamBox?.fieldGoalsMade > 0
+      ? teamBox.assists / teamBox.fieldGoalsMade
+      : league.assistRatio
+
+    const uPer = (1 / mp) * (
+      (stats.threePointersMade ?? 0)
+      + (2 / 3) * (stats.assists ?? 0)
+      + (2 - factor * teamAstRatio) * fgm
+      + ftm * 0.5 * (1 + (1 - teamAstRatio) + (2 / 3) * teamAstRatio)
+      - vop * (stats.turnovers ?? 0)
+      - vop * drbPct * (fga - fgm)
+      - vop * FT_POSSESSION_FACTOR * (FT_POSSESSION_FACTOR + (1 - FT_POSSESSION_FACTOR) * drbPct) * (fta - ftm)
+      + vop * (1 - drbPct) * (trb - orb)
+      + vop * drbPct * orb
+      + vop * (stats.steals ?? 0)
+      + vop * drbPct * (stats.blocks ?? 0)
+      - (stats.personalFouls ?? 0) * league.foulPenalty
+    )
+
+    const paceAdjustment = teamMetrics?.pace && league.pace ? league.pace / teamMetrics.pace : 1
+    return uPer * paceAdjustment
+  }
+
+  // -----------------------------------------------------------------------
+  // Totals & League Context
+  // -----------------------------------------------------------------------
+
+  /**
+   * Team box totals keyed by team ID. Teams with tracked box totals use
+   * them (and get opponent totals); older saves fall back to summing player
+   * lines, without opponent data.
+   * @private
+   */
+  static _buildTeamTotals(playerStats, teamStats) {
+    const totals = {}
+
+    for (const [teamId, stats] of Object.entries(teamStats)) {
+      if (!stats?.box) continue
+      totals[teamId] = {
+        box: stats.box,
+        opponentBox: stats.opponentBox ?? null,
+        games: stats.boxGames ?? (stats.wins ?? 0) + (stats.losses ?? 0),
+      }
+    }
+
+    const summed = {}
+    for (const stats of Object.values(playerStats)) {
+      const teamId = stats.teamId
+      if (!teamId || totals[teamId]) continue
+      if (!summed[teamId]) summed[teamId] = SeasonManager.createEmptyBoxTotals()
+      const box = summed[teamId]
+      box.minutes += stats.minutesPlayed ?? 0
+      box.points += stats.points ?? 0
+      box.fieldGoalsMade += stats.fieldGoalsMade ?? 0
+      box.fieldGoalsAttempted += stats.fieldGoalsAttempted ?? 0
+      box.threePointersMade += stats.threePointersMade ?? 0
+      box.threePointersAttempted += stats.threePointersAttempted ?? 0
+      box.freeThrowsMade += stats.freeThrowsMade ?? 0
+      box.freeThrowsAttempted += stats.freeThrowsAttempted ?? 0
+      box.offensiveRebounds += stats.offensiveRebounds ?? 0
+      box.defensiveRebounds += stats.defensiveRebounds ?? 0
+      box.assists += stats.assists ?? 0
+      box.steals += stats.steals ?? 0
+      box.blocks += stats.blocks ?? 0
+      box.turnovers += stats.turnovers ?? 0
+      box.personalFouls += stats.personalFouls ?? 0
+    }
+    for (const [teamId, box] of Object.entries(summed)) {
+      const record = teamStats[teamId]
+      totals[teamId] = {
+        box,
+        opponentBox: null,
+        games: (record?.wins ?? 0) + (record?.losses ?? 0),
+      }
+    }
+
+    return totals
+  }
+
+  /**
+   * League-wide constants used by PER and win shares.
+   * @private
+   */
+  static _buildLeagueContext(playerStats, teamStats, teamMetrics) {
+    const lg = SeasonManager.createEmptyBoxTotals()
+    for (const stats of Object.values(playerStats)) {
+      lg.points += stats.points ?? 0
+      lg.fieldGoalsMade += stats.fieldGoalsMade ?? 0
+      lg.fieldGoalsAttempted += stats.fieldGoalsAttempted ?? 0
+      lg.freeThrowsMade += stats.freeThrowsMade ?? 0
+      lg.freeThrowsAttempted += stats.freeThrowsAttempted ?? 0
+      lg.offensiveRebounds += stats.offensiveRebounds ?? 0
+      lg.defensiveRebounds += stats.defensiveRebounds ?? 0
+      lg.assists += stats.assists ?? 0
+      lg.turnovers += stats.turnovers ?? 0
+      lg.personalFouls += stats.personalFouls ?? 0
+    }
+
+    const possessions = AnalyticsService.estimatePossessions(lg)
+    const vop = possessions > 0 ? lg.points / possessions : 0
+    const trb = lg.offensiveRebounds + lg.defensiveRebounds
+    const assistRatio = lg.fieldGoalsMade > 0 ? lg.assists / lg.fieldGoalsMade : 0
+    const factor = lg.fieldGoalsMade > 0 && lg.freeThrowsMade > 0
+      ? (2 / 3) - (0.5 * assistRatio) / (2 * (lg.fieldGoalsMade / lg.freeThrowsMade))
+      : 2 / 3
+    const foulPenalty = lg.personalFouls > 0
+      ? (lg.freeThrowsMade / lg.personalFouls) - FT_POSSESSION_FACTOR * (lg.freeThrowsAttempted / lg.personalFouls) * vop
+      : 0
+
+    let teamGames = 0
+    for (const stats of Object.values(teamStats)) {
+      teamGames += (stats?.wins ?? 0) + (stats?.losses ?? 0)
+    }
+
+    const paces = Object.values(teamMetrics).map(t => t.pace).filter(p => p != null)
+    const pace = paces.length > 0 ? paces.reduce((a, b) => a + b, 0) / paces.length : null
+
+    return {
+      vop,
+      pointsPerPossession: vop,
+      pointsPerGame: teamGames > 0 ? lg.points / teamGames : 0,
+      drbPct: trb > 0 ? lg.defensiveRebounds / trb : 0,
+      assistRatio,
+      factor,
+      foulPenalty,
+      pace,
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Helpers
+  // -----------------------------------------------------------------------
+
+  static _pct(numerator, denominator) {
+    if (!denominator || denominator <= 0) return 0
+    return AnalyticsService._round((numerator / denominator) * 100, 1)
+  }
+
+  static _round(value, decimals) {
+    const scale = 10 ** decimals
+    return Math.round(value * scale) / scale
+  }
+}
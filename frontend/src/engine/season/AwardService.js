@@ -1,4 +1,5 @@
 import { SeasonManager } from './SeasonManager'
+import { AnalyticsService } from './AnalyticsService'
 
 // ---------------------------------------------------------------------------
 // AwardService
@@ -29,7 +30,11 @@ export class AwardService {
    * @returns {Object} { mvp, rookieOfTheYear, allNba, allRookie, allDefense, newsEvents }
    */
   static processSeasonAwards({ seasonData, year, allPlayers, teams, userTeamId }) {
-    const allStats = SeasonManager.getAllPlayerStats(seasonData)
+    const analytics = AnalyticsService.getSeasonAnalytics(seasonData)
+    const allStats = {}
+    for (const [playerId, stats] of Object.entries(SeasonManager.getAllPlayerStats(seasonData))) {
+      allStats[playerId] = { ...stats, advanced: analytics.players[playerId] ?? null }
+    }
     const standings = SeasonManager.getStandings(seasonData)
 
     const teamWinPcts = AwardService._buildTeamWinPcts(standings)
@@ -168,6 +173,16 @@ export class AwardService {
 
     return (ppg * 3.5) + (rpg * 2) + (apg * 3) + (spg * 2) + (bpg * 1.5)
            - (tovpg * 1.5) + (fgPct * 5) + (teamWinPct * 15)
+           + AwardService._scoreAdvanced(stats.advanced)
+  }
+
+  /**
+   * Efficiency bonus on top of the counting stats: PER above league average
+   * and win shares per 48. Zero when no advanced stats are available.
+   */
+  static _scoreAdvanced(advanced) {
+    if (!advanced) return 0
+    return ((advanced.per ?? 15) - 15) * 1.5 + (advanced.wsPer48 ?? 0) * 30
   }
 
   static _scoreROTY(stats, teamWinPct) {
@@ -183,6 +198,7 @@ export class AwardService {
 
     return (ppg * 3) + (rpg * 2) + (apg * 2.5) + (spg * 2) + (bpg * 1.5)
            - (tovpg * 0.5) + (teamWinPct * 5)
+           + AwardService._scoreAdvanced(stats.advanced)
   }
 
   static _scoreDefense(stats, teamWinPct, attributes) {
@@ -205,8 +221,16 @@ export class AwardService {
       defAttrAvg = vals.reduce((a, b) => a + b, 0) / vals.length
     }
 
+    // Defensive win shares per 48 and defensive rebound rate
+    const advanced = stats.advanced
+    const mp = stats.minutesPlayed ?? 0
+    const advancedBonus = advanced && mp > 0
+      ? (advanced.dws / mp * 48) * 40 + (advanced.drbPct ?? 0) * 0.1
+      : 0
+
     return (spg * 5) + (bpg * 5) + (drpg * 1.5) + (rpg * 0.5)
            - (pfpg * 0.5) + (defAttrAvg / 10) + (teamWinPct * 5)
+           + advancedBonus
   }
 
   // -----------------------------------------------------------------------
@@ -227,6 +251,9 @@ export class AwardService {
       fgPct: (stats.fieldGoalsAttempted ?? 0) > 0
         ? Math.round(((stats.fieldGoalsMade ?? 0) / stats.fieldGoalsAttempted * 100) * 10) / 10
         : 0,
+      per: stats.advanced?.per ?? null,
+      tsPct: stats.advanced?.tsPct ?? null,
+      ws: stats.advanced?.ws ?? null,
     }
   }
 
@@ -81,6 +81,26 @@ export const BreakingNewsService = {
     }
   },
 
+  coachFired({ teamName, coachName, record, date }) {
+    return {
+      headline: `${teamName.toUpperCase()} FIRE HEAD COACH ${coachName.toUpperCase()}`,
+      body: `The ${teamName} have parted ways with head coach ${coachName}${record ? ` after a ${record.wins}-${record.losses} season` : ''}. The search for a replacement begins immediately.`,
+      category: 'COACHING',
+      icon: 'UserMinus',
+      date,
+    }
+  },
+
+  coachHired({ teamName, coachName, years, date }) {
+    return {
+      headline: `${teamName.toUpperCase()} NAME ${coachName.toUpperCase()} HEAD COACH`,
+      body: `The ${teamName} have hired ${coachName} as their new head coach${years ? ` on a ${years}-year deal` : ''}. Players will have to adjust to a new voice and a new system.`,
+      category: 'COACHING',
+      icon: 'UserPlus',
+      date,
+    }
+  },
+
   rookieOfTheYear({ playerName, teamName, stats, date }) {
     return {
       headline: `${playerName.toUpperCase()} NAMED ROOKIE OF THE YEAR`,
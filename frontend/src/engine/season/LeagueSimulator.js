@@ -0,0 +1,271 @@
+// =============================================================================
+// LeagueSimulator.js
+// =============================================================================
+// Runs complete seasons entirely in memory — no IndexedDB, no worker, no
+// user team. Builds a league from generated rosters, plays the regular
+// season and playoffs through GameSimulator, and aggregates league-wide
+// averages for balance tuning of GameConfig constants.
+//
+// Used by the headless CLI (frontend/scripts/simulate-season.js).
+// =============================================================================
+
+import GameSimulator from '../simulation/GameSimulator'
+import { SeasonManager, DEFAULT_SEASON_LENGTH } from './SeasonManager'
+import { PlayoffManager } from './PlayoffManager'
+import { generateTeams, generateRoster, getTeamTier } from '../campaign/CampaignManager'
+import { initializeTeamLineup } from '../ai/AILineupService'
+import { generateAITargetMinutes } from '../simulation/SubstitutionEngine'
+import { BADGES } from '../data/badges'
+import { SYNERGIES } from '../data/synergies'
+import { TOTAL_GAME_MINUTES, OVERTIME_LENGTH_MINUTES } from '../config/GameConfig'
+import { generateSeed, deriveSeed, withSeed } from '../utils/Random'
+
+const START_YEAR = 2025
+
+// Columns written by formatLeagueAveragesCsv, in order
+export const LEAGUE_AVERAGE_FIELDS = [
+  'games',
+  'pace',
+  'ppg',
+  'fga',
+  'fgPct',
+  'fg3a',
+  'fg3Pct',
+  'threePointRate',
+  'fta',
+  'ftPct',
+  'freeThrowRate',
+  'turnovers',
+  'offensiveRebounds',
+  'rebounds',
+  'assists',
+  'fouls',
+  'overtimeRate',
+  'homeWinPct',
+]
+
+// =============================================================================
+// LEAGUE SETUP
+// =============================================================================
+
+/**
+ * Build a 30-team league in memory with generated rosters and AI lineups.
+ *
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - Master seed (fresh one if omitted)
+ * @returns {{ id: string, seed: number, teams: Array }} Teams carry their roster in team.players
+ */
+export function createLeague(options = {}) {
+  const seed = options.seed ?? generateSeed()
+  const leagueId = `headless_${seed}`
+
+  const teams = withSeed(deriveSeed(seed, 'league'), () => {
+    const generated = generateTeams(leagueId)
+
+    generated.forEach((team, index) => {
+      const roster = generateRoster(leagueId, team.id, team.abbreviation, getTeamTier(team.abbreviation), index)
+      const { starters, subStrategy } = initializeTeamLineup(roster)
+
+      team.players = roster
+      team.lineup_settings = {
+        starters,
+        subStrategy,
+        target_minutes: generateAITargetMinutes(roster, starters, subStrategy),
+      }
+      team.coaching_scheme = {
+        ...team.coaching_scheme,
+        substitution: subStrategy,
+      }
+    })
+
+    return generated
+  })
+
+  return { id: leagueId, seed, teams }
+}
+
+// =============================================================================
+// SEASON SIMULATION
+// =============================================================================
+
+/**
+ * Simulate one full season (regular season + playoffs) for a league.
+ *
+ * @param {Object} league - From createLeague
+ * @param {Object} [options]
+ * @param {number} [options.year=2025]
+ * @param {number} [options.seasonLength=54] - Regular season games per team
+ * @param {Object} [options.playoffFormat] - Playoff field/series settings (see PlayoffManager.resolveFormat)
+ * @param {Function} [options.onProgress] - ({ phase, completed, total }) after every game
+ * @returns {{ year, seasonData, scheduleReport, results: { regularSeason: Array, playoffs: Array }, champion }}
+ */
+export function simulateSeason(league, options = {}) {
+  const { year = START_YEAR, seasonLength = DEFAULT_SEASON_LENGTH, playoffFormat = undefined, onProgress = null } = options
+  const { teams } = league
+  const teamsById = Object.fromEntries(teams.map(t => [t.id, t]))
+  const simulator = new GameSimulator({ badgeDefinitions: BADGES, badgeSynergies: SYNERGIES })
+
+  const seasonData = SeasonManager.initializeSeason(teams, year, league.id)
+  withSeed(deriveSeed(league.seed, 'schedule', year), () =>
+    SeasonManager.generateSchedule(seasonData, teams, null, year, `${year}-10-21`, { seasonLength })
+  )
+  const scheduleReport = SeasonManager.validateSchedule(seasonData, teams, seasonLength)
+
+  const playGame = (game) => {
+    const result = simulator.simulateGame(teamsById[game.homeTeamId], teamsById[game.awayTeamId], {
+      generateAnimationData: false,
+      isLiveGame: false,
+      seed: deriveSeed(league.seed, game.id),
+      ...SeasonManager.getRestDays(seasonData, game),
+    })
+    SeasonManager.updateGame(seasonData, game.id, {
+      isComplete: true,
+      homeScore: result.home_score,
+      awayScore: result.away_score,
+      boxScore: result.box_score,
+      quarterScores: result.quarter_scores,
+      seed: result.seed,
+    }, false)
+    return result
+  }
+
+  // ---- Regular season ----
+  const regularSeason = []
+  const regularGames = seasonData.schedule.filter(g => !g.isPlayoff)
+  for (const game of regularGames) {
+    const result = playGame(game)
+    SeasonManager.updateStandingsAfterGame(
+      seasonData, game.homeTeamId, game.awayTeamId, result.home_score, result.away_score
+    )
+    regularSeason.push(result)
+    onProgress?.({ phase: 'regular_season', completed: regularSeason.length, total: regularGames.length })
+  }
+
+  // ---- Playoffs ----
+  const playoffs = []
+  PlayoffManager.generatePlayoffBracket(seasonData, teams, playoffFormat)
+  PlayoffManager.generatePendingSchedules(seasonData, teams, year)
+
+  // Each pass plays everything scheduled so far, then schedules the matchups it created
+  const unplayedPlayoffGames = () => seasonData.schedule.filter(g => g.isPlayoff && !g.isComplete && !g.isCancelled)
+  let roundGames = unplayedPlayoffGames()
+  while (roundGames.length > 0) {
+    // Games are listed series by series; clinching a series cancels the rest
+    for (const game of roundGames) {
+      if (game.isComplete || game.isCancelled) continue
+
+      const result = playGame(game)
+      playoffs.push(result)
+
+      const seriesResult = PlayoffManager.updateSeriesAfterGame(
+        seasonData, game, result.home_score, result.away_score
+      )
+      if (seriesResult?.seriesComplete) {
+        PlayoffManager.advanceWinnerToNextRound(seasonData, seriesResult)
+      }
+      onProgress?.({ phase: 'playoffs', completed: playoffs.length, total: null })
+    }
+    PlayoffManager.generatePendingSchedules(seasonData, teams, year)
+    roundGames = unplayedPlayoffGames()
+  }
+
+  return {
+    year,
+    seasonData,
+    scheduleReport,
+    results: { regularSeason, playoffs },
+    champion: seasonData.playoffBracket?.champion ?? null,
+  }
+}
+
+// =============================================================================
+// LEAGUE AVERAGES
+// =============================================================================
+
+/**
+ * Aggregate league-wide per-team-game averages from a list of game results.
+ *
+ * Pace is team possessions per regulation game (overtime possessions are
+ * scaled out), so it is comparable to POSSESSIONS_PER_MINUTE tuning.
+ *
+ * @param {Array} results - GameSimulator.simulateGame results
+ * @returns {Object} Keyed by LEAGUE_AVERAGE_FIELDS
+ */
+export function calculateLeagueAverages(results) {
+  const totals = {
+    points: 0, fgm: 0, fga: 0, fg3m: 0, fg3a: 0, ftm: 0, fta: 0,
+    turnovers: 0, offensiveRebounds: 0, rebounds: 0, assists: 0, fouls: 0,
+    possessions: 0, overtimeGames: 0, homeWins: 0,
+  }
+
+  for (const result of results) {
+    for (const side of ['home', 'away']) {
+      for (const line of result.box_score?.[side] ?? []) {
+        totals.points += line.points ?? 0
+        totals.fgm += line.fgm ?? 0
+        totals.fga += line.fga ?? 0
+        totals.fg3m += line.fg3m ?? 0
+        totals.fg3a += line.fg3a ?? 0
+        totals.ftm += line.ftm ?? 0
+        totals.fta += line.fta ?? 0
+        totals.turnovers += line.turnovers ?? 0
+        totals.offensiveRebounds += line.offensive_rebounds ?? 0
+        totals.rebounds += line.rebounds ?? 0
+        totals.assists += line.assists ?? 0
+        totals.fouls += line.fouls ?? 0
+      }
+    }
+
+    const otPeriods = result.overtime_periods ?? 0
+    const gameMinutes = TOTAL_GAME_MINUTES + otPeriods * OVERTIME_LENGTH_MINUTES
+    totals.possessions += (result.total_possessions ?? 0) * (TOTAL_GAME_MINUTES / gameMinutes)
+    if (otPeriods > 0) totals.overtimeGames++
+    if (result.home_score > result.away_score) totals.homeWins++
+  }
+
+  const games = results.length
+  const teamGames = games * 2
+  const perTeam = value => (teamGames > 0 ? round(value / teamGames, 2) : 0)
+  const ratio = (num, den) => (den > 0 ? round(num / den, 3) : 0)
+
+  return {
+    games,
+    pace: perTeam(totals.possessions),
+    ppg: perTeam(totals.points),
+    fga: perTeam(totals.fga),
+    fgPct: ratio(totals.fgm, totals.fga),
+    fg3a: perTeam(totals.fg3a),
+    fg3Pct: ratio(totals.fg3m, totals.fg3a),
+    threePointRate: ratio(totals.fg3a, totals.fga),
+    fta: perTeam(totals.fta),
+    ftPct: ratio(totals.ftm, totals.fta),
+    freeThrowRate: ratio(totals.fta, totals.fga),
+    turnovers: perTeam(totals.turnovers),
+    offensiveRebounds: perTeam(totals.offensiveRebounds),
+    rebounds: perTeam(totals.rebounds),
+    assists: perTeam(totals.assists),
+    fouls: perTeam(totals.fouls),
+    overtimeRate: ratio(totals.overtimeGames, games),
+    homeWinPct: ratio(totals.homeWins, games),
+  }
+}
+
+/**
+ * Format league-average rows as CSV.
+ *
+ * @param {Array<Object>} rows - Each row: { season, phase, ...calculateLeagueAverages() }
+ * @returns {string}
+ */
+export function formatLeagueAveragesCsv(rows) {
+  const header = ['season', 'phase', ...LEAGUE_AVERAGE_FIELDS]
+  const lines = [header.join(',')]
+  for (const row of rows) {
+    lines.push(header.map(field => row[field] ?? '').join(','))
+  }
+  return lines.join('\n') + '\n'
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
@@ -6,6 +6,8 @@
 // Each method returns a news event object that the caller can persist.
 // ---------------------------------------------------------------------------
 
+import { random } from '../utils/Random'
+
 export class NewsService {
 
   /**
@@ -19,10 +21,12 @@ export class NewsService {
    * @param {number} params.awayScore
    * @param {boolean} params.isHomeTeam - Whether the player's team is the home team
    * @param {string} params.shotType - e.g. "three-pointer", "layup", "jumper"
+   * @param {number} [params.secondsLeft] - Game clock when the shot went in
+   * @param {boolean} [params.overtime] - Whether it came in overtime
    * @param {string} params.gameDate - YYYY-MM-DD
    * @returns {Object} News event object
    */
-  static createGameWinnerNews({ player, homeTeam, awayTeam, homeScore, awayScore, isHomeTeam, shotType, gameDate }) {
+  static createGameWinnerNews({ player, homeTeam, awayTeam, homeScore, awayScore, isHomeTeam, shotType, secondsLeft = null, overtime = false, gameDate }) {
     const playerName = `${player.firstName ?? player.first_name ?? 'Unknown'} ${player.lastName ?? player.last_name ?? 'Player'}`
     const winningTeam = isHomeTeam ? homeTeam.name : awayTeam.name
     const losingTeam = isHomeTeam ? awayTeam.name : homeTeam.name
@@ -30,17 +34,24 @@ export class NewsService {
     const headlines = [
       `${playerName} hits game-winner! ${winningTeam} defeats ${losingTeam}`,
       `Clutch! ${playerName} lifts ${winningTeam} to victory`,
-      `${playerName}'s ${shotType} sinks ${losingTeam} at the buzzer`,
     ]
+    if (secondsLeft !== null && secondsLeft <= 3) {
+      headlines.push(`${playerName}'s ${shotType} sinks ${losingTeam} at the buzzer`)
+    }
 
-    const headline = headlines[Math.floor(Math.random() * headlines.length)]
+    const headline = headlines[Math.floor(random() * headlines.length)]
+    let when = ''
+    if (secondsLeft !== null) {
+      when = secondsLeft <= 0 ? ' at the buzzer' : ` with ${secondsLeft} second${secondsLeft === 1 ? '' : 's'} left`
+      if (overtime) when += ' of overtime'
+    }
 
     return {
       playerId: NewsService._resolvePlayerId(player),
       teamId: isHomeTeam ? (homeTeam.id ?? null) : (awayTeam.id ?? null),
       eventType: 'game_winner',
       headline,
-      body: `${playerName} hit a clutch ${shotType} to give the ${winningTeam} a ${homeScore}-${awayScore} victory over the ${losingTeam}.`,
+      body: `${playerName} hit a clutch ${shotType}${when} to give the ${winningTeam} a ${homeScore}-${awayScore} victory over the ${losingTeam}.`,
       gameDate,
     }
   }
@@ -90,7 +101,7 @@ export class NewsService {
       `${loserTeam.name} never stood a chance as ${winnerTeam.name} rolls`,
     ]
 
-    const headline = headlines[Math.floor(Math.random() * headlines.length)]
+    const headline = headlines[Math.floor(random() * headlines.length)]
 
     return {
       teamId: winnerTeam.id ?? null,
@@ -126,7 +137,7 @@ export class NewsService {
       `Monster game: ${playerName} puts up ${pts}/${reb}/${ast} stat line`,
     ]
 
-    const headline = headlines[Math.floor(Math.random() * headlines.length)]
+    const headline = headlines[Math.floor(random() * headlines.length)]
 
     return {
       playerId: NewsService._resolvePlayerId(player),
@@ -138,6 +149,65 @@ export class NewsService {
     }
   }
 
+  /**
+   * Create news for a player who took over in clutch minutes.
+   *
+   * @param {Object} params
+   * @param {Object} params.player - { id, firstName/first_name, lastName/last_name }
+   * @param {Object} params.team - { id, name }
+   * @param {Object} params.opponent - { id, name }
+   * @param {number} params.clutchPoints - Points scored in clutch minutes
+   * @param {string} params.gameDate
+   * @returns {Object} News event object
+   */
+  static createClutchPerformanceNews({ player, team, opponent, clutchPoints, gameDate }) {
+    const playerName = `${player.firstName ?? player.first_name ?? 'Unknown'} ${player.lastName ?? player.last_name ?? 'Player'}`
+
+    const headlines = [
+      `${playerName} takes over late as ${team.name} hold off ${opponent.name}`,
+      `Ice cold: ${playerName} scores ${clutchPoints} in crunch time`,
+      `${playerName} closes out the ${opponent.name}`,
+    ]
+
+    const headline = headlines[Math.floor(random() * headlines.length)]
+
+    return {
+      playerId: NewsService._resolvePlayerId(player),
+      teamId: team.id ?? null,
+      eventType: 'big_performance',
+      headline,
+      body: `${playerName} scored ${clutchPoints} points in the closing minutes to lift the ${team.name} past the ${opponent.name}.`,
+      gameDate,
+    }
+  }
+
+  /**
+   * Create news for a player ejected from a game.
+   *
+   * @param {Object} params
+   * @param {Object} params.player - { id, firstName/first_name, lastName/last_name }
+   * @param {Object} params.team - { id, name }
+   * @param {Object} params.opponent - { id, name }
+   * @param {number} params.technicals - Technical fouls at the time of the ejection
+   * @param {number} params.quarter - Period of the ejection (5+ = overtime)
+   * @param {string} params.gameDate
+   * @returns {Object} News event object
+   */
+  static createEjectionNews({ player, team, opponent, technicals, quarter, gameDate }) {
+    const playerName = `${player.firstName ?? player.first_name ?? 'Unknown'} ${player.lastName ?? player.last_name ?? 'Player'}`
+    const period = quarter > 4 ? 'overtime' : `the ${['first', 'second', 'third', 'fourth'][quarter - 1] ?? 'fourth'} quarter`
+    const reason = technicals >= 2 ? 'after picking up a second technical foul' : 'after a heated exchange with the officials'
+
+    return {
+      playerId: NewsService._resolvePlayerId(player),
+      teamId: team.id ?? null,
+      eventType: 'general',
+      headline: `${playerName} ejected against the ${opponent.name}`,
+      body: `${playerName} of the ${team.name} was tossed in ${period} ${reason}.`,
+      gameDate,
+    }
+  }
+
   /**
    * Create news for a milestone achievement.
    *
@@ -186,7 +256,7 @@ export class NewsService {
         `Tough times: ${team.name} lose ${streakCount} in a row`,
       ]
 
-    const headline = headlines[Math.floor(Math.random() * headlines.length)]
+    const headline = headlines[Math.floor(random() * headlines.length)]
 
     return {
       teamId: team.id ?? null,
@@ -6,10 +6,89 @@ import { SeasonManager } from './SeasonManager'
 // Manages playoff bracket generation, series management, advancement logic,
 // and playoff schedule generation. All data is passed in and returned as
 // plain objects — no file I/O or database access.
+//
+// Round numbers: 0 = play-in, 1 = first round, 2 = conference semifinals,
+// 3 = conference finals, 4 = finals. Smaller fields skip or shorten the
+// first round (byes), so a 4-team field starts in round 2.
 // ---------------------------------------------------------------------------
 
+// Teams per conference that reach the postseason (play-in included)
+export const PLAYOFF_FIELD_SIZES = [4, 6, 8, 10]
+
+export const PLAYOFF_SERIES_LENGTHS = [1, 3, 5, 7]
+
+export const DEFAULT_PLAYOFF_FORMAT = {
+  teamsPerConference: 8,
+  playIn: false,
+  seriesLengths: [7, 7, 7, 7], // best-of per round 1-4
+}
+
+// Home games for the higher seed by game number
+const HOME_PATTERNS = {
+  1: [true],
+  3: [true, false, true],
+  5: [true, true, false, false, true],
+  7: [true, true, false, false, true, false, true], // 2-2-1-1-1
+}
+
+// First-round pairings by bracket size (array order is bracket order)
+const FIRST_ROUND_PAIRINGS = {
+  8: [[1, 8], [4, 5], [3, 6], [2, 7]],
+  6: [[4, 5], [3, 6]],
+  4: [],
+}
+
+// Semifinal slots by bracket size: a number is a seed on a bye,
+// a string is the first-round series (by seriesId suffix) whose winner advances
+const ROUND2_FEEDERS = {
+  8: { A: ['1v8', '4v5'], B: ['2v7', '3v6'] },
+  6: { A: [1, '4v5'], B: [2, '3v6'] },
+  4: { A: [1, 4], B: [2, 3] },
+}
+
 export class PlayoffManager {
 
+  // -----------------------------------------------------------------------
+  // Format
+  // -----------------------------------------------------------------------
+
+  /**
+   * Normalize a playoff format from campaign settings.
+   * A 10-team field only fits the bracket through the play-in, and a 4-team
+   * field is too small for one, so those two force playIn on/off.
+   * @param {Object} [settings] - { teamsPerConference, playIn, seriesLengths }
+   * @returns {{ teamsPerConference, playIn, bracketSize, seriesLengths }}
+   */
+  static resolveFormat(settings = {}) {
+    const teamsPerConference = PLAYOFF_FIELD_SIZES.includes(settings?.teamsPerConference)
+      ? settings.teamsPerConference
+      : DEFAULT_PLAYOFF_FORMAT.teamsPerConference
+
+    let playIn = !!settings?.playIn
+    if (teamsPerConference === 10) playIn = true
+    if (teamsPerConference === 4) playIn = false
+
+    const seriesLengths = DEFAULT_PLAYOFF_FORMAT.seriesLengths.map((fallback, i) => {
+      const length = settings?.seriesLengths?.[i]
+      return PLAYOFF_SERIES_LENGTHS.includes(length) ? length : fallback
+    })
+
+    return {
+      teamsPerConference,
+      playIn,
+      bracketSize: playIn ? teamsPerConference - 2 : teamsPerConference,
+      seriesLengths,
+    }
+  }
+
+  /**
+   * Format of an existing bracket (brackets from before formats were
+   * configurable are the default 8-team, best-of-7 field).
+   */
+  static getFormat(bracket) {
+    return bracket?.format ?? PlayoffManager.resolveFormat(DEFAULT_PLAYOFF_FORMAT)
+  }
+
   // -----------------------------------------------------------------------
   // Bracket Generation
   // -----------------------------------------------------------------------
@@ -18,43 +97,27 @@ export class PlayoffManager {
    * Generate the playoff bracket based on final standings.
    * @param {Object} seasonData - Season data object (mutated: playoffBracket is set)
    * @param {Array} teams - All team objects [{ id, name, city, abbreviation, conference, primary_color, ... }]
+   * @param {Object} [formatSettings] - Campaign playoff format (see resolveFormat)
    * @returns {Object} The generated bracket
    */
-  static generatePlayoffBracket(seasonData, teams) {
+  static generatePlayoffBracket(seasonData, teams, formatSettings = DEFAULT_PLAYOFF_FORMAT) {
     const standings = SeasonManager.getStandings(seasonData)
-
-    // Get top 8 from each conference
-    const eastTeams = PlayoffManager._getPlayoffTeams(standings.east, teams)
-    const westTeams = PlayoffManager._getPlayoffTeams(standings.west, teams)
+    const format = PlayoffManager.resolveFormat(formatSettings)
 
     const bracket = {
-      east: {
-        round1: [
-          PlayoffManager._createMatchup(eastTeams[0], eastTeams[7], 'east', 1, 'E_R1_1v8'),
-          PlayoffManager._createMatchup(eastTeams[3], eastTeams[4], 'east', 1, 'E_R1_4v5'),
-          PlayoffManager._createMatchup(eastTeams[2], eastTeams[5], 'east', 1, 'E_R1_3v6'),
-          PlayoffManager._createMatchup(eastTeams[1], eastTeams[6], 'east', 1, 'E_R1_2v7'),
-        ],
-        round2: [],
-        confFinals: null,
-        confFinalsMVP: null,
-      },
-      west: {
-        round1: [
-          PlayoffManager._createMatchup(westTeams[0], westTeams[7], 'west', 1, 'W_R1_1v8'),
-          PlayoffManager._createMatchup(westTeams[3], westTeams[4], 'west', 1, 'W_R1_4v5'),
-          PlayoffManager._createMatchup(westTeams[2], westTeams[5], 'west', 1, 'W_R1_3v6'),
-          PlayoffManager._createMatchup(westTeams[1], westTeams[6], 'west', 1, 'W_R1_2v7'),
-        ],
-        round2: [],
-        confFinals: null,
-        confFinalsMVP: null,
-      },
+      format,
+      east: PlayoffManager._createConferenceBracket(standings.east, teams, 'east', format),
+      west: PlayoffManager._createConferenceBracket(standings.west, teams, 'west', format),
       finals: null,
       finalsMVP: null,
       champion: null,
     }
 
+    // Without a play-in the opening round can be drawn straight away
+    for (const conf of ['east', 'west']) {
+      PlayoffManager._createFirstRoundIfReady(bracket, conf)
+    }
+
     seasonData.playoffBracket = bracket
     seasonData.metadata.updatedAt = new Date().toISOString()
 
@@ -62,23 +125,48 @@ export class PlayoffManager {
   }
 
   /**
-   * Get playoff teams from conference standings (top 8).
+   * Seed a conference. With a play-in, the last two bracket seeds stay
+   * open until the play-in decides them.
    * @private
    */
-  static _getPlayoffTeams(conferenceStandings, allTeams) {
-    // Sort by win percentage descending, then point differential as tiebreaker
-    const sorted = [...conferenceStandings].sort((a, b) => {
-      const totalA = a.wins + a.losses
-      const totalB = b.wins + b.losses
-      const pctA = totalA > 0 ? a.wins / totalA : 0
-      const pctB = totalB > 0 ? b.wins / totalB : 0
-      if (pctA !== pctB) return pctB - pctA
-      const diffA = (a.pointsFor ?? 0) - (a.pointsAgainst ?? 0)
-      const diffB = (b.pointsFor ?? 0) - (b.pointsAgainst ?? 0)
-      return diffB - diffA
-    })
+  static _createConferenceBracket(conferenceStandings, allTeams, conference, format) {
+    const qualifiers = PlayoffManager._getPlayoffTeams(conferenceStandings, allTeams, format.teamsPerConference)
+    const size = format.bracketSize
+    const confPrefix = conference.charAt(0).toUpperCase()
+
+    const confData = {
+      seeds: qualifiers.slice(0, size),
+      playIn: [],
+      round1: [],
+      round2: [],
+      confFinals: null,
+      confFinalsMVP: null,
+    }
 
-    const top8 = sorted.slice(0, 8)
+    if (format.playIn) {
+      // Seeds (size-1) v (size) for the first open spot, (size+1) v (size+2) for a shot at the second
+      confData.seeds = [...qualifiers.slice(0, size - 2), null, null]
+      const [s1, s2, s3, s4] = qualifiers.slice(size - 2, size + 2)
+      if (s1 && s2 && s3 && s4) {
+        confData.playIn.push(
+          { ...PlayoffManager._createMatchup(s1, s2, conference, 0, `${confPrefix}_PI_A`, 1), eliminatesLoser: false },
+          PlayoffManager._createMatchup(s3, s4, conference, 0, `${confPrefix}_PI_B`, 1),
+        )
+      } else {
+        confData.seeds = qualifiers.slice(0, size)
+      }
+    }
+
+    return confData
+  }
+
+  /**
+   * Get playoff teams from conference standings (top N by record).
+   * @private
+   */
+  static _getPlayoffTeams(conferenceStandings, allTeams, count = 8) {
+    const sorted = PlayoffManager._sortStandings(conferenceStandings)
+    const qualifiers = sorted.slice(0, count)
 
     // Build lookup from all teams by id
     const teamsById = {}
@@ -87,8 +175,8 @@ export class PlayoffManager {
     }
 
     const playoffTeams = []
-    for (let index = 0; index < top8.length; index++) {
-      const standing = top8[index]
+    for (let index = 0; index < qualifiers.length; index++) {
+      const standing = qualifiers[index]
       const team = teamsById[standing.teamId]
       if (team) {
         playoffTeams.push({
@@ -111,11 +199,12 @@ export class PlayoffManager {
    * Create a playoff matchup structure.
    * @private
    */
-  static _createMatchup(higherSeed, lowerSeed, conference, round, seriesId) {
+  static _createMatchup(higherSeed, lowerSeed, conference, round, seriesId, bestOf = 7) {
     return {
       seriesId,
       conference,
       round,
+      bestOf,
       team1: higherSeed,
       team2: lowerSeed,
       team1Wins: 0,
@@ -127,6 +216,39 @@ export class PlayoffManager {
     }
   }
 
+  /**
+   * Sort conference standings by win percentage, then point differential.
+   * @private
+   */
+  static _sortStandings(conferenceStandings) {
+    return [...(conferenceStandings ?? [])].sort((a, b) => {
+      const totalA = a.wins + a.losses
+      const totalB = b.wins + b.losses
+      const pctA = totalA > 0 ? a.wins / totalA : 0
+      const pctB = totalB > 0 ? b.wins / totalB : 0
+      if (pctA !== pctB) return pctB - pctA
+      const diffA = (a.pointsFor ?? 0) - (a.pointsAgainst ?? 0)
+      const diffB = (b.pointsFor ?? 0) - (b.pointsAgainst ?? 0)
+      return diffB - diffA
+    })
+  }
+
+  /**
+   * Best-of length for a playoff round (play-in games are single games).
+   * @private
+   */
+  static _getSeriesLength(bracket, round) {
+    if (round === 0) return 1
+    return PlayoffManager.getFormat(bracket).seriesLengths[round - 1] ?? 7
+  }
+
+  /**
+   * Wins needed to take a series.
+   */
+  static getWinsNeeded(series) {
+    return Math.ceil((series?.bestOf ?? 7) / 2)
+  }
+
   // -----------------------------------------------------------------------
   // Playoff Schedule Generation
   // -----------------------------------------------------------------------
@@ -135,7 +257,7 @@ export class PlayoffManager {
    * Generate playoff schedule for a round.
    * @param {Object} seasonData - Mutated in place (schedule + bracket updated)
    * @param {Array} teams - All team objects
-   * @param {number} round - Playoff round (1-4)
+   * @param {number} round - Playoff round (0 = play-in, 1-4)
    * @param {number} year - Season year
    * @returns {number} Number of games created
    */
@@ -172,12 +294,13 @@ export class PlayoffManager {
       const awayTeam = teamsById[series.team2.teamId]
       if (!homeTeam || !awayTeam) continue
 
-      // Schedule 7 potential games (2-2-1-1-1 format)
-      const homeAwayPattern = [true, true, false, false, true, false, true]
+      // Schedule every potential game (2-2-1-1-1 for a best-of-7)
+      const bestOf = series.bestOf ?? 7
+      const homeAwayPattern = HOME_PATTERNS[bestOf] ?? HOME_PATTERNS[7]
       let gameDate = new Date(startDate)
       const seriesGames = []
 
-      for (let gameNum = 1; gameNum <= 7; gameNum++) {
+      for (let gameNum = 1; gameNum <= bestOf; gameNum++) {
         const isHomeGame = homeAwayPattern[gameNum - 1]
         const gameId = `game_${year}_${String(gameNumber).padStart(4, '0')}`
 
@@ -218,6 +341,19 @@ export class PlayoffManager {
     return gamesCreated
   }
 
+  /**
+   * Schedule every series that has been created but not yet scheduled,
+   * across all rounds. Call after advancing the bracket.
+   * @returns {number} Number of games created
+   */
+  static generatePendingSchedules(seasonData, teams, year) {
+    let gamesCreated = 0
+    for (let round = 0; round <= 4; round++) {
+      gamesCreated += PlayoffManager.generatePlayoffSchedule(seasonData, teams, round, year)
+    }
+    return gamesCreated
+  }
+
   /**
    * Get all series for a given round.
    * @private
@@ -225,7 +361,9 @@ export class PlayoffManager {
   static _getSeriesForRound(bracket, round) {
     const series = []
 
-    if (round === 1) {
+    if (round === 0) {
+      series.push(...(bracket.east.playIn ?? []), ...(bracket.west.playIn ?? []))
+    } else if (round === 1) {
       series.push(...bracket.east.round1, ...bracket.west.round1)
     } else if (round === 2) {
       series.push(...(bracket.east.round2 ?? []), ...(bracket.west.round2 ?? []))
@@ -244,30 +382,10 @@ export class PlayoffManager {
    * @private
    */
   static _updateSeriesGames(seasonData, seriesId, gameIds) {
-    const bracket = seasonData.playoffBracket
-
-    for (const conf of ['east', 'west']) {
-      for (const round of ['round1', 'round2']) {
-        if (!bracket[conf][round]) continue
-        for (let i = 0; i < bracket[conf][round].length; i++) {
-          if (bracket[conf][round][i].seriesId === seriesId) {
-            bracket[conf][round][i].games = gameIds
-            bracket[conf][round][i].status = 'in_progress'
-            return
-          }
-        }
-      }
-      if (bracket[conf].confFinals?.seriesId === seriesId) {
-        bracket[conf].confFinals.games = gameIds
-        bracket[conf].confFinals.status = 'in_progress'
-        return
-      }
-    }
-
-    if (bracket.finals?.seriesId === seriesId) {
-      bracket.finals.games = gameIds
-      bracket.finals.status = 'in_progress'
-    }
+    const series = PlayoffManager._findSeriesById(seasonData.playoffBracket, seriesId)
+    if (!series) return
+    series.games = gameIds
+    series.status = 'in_progress'
   }
 
   // -----------------------------------------------------------------------
@@ -311,11 +429,12 @@ export class PlayoffManager {
     }
 
     // Check if series is complete
-    const seriesComplete = series.team1Wins >= 4 || series.team2Wins >= 4
+    const winsNeeded = PlayoffManager.getWinsNeeded(series)
+    const seriesComplete = series.team1Wins >= winsNeeded || series.team2Wins >= winsNeeded
 
     if (seriesComplete) {
       series.status = 'complete'
-      series.winner = series.team1Wins >= 4 ? series.team1 : series.team2
+      series.winner = series.team1Wins >= winsNeeded ? series.team1 : series.team2
 
       // Cancel remaining games FIRST (before MVP calc) so that bulk-sim
       // fake scores are cleared and don't pollute the MVP calculation
@@ -343,7 +462,10 @@ export class PlayoffManager {
       result.winner = series.winner
       result.seriesMVP = series.seriesMVP
 
-      if (game.playoffRound === 3) {
+      if (game.playoffRound === 0) {
+        result.isPlayIn = true
+        result.eliminatesLoser = series.eliminatesLoser !== false
+      } else if (game.playoffRound === 3) {
         result.isConferenceFinals = true
       } else if (game.playoffRound === 4) {
         result.isFinals = true
@@ -386,27 +508,46 @@ export class PlayoffManager {
   }
 
   /**
-   * Find a series by its ID in the bracket.
-   * @private
+   * Every series in the bracket: per conference play-in, first round,
+   * semifinals and conference finals, then the finals.
+   * @param {Object} bracket
+   * @returns {Array}
    */
-  static _findSeriesById(bracket, seriesId) {
+  static getAllSeries(bracket) {
+    if (!bracket) return []
+    const allSeries = []
     for (const conf of ['east', 'west']) {
-      for (const round of ['round1', 'round2']) {
-        if (!bracket[conf][round]) continue
-        for (const series of bracket[conf][round]) {
-          if (series.seriesId === seriesId) return series
-        }
-      }
-      if (bracket[conf].confFinals?.seriesId === seriesId) {
-        return bracket[conf].confFinals
-      }
+      const confData = bracket[conf]
+      if (!confData) continue
+      allSeries.push(...(confData.playIn ?? []), ...(confData.round1 ?? []), ...(confData.round2 ?? []))
+      if (confData.confFinals) allSeries.push(confData.confFinals)
     }
+    if (bracket.finals) allSeries.push(bracket.finals)
+    return allSeries
+  }
 
-    if (bracket.finals?.seriesId === seriesId) {
-      return bracket.finals
+  /**
+   * Teams that reached the playoff bracket proper. Play-in losers are
+   * excluded — they head to the lottery.
+   * @param {Object} bracket
+   * @returns {Set}
+   */
+  static getPlayoffTeamIds(bracket) {
+    const teamIds = new Set()
+    for (const series of PlayoffManager.getAllSeries(bracket)) {
+      if (series.round === 0) continue
+      if (series.team1?.teamId) teamIds.add(series.team1.teamId)
+      if (series.team2?.teamId) teamIds.add(series.team2.teamId)
     }
+    return teamIds
+  }
 
-    return null
+  /**
+   * Find a series by its ID in the bracket.
+   * @private
+   */
+  static _findSeriesById(bracket, seriesId) {
+    return PlayoffManager.getAllSeries(bracket).find(series => series.seriesId === seriesId) ?? null
   }
 
   /**
@@ -415,13 +556,13 @@ export class PlayoffManager {
    */
   static _updateSeriesInBracket(bracket, seriesId, updatedSeries) {
     for (const conf of ['east', 'west']) {
-      for (const round of ['round1', 'round2']) {
-        if (!bracket[conf][round]) continue
-        for (let i = 0; i < bracket[conf][round].length; i++) {
-          if (bracket[conf][round][i].seriesId === seriesId) {
-            bracket[conf][round][i] = updatedSeries
-            return
-          }
+      for (const round of ['playIn', 'round1', 'round2']) {
+        const list = bracket[conf][round]
+        if (!list) continue
+        const index = list.findIndex(series => series.seriesId === seriesId)
+        if (index >= 0) {
+          list[index] = updatedSeries
+          return
         }
       }
       if (bracket[conf].confFinals?.seriesId === seriesId) {
@@ -442,6 +583,10 @@ export class PlayoffManager {
   /**
    * Calculate the series MVP based on aggregate stats.
    * Score = (PTS * 1.0) + (REB * 1.2) + (AST * 1.5) + (STL * 3.0) + (BLK * 3.0) - (TO * 1.5)
+   *
+   * Reads the series' playoff stats, which keep full stat lines even for AI
+   * games whose stored box scores are compacted. Falls back to the series
+   * box scores when no playoff stats were recorded (older saves).
    * @param {Object} seasonData
    * @param {Object} series
    * @returns {Object|null}
@@ -454,7 +599,81 @@ export class PlayoffManager {
     const winningTeamId = series.winner?.teamId ?? null
     if (!winningTeamId) return null
 
-    // Aggregate stats for all players from winning team across series games
+    const playerStats = PlayoffManager._getSeriesStatsFromPlayoffStats(seasonData, series.seriesId, winningTeamId)
+      ?? PlayoffManager._getSeriesStatsFromBoxScores(seasonData, series, winningTeamId)
+
+    if (Object.keys(playerStats).length === 0) return null
+
+    const minGames = Math.min(2, (series.team1Wins ?? 0) + (series.team2Wins ?? 0))
+
+    // Calculate MVP score for each player
+    let bestPlayer = null
+    let bestScore = -999
+
+    for (const stats of Object.values(playerStats)) {
+      if (stats.games < minGames) continue // Must have played at least 2 games (1 in a one-game series)
+
+      const score = (stats.points * 1.0)
+                  + (stats.rebounds * 1.2)
+                  + (stats.assists * 1.5)
+                  + (stats.steals * 3.0)
+                  + (stats.blocks * 3.0)
+                  - (stats.turnovers * 1.5)
+
+      if (score > bestScore) {
+        bestScore = score
+        bestPlayer = stats
+      }
+    }
+
+    if (!bestPlayer) return null
+
+    const games = bestPlayer.games
+    return {
+      playerId: bestPlayer.playerId,
+      name: bestPlayer.name,
+      teamId: winningTeamId,
+      ppg: Math.round((bestPlayer.points / games) * 10) / 10,
+      rpg: Math.round((bestPlayer.rebounds / games) * 10) / 10,
+      apg: Math.round((bestPlayer.assists / games) * 10) / 10,
+      spg: Math.round((bestPlayer.steals / games) * 10) / 10,
+      bpg: Math.round((bestPlayer.blocks / games) * 10) / 10,
+      mvpScore: Math.round(bestScore * 10) / 10,
+    }
+  }
+
+  /**
+   * Winning team's series totals from the playoff series stats, or null if
+   * none were recorded for this series.
+   * @private
+   */
+  static _getSeriesStatsFromPlayoffStats(seasonData, seriesId, winningTeamId) {
+    const seriesStats = Object.values(SeasonManager.getSeriesPlayerStats(seasonData, seriesId))
+    if (seriesStats.length === 0) return null
+
+    const playerStats = {}
+    for (const stats of seriesStats) {
+      if (stats.teamId != winningTeamId) continue
+      playerStats[stats.playerId] = {
+        playerId: stats.playerId,
+        name: stats.playerName ?? 'Unknown',
+        points: stats.points,
+        rebounds: stats.rebounds,
+        assists: stats.assists,
+        steals: stats.steals,
+        blocks: stats.blocks,
+        turnovers: stats.turnovers,
+        games: stats.gamesPlayed,
+      }
+    }
+    return playerStats
+  }
+
+  /**
+   * Winning team's series totals aggregated from the series box scores.
+   * @private
+   */
+  static _getSeriesStatsFromBoxScores(seasonData, series, winningTeamId) {
     const playerStats = {}
 
     for (const gameId of series.games) {
@@ -492,42 +711,7 @@ export class PlayoffManager {
       }
     }
 
-    if (Object.keys(playerStats).length === 0) return null
-
-    // Calculate MVP score for each player
-    let bestPlayer = null
-    let bestScore = -999
-
-    for (const stats of Object.values(playerStats)) {
-      if (stats.games < 2) continue // Must have played at least 2 games
-
-      const score = (stats.points * 1.0)
-                  + (stats.rebounds * 1.2)
-                  + (stats.assists * 1.5)
-                  + (stats.steals * 3.0)
-                  + (stats.blocks * 3.0)
-                  - (stats.turnovers * 1.5)
-
-      if (score > bestScore) {
-        bestScore = score
-        bestPlayer = stats
-      }
-    }
-
-    if (!bestPlayer) return null
-
-    const games = bestPlayer.games
-    return {
-      playerId: bestPlayer.playerId,
-      name: bestPlayer.name,
-      teamId: winningTeamId,
-      ppg: Math.round((bestPlayer.points / games) * 10) / 10,
-      rpg: Math.round((bestPlayer.rebounds / games) * 10) / 10,
-      apg: Math.round((bestPlayer.assists / games) * 10) / 10,
-      spg: Math.round((bestPlayer.steals / games) * 10) / 10,
-      bpg: Math.round((bestPlayer.blocks / games) * 10) / 10,
-      mvpScore: Math.round(bestScore * 10) / 10,
-    }
+    return playerStats
   }
 
   // -----------------------------------------------------------------------
@@ -544,7 +728,11 @@ export class PlayoffManager {
     const series = completedSeries.series
     const round = completedSeries.round
 
-    if (round === 1) {
+    if (round === 0) {
+      // Play-in results fill the last seeds, then the opening round is drawn
+      PlayoffManager._advancePlayIn(bracket, 'east')
+      PlayoffManager._advancePlayIn(bracket, 'west')
+    } else if (round === 1) {
       // Check both conferences for Round 2 readiness
       PlayoffManager._createRound2MatchupIfReady(bracket, 'east')
       PlayoffManager._createRound2MatchupIfReady(bracket, 'west')
@@ -563,49 +751,106 @@ export class PlayoffManager {
   }
 
   /**
-   * Create round 2 matchup when both required round 1 series are complete.
+   * Play-in: the A winner takes the first open seed; the A loser hosts the
+   * B winner (game C) for the last one. Safe to call repeatedly.
    * @private
    */
-  static _createRound2MatchupIfReady(bracket, conference) {
-    const round1 = bracket[conference].round1
-    const round2 = bracket[conference].round2
+  static _advancePlayIn(bracket, conference) {
+    const confData = bracket[conference]
+    const playIn = confData?.playIn ?? []
+    if (playIn.length === 0) return
+
+    const size = PlayoffManager.getFormat(bracket).bracketSize
     const confPrefix = conference.charAt(0).toUpperCase()
+    const [gameA, gameB, gameC] = playIn
 
-    // Helper: check if a series ID already exists in round2
-    const hasSeriesId = (id) => round2.some(s => s.seriesId === id)
+    if (gameA.status === 'complete' && !confData.seeds[size - 2]) {
+      confData.seeds[size - 2] = { ...gameA.winner, seed: size - 1 }
+    }
 
-    // Check 1v8 and 4v5 matchup → R2_A
-    const series1 = round1[0] // 1v8
-    const series2 = round1[1] // 4v5
-    const r2aId = `${confPrefix}_R2_A`
-    if (series1.status === 'complete' && series2.status === 'complete' &&
-        !hasSeriesId(r2aId)) {
-      round2.push(
-        PlayoffManager._createMatchup(
-          series1.winner,
-          series2.winner,
-          conference,
-          2,
-          r2aId
-        )
+    if (gameA.status === 'complete' && gameB?.status === 'complete' && !gameC) {
+      const loserA = gameA.winner.teamId === gameA.team1.teamId ? gameA.team2 : gameA.team1
+      playIn.push(PlayoffManager._createMatchup(loserA, gameB.winner, conference, 0, `${confPrefix}_PI_C`, 1))
+    }
+
+    if (gameC?.status === 'complete' && !confData.seeds[size - 1]) {
+      confData.seeds[size - 1] = { ...gameC.winner, seed: size }
+    }
+
+    PlayoffManager._createFirstRoundIfReady(bracket, conference)
+  }
+
+  /**
+   * Draw the opening round once every bracket seed is known. Top seeds in
+   * a 6-team bracket get byes; a 4-team bracket opens with the semifinals.
+   * @private
+   */
+  static _createFirstRoundIfReady(bracket, conference) {
+    const confData = bracket[conference]
+    if (confData.round1.length > 0 || confData.round2.length > 0) return
+
+    const size = PlayoffManager.getFormat(bracket).bracketSize
+    const seeds = confData.seeds ?? []
+    if (seeds.length < size || seeds.some(seed => !seed)) return
+
+    const confPrefix = conference.charAt(0).toUpperCase()
+    const bestOf = PlayoffManager._getSeriesLength(bracket, 1)
+    for (const [high, low] of FIRST_ROUND_PAIRINGS[size] ?? []) {
+      confData.round1.push(
+        PlayoffManager._createMatchup(seeds[high - 1], seeds[low - 1], conference, 1, `${confPrefix}_R1_${high}v${low}`, bestOf)
       )
     }
 
-    // Check 3v6 and 2v7 matchup → R2_B
-    const series3 = round1[2] // 3v6
-    const series4 = round1[3] // 2v7
-    const r2bId = `${confPrefix}_R2_B`
-    if (series3.status === 'complete' && series4.status === 'complete' &&
-        !hasSeriesId(r2bId)) {
-      round2.push(
-        PlayoffManager._createMatchup(
-          series4.winner, // 2v7 winner (higher seed branch)
-          series3.winner, // 3v6 winner
-          conference,
-          2,
-          r2bId
+    PlayoffManager._createRound2MatchupIfReady(bracket, conference)
+  }
+
+  /**
+   * Resolve a semifinal feeder (bye seed or first-round series winner).
+   * @private
+   */
+  static _resolveFeeder(confData, confPrefix, feeder) {
+    if (typeof feeder === 'number') return confData.seeds?.[feeder - 1] ?? null
+    const series = (confData.round1 ?? []).find(s => s.seriesId === `${confPrefix}_R1_${feeder}`)
+    return series?.status === 'complete' ? series.winner : null
+  }
+
+  /**
+   * Teams known so far for a semifinal slot ('A' or 'B'), for previews
+   * before the matchup exists.
+   * @returns {{ team1: Object|null, team2: Object|null }}
+   */
+  static getRound2Preview(bracket, conference, slot) {
+    const confData = bracket?.[conference]
+    if (!confData) return { team1: null, team2: null }
+    const feeders = ROUND2_FEEDERS[PlayoffManager.getFormat(bracket).bracketSize]?.[slot] ?? []
+    const confPrefix = conference.charAt(0).toUpperCase()
+    return {
+      team1: feeders[0] !== undefined ? PlayoffManager._resolveFeeder(confData, confPrefix, feeders[0]) : null,
+      team2: feeders[1] !== undefined ? PlayoffManager._resolveFeeder(confData, confPrefix, feeders[1]) : null,
+    }
+  }
+
+  /**
+   * Create round 2 matchups once both feeders of a slot are decided.
+   * @private
+   */
+  static _createRound2MatchupIfReady(bracket, conference) {
+    const confData = bracket[conference]
+    const round2 = confData.round2
+    const confPrefix = conference.charAt(0).toUpperCase()
+    const feeders = ROUND2_FEEDERS[PlayoffManager.getFormat(bracket).bracketSize] ?? ROUND2_FEEDERS[8]
+
+    for (const slot of ['A', 'B']) {
+      const seriesId = `${confPrefix}_R2_${slot}`
+      if (round2.some(s => s.seriesId === seriesId)) continue
+
+      const team1 = PlayoffManager._resolveFeeder(confData, confPrefix, feeders[slot][0])
+      const team2 = PlayoffManager._resolveFeeder(confData, confPrefix, feeders[slot][1])
+      if (team1 && team2) {
+        round2.push(
+          PlayoffManager._createMatchup(team1, team2, conference, 2, seriesId, PlayoffManager._getSeriesLength(bracket, 2))
         )
-      )
+      }
     }
   }
 
@@ -628,7 +873,8 @@ export class PlayoffManager {
         series2.winner,
         conference,
         3,
-        `${confPrefix}_CF`
+        `${confPrefix}_CF`,
+        PlayoffManager._getSeriesLength(bracket, 3)
       )
     }
   }
@@ -649,7 +895,8 @@ export class PlayoffManager {
         westCF.winner,
         'finals',
         4,
-        'FINALS'
+        'FINALS',
+        PlayoffManager._getSeriesLength(bracket, 4)
       )
     }
   }
@@ -683,46 +930,42 @@ export class PlayoffManager {
 
   /**
    * Get user's playoff status (qualification, seed, opponent).
+   * `qualified` includes play-in teams; `playIn` and `bye` say which path,
+   * `fieldSize` is the number of qualifiers per conference.
+   * The opponent is null when it depends on the play-in or on a bye.
    * @param {Object} seasonData
    * @param {number|string} userTeamId
    * @param {Array} teams - All team objects
+   * @param {Object} [formatSettings] - Campaign playoff format (ignored once a bracket exists)
    * @returns {Object}
    */
-  static getUserPlayoffStatus(seasonData, userTeamId, teams) {
+  static getUserPlayoffStatus(seasonData, userTeamId, teams, formatSettings = DEFAULT_PLAYOFF_FORMAT) {
     const standings = SeasonManager.getStandings(seasonData)
+    const format = seasonData?.playoffBracket?.format ?? PlayoffManager.resolveFormat(formatSettings)
 
-    let userStanding = null
     let userConference = null
+    let confStandings = []
     let seed = null
 
     for (const conf of ['east', 'west']) {
-      const sorted = [...standings[conf]].sort((a, b) => {
-        const totalA = a.wins + a.losses
-        const totalB = b.wins + b.losses
-        const pctA = totalA > 0 ? a.wins / totalA : 0
-        const pctB = totalB > 0 ? b.wins / totalB : 0
-        if (pctA !== pctB) return pctB - pctA
-        const diffA = (a.pointsFor ?? 0) - (a.pointsAgainst ?? 0)
-        const diffB = (b.pointsFor ?? 0) - (b.pointsAgainst ?? 0)
-        return diffB - diffA
-      })
-
-      for (let index = 0; index < sorted.length; index++) {
-        if (sorted[index].teamId == userTeamId) {
-          userStanding = sorted[index]
-          userConference = conf
-          seed = index + 1
-          break
-        }
+      const sorted = PlayoffManager._sortStandings(standings[conf])
+      const index = sorted.findIndex(s => s.teamId == userTeamId)
+      if (index >= 0) {
+        userConference = conf
+        confStandings = sorted
+        seed = index + 1
+        break
       }
-      if (userStanding) break
     }
 
-    if (!userStanding) {
-      return { qualified: false }
+    if (!userConference) {
+      return { qualified: false, fieldSize: format.teamsPerConference }
     }
 
-    const qualified = seed <= 8
+    const userStanding = confStandings[seed - 1]
+    const size = format.bracketSize
+    const qualified = seed <= format.teamsPerConference
+    const playIn = qualified && format.playIn && seed > size - 2
 
     const result = {
       qualified,
@@ -730,39 +973,45 @@ export class PlayoffManager {
       conference: userConference,
       wins: userStanding.wins,
       losses: userStanding.losses,
+      playIn,
+      bye: false,
+      fieldSize: format.teamsPerConference,
     }
 
-    if (qualified) {
-      const opponents = { 1: 8, 2: 7, 3: 6, 4: 5, 5: 4, 6: 3, 7: 2, 8: 1 }
-      const opponentSeed = opponents[seed]
-
-      const confStandings = [...standings[userConference]].sort((a, b) => {
-        const totalA = a.wins + a.losses
-        const totalB = b.wins + b.losses
-        const pctA = totalA > 0 ? a.wins / totalA : 0
-        const pctB = totalB > 0 ? b.wins / totalB : 0
-        if (pctA !== pctB) return pctB - pctA
-        const diffA = (a.pointsFor ?? 0) - (a.pointsAgainst ?? 0)
-        const diffB = (b.pointsFor ?? 0) - (b.pointsAgainst ?? 0)
-        return diffB - diffA
-      })
-
-      if (confStandings[opponentSeed - 1]) {
-        const opponentStanding = confStandings[opponentSeed - 1]
-        // Find team info from teams array
-        const opponent = teams.find(t => t.id === opponentStanding.teamId || t.id == opponentStanding.teamId)
-
-        if (opponent) {
-          result.opponent = {
-            teamId: opponent.id,
-            name: opponent.name,
-            city: opponent.city,
-            abbreviation: opponent.abbreviation,
-            primaryColor: opponent.primary_color ?? opponent.primaryColor ?? '#6B7280',
-            seed: opponentSeed,
-            wins: opponentStanding.wins,
-            losses: opponentStanding.losses,
-          }
+    if (!qualified) return result
+
+    let opponentSeed = null
+    if (playIn) {
+      // Game A: (size-1) v (size), game B: (size+1) v (size+2)
+      const offset = seed - (size - 1)
+      opponentSeed = offset % 2 === 0 ? seed + 1 : seed - 1
+    } else {
+      const pairings = PlayoffManager._getOpeningPairings(size)
+      const pairing = pairings.find(pair => pair.includes(seed))
+      if (!pairing) {
+        result.bye = true
+      } else {
+        opponentSeed = pairing[0] === seed ? pairing[1] : pairing[0]
+        // Opponent still to come out of the play-in
+        if (format.playIn && opponentSeed > size - 2) opponentSeed = null
+      }
+    }
+
+    if (opponentSeed && confStandings[opponentSeed - 1]) {
+      const opponentStanding = confStandings[opponentSeed - 1]
+      // Find team info from teams array
+      const opponent = teams.find(t => t.id === opponentStanding.teamId || t.id == opponentStanding.teamId)
+
+      if (opponent) {
+        result.opponent = {
+          teamId: opponent.id,
+          name: opponent.name,
+          city: opponent.city,
+          abbreviation: opponent.abbreviation,
+          primaryColor: opponent.primary_color ?? opponent.primaryColor ?? '#6B7280',
+          seed: opponentSeed,
+          wins: opponentStanding.wins,
+          losses: opponentStanding.losses,
         }
       }
     }
@@ -770,6 +1019,18 @@ export class PlayoffManager {
     return result
   }
 
+  /**
+   * Seed pairings of the first series each team plays (round 1, or the
+   * semifinals for a 4-team bracket). Seeds not listed have a bye.
+   * @private
+   */
+  static _getOpeningPairings(bracketSize) {
+    const firstRound = FIRST_ROUND_PAIRINGS[bracketSize] ?? []
+    const semifinals = Object.values(ROUND2_FEEDERS[bracketSize] ?? {})
+      .filter(feeders => feeders.every(f => typeof f === 'number'))
+    return [...firstRound, ...semifinals]
+  }
+
   /**
    * Get the next incomplete playoff series for the user's team.
    * @param {Object} seasonData
@@ -780,25 +1041,7 @@ export class PlayoffManager {
     const bracket = PlayoffManager.getBracket(seasonData)
     if (!bracket) return null
 
-    const allSeries = []
-
-    for (const conf of ['east', 'west']) {
-      for (const series of (bracket[conf].round1 ?? [])) {
-        allSeries.push(series)
-      }
-      for (const series of (bracket[conf].round2 ?? [])) {
-        allSeries.push(series)
-      }
-      if (bracket[conf].confFinals) {
-        allSeries.push(bracket[conf].confFinals)
-      }
-    }
-
-    if (bracket.finals) {
-      allSeries.push(bracket.finals)
-    }
-
-    for (const series of allSeries) {
+    for (const series of PlayoffManager.getAllSeries(bracket)) {
       if (series.status !== 'complete' &&
           (series.team1.teamId == userTeamId || series.team2.teamId == userTeamId)) {
         return series
@@ -1,4 +1,23 @@
 import { TEAMS } from '../data/teams'
+import { random } from '../utils/Random'
+import { createEmptyShotChart, addShotToChart } from '../simulation/ShotZones'
+
+export const SEASON_LENGTHS = [29, 54, 82]
+export const DEFAULT_SEASON_LENGTH = 54
+
+/**
+ * Games per opponent by tier for each supported season length. `*Extra`
+ * is how many opponents in that tier get one more game (a rotation that
+ * changes every season).
+ */
+const SCHEDULE_FORMATS = {
+  29: { division: 1, conference: 1, conferenceExtra: 0, interConference: 1, interConferenceExtra: 0 },
+  54: { division: 4, conference: 2, conferenceExtra: 0, interConference: 1, interConferenceExtra: 3 },
+  82: { division: 4, conference: 3, conferenceExtra: 6, interConference: 2, interConferenceExtra: 0 },
+}
+
+// Calendar days per game: a 54-game season ends in late January, an 82-game one in late March
+const CALENDAR_DAYS_PER_GAME = 1.9
 
 // ---------------------------------------------------------------------------
 // SeasonManager
@@ -36,6 +55,11 @@ export class SeasonManager {
       schedule: [],
       playerStats: {},
       teamStats,
+      playoffPlayerStats: {},
+      playoffTeamStats: {},
+      playoffSeriesStats: {},
+      shotCharts: { players: {}, teams: {} },
+      playoffShotCharts: { players: {}, teams: {} },
       playoffBracket: null,
       news: [],
     }
@@ -86,14 +110,7 @@ export class SeasonManager {
 
     for (const team of teams) {
       stats[team.id] = {
-        teamId: team.id,
-        teamAbbreviation: team.abbreviation,
-        wins: 0,
-        losses: 0,
-        homeWins: 0,
-        homeLosses: 0,
-        pointsScored: 0,
-        pointsAllowed: 0,
+        ...SeasonManager._createEmptyTeamStats(team.id, team.abbreviation),
         playoffSeed: null,
         playoffResult: null,
       }
@@ -102,166 +119,84 @@ export class SeasonManager {
     return stats
   }
 
+  /**
+   * Create an empty team stats record.
+   * @private
+   */
+  static _createEmptyTeamStats(teamId, teamAbbreviation = null) {
+    return {
+      teamId,
+      teamAbbreviation,
+      wins: 0,
+      losses: 0,
+      homeWins: 0,
+      homeLosses: 0,
+      pointsScored: 0,
+      pointsAllowed: 0,
+    }
+  }
+
+  /**
+   * Which stat split a scheduled game counts toward. Play-in games are not
+   * playoff games, and don't count toward the regular season either; they
+   * only feed their series' stats.
+   * @param {Object|null} game - Schedule entry
+   * @returns {'regular'|'playIn'|'playoffs'}
+   */
+  static getGameSplit(game) {
+    if (!game?.isPlayoff) return 'regular'
+    return game.playoffRound === 0 ? 'playIn' : 'playoffs'
+  }
+
   // -----------------------------------------------------------------------
   // Schedule Generation
   // -----------------------------------------------------------------------
 
   /**
    * Generate the regular season schedule.
+   *
+   * For the standard league layout (two conferences of equal divisions) and
+   * a length in SCHEDULE_FORMATS, opponents are weighted NBA-style: division
+   * rivals most, then conference, then inter-conference, with rotating
+   * opponents picking up the odd extra game. Other lengths and layouts fall
+   * back to a round robin topped up with conference games.
+   *
+   * Games are spread over a calendar that scales with the season length;
+   * no team plays three days running.
+   *
    * @param {Object} seasonData - Current season data (will be mutated)
-   * @param {Array} teams - All teams [{ id, abbreviation, conference, ... }]
-   * @param {number|string} userTeamId - The user's team ID
+   * @param {Array} teams - All teams [{ id, abbreviation, conference, division, ... }]
+   * @param {number|string|null} userTeamId - The user's team ID (spaced like every other team)
    * @param {number} year - Season year
    * @param {string} [startDateStr='2025-10-21'] - Season start date (YYYY-MM-DD)
+   * @param {Object} [options]
+   * @param {number} [options.seasonLength=54] - Games per team
    * @returns {number} Number of games created
    */
-  static generateSchedule(seasonData, teams, userTeamId, year, startDateStr = '2025-10-21') {
-    const teamIds = teams.map(t => t.id)
-    const teamConferences = {}
+  static generateSchedule(seasonData, teams, userTeamId, year, startDateStr = '2025-10-21', options = {}) {
+    const seasonLength = options.seasonLength ?? DEFAULT_SEASON_LENGTH
     const teamAbbreviations = {}
     for (const t of teams) {
-      teamConferences[t.id] = t.conference
       teamAbbreviations[t.id] = t.abbreviation
     }
 
-    // Build matchups targeting 54 games per team
-    const targetGamesPerTeam = 54
-    const matchups = []
-
-    // Generate one game per unique pair with random home/away
-    for (let i = 0; i < teamIds.length; i++) {
-      for (let j = i + 1; j < teamIds.length; j++) {
-        if (Math.random() < 0.5) {
-          matchups.push({ homeTeamId: teamIds[i], awayTeamId: teamIds[j] })
-        } else {
-          matchups.push({ homeTeamId: teamIds[j], awayTeamId: teamIds[i] })
-        }
-      }
-    }
-
-    // Add extra same-conference games to reach 54 per team
-    const teamGameCounts = {}
-    for (const id of teamIds) {
-      teamGameCounts[id] = teamIds.length - 1
-    }
+    const layout = getLeagueLayout(teams)
+    const matchups = layout && SCHEDULE_FORMATS[seasonLength]
+      ? buildDivisionalMatchups(layout, SCHEDULE_FORMATS[seasonLength])
+      : buildRoundRobinMatchups(teams, seasonLength)
 
-    // Group teams by conference
-    const conferenceGroups = {}
-    for (const id of teamIds) {
-      const conf = teamConferences[id]
-      if (!conferenceGroups[conf]) conferenceGroups[conf] = []
-      conferenceGroups[conf].push(id)
-    }
-
-    for (const confTeams of Object.values(conferenceGroups)) {
-      // Build all same-conference pairs
-      const pairs = []
-      for (let i = 0; i < confTeams.length; i++) {
-        for (let j = i + 1; j < confTeams.length; j++) {
-          pairs.push([confTeams[i], confTeams[j]])
-        }
-      }
-
-      // Add extra games until all conference teams reach target
-      const maxPasses = 100
-      for (let pass = 0; pass < maxPasses; pass++) {
-        shuffleArray(pairs)
-        let addedAny = false
-        for (const pair of pairs) {
-          if (teamGameCounts[pair[0]] < targetGamesPerTeam &&
-              teamGameCounts[pair[1]] < targetGamesPerTeam) {
-            if (Math.random() < 0.5) {
-              matchups.push({ homeTeamId: pair[0], awayTeamId: pair[1] })
-            } else {
-              matchups.push({ homeTeamId: pair[1], awayTeamId: pair[0] })
-            }
-            teamGameCounts[pair[0]]++
-            teamGameCounts[pair[1]]++
-            addedAny = true
-          }
-        }
-        if (!addedAny) break
-        const confCounts = confTeams.map(id => teamGameCounts[id])
-        if (Math.min(...confCounts) >= targetGamesPerTeam) break
-      }
-    }
+    const calendarDays = Math.ceil(seasonLength * CALENDAR_DAYS_PER_GAME)
+    const days = spreadMatchups(matchups, teams.map(t => t.id), calendarDays)
 
-    // Distribute games across season ensuring no team plays twice on the same day
-    shuffleArray(matchups)
-    const gamesPerDay = 10
-    let currentDate = parseDate(startDateStr)
+    const startDate = parseDate(startDateStr)
     const schedule = []
     let gameNumber = 1
-    let remaining = [...matchups]
-    let userLastGameDate = null
-
-    while (remaining.length > 0) {
-      const dayGames = []
-      const teamsPlayingToday = []
-      let unscheduled = []
-      const dateStr = formatDate(currentDate)
-
-      // Check if user team needs a game today (gap would exceed 2 days)
-      let userNeedsGame = false
-      if (userLastGameDate !== null) {
-        const daysSinceUserGame = daysBetween(userLastGameDate, currentDate)
-        if (daysSinceUserGame >= 2) {
-          userNeedsGame = true
-        }
-      } else {
-        // User hasn't played yet — schedule ASAP
-        userNeedsGame = true
-      }
-
-      // If user needs a game, try to schedule one first
-      if (userNeedsGame) {
-        let userScheduled = false
-        const stillRemaining = []
-        for (const matchup of remaining) {
-          if (userScheduled) {
-            stillRemaining.push(matchup)
-            continue
-          }
-          const home = matchup.homeTeamId
-          const away = matchup.awayTeamId
-          if (home === userTeamId || away === userTeamId) {
-            dayGames.push(matchup)
-            teamsPlayingToday.push(home, away)
-            userScheduled = true
-            userLastGameDate = new Date(currentDate)
-          } else {
-            stillRemaining.push(matchup)
-          }
-        }
-        remaining = stillRemaining
-      }
-
-      // Fill remaining slots for the day
-      for (const matchup of remaining) {
-        const home = matchup.homeTeamId
-        const away = matchup.awayTeamId
-
-        if (dayGames.length >= gamesPerDay ||
-            teamsPlayingToday.includes(home) ||
-            teamsPlayingToday.includes(away)) {
-          unscheduled.push(matchup)
-          continue
-        }
-
-        dayGames.push(matchup)
-        teamsPlayingToday.push(home, away)
-      }
 
+    days.forEach((dayGames, dayIndex) => {
+      const dateStr = formatDate(addDays(startDate, dayIndex))
       for (const matchup of dayGames) {
-        const gameId = `game_${year}_${String(gameNumber).padStart(4, '0')}`
-
-        // Track user team's last game date
-        if (matchup.homeTeamId === userTeamId || matchup.awayTeamId === userTeamId) {
-          userLastGameDate = new Date(currentDate)
-        }
-
         schedule.push({
-          id: gameId,
+          id: `game_${year}_${String(gameNumber).padStart(4, '0')}`,
           homeTeamId: matchup.homeTeamId,
           homeTeamAbbreviation: teamAbbreviations[matchup.homeTeamId],
           awayTeamId: matchup.awayTeamId,
@@ -275,23 +210,133 @@ export class SeasonManager {
           awayScore: null,
           boxScore: null,
         })
-
         gameNumber++
       }
-
-      // Re-shuffle remaining to avoid ordering bias
-      shuffleArray(unscheduled)
-      remaining = unscheduled
-
-      currentDate = addDays(currentDate, 1)
-    }
+    })
 
     seasonData.schedule = schedule
+    seasonData.metadata.seasonLength = seasonLength
     seasonData.metadata.updatedAt = new Date().toISOString()
 
+    const report = SeasonManager.validateSchedule(seasonData, teams, seasonLength)
+    if (report.errors.length > 0) {
+      console.warn(SeasonManager.formatScheduleReport(report))
+    }
+
     return schedule.length
   }
 
+  /**
+   * Check a regular season schedule: games and home/away split per team,
+   * games per opponent by tier, back-to-backs and calendar spread.
+   * `errors` lists anything that breaks the schedule rules.
+   *
+   * @param {Object} seasonData
+   * @param {Array} teams
+   * @param {number} [seasonLength] - Expected games per team (defaults to the season's)
+   * @returns {Object} Report (see formatScheduleReport)
+   */
+  static validateSchedule(seasonData, teams, seasonLength = seasonData?.metadata?.seasonLength ?? DEFAULT_SEASON_LENGTH) {
+    const games = (seasonData?.schedule ?? []).filter(g => !g.isPlayoff)
+    const teamsById = Object.fromEntries(teams.map(t => [t.id, t]))
+    const errors = []
+
+    const perTeam = {}
+    for (const t of teams) {
+      perTeam[t.id] = { games: 0, home: 0, away: 0, dates: [] }
+    }
+    const pairCounts = {}
+    const gamesPerDay = {}
+
+    for (const game of games) {
+      const home = perTeam[game.homeTeamId]
+      const away = perTeam[game.awayTeamId]
+      if (!home || !away) continue
+      home.games++
+      home.home++
+      home.dates.push(game.gameDate)
+      away.games++
+      away.away++
+      away.dates.push(game.gameDate)
+
+      const pairKey = [game.homeTeamId, game.awayTeamId].sort().join('|')
+      pairCounts[pairKey] = (pairCounts[pairKey] ?? 0) + 1
+      gamesPerDay[game.gameDate] = (gamesPerDay[game.gameDate] ?? 0) + 1
+    }
+
+    let backToBacks = 0
+    let threeInThree = 0
+    let longestGap = 0
+    for (const [teamId, stats] of Object.entries(perTeam)) {
+      const abbr = teamsById[teamId]?.abbreviation ?? teamId
+      if (stats.games !== seasonLength) errors.push(`${abbr} plays ${stats.games} games (expected ${seasonLength})`)
+      if (Math.abs(stats.home - stats.away) > 1) errors.push(`${abbr} has ${stats.home} home / ${stats.away} away games`)
+
+      const days = stats.dates.map(d => parseDate(d)).sort((a, b) => a - b)
+      for (let i = 1; i < days.length; i++) {
+        const gap = daysBetween(days[i - 1], days[i])
+        if (gap === 0) errors.push(`${abbr} plays twice on ${formatDate(days[i])}`)
+        if (gap === 1) backToBacks++
+        if (i >= 2 && daysBetween(days[i - 2], days[i]) <= 2) threeInThree++
+        longestGap = Math.max(longestGap, gap)
+      }
+    }
+    if (threeInThree > 0) errors.push(`${threeInThree} three-games-in-three-days stretches`)
+
+    const tiers = { division: [], conference: [], interConference: [] }
+    for (const [pairKey, count] of Object.entries(pairCounts)) {
+      const [a, b] = pairKey.split('|').map(id => teamsById[id])
+      if (a.conference !== b.conference) tiers.interConference.push(count)
+      else if (a.division && a.division === b.division) tiers.division.push(count)
+      else tiers.conference.push(count)
+    }
+
+    const dates = Object.keys(gamesPerDay).sort()
+    const dailyCounts = Object.values(gamesPerDay)
+    const range = values => (values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : null)
+    const teamStats = Object.values(perTeam)
+
+    return {
+      seasonLength,
+      totalGames: games.length,
+      firstDate: dates[0] ?? null,
+      lastDate: dates[dates.length - 1] ?? null,
+      calendarDays: dates.length > 0 ? daysBetween(parseDate(dates[0]), parseDate(dates[dates.length - 1])) + 1 : 0,
+      gameDays: dates.length,
+      gamesPerDay: range(dailyCounts),
+      gamesPerTeam: range(teamStats.map(t => t.games)),
+      homeGames: range(teamStats.map(t => t.home)),
+      gamesPerOpponent: {
+        division: range(tiers.division),
+        conference: range(tiers.conference),
+        interConference: range(tiers.interConference),
+      },
+      backToBacksPerTeam: teams.length > 0 ? Math.round(backToBacks / teams.length * 10) / 10 : 0,
+      threeInThree,
+      longestGap,
+      errors,
+    }
+  }
+
+  /**
+   * Render a validateSchedule report as plain text.
+   * @param {Object} report
+   * @returns {string}
+   */
+  static formatScheduleReport(report) {
+    const range = r => (r ? (r.min === r.max ? `${r.min}` : `${r.min}-${r.max}`) : '-')
+    const lines = [
+      `Schedule: ${report.seasonLength} games per team, ${report.totalGames} total`,
+      `  Calendar:        ${report.firstDate} to ${report.lastDate} (${report.calendarDays} days, ${report.gameDays} with games, ${range(report.gamesPerDay)} per day)`,
+      `  Games per team:  ${range(report.gamesPerTeam)} (home ${range(report.homeGames)})`,
+      `  Per opponent:    division ${range(report.gamesPerOpponent.division)}, conference ${range(report.gamesPerOpponent.conference)}, other conference ${range(report.gamesPerOpponent.interConference)}`,
+      `  Back-to-backs:   ${report.backToBacksPerTeam} per team, ${report.threeInThree} three-in-three, longest break ${report.longestGap} days`,
+    ]
+    lines.push(report.errors.length === 0 ? '  OK' : `  ${report.errors.length} problem(s):`)
+    for (const error of report.errors) lines.push(`    - ${error}`)
+    return lines.join('\n')
+  }
+
   // -----------------------------------------------------------------------
   // Schedule Queries
   // -----------------------------------------------------------------------
@@ -352,6 +397,34 @@ export class SeasonManager {
     return games[0] ?? null
   }
 
+  /**
+   * Days since each team's previous game (1 = back-to-back, null = no
+   * earlier game this season). Passed to GameSimulator for rest effects.
+   * @param {Object} seasonData
+   * @param {Object} game - Schedule entry
+   * @returns {{ homeRestDays: number|null, awayRestDays: number|null }}
+   */
+  static getRestDays(seasonData, game) {
+    return {
+      homeRestDays: SeasonManager.getTeamRestDays(seasonData, game.homeTeamId, game.gameDate),
+      awayRestDays: SeasonManager.getTeamRestDays(seasonData, game.awayTeamId, game.gameDate),
+    }
+  }
+
+  /**
+   * Days between a team's last scheduled game before gameDate and gameDate.
+   */
+  static getTeamRestDays(seasonData, teamId, gameDate) {
+    let lastDate = null
+    for (const game of SeasonManager.getSchedule(seasonData)) {
+      if (game.isCancelled) continue
+      if (game.homeTeamId !== teamId && game.awayTeamId !== teamId) continue
+      if (game.gameDate >= gameDate) continue
+      if (!lastDate || game.gameDate > lastDate) lastDate = game.gameDate
+    }
+    return lastDate ? daysBetween(parseDate(lastDate), parseDate(gameDate)) : null
+  }
+
   // -----------------------------------------------------------------------
   // Game Updates
   // -----------------------------------------------------------------------
@@ -397,6 +470,8 @@ export class SeasonManager {
           rebounds: player.rebounds ?? 0,
           assists: player.assists ?? 0,
           minutes: player.minutes ?? 0,
+          plus_minus: player.plus_minus ?? 0,
+          is_starter: player.is_starter ?? false,
         })
       }
     }
@@ -529,8 +604,8 @@ export class SeasonManager {
    * Update team stats after a game.
    * @private
    */
-  static _updateTeamStatsAfterGame(seasonData, teamId, pointsFor, pointsAgainst, isHome) {
-    const stats = seasonData.teamStats?.[teamId]
+  static _updateTeamStatsAfterGame(seasonData, teamId, pointsFor, pointsAgainst, isHome, bucket = seasonData.teamStats) {
+    const stats = bucket?.[teamId]
     if (!stats) return
 
     const won = pointsFor > pointsAgainst
@@ -547,26 +622,101 @@ export class SeasonManager {
     stats.pointsAllowed += pointsAgainst
   }
 
+  /**
+   * Update playoff team stats after a playoff game. Standings are left alone
+   * so they keep the regular-season record.
+   * Mutates seasonData in place.
+   */
+  static updatePlayoffTeamStats(seasonData, homeTeamId, awayTeamId, homeScore, awayScore) {
+    if (!seasonData) return
+
+    if (!seasonData.playoffTeamStats) seasonData.playoffTeamStats = {}
+    const bucket = seasonData.playoffTeamStats
+    for (const teamId of [homeTeamId, awayTeamId]) {
+      if (!bucket[teamId]) {
+        bucket[teamId] = SeasonManager._createEmptyTeamStats(teamId, seasonData.teamStats?.[teamId]?.teamAbbreviation ?? null)
+      }
+    }
+
+    SeasonManager._updateTeamStatsAfterGame(seasonData, homeTeamId, homeScore, awayScore, true, bucket)
+    SeasonManager._updateTeamStatsAfterGame(seasonData, awayTeamId, awayScore, homeScore, false, bucket)
+
+    seasonData.metadata.updatedAt = new Date().toISOString()
+  }
+
+  /**
+   * Record a completed game's team result in the split it belongs to:
+   * standings and team stats for the regular season, playoff team stats for
+   * the playoffs, nothing for the play-in.
+   * Mutates seasonData in place.
+   * @param {Object} seasonData
+   * @param {Object} game - Schedule entry
+   * @param {number} homeScore
+   * @param {number} awayScore
+   */
+  static recordTeamResult(seasonData, game, homeScore, awayScore) {
+    if (!seasonData || !game) return
+
+    const split = SeasonManager.getGameSplit(game)
+    if (split === 'regular') {
+      SeasonManager.updateStandingsAfterGame(seasonData, game.homeTeamId, game.awayTeamId, homeScore, awayScore)
+    } else if (split === 'playoffs') {
+      SeasonManager.updatePlayoffTeamStats(seasonData, game.homeTeamId, game.awayTeamId, homeScore, awayScore)
+    }
+  }
+
   // -----------------------------------------------------------------------
   // Player Stats
   // -----------------------------------------------------------------------
 
   /**
    * Update player stats after a game.
+   * Regular-season games go to playerStats and playoff games to
+   * playoffPlayerStats; any postseason game (play-in included) also feeds
+   * its series' stats in playoffSeriesStats.
    * Mutates seasonData in place.
+   * @param {Object} seasonData
+   * @param {string|number} playerId
+   * @param {string} playerName
+   * @param {string} teamId
+   * @param {Object} gameStats - Box score line
+   * @param {Object|null} [game=null] - Schedule entry; omitted means regular season
    */
-  static updatePlayerStats(seasonData, playerId, playerName, teamId, gameStats) {
+  static updatePlayerStats(seasonData, playerId, playerName, teamId, gameStats, game = null) {
     if (!seasonData) return
 
     const pid = String(playerId)
+    const split = SeasonManager.getGameSplit(game)
 
-    if (!seasonData.playerStats[pid]) {
-      seasonData.playerStats[pid] = SeasonManager._createEmptyPlayerStats(pid, playerName, teamId)
+    if (split === 'regular') {
+      SeasonManager._accumulatePlayerStats(seasonData.playerStats, pid, playerName, teamId, gameStats)
+    } else if (split === 'playoffs') {
+      if (!seasonData.playoffPlayerStats) seasonData.playoffPlayerStats = {}
+      SeasonManager._accumulatePlayerStats(seasonData.playoffPlayerStats, pid, playerName, teamId, gameStats)
     }
 
-    const stats = seasonData.playerStats[pid]
+    if (game?.playoffSeriesId) {
+      if (!seasonData.playoffSeriesStats) seasonData.playoffSeriesStats = {}
+      if (!seasonData.playoffSeriesStats[game.playoffSeriesId]) seasonData.playoffSeriesStats[game.playoffSeriesId] = {}
+      SeasonManager._accumulatePlayerStats(
+        seasonData.playoffSeriesStats[game.playoffSeriesId], pid, playerName, teamId, gameStats
+      )
+    }
+  }
+
+  /**
+   * Add one game's box score line to a player's record in a stats bucket.
+   * @private
+   */
+  static _accumulatePlayerStats(bucket, pid, playerName, teamId, gameStats) {
+    if (!bucket[pid]) {
+      bucket[pid] = SeasonManager._createEmptyPlayerStats(pid, playerName, teamId)
+    }
+
+    const stats = bucket[pid]
 
     stats.gamesPlayed++
+    if (gameStats.is_starter ?? gameStats.started ?? false) stats.gamesStarted++
     stats.minutesPlayed += gameStats.minutes ?? 0
     stats.points += gameStats.points ?? 0
     stats.rebounds += gameStats.rebounds ?? 0
@@ -583,6 +733,7 @@ export class SeasonManager {
     stats.threePointersAttempted += gameStats.threePointersAttempted ?? gameStats.fg3a ?? 0
     stats.freeThrowsMade += gameStats.freeThrowsMade ?? gameStats.ftm ?? 0
     stats.freeThrowsAttempted += gameStats.freeThrowsAttempted ?? gameStats.fta ?? 0
+    stats.plusMinus = (stats.plusMinus ?? 0) + (gameStats.plus_minus ?? gameStats.plusMinus ?? 0)
   }
 
   /**
@@ -612,21 +763,37 @@ export class SeasonManager {
       threePointersAttempted: 0,
       freeThrowsMade: 0,
       freeThrowsAttempted: 0,
+      plusMinus: 0,
     }
   }
 
   /**
    * Get a single player's stats.
+   * @param {Object} seasonData
+   * @param {string|number} playerId
+   * @param {Object} [options]
+   * @param {boolean} [options.playoffs=false] - Playoff split instead of regular season
    */
-  static getPlayerStats(seasonData, playerId) {
-    return seasonData?.playerStats?.[String(playerId)] ?? null
+  static getPlayerStats(seasonData, playerId, { playoffs = false } = {}) {
+    const bucket = playoffs ? seasonData?.playoffPlayerStats : seasonData?.playerStats
+    return bucket?.[String(playerId)] ?? null
   }
 
   /**
    * Get all player stats for a season.
+   * @param {Object} seasonData
+   * @param {Object} [options]
+   * @param {boolean} [options.playoffs=false] - Playoff split instead of regular season
    */
-  static getAllPlayerStats(seasonData) {
-    return seasonData?.playerStats ?? {}
+  static getAllPlayerStats(seasonData, { playoffs = false } = {}) {
+    return (playoffs ? seasonData?.playoffPlayerStats : seasonData?.playerStats) ?? {}
+  }
+
+  /**
+   * Get every player's stats for one playoff series.
+   */
+  static getSeriesPlayerStats(seasonData, seriesId) {
+    return seasonData?.playoffSeriesStats?.[seriesId] ?? {}
   }
 
   /**
@@ -638,19 +805,25 @@ export class SeasonManager {
     const oldKey = String(oldPlayerId)
     const newKey = String(newPlayerId)
 
-    const oldStats = seasonData.playerStats[oldKey]
-    if (!oldStats) {
-      return true // No stats to migrate, not an error
+    for (const bucket of [seasonData.playerStats, seasonData.playoffPlayerStats]) {
+      const oldStats = bucket?.[oldKey]
+      if (!oldStats) continue // No stats to migrate, not an error
+
+      bucket[newKey] = {
+        ...oldStats,
+        playerId: newKey,
+        playerName: newPlayerName,
+        teamId: newTeamId,
+      }
+      delete bucket[oldKey]
     }
 
-    seasonData.playerStats[newKey] = {
-      ...oldStats,
-      playerId: newKey,
-      playerName: newPlayerName,
-      teamId: newTeamId,
+    for (const charts of [seasonData.shotCharts, seasonData.playoffShotCharts]) {
+      if (!charts?.players?.[oldKey]) continue
+      charts.players[newKey] = charts.players[oldKey]
+      delete charts.players[oldKey]
     }
 
-    delete seasonData.playerStats[oldKey]
     seasonData.metadata.updatedAt = new Date().toISOString()
 
     return true
@@ -672,15 +845,244 @@ export class SeasonManager {
     return false
   }
 
+  // -----------------------------------------------------------------------
+  // Lineup Stats
+  // -----------------------------------------------------------------------
+
+  /**
+   * Accumulate a game's five-man unit stints into the team's season totals.
+   * Mutates seasonData in place.
+   * @param {Object} seasonData
+   * @param {string} teamId
+   * @param {Array} lineups - Formatted unit stints from a game result
+   */
+  static updateLineupStats(seasonData, teamId, lineups) {
+    if (!seasonData || !teamId || !lineups?.length) return
+
+    if (!seasonData.lineupStats) seasonData.lineupStats = {}
+    if (!seasonData.lineupStats[teamId]) seasonData.lineupStats[teamId] = {}
+    const units = seasonData.lineupStats[teamId]
+
+    for (const unit of lineups) {
+      const playerIds = [...(unit.player_ids ?? [])].map(String).sort()
+      if (playerIds.length === 0) continue
+      const key = playerIds.join('|')
+
+      if (!units[key]) {
+        units[key] = {
+          playerIds,
+          games: 0,
+          minutes: 0,
+          offPossessions: 0,
+          defPossessions: 0,
+          pointsFor: 0,
+          pointsAgainst: 0,
+        }
+      }
+
+      const total = units[key]
+      total.games++
+      total.minutes += unit.minutes ?? 0
+      total.offPossessions += unit.off_possessions ?? 0
+      total.defPossessions += unit.def_possessions ?? 0
+      total.pointsFor += unit.points_for ?? 0
+      total.pointsAgainst += unit.points_against ?? 0
+    }
+  }
+
+  /**
+   * Get a team's season five-man units with plus-minus and net rating
+   * (points per 100 possessions scored minus allowed), most-used first.
+   * @param {Object} seasonData
+   * @param {string} teamId
+   * @param {Object} [options]
+   * @param {number} [options.minMinutes=0] - Hide units below this many minutes
+   * @returns {Array}
+   */
+  static getLineupStats(seasonData, teamId, { minMinutes = 0 } = {}) {
+    const units = seasonData?.lineupStats?.[teamId] ?? {}
+
+    return Object.values(units)
+      .filter(u => u.minutes >= minMinutes)
+      .map(u => {
+        const offRating = u.offPossessions > 0 ? (u.pointsFor / u.offPossessions) * 100 : 0
+        const defRating = u.defPossessions > 0 ? (u.pointsAgainst / u.defPossessions) * 100 : 0
+        return {
+          ...u,
+          minutes: Math.round(u.minutes * 10) / 10,
+          plusMinus: u.pointsFor - u.pointsAgainst,
+          offRating: Math.round(offRating * 10) / 10,
+          defRating: Math.round(defRating * 10) / 10,
+          netRating: Math.round((offRating - defRating) * 10) / 10,
+        }
+      })
+      .sort((a, b) => b.minutes - a.minutes)
+  }
+
+  // -----------------------------------------------------------------------
+  // Shot Charts
+  // -----------------------------------------------------------------------
+
+  /**
+   * Add a game's located field goal attempts to each shooter's and each
+   * team's shot chart, in the split the game belongs to (play-in shots are
+   * not kept).
+   * Mutates seasonData in place.
+   * @param {Object} seasonData
+   * @param {Object} game - Schedule entry
+   * @param {Object} shots - { home: [...], away: [...] } from the simulator
+   */
+  static updateShotCharts(seasonData, game, shots) {
+    if (!seasonData || !game || !shots) return
+
+    const split = SeasonManager.getGameSplit(game)
+    if (split === 'playIn') return
+
+    const key = split === 'playoffs' ? 'playoffShotCharts' : 'shotCharts'
+    if (!seasonData[key]) seasonData[key] = { players: {}, teams: {} }
+    const charts = seasonData[key]
+
+    const sides = { home: game.homeTeamId, away: game.awayTeamId }
+    for (const [side, teamId] of Object.entries(sides)) {
+      for (const shot of (shots[side] ?? [])) {
+        if (!charts.teams[teamId]) charts.teams[teamId] = createEmptyShotChart()
+        addShotToChart(charts.teams[teamId], shot)
+
+        const pid = shot.player_id != null ? String(shot.player_id) : null
+        if (!pid) continue
+        if (!charts.players[pid]) charts.players[pid] = createEmptyShotChart()
+        addShotToChart(charts.players[pid], shot)
+      }
+    }
+  }
+
+  /**
+   * Get a player's or team's season shot chart.
+   * @param {Object} seasonData
+   * @param {Object} options
+   * @param {string|number} [options.playerId]
+   * @param {string} [options.teamId] - Used when no playerId is given
+   * @param {boolean} [options.playoffs=false] - Playoff split instead of regular season
+   * @returns {Object|null} { attempts, made, zones, contest, spots }
+   */
+  static getShotChart(seasonData, { playerId = null, teamId = null, playoffs = false } = {}) {
+    const charts = playoffs ? seasonData?.playoffShotCharts : seasonData?.shotCharts
+    if (playerId != null) return charts?.players?.[String(playerId)] ?? null
+    return charts?.teams?.[teamId] ?? null
+  }
+
   // -----------------------------------------------------------------------
   // Team Stats
   // -----------------------------------------------------------------------
 
   /**
    * Get team stats.
+   * @param {Object} seasonData
+   * @param {string} teamId
+   * @param {Object} [options]
+   * @param {boolean} [options.playoffs=false] - Playoff split instead of regular season
    */
-  static getTeamStats(seasonData, teamId) {
-    return seasonData?.teamStats?.[teamId] ?? null
+  static getTeamStats(seasonData, teamId, { playoffs = false } = {}) {
+    const bucket = playoffs ? seasonData?.playoffTeamStats : seasonData?.teamStats
+    return bucket?.[teamId] ?? null
+  }
+
+  /**
+   * Add a game's box score to both teams' shooting, rebounding and turnover
+   * totals (and to each side's record of what it allowed), in the split the
+   * game belongs to. These feed possessions, pace and ratings.
+   * Mutates seasonData in place.
+   * @param {Object} seasonData
+   * @param {Object} game - Schedule entry
+   * @param {Object} boxScore - Full (non-compacted) box score { home, away }
+   */
+  static updateTeamBoxTotals(seasonData, game, boxScore) {
+    if (!seasonData || !game || !boxScore) return
+
+    const split = SeasonManager.getGameSplit(game)
+    if (split === 'playIn') return
+
+    if (split === 'playoffs' && !seasonData.playoffTeamStats) seasonData.playoffTeamStats = {}
+    const bucket = split === 'playoffs' ? seasonData.playoffTeamStats : seasonData.teamStats
+    if (!bucket) return
+
+    const totals = {
+      home: SeasonManager._sumBoxScoreSide(boxScore.home),
+      away: SeasonManager._sumBoxScoreSide(boxScore.away),
+    }
+    const sides = { home: game.homeTeamId, away: game.awayTeamId }
+
+    for (const [side, teamId] of Object.entries(sides)) {
+      if (!bucket[teamId]) {
+        bucket[teamId] = SeasonManager._createEmptyTeamStats(teamId, seasonData.teamStats?.[teamId]?.teamAbbreviation ?? null)
+      }
+      const stats = bucket[teamId]
+      const opponent = side === 'home' ? 'away' : 'home'
+
+      stats.boxGames = (stats.boxGames ?? 0) + 1
+      stats.box = SeasonManager._addBoxTotals(stats.box, totals[side])
+      stats.opponentBox = SeasonManager._addBoxTotals(stats.opponentBox, totals[opponent])
+    }
+  }
+
+  /**
+   * Sum one side of a box score into team totals.
+   * @private
+   */
+  static _sumBoxScoreSide(lines) {
+    const totals = SeasonManager.createEmptyBoxTotals()
+    for (const line of (lines ?? [])) {
+      totals.minutes += line.minutes ?? 0
+      totals.points += line.points ?? 0
+      totals.fieldGoalsMade += line.fgm ?? line.fieldGoalsMade ?? 0
+      totals.fieldGoalsAttempted += line.fga ?? line.fieldGoalsAttempted ?? 0
+      totals.threePointersMade += line.fg3m ?? line.threePointersMade ?? 0
+      totals.threePointersAttempted += line.fg3a ?? line.threePointersAttempted ?? 0
+      totals.freeThrowsMade += line.ftm ?? line.freeThrowsMade ?? 0
+      totals.freeThrowsAttempted += line.fta ?? line.freeThrowsAttempted ?? 0
+      totals.offensiveRebounds += line.offensive_rebounds ?? line.offensiveRebounds ?? 0
+      totals.defensiveRebounds += line.defensive_rebounds ?? line.defensiveRebounds ?? 0
+      totals.assists += line.assists ?? 0
+      totals.steals += line.steals ?? 0
+      totals.blocks += line.blocks ?? 0
+      totals.turnovers += line.turnovers ?? 0
+      totals.personalFouls += line.fouls ?? line.personalFouls ?? 0
+    }
+    return totals
+  }
+
+  /**
+   * @private
+   */
+  static _addBoxTotals(current, game) {
+    const totals = current ?? SeasonManager.createEmptyBoxTotals()
+    for (const key of Object.keys(game)) {
+      totals[key] = (totals[key] ?? 0) + game[key]
+    }
+    return totals
+  }
+
+  /**
+   * Create an empty set of team box totals.
+   */
+  static createEmptyBoxTotals() {
+    return {
+      minutes: 0,
+      points: 0,
+      fieldGoalsMade: 0,
+      fieldGoalsAttempted: 0,
+      threePointersMade: 0,
+      threePointersAttempted: 0,
+      freeThrowsMade: 0,
+      freeThrowsAttempted: 0,
+      offensiveRebounds: 0,
+      defensiveRebounds: 0,
+      assists: 0,
+      steals: 0,
+      blocks: 0,
+      turnovers: 0,
+      personalFouls: 0,
+    }
   }
 
   // -----------------------------------------------------------------------
@@ -692,7 +1094,7 @@ export class SeasonManager {
    * Replaces multiple individual update cycles with a single pass.
    * @param {Object} seasonData - Mutated in place
    * @param {Array} results - Array of result objects with:
-   *   { gameId, homeTeamId, awayTeamId, homeScore, awayScore, boxScore, quarterScores, isUserGame }
+   *   { gameId, homeTeamId, awayTeamId, homeScore, awayScore, boxScore, quarterScores, lineups, shots, isUserGame }
    */
   static bulkMergeResults(seasonData, results) {
     if (!seasonData || !results || results.length === 0) return
@@ -710,7 +1112,8 @@ export class SeasonManager {
       if (idx === undefined) continue
 
       // Idempotency: skip games already marked complete
-      if (seasonData.schedule[idx].isComplete) continue
+      const scheduled = seasonData.schedule[idx]
+      if (scheduled.isComplete) continue
 
       // Update schedule entry
       let boxScore = result.boxScore
@@ -719,7 +1122,7 @@ export class SeasonManager {
       }
 
       seasonData.schedule[idx] = {
-        ...seasonData.schedule[idx],
+        ...scheduled,
         isComplete: true,
         homeScore: result.homeScore,
         awayScore: result.awayScore,
@@ -727,27 +1130,31 @@ export class SeasonManager {
         quarterScores: result.quarterScores,
       }
 
-      // Update standings
-      const homeWon = result.homeScore > result.awayScore
-      for (const conf of ['east', 'west']) {
-        for (let i = 0; i < seasonData.standings[conf].length; i++) {
-          const standing = seasonData.standings[conf][i]
-          if (standing.teamId === result.homeTeamId) {
-            seasonData.standings[conf][i] = SeasonManager._updateTeamStanding(
-              standing, homeWon, result.homeScore, result.awayScore, true
-            )
-          }
-          if (standing.teamId === result.awayTeamId) {
-            seasonData.standings[conf][i] = SeasonManager._updateTeamStanding(
-              standing, !homeWon, result.awayScore, result.homeScore, false
-            )
+      // Update standings and team stats (playoff games only touch the playoff split)
+      const split = SeasonManager.getGameSplit(scheduled)
+      if (split === 'regular') {
+        const homeWon = result.homeScore > result.awayScore
+        for (const conf of ['east', 'west']) {
+          for (let i = 0; i < seasonData.standings[conf].length; i++) {
+            const standing = seasonData.standings[conf][i]
+            if (standing.teamId === result.homeTeamId) {
+              seasonData.standings[conf][i] = SeasonManager._updateTeamStanding(
+                standing, homeWon, result.homeScore, result.awayScore, true
+              )
+            }
+            if (standing.teamId === result.awayTeamId) {
+              seasonData.standings[conf][i] = SeasonManager._updateTeamStanding(
+                standing, !homeWon, result.awayScore, result.homeScore, false
+              )
+            }
           }
         }
-      }
 
-      // Update team stats
-      SeasonManager._updateTeamStatsAfterGame(seasonData, result.homeTeamId, result.homeScore, result.awayScore, true)
-      SeasonManager._updateTeamStatsAfterGame(seasonData, result.awayTeamId, result.awayScore, result.homeScore, false)
+        SeasonManager._updateTeamStatsAfterGame(seasonData, result.homeTeamId, result.homeScore, result.awayScore, true)
+        SeasonManager._updateTeamStatsAfterGame(seasonData, result.awayTeamId, result.awayScore, result.homeScore, false)
+      } else if (split === 'playoffs') {
+        SeasonManager.updatePlayoffTeamStats(seasonData, result.homeTeamId, result.awayTeamId, result.homeScore, result.awayScore)
+      }
 
       // Update player stats from full box score
       const fullBox = result.boxScore // Use full (non-compacted) box score for stats
@@ -758,31 +1165,19 @@ export class SeasonManager {
           const playerName = playerStats.name ?? 'Unknown'
           if (!playerId) continue
 
-          const pid = String(playerId)
-          if (!seasonData.playerStats[pid]) {
-            seasonData.playerStats[pid] = SeasonManager._createEmptyPlayerStats(pid, playerName, teamId)
-          }
-
-          const s = seasonData.playerStats[pid]
-          s.gamesPlayed++
-          s.minutesPlayed += playerStats.minutes ?? 0
-          s.points += playerStats.points ?? 0
-          s.rebounds += playerStats.rebounds ?? 0
-          s.offensiveRebounds += playerStats.offensiveRebounds ?? playerStats.offensive_rebounds ?? 0
-          s.defensiveRebounds += playerStats.defensiveRebounds ?? playerStats.defensive_rebounds ?? 0
-          s.assists += playerStats.assists ?? 0
-          s.steals += playerStats.steals ?? 0
-          s.blocks += playerStats.blocks ?? 0
-          s.turnovers += playerStats.turnovers ?? 0
-          s.personalFouls += playerStats.fouls ?? playerStats.personalFouls ?? 0
-          s.fieldGoalsMade += playerStats.fieldGoalsMade ?? playerStats.fgm ?? 0
-          s.fieldGoalsAttempted += playerStats.fieldGoalsAttempted ?? playerStats.fga ?? 0
-          s.threePointersMade += playerStats.threePointersMade ?? playerStats.fg3m ?? 0
-          s.threePointersAttempted += playerStats.threePointersAttempted ?? playerStats.fg3a ?? 0
-          s.freeThrowsMade += playerStats.freeThrowsMade ?? playerStats.ftm ?? 0
-          s.freeThrowsAttempted += playerStats.freeThrowsAttempted ?? playerStats.fta ?? 0
+          SeasonManager.updatePlayerStats(seasonData, playerId, playerName, teamId, playerStats, scheduled)
         }
       }
+
+      // Team box totals for possessions, pace and ratings
+      SeasonManager.updateTeamBoxTotals(seasonData, scheduled, fullBox)
+      SeasonManager.updateShotCharts(seasonData, scheduled, result.shots)
+
+      // Accumulate five-man unit stints (regular season only)
+      if (result.lineups && split === 'regular') {
+        SeasonManager.updateLineupStats(seasonData, result.homeTeamId, result.lineups.home)
+        SeasonManager.updateLineupStats(seasonData, result.awayTeamId, result.lineups.away)
+      }
     }
 
     // Sort standings once at the end
@@ -882,6 +1277,7 @@ export class SeasonManager {
 
     return {
       nextUserGame,
+      nextGameRest: SeasonManager.getRestDays(seasonData, nextUserGame),
       daysToSimulate: Object.keys(sortedGamesByDate).length,
       gamesByDate: sortedGamesByDate,
       totalGamesToSimulate,
@@ -910,6 +1306,258 @@ export class SeasonManager {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Schedule Helpers
+// ---------------------------------------------------------------------------
+
+const BYE = '__bye__'
+const BACK_TO_BACK_PENALTY = 0.5   // Per team that played yesterday
+const REMATCH_PENALTY = 0.3        // Same two teams met in the last REMATCH_WINDOW days
+const REMATCH_WINDOW = 5
+
+/**
+ * Group teams as conferences → divisions (positions shuffled so rotations
+ * change each season). Null unless there are two conferences whose
+ * divisions are all the same size.
+ */
+function getLeagueLayout(teams) {
+  const conferences = {}
+  for (const team of teams) {
+    if (!team.conference || !team.division) return null
+    if (!conferences[team.conference]) conferences[team.conference] = {}
+    const divisions = conferences[team.conference]
+    if (!divisions[team.division]) divisions[team.division] = []
+    divisions[team.division].push(team.id)
+  }
+
+  const layout = Object.keys(conferences).sort().map(conf =>
+    Object.keys(conferences[conf]).sort().map(div => shuffleArray([...conferences[conf][div]]))
+  )
+  if (layout.length !== 2) return null
+
+  const divisionCount = layout[0].length
+  const divisionSize = layout[0][0].length
+  const uniform = layout.every(divisions =>
+    divisions.length === divisionCount && divisions.every(d => d.length === divisionSize)
+  )
+  return uniform ? { conferences: layout, divisionCount, divisionSize } : null
+}
+
+/**
+ * Matchups for an NBA-style format. Conference extras come evenly from
+ * each other division (position p gets positions p..p+k-1); inter-conference
+ * extras are one per division of the other conference, then wrap.
+ */
+function buildDivisionalMatchups(layout, format) {
+  const { conferences, divisionCount, divisionSize } = layout
+  const conferenceSize = divisionCount * divisionSize
+  const extraPerDivision = divisionCount > 1 ? format.conferenceExtra / (divisionCount - 1) : 0
+  const pairs = []
+
+  for (const divisions of conferences) {
+    for (let d1 = 0; d1 < divisionCount; d1++) {
+      const division = divisions[d1]
+      for (let i = 0; i < divisionSize; i++) {
+        for (let j = i + 1; j < divisionSize; j++) {
+          pairs.push([division[i], division[j], format.division])
+        }
+      }
+      for (let d2 = d1 + 1; d2 < divisionCount; d2++) {
+        for (let p = 0; p < divisionSize; p++) {
+          for (let q = 0; q < divisionSize; q++) {
+            const extra = (q - p + divisionSize) % divisionSize < extraPerDivision ? 1 : 0
+            pairs.push([division[p], divisions[d2][q], format.conference + extra])
+          }
+        }
+      }
+    }
+  }
+
+  const extraOffsets = new Set()
+  for (let j = 0; j < format.interConferenceExtra; j++) {
+    extraOffsets.add((j % divisionCount) * divisionSize + Math.floor(j / divisionCount))
+  }
+  const [first, second] = conferences.map(divisions => divisions.flat())
+  for (let c = 0; c < conferenceSize; c++) {
+    for (let w = 0; w < conferenceSize; w++) {
+      const extra = extraOffsets.has((w - c + conferenceSize) % conferenceSize) ? 1 : 0
+      pairs.push([first[c], second[w], format.interConference + extra])
+    }
+  }
+
+  return expandPairs(pairs)
+}
+
+/**
+ * Fallback for other lengths and layouts: every pair once, then extra
+ * same-conference games until each team reaches the target.
+ */
+function buildRoundRobinMatchups(teams, seasonLength) {
+  const gameCounts = Object.fromEntries(teams.map(t => [t.id, 0]))
+  const pairGames = new Map()
+  const addGame = (a, b) => {
+    const key = `${a}|${b}`
+    if (!pairGames.has(key)) pairGames.set(key, [a, b, 0])
+    pairGames.get(key)[2]++
+    gameCounts[a]++
+    gameCounts[b]++
+  }
+
+  const allPairs = []
+  const conferencePairs = []
+  for (let i = 0; i < teams.length; i++) {
+    for (let j = i + 1; j < teams.length; j++) {
+      allPairs.push([teams[i].id, teams[j].id])
+      if (teams[i].conference === teams[j].conference) conferencePairs.push([teams[i].id, teams[j].id])
+    }
+  }
+
+  for (const [a, b] of shuffleArray(allPairs)) {
+    if (gameCounts[a] < seasonLength && gameCounts[b] < seasonLength) addGame(a, b)
+  }
+
+  // Conference opponents first; anyone still short tops up across conferences
+  const maxPasses = 100
+  for (const candidates of [conferencePairs, allPairs]) {
+    for (let pass = 0; pass < maxPasses; pass++) {
+      let addedAny = false
+      for (const [a, b] of shuffleArray(candidates)) {
+        if (gameCounts[a] < seasonLength && gameCounts[b] < seasonLength) {
+          addGame(a, b)
+          addedAny = true
+        }
+      }
+      if (!addedAny) break
+    }
+  }
+
+  return expandPairs([...pairGames.values()])
+}
+
+/**
+ * Turn [teamA, teamB, games] pairs into home/away matchups: even series
+ * split evenly, and the odd games are oriented so no team ends up more
+ * than one home game off an even split.
+ */
+function expandPairs(pairs) {
+  const matchups = []
+  const oddPairs = []
+  for (const [a, b, count] of pairs) {
+    for (let i = 0; i < Math.floor(count / 2); i++) {
+      matchups.push({ homeTeamId: a, awayTeamId: b }, { homeTeamId: b, awayTeamId: a })
+    }
+    if (count % 2 === 1) oddPairs.push([a, b])
+  }
+  return [...matchups, ...orientBalanced(oddPairs)]
+}
+
+/**
+ * Orient single games so every team's home and away counts differ by at
+ * most one. Odd-degree teams are linked to a bye node, then edges are
+ * oriented along closed walks (each walk enters a team as often as it
+ * leaves); dropping the bye edges leaves at most one game of imbalance.
+ */
+function orientBalanced(pairs) {
+  const edges = shuffleArray(pairs.map(([a, b]) => ({ a, b, used: false })))
+  const incident = new Map()
+  const link = (node, edge) => {
+    if (!incident.has(node)) incident.set(node, [])
+    incident.get(node).push(edge)
+  }
+  for (const edge of edges) {
+    link(edge.a, edge)
+    link(edge.b, edge)
+  }
+  for (const [node, list] of [...incident]) {
+    if (list.length % 2 === 1) {
+      const edge = { a: node, b: BYE, used: false }
+      link(node, edge)
+      link(BYE, edge)
+    }
+  }
+
+  const oriented = []
+  for (const start of incident.keys()) {
+    let node = start
+    let edge
+    while ((edge = incident.get(node).find(e => !e.used))) {
+      edge.used = true
+      const next = edge.a === node ? edge.b : edge.a
+      if (node !== BYE && next !== BYE) oriented.push({ homeTeamId: node, awayTeamId: next })
+      node = next
+    }
+  }
+  return oriented
+}
+
+/**
+ * Assign matchups to days. Each day takes its even share of what's left,
+ * favouring teams furthest behind their pace and avoiding back-to-backs
+ * and quick rematches; nobody plays three days running. Runs past
+ * `calendarDays` only if the last games can't fit.
+ * @returns {Array<Array>} Matchups per day
+ */
+function spreadMatchups(matchups, teamIds, calendarDays) {
+  const gamesLeft = Object.fromEntries(teamIds.map(id => [id, 0]))
+  for (const m of matchups) {
+    gamesLeft[m.homeTeamId]++
+    gamesLeft[m.awayTeamId]++
+  }
+
+  const lastPlayed = {}   // teamId -> day of most recent game
+  const prevPlayed = {}   // teamId -> day of the game before that
+  const lastMet = {}      // pair key -> day
+  const pairKey = m => (m.homeTeamId < m.awayTeamId ? `${m.homeTeamId}|${m.awayTeamId}` : `${m.awayTeamId}|${m.homeTeamId}`)
+  const maxGamesPerDay = Math.floor(teamIds.length / 2)
+
+  const days = []
+  let pending = shuffleArray([...matchups])
+  for (let day = 0; pending.length > 0; day++) {
+    const daysLeft = Math.max(1, calendarDays - day)
+    const target = Math.min(maxGamesPerDay, Math.ceil(pending.length / daysLeft))
+
+    const scored = []
+    for (const m of pending) {
+      const teams = [m.homeTeamId, m.awayTeamId]
+      if (teams.some(id => lastPlayed[id] === day - 1 && prevPlayed[id] === day - 2)) continue
+
+      let score = random() * 0.05
+      for (const id of teams) {
+        score += gamesLeft[id] / daysLeft
+        if (lastPlayed[id] === day - 1) score -= BACK_TO_BACK_PENALTY
+      }
+      const met = lastMet[pairKey(m)]
+      if (met !== undefined && day - met <= REMATCH_WINDOW) score -= REMATCH_PENALTY
+      scored.push({ m, score })
+    }
+    scored.sort((a, b) => b.score - a.score)
+
+    const dayGames = []
+    const playing = new Set()
+    for (const { m } of scored) {
+      if (dayGames.length >= target) break
+      if (playing.has(m.homeTeamId) || playing.has(m.awayTeamId)) continue
+      dayGames.push(m)
+      playing.add(m.homeTeamId)
+      playing.add(m.awayTeamId)
+    }
+
+    for (const m of dayGames) {
+      for (const id of [m.homeTeamId, m.awayTeamId]) {
+        prevPlayed[id] = lastPlayed[id]
+        lastPlayed[id] = day
+        gamesLeft[id]--
+      }
+      lastMet[pairKey(m)] = day
+    }
+    const scheduled = new Set(dayGames)
+    pending = pending.filter(m => !scheduled.has(m))
+    days.push(dayGames)
+  }
+
+  return days
+}
+
 // ---------------------------------------------------------------------------
 // Date Helpers (simple, no external dependencies)
 // ---------------------------------------------------------------------------
@@ -934,7 +1582,8 @@ function addDays(date, n) {
 
 function daysBetween(a, b) {
   const msPerDay = 86400000
-  return Math.floor((b - a) / msPerDay)
+  // Rounded so a daylight-saving shift (23h/25h day) still counts as one day
+  return Math.round((b - a) / msPerDay)
 }
 
 /**
@@ -942,7 +1591,7 @@ function daysBetween(a, b) {
  */
 function shuffleArray(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[arr[i], arr[j]] = [arr[j], arr[i]]
   }
   return arr
@@ -9,7 +9,8 @@
  * All game logic and math preserved exactly from the PHP source.
  */
 
-// import { } from '../config/GameConfig.js'
+import { COACH_EFFECTS } from '../config/GameConfig.js'
+import { getCoachAttributeFactor } from '../data/coaches'
 
 // ---------------------------------------------------------------------------
 // Offensive Schemes
@@ -343,11 +344,15 @@ export class CoachingEngine {
    *   blockModifier     - applied to block probability      (positive = more blocks)
    *   stealModifier     - applied to steal probability      (positive = more steals)
    *
+   * The defending head coach's defensiveIQ shifts shot and turnover
+   * modifiers on every play (how well the scheme is executed).
+   *
    * @param {string} scheme  - defensive scheme ID
    * @param {Object} play    - the offensive play object (needs at least `category`)
+   * @param {Object|null} [coach=null] - defending team's head coach
    * @returns {{ shotModifier: number, turnoverModifier: number, blockModifier: number, stealModifier: number }}
    */
-  calculateDefensiveModifiers(scheme, play) {
+  calculateDefensiveModifiers(scheme, play, coach = null) {
     const schemeData = DEFENSIVE_SCHEMES[scheme] ?? DEFENSIVE_SCHEMES.man
     const playCategory = play.category ?? 'motion'
 
@@ -420,6 +425,11 @@ export class CoachingEngine {
       modifiers.shotModifier -= sm.contest_boost
     }
 
+    // Coach defensive IQ: scheme execution
+    const defensiveIQ = getCoachAttributeFactor(coach, 'defensiveIQ')
+    modifiers.shotModifier -= defensiveIQ * COACH_EFFECTS.defensive_iq_shot_modifier
+    modifiers.turnoverModifier += defensiveIQ * COACH_EFFECTS.defensive_iq_turnover_modifier
+
     return modifiers
   }
 
@@ -10,15 +10,44 @@
  * Usage:
  *   const sim = new GameSimulator({ badgeDefinitions, badgeSynergies });
  *   const result = sim.simulateGame(homeTeam, awayTeam, options);
+ *
+ * Home court lifts the home team's shooting, foul drawing and morale
+ * (scaled by options.homeCourtAdvantage). Rest days since each team's last
+ * game and the fatigue players carry in add back-to-back and tired-legs
+ * penalties. A team on a scoring run shoots a little better until the
+ * other side scores or calls a timeout (see TIMEOUTS in GameConfig).
+ * Possession length follows the score and clock: two-for-ones, last shots,
+ * milking a lead, hurrying and fouling when behind (see LATE_GAME).
+ * Personality traits play out on the floor: ball hogs get more touches and
+ * pass less, competitors rise in clutch minutes and hot heads pick up
+ * technicals and ejections (see PERSONALITY_IN_GAME).
+ *
+ * Live games can also be played one possession at a time: tipOff sets the
+ * game up and stepPossession plays the next trip with the user's calls
+ * (timeouts, a set play, a one-off defense, intentional fouls, holding for
+ * the last shot). The serialised state can be picked up by continueGame to
+ * finish the period at any point.
+ *
+ * Every game runs on its own seeded generator. Passing the same
+ * options.seed with the same rosters reproduces the same game; the seed
+ * used is returned as result.seed.
  */
 
 import PlayExecutionEngine from './PlayExecutionEngine'
-import { selectPlay } from './PlayService'
+import { selectPlay, getPlay } from './PlayService'
 import { coachingEngine } from './CoachingEngine'
-import { evaluateSubstitutions, applyVariance, getDefaultTargetMinutes } from './SubstitutionEngine'
+import {
+  evaluateSubstitutions,
+  applyVariance,
+  getDefaultTargetMinutes,
+  replaceFouledOutPlayer,
+  isOutOfGame,
+} from './SubstitutionEngine'
 import * as Config from '../config/GameConfig'
 import { BADGES } from '../data/badges'
 import { SYNERGIES } from '../data/synergies'
+import { PersonalityEffects } from '../evolution/PersonalityEffects'
+import { random, SeededRandom, generateSeed, withRng } from '../utils/Random'
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -29,6 +58,22 @@ const QUARTER_LENGTH_MINUTES = Config.QUARTER_LENGTH_MINUTES // 10
 const SHOT_CLOCK_SECONDS = Config.SHOT_CLOCK_SECONDS // 24
 const OVERTIME_LENGTH_MINUTES = Config.OVERTIME_LENGTH_MINUTES || 5
 
+// Possession time in whole seconds, [min, max], centred on the configured pace
+const POSSESSION_SPREAD_SECONDS = 7
+const AVERAGE_POSSESSION_SECONDS = Math.round(60 / Config.POSSESSIONS_PER_MINUTE)
+const POSSESSION_SECONDS = [
+  AVERAGE_POSSESSION_SECONDS - POSSESSION_SPREAD_SECONDS,
+  AVERAGE_POSSESSION_SECONDS + POSSESSION_SPREAD_SECONDS,
+]
+const FOULS = Config.FOULS
+const HOME_COURT = Config.HOME_COURT
+const REST = Config.REST
+const TIMEOUTS = Config.TIMEOUTS
+const LATE_GAME = Config.LATE_GAME
+const PERSONALITY_IN_GAME = Config.PERSONALITY_IN_GAME
+
+const personalityEffects = new PersonalityEffects()
+
 // ---------------------------------------------------------------------------
 // Helper: build a badge definition lookup keyed by badge id
 // ---------------------------------------------------------------------------
@@ -41,6 +86,19 @@ function buildBadgeDefinitionMap(badges) {
   return map
 }
 
+// ---------------------------------------------------------------------------
+// Helper: calls a coach can queue for a team's next possession
+// ---------------------------------------------------------------------------
+
+function createEmptyCalls() {
+  return {
+    playId: null,            // Offense: run this play from data/plays.js
+    holdForLastShot: false,  // Offense: milk the clock for the period's last shot
+    defensiveScheme: null,   // Defense: use this scheme for one possession
+    intentionalFoul: false,  // Defense: foul right away
+  }
+}
+
 // ---------------------------------------------------------------------------
 // GameSimulator class
 // ---------------------------------------------------------------------------
@@ -69,6 +127,10 @@ class GameSimulator {
     this.isLiveGame = false
     this.userTeamId = null
 
+    // ---- Random number generation ----
+    this.seed = null
+    this.rng = null
+
     // ---- Game state ----
     this.generateAnimationData = true
     this.homeBoxScore = {}
@@ -94,14 +156,48 @@ class GameSimulator {
     this.awayOffensiveScheme = 'balanced'
     this.homeDefensiveScheme = 'man'
     this.awayDefensiveScheme = 'man'
-
-    // ---- Clutch play tracking ----
+    this.homeCoach = null
+    this.awayCoach = null
+
+    // ---- Team fouls (reset every quarter) ----
+    this.homeTeamFouls = 0
+    this.awayTeamFouls = 0
+
+    // ---- Period in progress (lets a live game stop between possessions) ----
+    this.periodInProgress = false
+    this.possessionTeam = 'home'
+    this.minutesSinceLastRotation = 0
+
+    // ---- Timeouts, scoring runs and calls queued by the user ----
+    this.homeTimeouts = TIMEOUTS.per_half
+    this.awayTimeouts = TIMEOUTS.per_half
+    this.scoringRun = null
+    this.homeCalls = createEmptyCalls()
+    this.awayCalls = createEmptyCalls()
+    this.userCallsTimeouts = false
+
+    // ---- Home court & rest ----
+    this.homeCourtAdvantage = 1
+    this.homeRestDays = null
+    this.awayRestDays = null
+    this.openingTipWinner = null
+
+    // ---- Clutch play and ejection tracking ----
     this.lastClutchPlay = null
+    this.ejections = []
 
     // ---- Synergy tracking ----
     this.homeSynergiesActivated = 0
     this.awaySynergiesActivated = 0
 
+    // ---- Five-man unit stints (keyed by sorted player ids) ----
+    this.homeLineupStats = {}
+    this.awayLineupStats = {}
+
+    // ---- Field goal attempts with court location ----
+    this.homeShots = []
+    this.awayShots = []
+
     // ---- Chemistry modifiers ----
     this.homeChemistryModifier = 0.0
     this.awayChemistryModifier = 0.0
@@ -121,43 +217,30 @@ class GameSimulator {
    * @param {Array|null}   options.userLineup            - Array of 5 player IDs for user's starting lineup
    * @param {boolean}      options.generateAnimationData - true for live mode, false for full sim (default true)
    * @param {boolean}      options.isLiveGame            - true if quarter-by-quarter (default false)
+   * @param {number|string} [options.seed]               - RNG seed; a fresh one is generated if omitted
+   * @param {number}       [options.homeCourtAdvantage]  - Scale on HOME_COURT effects (default 1, 0 = neutral site)
+   * @param {number|null}  [options.homeRestDays]        - Days since the home team's last game (1 = back-to-back)
+   * @param {number|null}  [options.awayRestDays]        - Days since the away team's last game
    * @returns {Object} Complete game result
    */
   simulateGame(homeTeam, awayTeam, options = {}) {
-    this.initializeGameFromData(homeTeam, awayTeam, options)
-
-    // Full sim: AI handles all substitutions
-    this.isLiveGame = false
+    this.initializeRng(options.seed)
 
-    let homeScoreAtQuarterStart = 0
-    let awayScoreAtQuarterStart = 0
+    return withRng(this.rng, () => {
+      this.initializeGameFromData(homeTeam, awayTeam, options)
 
-    // Simulate each quarter
-    for (let quarter = 1; quarter <= QUARTERS; quarter++) {
-      this.currentQuarter = quarter
-      this.simulateQuarter()
+      // Full sim: AI handles all substitutions
+      this.isLiveGame = false
 
-      this.quarterEndPossessions.push(this.possessionCount)
-      this.quarterScores.home.push(this.homeScore - homeScoreAtQuarterStart)
-      this.quarterScores.away.push(this.awayScore - awayScoreAtQuarterStart)
-      homeScoreAtQuarterStart = this.homeScore
-      awayScoreAtQuarterStart = this.awayScore
-    }
-
-    // Overtime
-    while (this.homeScore === this.awayScore) {
-      this.currentQuarter++
-      this.timeRemaining = OVERTIME_LENGTH_MINUTES
-      this.simulateQuarter()
-
-      this.quarterEndPossessions.push(this.possessionCount)
-      this.quarterScores.home.push(this.homeScore - homeScoreAtQuarterStart)
-      this.quarterScores.away.push(this.awayScore - awayScoreAtQuarterStart)
-      homeScoreAtQuarterStart = this.homeScore
-      awayScoreAtQuarterStart = this.awayScore
-    }
+      // Four quarters, then overtime until the tie is broken
+      for (let quarter = 1; quarter <= QUARTERS || this.homeScore === this.awayScore; quarter++) {
+        this.startPeriod(quarter)
+        this.playOutPeriod()
+        this.closePeriod()
+      }
 
-    return this.finalizeGame()
+      return this.finalizeGame()
+    })
   }
 
   // =========================================================================
@@ -174,6 +257,51 @@ class GameSimulator {
    * @returns {{ quarterResult: Object, gameState: Object }}
    */
   startGame(homeTeam, awayTeam, options = {}) {
+    this.initializeRng(options.seed)
+    return withRng(this.rng, () => this.runFirstQuarter(homeTeam, awayTeam, options))
+  }
+
+  /**
+   * Body of startGame, run with the game's generator active.
+   */
+  runFirstQuarter(homeTeam, awayTeam, options) {
+    this.prepareLiveGame(homeTeam, awayTeam, options)
+
+    this.startPeriod(1)
+    this.playOutPeriod()
+    this.closePeriod()
+
+    return {
+      quarterResult: this.buildQuarterResult(1),
+      gameState: this.serializeState(),
+    }
+  }
+
+  // =========================================================================
+  // PUBLIC: tipOff  (possession-by-possession, returns state before Q1)
+  // =========================================================================
+
+  /**
+   * Set up a live game without playing any of it, for games the user
+   * coaches one possession at a time with stepPossession.
+   *
+   * @param {Object} homeTeam
+   * @param {Object} awayTeam
+   * @param {Object} options - same as startGame
+   * @returns {Object} Serialised state, ready for the first possession
+   */
+  tipOff(homeTeam, awayTeam, options = {}) {
+    this.initializeRng(options.seed)
+    return withRng(this.rng, () => {
+      this.prepareLiveGame(homeTeam, awayTeam, options)
+      return this.serializeState()
+    })
+  }
+
+  /**
+   * Initialise a live game and apply the pre-game coaching settings.
+   */
+  prepareLiveGame(homeTeam, awayTeam, options) {
     this.initializeGameFromData(homeTeam, awayTeam, options)
     this.isLiveGame = true
 
@@ -190,30 +318,15 @@ class GameSimulator {
         `Away players: ${this.awayPlayers.length}.`
       )
     }
-
-    const homeScoreAtQuarterStart = 0
-    const awayScoreAtQuarterStart = 0
-
-    this.currentQuarter = 1
-    this.timeRemaining = QUARTER_LENGTH_MINUTES
-    this.simulateQuarterOnly()
-
-    this.quarterScores.home.push(this.homeScore - homeScoreAtQuarterStart)
-    this.quarterScores.away.push(this.awayScore - awayScoreAtQuarterStart)
-    this.quarterEndPossessions.push(this.possessionCount)
-
-    return {
-      quarterResult: this.buildQuarterResult(1),
-      gameState: this.serializeState(),
-    }
   }
 
   // =========================================================================
-  // PUBLIC: continueGame  (next quarter from serialised state)
+  // PUBLIC: continueGame  (rest of the period from serialised state)
   // =========================================================================
 
   /**
-   * Continue a game from saved state, simulate the next quarter.
+   * Continue a game from saved state. Finishes the current period if the
+   * state was saved between possessions, otherwise plays the next one.
    *
    * @param {Object} gameState - previously serialised state
    * @param {Object|null} adjustments - optional lineup/coaching adjustments
@@ -221,28 +334,83 @@ class GameSimulator {
    */
   continueGame(gameState, adjustments = null) {
     this.deserializeState(gameState)
+    return withRng(this.rng, () => this.runNextQuarter(adjustments))
+  }
+
+  /**
+   * Body of continueGame, run with the game's generator active.
+   */
+  runNextQuarter(adjustments) {
     this.applyAdjustments(adjustments)
+    this.userCallsTimeouts = false
 
-    const nextQuarter = (gameState.completedQuarters || []).length + 1
-    const homeScoreAtQuarterStart = this.homeScore
-    const awayScoreAtQuarterStart = this.awayScore
+    if (!this.periodInProgress) {
+      this.startPeriod(this.currentQuarter + 1)
+    }
+    this.playOutPeriod()
+    this.closePeriod()
 
-    this.currentQuarter = nextQuarter
-    this.timeRemaining = nextQuarter <= 4 ? QUARTER_LENGTH_MINUTES : OVERTIME_LENGTH_MINUTES
+    const isComplete = this.isGameComplete()
 
-    this.simulateQuarterOnly()
+    return {
+      quarterResult: this.buildQuarterResult(this.currentQuarter),
+      gameState: isComplete ? null : this.serializeState(),
+      isComplete,
+      finalResult: isComplete ? this.buildFinalResult() : null,
+    }
+  }
 
-    this.quarterScores.home.push(this.homeScore - homeScoreAtQuarterStart)
-    this.quarterScores.away.push(this.awayScore - awayScoreAtQuarterStart)
-    this.quarterEndPossessions.push(this.possessionCount)
+  // =========================================================================
+  // PUBLIC: stepPossession  (one possession from serialised state)
+  // =========================================================================
 
-    const isComplete = this.isGameComplete()
+  /**
+   * Play a single possession from saved state. The command carries the
+   * user's calls for their team: the usual quarter-break adjustments plus
+   *
+   *   timeout          - call a timeout before the possession
+   *   playId           - play from data/plays.js for the next offensive trip
+   *   defensiveCall    - defensive scheme for the next defensive trip only
+   *   intentionalFoul  - foul on the next defensive trip
+   *   holdForLastShot  - run the clock down on the next offensive trip
+   *
+   * Calls stay queued until the matching possession comes up. snake_case
+   * keys are accepted too, as with applyAdjustments.
+   *
+   * @param {Object} gameState - from tipOff, stepPossession or startGame/continueGame
+   * @param {Object|null} command
+   * @returns {{ possessionResult, gameState, isComplete, finalResult, timeoutCalled }}
+   */
+  stepPossession(gameState, command = null) {
+    this.deserializeState(gameState)
+    return withRng(this.rng, () => this.runOnePossession(command))
+  }
+
+  /**
+   * Body of stepPossession, run with the game's generator active.
+   */
+  runOnePossession(command) {
+    this.applyAdjustments(command)
+    this.userCallsTimeouts = true
+
+    if (!this.periodInProgress) {
+      this.startPeriod(this.currentQuarter + 1)
+    }
+    const timeoutCalled = this.queueCalls(this.isUserHome(), command)
+    this.runPossession()
+
+    const periodComplete = !this.periodInProgress
+    if (periodComplete) {
+      this.closePeriod()
+    }
+    const isComplete = periodComplete && this.isGameComplete()
 
     return {
-      quarterResult: this.buildQuarterResult(nextQuarter),
+      possessionResult: this.buildPossessionResult(periodComplete),
       gameState: isComplete ? null : this.serializeState(),
       isComplete,
       finalResult: isComplete ? this.buildFinalResult() : null,
+      timeoutCalled,
     }
   }
 
@@ -270,6 +438,16 @@ class GameSimulator {
   // INITIALIZATION
   // =========================================================================
 
+  /**
+   * Create this game's generator from a seed (or a fresh random seed).
+   *
+   * @param {number|string|null} seed
+   */
+  initializeRng(seed = null) {
+    this.rng = new SeededRandom(seed ?? generateSeed())
+    this.seed = this.rng.seed
+  }
+
   /**
    * Initialize game state from team data objects.
    *
@@ -281,6 +459,7 @@ class GameSimulator {
     this.homeTeam = homeTeam
     this.awayTeam = awayTeam
     this.lastClutchPlay = null
+    this.ejections = []
     this.generateAnimationData = options.generateAnimationData !== false
     this.userTeamId = options.userTeamId || null
 
@@ -345,6 +524,19 @@ class GameSimulator {
     this.quarterEndPossessions = []
     this.homeSynergiesActivated = 0
     this.awaySynergiesActivated = 0
+    this.homeTeamFouls = 0
+    this.awayTeamFouls = 0
+    this.periodInProgress = false
+    this.currentQuarter = 0
+    this.homeTimeouts = TIMEOUTS.per_half
+    this.awayTimeouts = TIMEOUTS.per_half
+    this.scoringRun = null
+    this.homeCalls = createEmptyCalls()
+    this.awayCalls = createEmptyCalls()
+    this.homeLineupStats = {}
+    this.awayLineupStats = {}
+    this.homeShots = []
+    this.awayShots = []
 
     // Coaching schemes
     const homeScheme = homeTeam.coaching_scheme || {}
@@ -354,9 +546,19 @@ class GameSimulator {
     this.awayOffensiveScheme = awayScheme.offensive || 'balanced'
     this.awayDefensiveScheme = awayScheme.defensive || 'man'
 
+    // Head coaches (attributes feed play calling, defense and late-game subs)
+    this.homeCoach = homeTeam.coach ?? null
+    this.awayCoach = awayTeam.coach ?? null
+
     // Record starter IDs
     this.homeStarterIds = this.homeLineup.map(p => p.id)
     this.awayStarterIds = this.awayLineup.map(p => p.id)
+    for (const id of this.homeStarterIds) {
+      if (this.homeBoxScore[id]) this.homeBoxScore[id].started = true
+    }
+    for (const id of this.awayStarterIds) {
+      if (this.awayBoxScore[id]) this.awayBoxScore[id].started = true
+    }
 
     // Load target minutes
     this.homeTargetMinutes = this.loadTargetMinutes(
@@ -379,8 +581,14 @@ class GameSimulator {
       this.awayTargetMinutes = applyVariance(this.awayTargetMinutes)
     }
 
-    // Calculate team chemistry modifiers from roster morale
-    const homeAvgMorale = this.averageMorale(this.homePlayers)
+    // Home court and rest
+    this.homeCourtAdvantage = options.homeCourtAdvantage ?? 1
+    this.homeRestDays = options.homeRestDays ?? null
+    this.awayRestDays = options.awayRestDays ?? null
+    this.openingTipWinner = this.rollJumpBall()
+
+    // Calculate team chemistry modifiers from roster morale (the home crowd lifts morale)
+    const homeAvgMorale = this.averageMorale(this.homePlayers) + HOME_COURT.morale_bonus * this.homeCourtAdvantage
     const awayAvgMorale = this.averageMorale(this.awayPlayers)
     this.homeChemistryModifier = this.calculateChemistryModifier(homeAvgMorale)
     this.awayChemistryModifier = this.calculateChemistryModifier(awayAvgMorale)
@@ -559,82 +767,316 @@ class GameSimulator {
   // =========================================================================
 
   /**
-   * Simulate a single quarter.
+   * Opening tip between each starting lineup's best leaper (height plus
+   * vertical). Returns 'home' or 'away'.
    */
-  simulateQuarter() {
-    this.timeRemaining = this.currentQuarter <= 4 ? QUARTER_LENGTH_MINUTES : OVERTIME_LENGTH_MINUTES
-    let possessionTeam = Math.random() < 0.5 ? 'home' : 'away'
-    let minutesSinceLastRotation = 0
+  rollJumpBall() {
+    const jumpRating = (player) =>
+      (player.height_inches ?? player.heightInches ?? 78) + (player.attributes?.physical?.vertical ?? 70) / 5
+    const bestJumper = (lineup) => Math.max(...lineup.map(jumpRating), 0)
+
+    const edge = (bestJumper(this.homeLineup) - bestJumper(this.awayLineup)) / 20
+    const homeChance = Math.max(0.2, Math.min(0.8, 0.5 + edge))
+    return random() < homeChance ? 'home' : 'away'
+  }
 
-    while (this.timeRemaining > 0) {
-      // Realistic possession time: 10-24 seconds = 0.17 to 0.4 minutes
-      let possessionTime = (Math.floor(Math.random() * 15) + 10) / 60
+  /**
+   * Team with the ball to start the current period. The opening tip winner
+   * gets Q1 and Q4, the loser Q2 and Q3; overtime starts with a new tip.
+   */
+  getQuarterOpeningPossession() {
+    if (this.currentQuarter > QUARTERS) return this.rollJumpBall()
+    const tipLoser = this.openingTipWinner === 'home' ? 'away' : 'home'
+    return this.currentQuarter === 2 || this.currentQuarter === 3 ? tipLoser : this.openingTipWinner
+  }
 
-      if (possessionTime > this.timeRemaining) {
-        possessionTime = this.timeRemaining
-      }
+  /**
+   * Start a period: reset the clock and team fouls, hand out the half's
+   * timeouts, and give the ball to the team that opens it.
+   */
+  startPeriod(quarter) {
+    this.currentQuarter = quarter
+    this.timeRemaining = quarter <= QUARTERS ? QUARTER_LENGTH_MINUTES : OVERTIME_LENGTH_MINUTES
+    this.homeTeamFouls = 0
+    this.awayTeamFouls = 0
+
+    if (quarter > QUARTERS) {
+      this.homeTimeouts = TIMEOUTS.per_overtime
+      this.awayTimeouts = TIMEOUTS.per_overtime
+    } else if (quarter === 1 || quarter === 3) {
+      this.homeTimeouts = TIMEOUTS.per_half
+      this.awayTimeouts = TIMEOUTS.per_half
+    }
+
+    this.possessionTeam = this.getQuarterOpeningPossession()
+    this.minutesSinceLastRotation = 0
+    this.periodInProgress = true
+  }
 
-      const gotOreb = this.simulatePossession(possessionTeam, possessionTime)
-      this.timeRemaining -= possessionTime
-      minutesSinceLastRotation += possessionTime
+  /**
+   * Play possessions until the period's clock runs out.
+   */
+  playOutPeriod() {
+    while (this.periodInProgress) {
+      this.runPossession()
+    }
+  }
 
-      // Switch possession (unless offensive rebound)
-      if (!gotOreb) {
-        possessionTeam = possessionTeam === 'home' ? 'away' : 'home'
-      }
+  /**
+   * Play the next possession of the current period, then flip the ball
+   * (unless the offense kept it) and check for rotations.
+   */
+  runPossession() {
+    this.callAiTimeouts()
 
-      // Rotate players every ~2 minutes of game time
-      if (minutesSinceLastRotation >= 2) {
-        this.rotatePlayers()
-        minutesSinceLastRotation = 0
-      }
+    const isHome = this.possessionTeam === 'home'
+    const calls = this.takePossessionCalls(isHome)
+    const plan = this.planPossession(isHome, calls)
+
+    let possessionTime = plan.seconds / 60
+    if (possessionTime > this.timeRemaining) {
+      possessionTime = this.timeRemaining
+    }
+
+    const keepsBall = this.simulatePossession(this.possessionTeam, possessionTime, { ...calls, ...plan })
+    this.timeRemaining -= possessionTime
+    this.minutesSinceLastRotation += possessionTime
+
+    // Switch possession (unless offensive rebound or side out)
+    if (!keepsBall) {
+      this.possessionTeam = isHome ? 'away' : 'home'
+    }
+
+    // Rotate players every ~2 minutes of game time
+    if (this.minutesSinceLastRotation >= 2) {
+      this.rotatePlayers()
+      this.minutesSinceLastRotation = 0
     }
+
+    this.periodInProgress = this.timeRemaining > 0
   }
 
   /**
-   * Simulate a single quarter without resetting timeRemaining.
-   * timeRemaining and currentQuarter must be set before calling.
+   * Record the finished period's score and possession boundary.
    */
-  simulateQuarterOnly() {
-    let possessionTeam = Math.random() < 0.5 ? 'home' : 'away'
-    let minutesSinceLastRotation = 0
+  closePeriod() {
+    const total = (scores) => scores.reduce((sum, points) => sum + points, 0)
+    this.quarterScores.home.push(this.homeScore - total(this.quarterScores.home))
+    this.quarterScores.away.push(this.awayScore - total(this.quarterScores.away))
+    this.quarterEndPossessions.push(this.possessionCount)
+  }
 
-    while (this.timeRemaining > 0) {
-      let possessionTime = (Math.floor(Math.random() * 15) + 10) / 60
+  // =========================================================================
+  // TIMEOUTS & COACHING CALLS
+  // =========================================================================
 
-      if (possessionTime > this.timeRemaining) {
-        possessionTime = this.timeRemaining
-      }
+  /**
+   * True when the user coaches the home side (home is assumed when the
+   * user's team isn't known).
+   */
+  isUserHome() {
+    return !(this.userTeamId && this.awayTeam && this.awayTeam.id === this.userTeamId)
+  }
 
-      const gotOreb = this.simulatePossession(possessionTeam, possessionTime)
-      this.timeRemaining -= possessionTime
-      minutesSinceLastRotation += possessionTime
+  /**
+   * Call a timeout: ends the opponent's scoring run and lets the players on
+   * the floor catch their breath. Returns false if the team has none left.
+   */
+  callTimeout(isHome) {
+    const remaining = isHome ? this.homeTimeouts : this.awayTimeouts
+    if (remaining <= 0) return false
 
-      if (!gotOreb) {
-        possessionTeam = possessionTeam === 'home' ? 'away' : 'home'
-      }
+    if (isHome) {
+      this.homeTimeouts--
+    } else {
+      this.awayTimeouts--
+    }
 
-      if (minutesSinceLastRotation >= 2) {
-        this.rotatePlayers()
-        minutesSinceLastRotation = 0
-      }
+    for (const player of (isHome ? this.homeLineup : this.awayLineup)) {
+      player.fatigue = Math.max(0, (player.fatigue || 0) - TIMEOUTS.fatigue_recovery)
+    }
+
+    const team = isHome ? 'home' : 'away'
+    if (this.scoringRun && this.scoringRun.team !== team) {
+      this.scoringRun = null
+    }
+
+    const teamName = (isHome ? this.homeTeam : this.awayTeam)?.name || (isHome ? 'Home' : 'Away')
+    this.recordEventPlayByPlay(team, 'Timeout', 'timeout', `Timeout ${teamName} (${remaining - 1} left)`)
+    return true
+  }
+
+  /**
+   * False for the user's team while they coach possession by possession;
+   * it then only takes the timeouts and fouls they call.
+   */
+  isAiCoached(isHome) {
+    return !(this.userCallsTimeouts && isHome === this.isUserHome())
+  }
+
+  /**
+   * AI coaches stop an opponent run once it reaches TIMEOUTS.ai_timeout_run.
+   */
+  callAiTimeouts() {
+    const run = this.scoringRun
+    if (!run || run.points < TIMEOUTS.ai_timeout_run) return
+
+    const isHome = run.team === 'away'
+    if (!this.isAiCoached(isHome)) return
+
+    this.callTimeout(isHome)
+  }
+
+  /**
+   * Queue the user's calls from a stepPossession command. A timeout is
+   * taken immediately; returns whether one was granted.
+   */
+  queueCalls(isHome, command) {
+    if (!command) return false
+
+    const calls = isHome ? this.homeCalls : this.awayCalls
+    const playId = command.playId || command.play_id || null
+    const defensiveCall = command.defensiveCall || command.defensive_call || null
+
+    if (playId && getPlay(playId)) calls.playId = playId
+    if (defensiveCall) calls.defensiveScheme = defensiveCall
+    if (command.intentionalFoul || command.intentional_foul) calls.intentionalFoul = true
+    if (command.holdForLastShot || command.hold_for_last_shot) calls.holdForLastShot = true
+
+    return command.timeout ? this.callTimeout(isHome) : false
+  }
+
+  /**
+   * Take the calls that apply to the coming possession: the offense's play
+   * and clock calls and the defense's scheme and foul calls. Taken calls are
+   * cleared; the rest stay queued.
+   */
+  takePossessionCalls(offenseIsHome) {
+    const offenseCalls = offenseIsHome ? this.homeCalls : this.awayCalls
+    const defenseCalls = offenseIsHome ? this.awayCalls : this.homeCalls
+
+    const calls = {
+      playId: offenseCalls.playId,
+      holdForLastShot: offenseCalls.holdForLastShot,
+      defensiveScheme: defenseCalls.defensiveScheme,
+      intentionalFoul: defenseCalls.intentionalFoul,
+    }
+
+    offenseCalls.playId = null
+    offenseCalls.holdForLastShot = false
+    defenseCalls.defensiveScheme = null
+    defenseCalls.intentionalFoul = false
+
+    return calls
+  }
+
+  // =========================================================================
+  // CLOCK MANAGEMENT
+  // =========================================================================
+
+  /**
+   * Decide how the offense uses the clock on the coming possession from the
+   * score, the game clock and the coaches' calls (see LATE_GAME).
+   *
+   * @returns {{ tempo: string, seconds: number, shotClock: number,
+   *   intentionalFoul: boolean, huntThree: boolean, shotClockViolation: boolean }}
+   *   tempo is one of 'normal', 'foul', 'last_shot', 'two_for_one',
+   *   'milk' or 'hurry'; shotClock is what play selection sees.
+   */
+  planPossession(offenseIsHome, calls) {
+    const clock = this.timeRemaining * 60
+    const lead = offenseIsHome ? this.homeScore - this.awayScore : this.awayScore - this.homeScore
+    const crunchTime = this.currentQuarter >= QUARTERS && clock <= LATE_GAME.crunch_time_seconds
+    const plan = (tempo, seconds, extra = {}) => ({
+      tempo,
+      seconds,
+      shotClock: SHOT_CLOCK_SECONDS,
+      intentionalFoul: false,
+      huntThree: false,
+      shotClockViolation: false,
+      ...extra,
+    })
+
+    if (calls.intentionalFoul || (crunchTime && this.shouldFoul(!offenseIsHome, lead, clock))) {
+      return plan('foul', LATE_GAME.intentional_foul_seconds, { intentionalFoul: true })
+    }
+
+    // Run the clock down and shoot just before the buzzer
+    const lastShot = () => plan('last_shot', Math.min(clock, SHOT_CLOCK_SECONDS), {
+      shotClock: LATE_GAME.late_shot_clock,
+    })
+
+    if (calls.holdForLastShot) return lastShot()
+
+    if (crunchTime && lead > 0) {
+      return plan('milk', this.rollSeconds(LATE_GAME.milk_seconds), {
+        shotClock: LATE_GAME.late_shot_clock,
+        shotClockViolation: clock > SHOT_CLOCK_SECONDS && random() < LATE_GAME.milk_violation_chance,
+      })
+    }
+
+    if (crunchTime && -lead >= LATE_GAME.three_hunt_deficit) {
+      return plan('hurry', this.rollSeconds(LATE_GAME.quick_shot_seconds), { huntThree: true })
     }
+
+    if (clock <= SHOT_CLOCK_SECONDS) return lastShot()
+
+    if (clock <= LATE_GAME.two_for_one_seconds) {
+      return plan('two_for_one', this.rollSeconds(LATE_GAME.quick_shot_seconds))
+    }
+
+    const seconds = this.rollPossessionTime() * 60
+    return plan('normal', seconds, {
+      shotClockViolation: seconds >= SHOT_CLOCK_SECONDS && random() < LATE_GAME.shot_clock_violation_chance,
+    })
+  }
+
+  /**
+   * Whether an AI-coached defense trailing by `deficit` fouls to stop the
+   * clock: once the shot clock is off, or earlier when down more than one
+   * possession.
+   */
+  shouldFoul(defenseIsHome, deficit, clock) {
+    if (deficit < 1 || deficit > LATE_GAME.foul_max_deficit) return false
+    if (!this.isAiCoached(defenseIsHome)) return false
+
+    return clock <= SHOT_CLOCK_SECONDS || (clock <= LATE_GAME.foul_seconds && deficit > 3)
+  }
+
+  /**
+   * Whole seconds drawn uniformly from a [min, max] range.
+   */
+  rollSeconds([min, max]) {
+    return min + Math.floor(random() * (max - min + 1))
   }
 
   // =========================================================================
   // POSSESSION SIMULATION
   // =========================================================================
 
+  /**
+   * Game-clock length of the next possession in minutes (POSSESSION_SECONDS).
+   */
+  rollPossessionTime() {
+    return this.rollSeconds(POSSESSION_SECONDS) / 60
+  }
+
   /**
    * Simulate a single possession using play-based system.
-   * Returns true if offensive rebound occurred (team keeps possession).
+   * Returns true if the team keeps the ball (offensive rebound, or a side
+   * out after an intentional foul before the bonus).
+   *
+   * @param {string} team - 'home' or 'away' (the offense)
+   * @param {number} duration - Game-clock minutes used
+   * @param {Object} [calls] - Coaching calls and clock plan for this trip
+   *   (see takePossessionCalls and planPossession)
    */
-  simulatePossession(team, duration) {
+  simulatePossession(team, duration, calls = {}) {
     const isHome = team === 'home'
     const offense = isHome ? this.homeLineup : this.awayLineup
-    const defense = isHome ? this.awayLineup : this.homeLineup
+    let defense = isHome ? this.awayLineup : this.homeLineup
     const offensiveScheme = isHome ? this.homeOffensiveScheme : this.awayOffensiveScheme
-    const defensiveScheme = isHome ? this.awayDefensiveScheme : this.homeDefensiveScheme
+    const defensiveScheme = calls.defensiveScheme || (isHome ? this.awayDefensiveScheme : this.homeDefensiveScheme)
 
     // Update minutes for active players
     for (const player of offense) {
@@ -660,26 +1102,64 @@ class GameSimulator {
 
     this.possessionCount++
 
-    // Determine if this is a transition opportunity
+    // Credit the possession to both five-man units on the floor
+    const offenseUnit = this.getLineupStint(isHome)
+    const defenseUnit = this.getLineupStint(!isHome)
+    offenseUnit.minutes += duration
+    offenseUnit.offPossessions++
+    defenseUnit.minutes += duration
+    defenseUnit.defPossessions++
+
+    // Intentional foul on the offense's worst free throw shooter
+    if (calls.intentionalFoul) {
+      return this.commitIntentionalFoul(offense, defense, isHome)
+    }
+
+    if (calls.shotClockViolation) {
+      this.commitShotClockViolation(offense, team)
+      return false
+    }
+
+    // Non-shooting defensive foul before the play develops
+    const reachFoul = this.rollNonShootingFoul(offense, defense, defensiveScheme, isHome)
+    if (reachFoul) {
+      const inBonus = this.chargeFoul(reachFoul.defender, !isHome, 'non_shooting', reachFoul.fouledPlayer)
+      if (inBonus) {
+        this.shootBonusFreeThrows(reachFoul.fouledPlayer, isHome)
+        return false
+      }
+      // Defender may have fouled out on the play
+      defense = isHome ? this.awayLineup : this.homeLineup
+    }
+
+    // Determine if this is a transition opportunity (never while the
+    // offense is running the clock down)
+    const shotClock = calls.shotClock ?? SHOT_CLOCK_SECONDS
     const transitionFreq = coachingEngine.getTransitionFrequency(offensiveScheme)
-    const isTransition = transitionFreq > Math.random()
+    const isTransition = transitionFreq > random() && shotClock >= SHOT_CLOCK_SECONDS
 
     // Select a play based on team, scheme, and game situation
     const context = {
       isTransition,
-      shotClock: SHOT_CLOCK_SECONDS,
+      shotClock,
+      huntThree: calls.huntThree || false,
       scoreDifferential: isHome
         ? this.homeScore - this.awayScore
         : this.awayScore - this.homeScore,
       quarter: this.currentQuarter,
       timeRemaining: this.timeRemaining,
       defensiveScheme,
+      coach: isHome ? this.homeCoach : this.awayCoach,
     }
 
-    const play = selectPlay(offense, defense, offensiveScheme, context)
+    const play = (calls.playId && getPlay(calls.playId)) || selectPlay(offense, defense, offensiveScheme, context)
 
-    // Calculate defensive modifiers based on scheme and play
-    const defensiveModifiers = coachingEngine.calculateDefensiveModifiers(defensiveScheme, play)
+    // Calculate defensive modifiers based on scheme, play and defending coach
+    const defensiveModifiers = coachingEngine.calculateDefensiveModifiers(
+      defensiveScheme, play, isHome ? this.awayCoach : this.homeCoach
+    )
+    defensiveModifiers.shotModifier += this.calculateSituationalShotModifier(isHome, offense)
+    defensiveModifiers.playerModifiers = this.getPlayerModifiers(offense)
 
     // Execute the play with defensive context
     const playResult = this.playEngine.executePlay(play, offense, defense, defensiveScheme, defensiveModifiers)
@@ -719,7 +1199,7 @@ class GameSimulator {
     playResult.activatedSynergies = activatedSynergies
 
     // Process play result and update stats
-    const gotOffensiveRebound = this.processPlayResult(playResult, offense, defense, isHome)
+    const gotOffensiveRebound = this.processPlayResult(playResult, offense, defense, isHome, duration)
 
     // Record play-by-play and animation data (skip for AI-only games)
     if (this.generateAnimationData) {
@@ -755,61 +1235,44 @@ class GameSimulator {
   // =========================================================================
 
   /**
-   * Process play result and update box scores.
+   * Process play result and update box scores. `duration` is the
+   * game-clock minutes the possession used (the shot goes up at its end).
    * Returns true if an offensive rebound occurred (offense keeps possession).
    */
-  processPlayResult(playResult, offense, defense, isHome) {
+  processPlayResult(playResult, offense, defense, isHome, duration = 0) {
     const outcome = playResult.outcome
     const points = playResult.points || 0
     const shotAttempt = playResult.shotAttempt || null
     const freeThrows = playResult.freeThrows || null
 
-    // Store scores before update for clutch play tracking
-    const prevHomeScore = this.homeScore
-    const prevAwayScore = this.awayScore
+    // Store the lead before the update for clutch play tracking
+    const prevLead = isHome ? this.homeScore - this.awayScore : this.awayScore - this.homeScore
+    const clutchTime = this.isClutchTime()
 
     // Update score
-    if (isHome) {
-      this.homeScore += points
-    } else {
-      this.awayScore += points
-    }
-
-    // Track clutch plays in final 2 minutes (for game-winner news)
-    if (points > 0 && this.timeRemaining < 2.0 && this.currentQuarter >= 4) {
-      const wasTied = prevHomeScore === prevAwayScore
-      const nowTied = this.homeScore === this.awayScore
-      const leadChanged = (prevHomeScore > prevAwayScore) !== (this.homeScore > this.awayScore)
-      const margin = Math.abs(this.homeScore - this.awayScore)
-
-      if ((wasTied || leadChanged || !nowTied) && margin <= 3) {
-        let shooter = null
-        let shotType = 'shot'
-        if (shotAttempt) {
-          const shooterId = shotAttempt.shooter || null
-          if (shooterId) {
-            for (const player of offense) {
-              if ((player.id || null) === shooterId) {
-                shooter = player
-                break
-              }
-            }
-          }
-          switch (shotAttempt.shotType || 'midRange') {
-            case 'threePoint': shotType = 'three-pointer'; break
-            case 'layup':
-            case 'dunk': shotType = 'layup'; break
-            default: shotType = 'jumper'; break
-          }
-        }
+    this.addPoints(isHome, points)
+
+    // A crunch-time basket that puts the offense ahead is the game-winner
+    // for the news as long as they never give the lead back (addPoints
+    // clears it on a tie or lead change)
+    const crunchTime = this.currentQuarter >= QUARTERS && this.timeRemaining * 60 <= LATE_GAME.crunch_time_seconds
+    if (points > 0 && crunchTime && prevLead <= 0 && prevLead + points > 0 && shotAttempt) {
+      const shooter = offense.find(player => (player.id || null) === (shotAttempt.shooter || null))
+      let shotType
+      switch (shotAttempt.shotType || 'midRange') {
+        case 'threePoint': shotType = 'three-pointer'; break
+        case 'paint': shotType = 'layup'; break
+        default: shotType = 'jumper'; break
+      }
 
-        if (shooter) {
-          this.lastClutchPlay = {
-            player: shooter,
-            shotType,
-            isHomeTeam: isHome,
-            points,
-          }
+      if (shooter) {
+        this.lastClutchPlay = {
+          player: { id: shooter.id, first_name: shooter.first_name, last_name: shooter.last_name },
+          shotType,
+          isHomeTeam: isHome,
+          points,
+          quarter: this.currentQuarter,
+          secondsLeft: Math.max(0, Math.round((this.timeRemaining - duration) * 60)),
         }
       }
     }
@@ -820,30 +1283,32 @@ class GameSimulator {
       let boxScore = isHome ? this.homeBoxScore : this.awayBoxScore
 
       if (boxScore[shooterId]) {
-        boxScore[shooterId].fieldGoalsAttempted++
+        // A shooting foul on a miss isn't charged as a field goal attempt
+        if (!shotAttempt.fouled) {
+          boxScore[shooterId].fieldGoalsAttempted++
+          if (shotAttempt.shotType === 'threePoint') {
+            boxScore[shooterId].threePointersAttempted++
+          }
+          this.recordShot(isHome, shotAttempt)
+        }
         boxScore[shooterId].points += shotAttempt.points || 0
+        if (clutchTime) boxScore[shooterId].clutchPoints += shotAttempt.points || 0
 
         if (shotAttempt.made) {
           boxScore[shooterId].fieldGoalsMade++
-        }
-
-        if (shotAttempt.shotType === 'threePoint') {
-          boxScore[shooterId].threePointersAttempted++
-          if (shotAttempt.made) {
+          if (shotAttempt.shotType === 'threePoint') {
             boxScore[shooterId].threePointersMade++
           }
         }
 
-        // Assign assist -- chemistry boosts ball movement
+        // Assign assist -- chemistry boosts ball movement and the passer's
+        // personality decides how readily they give the ball up
         const chemMod = isHome ? this.homeChemistryModifier : this.awayChemistryModifier
-        const assistPct = 65 * (1 + chemMod)
-        if (shotAttempt.made && Math.floor(Math.random() * 100) + 1 <= assistPct) {
-          for (const player of offense) {
-            const playerId = player.id || null
-            if (playerId && playerId !== shooterId && boxScore[playerId]) {
-              boxScore[playerId].assists++
-              break
-            }
+        const passer = offense.find(player => player.id && player.id !== shooterId && boxScore[player.id])
+        const assistPct = 65 * (1 + chemMod) * (1 + (passer ? personalityEffects.getAssistModifier(passer) : 0))
+        if (shotAttempt.made && Math.floor(random() * 100) + 1 <= assistPct) {
+          if (passer) {
+            boxScore[passer.id].assists++
           }
         }
 
@@ -856,6 +1321,18 @@ class GameSimulator {
       }
     }
 
+    // Charge the shooting foul to the defender on the shooter
+    if (shotAttempt && shotAttempt.fouled) {
+      let defenderId = shotAttempt.defender || null
+      if (!defenderId) {
+        const shooter = offense.find(p => p.id === shotAttempt.shooter)
+        defenderId = shooter ? this.getMatchingDefender(shooter, defense).id : null
+      }
+      if (defenderId) {
+        this.chargeFoul(defenderId, !isHome, 'shooting', null)
+      }
+    }
+
     // Process free throws
     if (freeThrows) {
       const shooterId = shotAttempt ? shotAttempt.shooter : null
@@ -865,12 +1342,12 @@ class GameSimulator {
         boxScore[shooterId].freeThrowsAttempted += freeThrows.attempted
         boxScore[shooterId].freeThrowsMade += freeThrows.made
         boxScore[shooterId].points += freeThrows.made
+        if (clutchTime) boxScore[shooterId].clutchPoints += freeThrows.made
 
+        // The made free throws are already in playResult.points
         if (isHome) {
-          this.homeScore += freeThrows.made
           this.homeBoxScore = boxScore
         } else {
-          this.awayScore += freeThrows.made
           this.awayBoxScore = boxScore
         }
       }
@@ -897,12 +1374,13 @@ class GameSimulator {
         } else {
           this.awayBoxScore = boxScore
         }
+        this.checkTechnical(turnoverPlayerId, isHome)
       }
 
       // Chance of steal -- opposing chemistry boosts steal rate
       const defChem = isHome ? this.awayChemistryModifier : this.homeChemistryModifier
-      if (Math.floor(Math.random() * 100) + 1 <= (60 * (1 + defChem)) && defense.length > 0) {
-        const stealer = defense[Math.floor(Math.random() * defense.length)]
+      if (Math.floor(random() * 100) + 1 <= (60 * (1 + defChem)) && defense.length > 0) {
+        const stealer = defense[Math.floor(random() * defense.length)]
         const stealerId = stealer.id || null
         if (stealerId) {
           if (isHome && this.awayBoxScore[stealerId]) {
@@ -975,7 +1453,7 @@ class GameSimulator {
     let offRebChance = offRebTotal / totalWeighted
     offRebChance = Math.max(0.15, Math.min(0.40, offRebChance))
 
-    const isOffensiveRebound = Math.floor(Math.random() * 1000) + 1 <= Math.floor(offRebChance * 1000)
+    const isOffensiveRebound = Math.floor(random() * 1000) + 1 <= Math.floor(offRebChance * 1000)
 
     // Select the specific rebounder
     const rebounders = isOffensiveRebound ? offense : defense
@@ -1011,7 +1489,7 @@ class GameSimulator {
         }
       }
     } else {
-      const rand = Math.floor(Math.random() * Math.floor(total)) + 1
+      const rand = Math.floor(random() * Math.floor(total)) + 1
       let running = 0
 
       for (const [index, weight] of Object.entries(weights)) {
@@ -1094,7 +1572,7 @@ class GameSimulator {
     const total = Object.values(weights).reduce((sum, w) => sum + w, 0)
     if (total <= 0) return defense[0]
 
-    const rand = Math.floor(Math.random() * Math.floor(total)) + 1
+    const rand = Math.floor(random() * Math.floor(total)) + 1
     let running = 0
 
     for (const [index, weight] of Object.entries(weights)) {
@@ -1107,6 +1585,220 @@ class GameSimulator {
     return defense[0]
   }
 
+  // =========================================================================
+  // PERSONAL FOULS
+  // =========================================================================
+
+  /**
+   * Roll for a non-shooting defensive foul (reach-in, hold, illegal screen
+   * defense) on the ball handler before the play develops.
+   * Home ball handlers draw these more often than visitors.
+   * Returns { defender, fouledPlayer } or null.
+   */
+  rollNonShootingFoul(offense, defense, defensiveScheme, offenseIsHome) {
+    if (!offense.length || !defense.length) return null
+
+    const ballHandler = this.selectBallHandler(offense)
+    const defender = this.getMatchingDefender(ballHandler, defense)
+
+    const drawFoul = ballHandler.attributes?.offense?.drawFoul ?? 70
+    const defAttrs = defender.attributes?.defense || {}
+    const discipline = defAttrs.defensiveConsistency ?? defAttrs.defensiveIQ ?? 70
+
+    const schemeMult = FOULS.scheme_multipliers[defensiveScheme] ?? 1.0
+    const homeEdge = HOME_COURT.foul_draw_edge * this.homeCourtAdvantage
+    const chance = FOULS.non_shooting_foul_chance * schemeMult
+      * (offenseIsHome ? 1 + homeEdge : 1 - homeEdge)
+      * (1 + (drawFoul - 70) / 100)
+      * (1 - (discipline - 70) / 100)
+
+    if (random() >= chance) return null
+
+    return { defender: defender.id, fouledPlayer: ballHandler }
+  }
+
+  /**
+   * Charge a personal foul to a defender and add it to the team fouls.
+   * Pulls the defender immediately if that was his last foul.
+   * Returns true if the fouled team is now shooting bonus free throws.
+   *
+   * @param {string} defenderId
+   * @param {boolean} defenderIsHome
+   * @param {string} type - 'shooting' | 'non_shooting'
+   * @param {Object|null} fouledPlayer - Offensive player who was fouled (non-shooting only)
+   */
+  chargeFoul(defenderId, defenderIsHome, type, fouledPlayer) {
+    const boxScore = defenderIsHome ? this.homeBoxScore : this.awayBoxScore
+    const stats = boxScore[defenderId]
+    if (!stats) return false
+
+    stats.fouls++
+
+    if (defenderIsHome) {
+      this.homeTeamFouls++
+    } else {
+      this.awayTeamFouls++
+    }
+    const teamFouls = defenderIsHome ? this.homeTeamFouls : this.awayTeamFouls
+    const bonusThreshold = this.currentQuarter > QUARTERS
+      ? FOULS.overtime_bonus_threshold
+      : FOULS.team_bonus_threshold
+    const inBonus = type === 'non_shooting' && teamFouls > bonusThreshold
+
+    if (type === 'non_shooting') {
+      const fouledName = fouledPlayer
+        ? (fouledPlayer.first_name || '') + ' ' + (fouledPlayer.last_name || '')
+        : 'the ball handler'
+      this.recordEventPlayByPlay(
+        defenderIsHome ? 'away' : 'home',
+        'Personal Foul',
+        'foul',
+        `Foul on ${stats.name} (${stats.fouls} PF) against ${fouledName}` +
+          (inBonus ? ' - in the bonus' : '')
+      )
+    }
+
+    if (stats.fouls >= FOULS.foul_out_limit) {
+      this.enforceFoulOuts(defenderIsHome)
+      this.recordEventPlayByPlay(
+        defenderIsHome ? 'home' : 'away',
+        'Fouled Out',
+        'fouled_out',
+        `${stats.name} has fouled out`
+      )
+    }
+
+    this.checkTechnical(defenderId, defenderIsHome)
+
+    return inBonus
+  }
+
+  /**
+   * Shoot bonus free throws for a non-shooting foul (or a technical).
+   * Returns the number of free throws made.
+   */
+  shootBonusFreeThrows(player, isHome, attempted = FOULS.bonus_free_throws) {
+    const boxScore = isHome ? this.homeBoxScore : this.awayBoxScore
+    const stats = boxScore[player.id]
+    const ftPercentage = (player.attributes?.offense?.freeThrow ?? 70) / 100
+    const clutchTime = this.isClutchTime()
+
+    let made = 0
+    for (let i = 0; i < attempted; i++) {
+      if (random() < ftPercentage) made++
+    }
+
+    if (stats) {
+      stats.freeThrowsAttempted += attempted
+      stats.freeThrowsMade += made
+      stats.points += made
+      if (clutchTime) stats.clutchPoints += made
+    }
+    this.addPoints(isHome, made)
+
+    this.recordEventPlayByPlay(
+      isHome ? 'home' : 'away',
+      'Free Throws',
+      'free_throws',
+      `${player.first_name || 'Player'} makes ${made} of ${attempted} free throws`,
+      made
+    )
+
+    return made
+  }
+
+  /**
+   * Foul the offense's worst free throw shooter on purpose. In the bonus
+   * they go to the line; otherwise the offense inbounds again.
+   * Returns true if the offense keeps the ball.
+   */
+  commitIntentionalFoul(offense, defense, offenseIsHome) {
+    if (!offense.length || !defense.length) return false
+
+    const freeThrow = (player) => player.attributes?.offense?.freeThrow ?? 70
+    const target = offense.reduce((worst, player) => (freeThrow(player) < freeThrow(worst) ? player : worst))
+    const defender = this.getMatchingDefender(target, defense)
+
+    const inBonus = this.chargeFoul(defender.id, !offenseIsHome, 'non_shooting', target)
+    if (!inBonus) return true
+
+    this.shootBonusFreeThrows(target, offenseIsHome)
+    return false
+  }
+
+  /**
+   * The offense runs out the shot clock: a turnover on the ball handler.
+   */
+  commitShotClockViolation(offense, team) {
+    const handler = this.selectBallHandler(offense)
+    const stats = (team === 'home' ? this.homeBoxScore : this.awayBoxScore)[handler.id]
+    if (stats) {
+      stats.turnovers++
+    }
+
+    this.recordEventPlayByPlay(team, 'Shot Clock Violation', 'turnover', `Shot clock violation on ${stats?.name || 'the offense'}`)
+    this.checkTechnical(handler.id, team === 'home')
+  }
+
+  /**
+   * A hot head can lose their temper after a foul or turnover. A technical
+   * gives the other team's best free throw shooter on the floor a shot; a
+   * second technical, or a rare outburst, gets the player ejected.
+   */
+  checkTechnical(playerId, isHome) {
+    const stats = (isHome ? this.homeBoxScore : this.awayBoxScore)[playerId]
+    const player = (isHome ? this.homePlayers : this.awayPlayers).find(p => p.id === playerId)
+    if (!stats || !player || stats.ejected) return
+    if (!personalityEffects.checkForTechnicalFoul(player)) return
+
+    const team = isHome ? 'home' : 'away'
+    stats.technicals++
+    this.recordEventPlayByPlay(team, 'Technical Foul', 'technical', `Technical foul on ${stats.name}`)
+
+    const shooters = isHome ? this.awayLineup : this.homeLineup
+    if (shooters.length > 0) {
+      const freeThrow = (p) => p.attributes?.offense?.freeThrow ?? 70
+      const shooter = shooters.reduce((best, p) => (freeThrow(p) > freeThrow(best) ? p : best))
+      this.shootBonusFreeThrows(shooter, !isHome, PERSONALITY_IN_GAME.technical_free_throws)
+    }
+
+    if (personalityEffects.checkForEjection(player, stats.technicals)) {
+      stats.ejected = true
+      this.ejections.push({
+        player_id: playerId,
+        name: stats.name,
+        team,
+        quarter: this.currentQuarter,
+        technicals: stats.technicals,
+      })
+      this.recordEventPlayByPlay(team, 'Ejected', 'ejected', `${stats.name} has been ejected`)
+      this.enforceFoulOuts(isHome)
+    }
+  }
+
+  /**
+   * Replace any fouled-out or ejected players still in a team's lineup.
+   */
+  enforceFoulOuts(isHome) {
+    const boxScore = isHome ? this.homeBoxScore : this.awayBoxScore
+    const roster = isHome ? this.homePlayers : this.awayPlayers
+    let lineup = isHome ? this.homeLineup : this.awayLineup
+
+    for (const player of [...lineup]) {
+      if (!isOutOfGame(boxScore, player.id)) continue
+      const newIds = replaceFouledOutPlayer(lineup, roster, boxScore, player.id, this.currentQuarter)
+      if (newIds) {
+        lineup = this.rebuildLineupFromIds(newIds, roster)
+      }
+    }
+
+    if (isHome) {
+      this.homeLineup = lineup
+    } else {
+      this.awayLineup = lineup
+    }
+  }
+
   // =========================================================================
   // BALL HANDLER / DEFENDER SELECTION (legacy helpers, used by old executePlay)
   // =========================================================================
@@ -1132,13 +1824,14 @@ class GameSimulator {
       if (['PG', 'SG'].includes(lineup[index].position || 'SG')) {
         weight *= 1.5
       }
+      weight *= 1 + personalityEffects.getUsageModifier(lineup[index])
       weights[index] = weight
     }
 
     const total = Object.values(weights).reduce((sum, w) => sum + w, 0)
     if (total <= 0) return lineup[0]
 
-    const rand = Math.floor(Math.random() * Math.floor(total)) + 1
+    const rand = Math.floor(random() * Math.floor(total)) + 1
     let running = 0
 
     for (const [index, weight] of Object.entries(weights)) {
@@ -1186,12 +1879,12 @@ class GameSimulator {
     const tendencies = player.tendencies || {}
     const shotSelection = tendencies.shotSelection || { threePoint: 0.33, midRange: 0.33, paint: 0.34 }
 
-    let rand = (Math.floor(Math.random() * 100) + 1) / 100
+    let rand = (Math.floor(random() * 100) + 1) / 100
 
     // Small chance of turnover
     if (rand < 0.12) return 'turnover'
 
-    rand = (Math.floor(Math.random() * 100) + 1) / 100
+    rand = (Math.floor(random() * 100) + 1) / 100
 
     if (rand < shotSelection.threePoint) {
       return 'three_pointer'
@@ -1365,6 +2058,74 @@ class GameSimulator {
     return { boost, activatedSynergies }
   }
 
+  // =========================================================================
+  // HOME COURT & REST
+  // =========================================================================
+
+  /**
+   * Shot modifier for the offense from home court, rest days since its last
+   * game, the fatigue its lineup carried into the game, and any scoring run
+   * it is on.
+   */
+  calculateSituationalShotModifier(isHome, offense) {
+    let modifier = isHome ? HOME_COURT.shot_modifier * this.homeCourtAdvantage : 0
+    modifier += this.getRestShotModifier(isHome ? this.homeRestDays : this.awayRestDays)
+
+    const run = this.scoringRun
+    if (run && run.team === (isHome ? 'home' : 'away') && run.points >= TIMEOUTS.run_points) {
+      modifier += TIMEOUTS.momentum_shot_modifier
+    }
+
+    if (offense.length > 0) {
+      const start = Config.FATIGUE.performance_penalty_start
+      const avgFatigue = offense.reduce((sum, p) => sum + (p.fatigue || 0), 0) / offense.length
+      if (avgFatigue > start) {
+        modifier -= REST.fatigue_shot_penalty * (avgFatigue - start) / (Config.FATIGUE.max_fatigue - start)
+      }
+    }
+
+    return modifier
+  }
+
+  /**
+   * Clutch minutes: late in the fourth quarter or overtime with the game
+   * within PERSONALITY_IN_GAME.clutch_max_margin.
+   */
+  isClutchTime() {
+    return this.currentQuarter >= QUARTERS &&
+      this.timeRemaining * 60 <= PERSONALITY_IN_GAME.clutch_seconds &&
+      Math.abs(this.homeScore - this.awayScore) <= PERSONALITY_IN_GAME.clutch_max_margin
+  }
+
+  /**
+   * Personality modifiers for the offense on this possession, keyed by
+   * player id: usage scales how often the play engine picks them for a
+   * role, shot is added to their make probability (clutch minutes only).
+   */
+  getPlayerModifiers(offense) {
+    const clutchTime = this.isClutchTime()
+    const modifiers = {}
+    for (const player of offense) {
+      const usage = personalityEffects.getUsageModifier(player)
+      const shot = clutchTime ? personalityEffects.getClutchModifier(player) : 0
+      if (usage || shot) {
+        modifiers[player.id] = { usage, shot }
+      }
+    }
+    return modifiers
+  }
+
+  /**
+   * Shot modifier for days since a team's previous game (null = unknown,
+   * e.g. the season opener).
+   */
+  getRestShotModifier(restDays) {
+    if (restDays == null) return 0
+    if (restDays <= 1) return REST.back_to_back_shot_modifier
+    if (restDays >= REST.rested_days) return REST.rested_shot_modifier
+    return 0
+  }
+
   // =========================================================================
   // FATIGUE & CHEMISTRY
   // =========================================================================
@@ -1421,7 +2182,8 @@ class GameSimulator {
       this.currentQuarter,
       this.timeRemaining,
       this.homeScore - this.awayScore,
-      isUserHomeLive
+      isUserHomeLive,
+      this.homeCoach
     )
     if (homeResult) {
       this.homeLineup = this.rebuildLineupFromIds(homeResult, this.homePlayers)
@@ -1438,7 +2200,8 @@ class GameSimulator {
       this.currentQuarter,
       this.timeRemaining,
       this.awayScore - this.homeScore,
-      isUserAwayLive
+      isUserAwayLive,
+      this.awayCoach
     )
     if (awayResult) {
       this.awayLineup = this.rebuildLineupFromIds(awayResult, this.awayPlayers)
@@ -1474,6 +2237,31 @@ class GameSimulator {
     })
   }
 
+  /**
+   * Record a play-by-play entry for an event outside the play engine
+   * (fouls, bonus free throws).
+   */
+  recordEventPlayByPlay(team, playName, outcome, description, points = 0) {
+    if (!this.generateAnimationData) return
+
+    const mins = Math.floor(this.timeRemaining)
+    const secs = Math.floor((this.timeRemaining - mins) * 60)
+
+    this.playByPlay.push({
+      possession: this.possessionCount,
+      quarter: this.currentQuarter,
+      time: `${mins}:${String(secs).padStart(2, '0')}`,
+      team,
+      play_name: playName,
+      play_id: null,
+      outcome,
+      points,
+      description,
+      home_score: this.homeScore,
+      away_score: this.awayScore,
+    })
+  }
+
   // =========================================================================
   // PLAYER DATA NORMALIZATION
   // =========================================================================
@@ -1528,6 +2316,113 @@ class GameSimulator {
     }
   }
 
+  // =========================================================================
+  // PLUS-MINUS & LINEUP TRACKING
+  // =========================================================================
+
+  /**
+   * Add points to a team's score, crediting plus-minus to all ten players on
+   * the floor and to both five-man units currently in the game, and extend
+   * or end the current scoring run.
+   */
+  addPoints(isHome, points) {
+    if (!points) return
+
+    if (isHome) {
+      this.homeScore += points
+    } else {
+      this.awayScore += points
+    }
+
+    const team = isHome ? 'home' : 'away'
+    if (this.scoringRun && this.scoringRun.team === team) {
+      this.scoringRun.points += points
+    } else {
+      this.scoringRun = { team, points }
+    }
+
+    const scoringLineup = isHome ? this.homeLineup : this.awayLineup
+    const defendingLineup = isHome ? this.awayLineup : this.homeLineup
+    const scoringBox = isHome ? this.homeBoxScore : this.awayBoxScore
+    const defendingBox = isHome ? this.awayBoxScore : this.homeBoxScore
+
+    for (const player of scoringLineup) {
+      if (player && scoringBox[player.id]) scoringBox[player.id].plusMinus += points
+    }
+    for (const player of defendingLineup) {
+      if (player && defendingBox[player.id]) defendingBox[player.id].plusMinus -= points
+    }
+
+    this.getLineupStint(isHome).pointsFor += points
+    this.getLineupStint(!isHome).pointsAgainst += points
+
+    // A tie or lead change takes away the last go-ahead basket
+    if (this.lastClutchPlay && this.lastClutchPlay.isHomeTeam !== isHome) {
+      const lead = this.homeScore - this.awayScore
+      if (this.lastClutchPlay.isHomeTeam ? lead <= 0 : lead >= 0) {
+        this.lastClutchPlay = null
+      }
+    }
+  }
+
+  /**
+   * Get (creating if needed) the running stint record for a team's current
+   * five-man unit. Units are keyed by their sorted player IDs so the same
+   * five players accumulate together regardless of position order.
+   */
+  getLineupStint(isHome) {
+    const lineup = (isHome ? this.homeLineup : this.awayLineup).filter(Boolean)
+    const playerIds = lineup.map(p => p.id).sort()
+    const key = playerIds.join('|')
+    const units = isHome ? this.homeLineupStats : this.awayLineupStats
+
+    if (!units[key]) {
+      units[key] = {
+        playerIds,
+        minutes: 0,
+        offPossessions: 0,
+        defPossessions: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+      }
+    }
+    return units[key]
+  }
+
+  /**
+   * Record a field goal attempt with its court location for shot charts.
+   */
+  recordShot(isHome, shotAttempt) {
+    const shots = isHome ? this.homeShots : this.awayShots
+    shots.push({
+      player_id: shotAttempt.shooter,
+      x: shotAttempt.x ?? 0.5,
+      y: shotAttempt.y ?? 0.75,
+      zone: shotAttempt.zone ?? 'midRange',
+      contest: shotAttempt.contest ?? 'contested',
+      shot_type: shotAttempt.shotType,
+      made: !!shotAttempt.made,
+      quarter: this.currentQuarter,
+    })
+  }
+
+  /**
+   * Format a team's unit stints with snake_case keys, most-used units first.
+   */
+  formatLineupStats(units) {
+    return Object.values(units || {})
+      .map(u => ({
+        player_ids: u.playerIds,
+        minutes: Math.round(u.minutes * 10) / 10,
+        off_possessions: u.offPossessions,
+        def_possessions: u.defPossessions,
+        points_for: u.pointsFor,
+        points_against: u.pointsAgainst,
+        plus_minus: u.pointsFor - u.pointsAgainst,
+      }))
+      .sort((a, b) => b.minutes - a.minutes)
+  }
+
   // =========================================================================
   // STAT LINES & BOX SCORE FORMATTING
   // =========================================================================
@@ -1561,6 +2456,10 @@ class GameSimulator {
       freeThrowsMade: 0,
       freeThrowsAttempted: 0,
       plusMinus: 0,
+      started: false,
+      clutchPoints: 0,
+      technicals: 0,
+      ejected: false,
     }
   }
 
@@ -1594,7 +2493,11 @@ class GameSimulator {
       fg3a: stats.threePointersAttempted,
       ftm: stats.freeThrowsMade,
       fta: stats.freeThrowsAttempted,
-      plus_minus: stats.plusMinus,
+      plus_minus: stats.plusMinus || 0,
+      is_starter: !!stats.started,
+      clutch_points: stats.clutchPoints || 0,
+      technicals: stats.technicals || 0,
+      ejected: !!stats.ejected,
     }
   }
 
@@ -1623,7 +2526,16 @@ class GameSimulator {
         home: homeBoxScoreFormatted,
         away: awayBoxScoreFormatted,
       },
+      lineups: {
+        home: this.formatLineupStats(this.homeLineupStats),
+        away: this.formatLineupStats(this.awayLineupStats),
+      },
+      shots: {
+        home: this.homeShots,
+        away: this.awayShots,
+      },
       quarter_scores: this.quarterScores,
+      total_possessions: this.possessionCount,
       play_by_play: this.generateAnimationData ? this.playByPlay : [],
       animation_data: this.generateAnimationData
         ? {
@@ -1637,7 +2549,9 @@ class GameSimulator {
         away: this.awaySynergiesActivated,
       },
       clutch_play: this.lastClutchPlay,
+      ejections: this.ejections,
       overtime_periods: this.currentQuarter > 4 ? this.currentQuarter - 4 : 0,
+      seed: this.seed,
     }
   }
 
@@ -1654,6 +2568,10 @@ class GameSimulator {
 
     return {
       quarter,
+      timeouts: {
+        home: this.homeTimeouts,
+        away: this.awayTimeouts,
+      },
       scores: {
         home: this.homeScore,
         away: this.awayScore,
@@ -1674,6 +2592,37 @@ class GameSimulator {
     }
   }
 
+  /**
+   * Build result for a single possession (possession-by-possession mode).
+   * Animation data and play-by-play cover just this step.
+   */
+  buildPossessionResult(periodComplete) {
+    return {
+      quarter: this.currentQuarter,
+      periodComplete,
+      timeRemaining: periodComplete ? 0 : this.timeRemaining,
+      possessionTeam: periodComplete ? null : this.possessionTeam,
+      timeouts: {
+        home: this.homeTimeouts,
+        away: this.awayTimeouts,
+      },
+      scores: {
+        home: this.homeScore,
+        away: this.awayScore,
+        quarterScores: this.quarterScores,
+      },
+      animation_data: {
+        possessions: this.animationData,
+        quarter_end_index: this.possessionCount,
+      },
+      box_score: {
+        home: Object.values(this.homeBoxScore).map(s => this.formatBoxScoreStats(s)),
+        away: Object.values(this.awayBoxScore).map(s => this.formatBoxScoreStats(s)),
+      },
+      play_by_play: this.playByPlay,
+    }
+  }
+
   /**
    * Build final game result (for when quarter-by-quarter game completes).
    */
@@ -1695,11 +2644,24 @@ class GameSimulator {
         home: homeBoxScoreFormatted,
         away: awayBoxScoreFormatted,
       },
+      lineups: {
+        home: this.formatLineupStats(this.homeLineupStats),
+        away: this.formatLineupStats(this.awayLineupStats),
+      },
+      shots: {
+        home: this.homeShots,
+        away: this.awayShots,
+      },
       quarter_scores: this.quarterScores,
+      total_possessions: this.possessionCount,
+      clutch_play: this.lastClutchPlay,
+      ejections: this.ejections,
+      overtime_periods: this.currentQuarter > 4 ? this.currentQuarter - 4 : 0,
       synergies_activated: {
         home: this.homeSynergiesActivated,
         away: this.awaySynergiesActivated,
       },
+      seed: this.seed,
     }
   }
 
@@ -1708,10 +2670,10 @@ class GameSimulator {
   // =========================================================================
 
   /**
-   * Check if game is complete (Q4+ and scores not tied).
+   * Check if game is complete (Q4+ finished and scores not tied).
    */
   isGameComplete() {
-    return this.currentQuarter >= 4 && this.homeScore !== this.awayScore
+    return !this.periodInProgress && this.currentQuarter >= 4 && this.homeScore !== this.awayScore
   }
 
   /**
@@ -1719,10 +2681,28 @@ class GameSimulator {
    */
   serializeState() {
     return {
-      version: 4,
+      version: 5,
       status: 'in_progress',
       currentQuarter: this.currentQuarter,
-      completedQuarters: Array.from({ length: this.currentQuarter }, (_, i) => i + 1),
+      completedQuarters: Array.from(
+        { length: this.periodInProgress ? this.currentQuarter - 1 : this.currentQuarter },
+        (_, i) => i + 1
+      ),
+      // Mid-period state (set when saved between possessions)
+      periodInProgress: this.periodInProgress,
+      timeRemaining: this.timeRemaining,
+      possessionTeam: this.possessionTeam,
+      minutesSinceLastRotation: this.minutesSinceLastRotation,
+      homeTeamFouls: this.homeTeamFouls,
+      awayTeamFouls: this.awayTeamFouls,
+      // Timeouts, scoring run and queued calls
+      homeTimeouts: this.homeTimeouts,
+      awayTimeouts: this.awayTimeouts,
+      scoringRun: this.scoringRun,
+      homeCalls: this.homeCalls,
+      awayCalls: this.awayCalls,
+      lastClutchPlay: this.lastClutchPlay,
+      ejections: this.ejections,
       homeScore: this.homeScore,
       awayScore: this.awayScore,
       quarterScores: this.quarterScores,
@@ -1736,6 +2716,14 @@ class GameSimulator {
       homeDefensiveScheme: this.homeDefensiveScheme,
       awayOffensiveScheme: this.awayOffensiveScheme,
       awayDefensiveScheme: this.awayDefensiveScheme,
+      homeCoach: this.homeCoach,
+      awayCoach: this.awayCoach,
+      homeChemistryModifier: this.homeChemistryModifier,
+      awayChemistryModifier: this.awayChemistryModifier,
+      homeCourtAdvantage: this.homeCourtAdvantage,
+      homeRestDays: this.homeRestDays,
+      awayRestDays: this.awayRestDays,
+      openingTipWinner: this.openingTipWinner,
       possessionCount: this.possessionCount,
       quarterEndPossessions: this.quarterEndPossessions,
       homeTeamId: this.homeTeam ? this.homeTeam.id : null,
@@ -1744,6 +2732,10 @@ class GameSimulator {
       awayTeamName: this.awayTeam ? this.awayTeam.name : null,
       homeSynergiesActivated: this.homeSynergiesActivated,
       awaySynergiesActivated: this.awaySynergiesActivated,
+      homeLineupStats: this.homeLineupStats,
+      awayLineupStats: this.awayLineupStats,
+      homeShots: this.homeShots,
+      awayShots: this.awayShots,
       // Substitution state
       homeTargetMinutes: this.homeTargetMinutes,
       awayTargetMinutes: this.awayTargetMinutes,
@@ -1753,6 +2745,9 @@ class GameSimulator {
       awayStarterIds: this.awayStarterIds,
       isLiveGame: this.isLiveGame,
       userTeamId: this.userTeamId,
+      // RNG state so the next quarter continues the same sequence
+      seed: this.seed,
+      rngState: this.rng ? this.rng.getState() : null,
       lastUpdatedAt: new Date().toISOString(),
     }
   }
@@ -1784,6 +2779,10 @@ class GameSimulator {
     this.quarterScores = state.quarterScores
     this.homeBoxScore = state.homeBoxScore
     this.awayBoxScore = state.awayBoxScore
+    for (const stats of [...Object.values(this.homeBoxScore), ...Object.values(this.awayBoxScore)]) {
+      stats.clutchPoints ??= 0
+      stats.technicals ??= 0
+    }
     this.homePlayers = state.homePlayers
     this.awayPlayers = state.awayPlayers
 
@@ -1800,11 +2799,38 @@ class GameSimulator {
       this.awayOffensiveScheme = state.awayCoachingScheme || 'balanced'
       this.awayDefensiveScheme = 'man'
     }
+    this.homeCoach = state.homeCoach ?? null
+    this.awayCoach = state.awayCoach ?? null
+    this.homeChemistryModifier = state.homeChemistryModifier ?? 0
+    this.awayChemistryModifier = state.awayChemistryModifier ?? 0
+
+    // Home court and rest
+    this.homeCourtAdvantage = state.homeCourtAdvantage ?? 1
+    this.homeRestDays = state.homeRestDays ?? null
+    this.awayRestDays = state.awayRestDays ?? null
+    this.openingTipWinner = state.openingTipWinner ?? 'home'
 
     this.possessionCount = state.possessionCount
     this.quarterEndPossessions = state.quarterEndPossessions
     this.currentQuarter = state.currentQuarter
 
+    // Mid-period state (states saved at quarter breaks have none)
+    this.periodInProgress = state.periodInProgress || false
+    this.timeRemaining = state.timeRemaining ?? 0
+    this.possessionTeam = state.possessionTeam || 'home'
+    this.minutesSinceLastRotation = state.minutesSinceLastRotation || 0
+    this.homeTeamFouls = state.homeTeamFouls || 0
+    this.awayTeamFouls = state.awayTeamFouls || 0
+
+    // Timeouts (older states get a full allotment), run and calls
+    this.homeTimeouts = state.homeTimeouts ?? TIMEOUTS.per_half
+    this.awayTimeouts = state.awayTimeouts ?? TIMEOUTS.per_half
+    this.scoringRun = state.scoringRun || null
+    this.homeCalls = { ...createEmptyCalls(), ...state.homeCalls }
+    this.awayCalls = { ...createEmptyCalls(), ...state.awayCalls }
+    this.lastClutchPlay = state.lastClutchPlay || null
+    this.ejections = state.ejections || []
+
     // Rebuild lineups from IDs
     this.homeLineup = this.rebuildLineupFromIds(state.homeLineup, this.homePlayers)
     this.awayLineup = this.rebuildLineupFromIds(state.awayLineup, this.awayPlayers)
@@ -1817,6 +2843,12 @@ class GameSimulator {
     this.homeSynergiesActivated = state.homeSynergiesActivated || 0
     this.awaySynergiesActivated = state.awaySynergiesActivated || 0
 
+    // Restore unit stints (older saves start tracking from this quarter)
+    this.homeLineupStats = state.homeLineupStats || {}
+    this.awayLineupStats = state.awayLineupStats || {}
+    this.homeShots = state.homeShots || []
+    this.awayShots = state.awayShots || []
+
     // Restore substitution state
     this.homeTargetMinutes = state.homeTargetMinutes || {}
     this.awayTargetMinutes = state.awayTargetMinutes || {}
@@ -1827,6 +2859,12 @@ class GameSimulator {
     this.isLiveGame = state.isLiveGame || false
     this.userTeamId = state.userTeamId || null
 
+    // Restore RNG (states saved before seeding get a fresh seed)
+    this.initializeRng(state.seed ?? null)
+    if (state.rngState != null) {
+      this.rng.setState(state.rngState)
+    }
+
     // Reset per-quarter data
     this.animationData = []
     this.playByPlay = []
@@ -1858,6 +2896,10 @@ class GameSimulator {
       this.awayLineup = this.rebuildLineupFromIds(awayLineup, this.awayPlayers)
     }
 
+    // Fouled-out players can't be subbed back in
+    this.enforceFoulOuts(true)
+    this.enforceFoulOuts(false)
+
     // Determine which team the user is
     const isUserHome = homeLineup && homeLineup.length > 0
     const isUserAway = awayLineup && awayLineup.length > 0
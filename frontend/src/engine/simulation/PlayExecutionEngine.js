@@ -6,6 +6,10 @@
  * player attributes, badges, and defensive schemes.
  */
 
+import { random } from '../utils/Random';
+import { classifyShotZone, classifyContest } from './ShotZones';
+import { SHOTS } from '../config/GameConfig';
+
 class PlayExecutionEngine {
   constructor() {
     this.roleAssignments = {};
@@ -18,6 +22,8 @@ class PlayExecutionEngine {
     this.activatedBadges = [];
     this.defensiveScheme = 'man';
     this.defensiveModifiers = {};
+    this.lastAdvantage = 0;
+    this.lastOutcomeKey = null;
   }
 
   /**
@@ -27,7 +33,8 @@ class PlayExecutionEngine {
    * @param {Array} offensiveLineup - The offensive team's lineup
    * @param {Array} defensiveLineup - The defensive team's lineup
    * @param {string} defensiveScheme - The defensive scheme being used (man, zone_2_3, etc.)
-   * @param {Object} defensiveModifiers - Pre-calculated defensive modifiers
+   * @param {Object} defensiveModifiers - Pre-calculated defensive modifiers, plus
+   *   playerModifiers ({ [playerId]: { usage, shot } }) for the offense
    * @returns {Object} Play result with stats, outcome, and animation keyframes
    */
   executePlay(play, offensiveLineup, defensiveLineup, defensiveScheme = 'man', defensiveModifiers = {}) {
@@ -133,7 +140,8 @@ class PlayExecutionEngine {
     this.elapsedTime += action.duration ?? 1.0;
 
     // Handle specific action types
-    this.processActionType(action, selectedOutcome, actor, offensiveLineup);
+    this.processActionType(action, selectedOutcome, actor, offensiveLineup, defender);
+    this.lastOutcomeKey = selectedOutcome.key;
 
     return selectedOutcome;
   }
@@ -164,13 +172,19 @@ class PlayExecutionEngine {
     // Apply badge effects
     const badgeBoost = this.calculateBadgeBoost(action, actor, play);
     advantage += badgeBoost * 10;
+    this.lastAdvantage = advantage;
 
     // Apply defensive scheme modifiers
-    const shotMod = this.defensiveModifiers.shotModifier ?? 0;
+    const shotMod = (this.defensiveModifiers.shotModifier ?? 0) +
+      (this.defensiveModifiers.playerModifiers?.[actor?.id]?.shot ?? 0);
     const turnoverMod = this.defensiveModifiers.turnoverModifier ?? 0;
     const blockMod = this.defensiveModifiers.blockModifier ?? 0;
     const stealMod = this.defensiveModifiers.stealModifier ?? 0;
 
+    // Shot difficulty by type
+    const shotType = action.type === 'shot' ? (action.shotType ?? 'paint') : null;
+    const shotTypeMod = shotType ? (SHOTS.make_modifier[shotType] ?? 0) : 0;
+
     const positiveOutcomes = ['success', 'made', 'finish', 'open', 'beat_defender', 'drive', 'shooter_open', 'cutter_open'];
     const negativeOutcomes = ['stolen', 'turnover', 'blocked', 'deflected', 'covered'];
 
@@ -186,7 +200,7 @@ class PlayExecutionEngine {
         adjustedProbability = baseProbability + (advantage / 200);
         // Apply shot modifier from defensive scheme
         if (key === 'made') {
-          adjustedProbability += shotMod;
+          adjustedProbability += shotMod + shotTypeMod;
         }
       }
       // Negative outcomes reduced by positive advantage
@@ -214,6 +228,11 @@ class PlayExecutionEngine {
       modified[key] = { ...outcome, probability: adjustedProbability };
     }
 
+    // Any shot can draw a shooting foul
+    if (shotType && !modified.fouled) {
+      modified.fouled = { next: 'free_throws', probability: SHOTS.shooting_foul_chance[shotType] ?? 0 };
+    }
+
     // Normalize probabilities to sum to 1
     return this.normalizeProbabilities(modified);
   }
@@ -332,12 +351,12 @@ class PlayExecutionEngine {
    * Select an outcome based on probabilities.
    */
   selectOutcome(outcomes) {
-    const random = Math.random();
+    const roll = random();
     let cumulative = 0;
 
     for (const [key, outcome] of Object.entries(outcomes)) {
       cumulative += outcome.probability;
-      if (random <= cumulative) {
+      if (roll <= cumulative) {
         return { ...outcome, key };
       }
     }
@@ -471,7 +490,9 @@ class PlayExecutionEngine {
         break;
     }
 
-    return score;
+    // Ball hogs angle for the ball; team players defer
+    const usage = this.defensiveModifiers.playerModifiers?.[player.id]?.usage ?? 0;
+    return score * (1 + usage);
   }
 
   /**
@@ -484,7 +505,7 @@ class PlayExecutionEngine {
       return sortedCandidates[0].player;
     }
 
-    const rand = Math.floor(Math.random() * 100) + 1; // 1-100
+    const rand = Math.floor(random() * 100) + 1; // 1-100
 
     if (rand <= 70) {
       // Best candidate
@@ -494,7 +515,7 @@ class PlayExecutionEngine {
       return sortedCandidates[1].player;
     } else {
       // Random from remaining
-      const randomIndex = Math.floor(Math.random() * count);
+      const randomIndex = Math.floor(random() * count);
       return sortedCandidates[randomIndex].player;
     }
   }
@@ -777,7 +798,7 @@ class PlayExecutionEngine {
     ];
 
     const descriptions = descriptionsMap[this.defensiveScheme] ?? defaultDescriptions;
-    return descriptions[Math.floor(Math.random() * descriptions.length)];
+    return descriptions[Math.floor(random() * descriptions.length)];
   }
 
   /**
@@ -821,13 +842,13 @@ class PlayExecutionEngine {
     ];
 
     const descriptions = descriptionsMap[this.defensiveScheme] ?? defaultDescriptions;
-    return descriptions[Math.floor(Math.random() * descriptions.length)];
+    return descriptions[Math.floor(random() * descriptions.length)];
   }
 
   /**
    * Process action type for state updates.
    */
-  processActionType(action, outcome, actor, lineup) {
+  processActionType(action, outcome, actor, lineup, defender = null) {
     // Handle pass - transfer ball carrier
     if (action.type === 'pass' && outcome.key !== 'stolen') {
       const receiverRole = action.receiver ?? null;
@@ -846,14 +867,21 @@ class PlayExecutionEngine {
 
     // Track shot attempts
     if (action.type === 'shot') {
+      const shotType = action.shotType ?? 'paint';
+      const spot = this.playerPositions[actor.id] ?? this.playerPositions[this.ballCarrierId] ?? { x: 0.5, y: 0.75 };
       this.playResult.shotAttempt = {
         shooter: actor.id ?? 'unknown',
         shooterName: (actor.first_name ?? actor.firstName ?? '') + ' ' + (actor.last_name ?? actor.lastName ?? ''),
-        shotType: action.shotType ?? 'paint',
+        shotType,
+        x: spot.x,
+        y: spot.y,
+        zone: classifyShotZone(spot.x, spot.y, shotType),
+        contest: classifyContest(this.lastAdvantage, { outcome: outcome.key, setupOutcome: this.lastOutcomeKey }),
         made: outcome.key === 'made',
         fouled: outcome.key === 'fouled',
         blocked: outcome.key === 'blocked',
         points: outcome.points ?? 0,
+        defender: defender?.id ?? null,
       };
     }
   }
@@ -899,7 +927,7 @@ class PlayExecutionEngine {
     let offRebChance = offRebRating / totalWeighted;
     offRebChance = Math.max(0.15, Math.min(0.40, offRebChance));
 
-    if (Math.floor(Math.random() * 1000) + 1 <= Math.floor(offRebChance * 1000)) {
+    if (Math.floor(random() * 1000) + 1 <= Math.floor(offRebChance * 1000)) {
       this.playResult.outcome = 'offensive_rebound';
       this.playResult.points = 0;
     } else {
@@ -931,9 +959,11 @@ class PlayExecutionEngine {
       return;
     }
 
+    // The fouled shooter goes to the line, falling back to the ball carrier
+    const shooterId = this.playResult.shotAttempt?.shooter ?? this.ballCarrierId;
     let shooter = null;
     for (const player of offensiveLineup) {
-      if (player.id === this.ballCarrierId) {
+      if (player.id === shooterId) {
         shooter = player;
         break;
       }
@@ -946,24 +976,25 @@ class PlayExecutionEngine {
     const ftRating = shooter.attributes?.offense?.freeThrow ?? 70;
     const ftPercentage = ftRating / 100;
 
-    // Assume 2 free throws
+    // Fouled on a three-point attempt shoots 3, otherwise 2
+    const attempted = this.playResult.shotAttempt?.shotType === 'threePoint' ? 3 : 2;
     let made = 0;
-    for (let i = 0; i < 2; i++) {
-      if (Math.random() < ftPercentage) {
+    for (let i = 0; i < attempted; i++) {
+      if (random() < ftPercentage) {
         made++;
       }
     }
 
     this.playResult.outcome = 'free_throws';
     this.playResult.points = made;
-    this.playResult.freeThrows = { made: made, attempted: 2 };
+    this.playResult.freeThrows = { made: made, attempted: attempted };
 
     this.keyframes.push({
       time: this.elapsedTime + 1.0,
       positions: this.buildPositionsSnapshot(),
       ball: { x: 0.5, y: 0.75 },
       action: 'free_throws',
-      description: (shooter.first_name ?? shooter.firstName ?? 'Player') + ` makes ${made} of 2 free throws`,
+      description: (shooter.first_name ?? shooter.firstName ?? 'Player') + ` makes ${made} of ${attempted} free throws`,
     });
   }
 
@@ -998,6 +1029,8 @@ class PlayExecutionEngine {
     this.elapsedTime = 0;
     this.playResult = {};
     this.activatedBadges = [];
+    this.lastAdvantage = 0;
+    this.lastOutcomeKey = null;
     // Note: defensiveScheme and defensiveModifiers are set at start of executePlay
   }
 
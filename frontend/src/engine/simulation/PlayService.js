@@ -1,4 +1,8 @@
 import { PLAYS } from '../data/plays'
+import { COACH_EFFECTS, LATE_GAME } from '../config/GameConfig'
+import { getCoachAttributeFactor } from '../data/coaches'
+import { DEFENSIVE_SCHEMES } from './CoachingEngine'
+import { random } from '../utils/Random'
 
 // ---------------------------------------------------------------------------
 // Scheme weights
@@ -121,6 +125,15 @@ function calculateAverageIQ(lineup) {
   return count > 0 ? totalIQ / count : 50
 }
 
+/**
+ * Share of a play's shot actions that are three-point attempts (0 – 1).
+ */
+function getThreePointShare(play) {
+  const shots = (play.actions || []).filter((a) => a.shotType)
+  if (shots.length === 0) return 0
+  return shots.filter((a) => a.shotType === 'threePoint').length / shots.length
+}
+
 /**
  * Weighted random selection from an array of { play, weight } objects.
  * Returns the selected play object.
@@ -132,12 +145,12 @@ function weightedRandomSelect(weightedItems) {
     return weightedItems[0]?.play ?? PLAYS[0]
   }
 
-  const random = Math.random() * totalWeight
+  const roll = random() * totalWeight
   let cumulative = 0
 
   for (const item of weightedItems) {
     cumulative += item.weight
-    if (random <= cumulative) {
+    if (roll <= cumulative) {
       return item.play
     }
   }
@@ -211,6 +224,10 @@ export function getCoachingSchemes() {
 /**
  * Select a play based on game situation and team composition.
  *
+ * A head coach with a high offensiveIQ steers play calls toward the
+ * categories the opposing defensive scheme is weak against (and away from
+ * its strengths); a low offensiveIQ does the opposite.
+ *
  * @param {object[]} offensiveLineup  – Array of player objects on offense
  * @param {object[]} defensiveLineup  – Array of player objects on defense
  * @param {string}   coachingScheme   – One of the coaching scheme keys
@@ -218,12 +235,17 @@ export function getCoachingSchemes() {
  * @param {boolean}  [context.isTransition=false]
  * @param {number}   [context.shotClock=24]
  * @param {number}   [context.scoreDifferential=0]
+ * @param {boolean}  [context.huntThree=false]  – Trailing late, needs threes
+ * @param {string}   [context.defensiveScheme]  – Opponent's defensive scheme key
+ * @param {object}   [context.coach]            – Offensive team's head coach
  * @returns {object} The selected play
  */
 export function selectPlay(offensiveLineup, defensiveLineup, coachingScheme, context = {}) {
   const isTransition = context.isTransition ?? false
   const shotClock = context.shotClock ?? 24
   const scoreDifferential = context.scoreDifferential ?? 0
+  const defenseData = DEFENSIVE_SCHEMES[context.defensiveScheme] ?? null
+  const offensiveIQ = getCoachAttributeFactor(context.coach, 'offensiveIQ')
 
   // --- Filter by tempo ---
   let eligiblePlays
@@ -274,6 +296,21 @@ export function selectPlay(offensiveLineup, defensiveLineup, coachingScheme, con
       }
     }
 
+    // Down multiple possessions late: look for plays that end in threes
+    if (context.huntThree) {
+      weight *= 1 + (LATE_GAME.three_hunt_weight - 1) * getThreePointShare(play)
+    }
+
+    // Coach offensive IQ: attack the defense's weaknesses, avoid its strengths
+    if (defenseData && offensiveIQ !== 0) {
+      if (defenseData.weaknesses?.includes(play.category)) {
+        weight *= Math.max(0.1, 1 + offensiveIQ * COACH_EFFECTS.offensive_iq_exploit_weight)
+      }
+      if (defenseData.strengths?.includes(play.category)) {
+        weight *= Math.max(0.1, 1 - offensiveIQ * COACH_EFFECTS.offensive_iq_avoid_weight)
+      }
+    }
+
     weightedPlays.push({ play, weight })
   }
 
@@ -0,0 +1,127 @@
+/**
+ * ShotZones.js
+ *
+ * Classifies shot attempts by court zone and contest level, and builds the
+ * per-zone totals used for shot charts.
+ *
+ * Positions use the normalized half-court coordinates the play engine and
+ * BasketballCourt.vue share (see config/courtConfig.js): x runs sideline to
+ * sideline across the 50-foot width, y runs from the top of the visible
+ * court (0) to the baseline (1) over COURT_CANVAS.VISIBLE_DEPTH feet.
+ *
+ * The shot's type decides whether it is a two or a three, so a three taken
+ * from a spot a play drew slightly inside the arc still lands in a
+ * three-point zone.
+ */
+
+import { NBA_COURT, COURT_CANVAS, getCornerThreeArcTransition } from '../../config/courtConfig';
+
+export const SHOT_ZONES = ['restrictedArea', 'paint', 'midRange', 'corner3', 'aboveBreak3'];
+
+export const SHOT_ZONE_LABELS = {
+  restrictedArea: 'Restricted Area',
+  paint: 'Paint',
+  midRange: 'Mid-Range',
+  corner3: 'Corner 3',
+  aboveBreak3: 'Above the Break 3',
+};
+
+export const CONTEST_LEVELS = ['open', 'contested', 'tight'];
+
+// Shooter-vs-defender advantage (PlayExecutionEngine scale) that separates
+// contest levels.
+const OPEN_ADVANTAGE = 5;
+const TIGHT_ADVANTAGE = -5;
+
+// Setup outcomes that hand the next shooter an open look.
+const OPEN_LOOK_OUTCOMES = ['open', 'shooter_open', 'cutter_open'];
+
+/**
+ * Convert a normalized position to feet relative to the rim.
+ * @param {number} x - 0 (left sideline) to 1 (right sideline)
+ * @param {number} y - 0 (top of visible court) to 1 (baseline)
+ * @returns {{ lateral: number, depth: number, fromBaseline: number, distance: number }}
+ */
+export function toRimFeet(x, y) {
+  const lateral = (x - 0.5) * NBA_COURT.FULL_WIDTH;
+  const fromBaseline = (1 - y) * COURT_CANVAS.VISIBLE_DEPTH;
+  const depth = fromBaseline - NBA_COURT.RIM_FROM_BASELINE;
+  return { lateral, depth, fromBaseline, distance: Math.hypot(lateral, depth) };
+}
+
+/**
+ * Zone for a shot at a normalized position.
+ * @param {number} x
+ * @param {number} y
+ * @param {string} shotType - 'threePoint', 'midRange' or 'paint'
+ * @returns {string} One of SHOT_ZONES
+ */
+export function classifyShotZone(x, y, shotType) {
+  const { lateral, fromBaseline, distance } = toRimFeet(x, y);
+
+  if (shotType === 'threePoint') {
+    return fromBaseline <= getCornerThreeArcTransition() ? 'corner3' : 'aboveBreak3';
+  }
+
+  if (distance <= NBA_COURT.RESTRICTED_RADIUS) return 'restrictedArea';
+  if (Math.abs(lateral) <= NBA_COURT.KEY_WIDTH / 2 && fromBaseline <= NBA_COURT.KEY_LENGTH) return 'paint';
+  return 'midRange';
+}
+
+/**
+ * How closely a shot was contested.
+ * @param {number} advantage - Shooter-vs-defender advantage for the shot action
+ * @param {Object} [context]
+ * @param {string} [context.outcome] - The shot's outcome key
+ * @param {string} [context.setupOutcome] - Outcome of the action before the shot
+ * @returns {string} One of CONTEST_LEVELS
+ */
+export function classifyContest(advantage, { outcome = null, setupOutcome = null } = {}) {
+  if (outcome === 'blocked') return 'tight';
+  if (OPEN_LOOK_OUTCOMES.includes(setupOutcome) || advantage >= OPEN_ADVANTAGE) return 'open';
+  if (advantage <= TIGHT_ADVANTAGE) return 'tight';
+  return 'contested';
+}
+
+/**
+ * Empty shot chart totals.
+ * @returns {{ attempts: number, made: number, zones: Object, contest: Object, spots: Object }}
+ */
+export function createEmptyShotChart() {
+  const zones = {};
+  for (const zone of SHOT_ZONES) zones[zone] = { attempts: 0, made: 0 };
+  const contest = {};
+  for (const level of CONTEST_LEVELS) contest[level] = { attempts: 0, made: 0 };
+  return { attempts: 0, made: 0, zones, contest, spots: {} };
+}
+
+/**
+ * Add one shot to chart totals. Spots are keyed by position rounded to
+ * two decimals so repeated looks from the same spot stack up.
+ * @param {Object} chart - From createEmptyShotChart
+ * @param {Object} shot - { x, y, zone, contest, made }
+ * @returns {Object} The same chart
+ */
+export function addShotToChart(chart, shot) {
+  const made = shot.made ? 1 : 0;
+  chart.attempts++;
+  chart.made += made;
+
+  if (chart.zones[shot.zone]) {
+    chart.zones[shot.zone].attempts++;
+    chart.zones[shot.zone].made += made;
+  }
+  if (chart.contest[shot.contest]) {
+    chart.contest[shot.contest].attempts++;
+    chart.contest[shot.contest].made += made;
+  }
+
+  const x = Math.round(shot.x * 100) / 100;
+  const y = Math.round(shot.y * 100) / 100;
+  const key = `${x}|${y}`;
+  if (!chart.spots[key]) chart.spots[key] = { x, y, attempts: 0, made: 0 };
+  chart.spots[key].attempts++;
+  chart.spots[key].made += made;
+
+  return chart;
+}
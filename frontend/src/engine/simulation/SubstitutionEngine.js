@@ -10,9 +10,13 @@
  *     is_injured (or isInjured) }
  *
  * BoxScore expected shape:
- *   { [playerId]: { minutes: Number, ... } }
+ *   { [playerId]: { minutes: Number, fouls: Number, ... } }
  */
 
+import { FOULS, COACH_EFFECTS } from '../config/GameConfig';
+import { getCoachAttributeFactor } from '../data/coaches';
+import { random } from '../utils/Random';
+
 const CHECK_INTERVAL_MINUTES = 2.0;
 const VARIANCE_RANGE = 0.15;
 const CLOSE_GAME_THRESHOLD = 6;
@@ -77,6 +81,35 @@ function isPlayerInjured(player) {
   return !!(player.is_injured ?? player.isInjured ?? false);
 }
 
+function getPlayerFouls(boxScore, playerId) {
+  return boxScore[playerId]?.fouls ?? 0;
+}
+
+/**
+ * Whether a player has reached the foul-out limit.
+ */
+export function isFouledOut(boxScore, playerId) {
+  return getPlayerFouls(boxScore, playerId) >= FOULS.foul_out_limit;
+}
+
+/**
+ * Whether a player can't return to the game: fouled out or ejected.
+ */
+export function isOutOfGame(boxScore, playerId) {
+  return isFouledOut(boxScore, playerId) || !!boxScore[playerId]?.ejected;
+}
+
+/**
+ * Whether a player's foul count is too high for the current quarter.
+ * Overtime periods use the fourth-quarter threshold.
+ */
+export function isInFoulTrouble(boxScore, playerId, currentQuarter) {
+  const quarter = Math.min(currentQuarter, 4);
+  const threshold =
+    FOULS.foul_trouble_by_quarter[quarter] ?? FOULS.foul_out_limit;
+  return getPlayerFouls(boxScore, playerId) >= threshold;
+}
+
 /**
  * Calculate total game minutes elapsed.
  * Uses 10-minute quarters.
@@ -135,7 +168,8 @@ function findBenchReplacement(
   boxScore,
   targetMinutes,
   gameElapsed,
-  currentLineupIds
+  currentLineupIds,
+  currentQuarter = 1
 ) {
   const position = sitCandidate.position;
   const secondaryPosition = sitCandidate.secondary_position;
@@ -148,6 +182,11 @@ function findBenchReplacement(
       continue;
     }
 
+    // Don't bring back players who are out of fouls or in foul trouble
+    if (isInFoulTrouble(boxScore, player.id, currentQuarter)) {
+      continue;
+    }
+
     // Must be able to play the position
     const playerPos = player.position ?? '';
     const playerSecondary = player.secondary_position ?? null;
@@ -188,6 +227,43 @@ function findBenchReplacement(
   return candidates[0].player;
 }
 
+/**
+ * Find a replacement for a player who has to leave because of fouls.
+ * Ignores the minutes budget: prefers a position match, then the
+ * highest-rated healthy bench player who isn't in foul trouble too.
+ * Returns a player object or null.
+ */
+function findFoulReplacement(
+  benchPlayers,
+  sitCandidate,
+  boxScore,
+  currentLineupIds,
+  currentQuarter
+) {
+  const candidates = benchPlayers
+    .filter(
+      (player) =>
+        !currentLineupIds.includes(player.id) &&
+        !isPlayerInjured(player) &&
+        !boxScore[player.id]?.ejected &&
+        !isInFoulTrouble(boxScore, player.id, currentQuarter)
+    )
+    .sort((a, b) => getPlayerRating(b) - getPlayerRating(a));
+
+  const positionMatch = candidates.find((player) => {
+    const playerPos = player.position ?? '';
+    const playerSecondary = player.secondary_position ?? null;
+    return (
+      playerPos === sitCandidate.position ||
+      playerSecondary === sitCandidate.position ||
+      playerPos === sitCandidate.secondary_position ||
+      playerSecondary === sitCandidate.secondary_position
+    );
+  });
+
+  return positionMatch ?? candidates[0] ?? null;
+}
+
 /**
  * Get minute distribution template per strategy.
  * Index 0 = best player, index 1 = 2nd best, etc.
@@ -216,13 +292,14 @@ function getDistributionTemplate(strategy) {
  *
  * @param {Array}  currentLineup   - Array of player objects currently on court (length 5)
  * @param {Array}  fullRoster      - Full roster of player objects (starters + bench)
- * @param {Object} boxScore        - { [playerId]: { minutes, ... } }
+ * @param {Object} boxScore        - { [playerId]: { minutes, fouls, ... } }
  * @param {Object} targetMinutes   - { [playerId]: targetMinutesNumber }
  * @param {string} strategy        - One of: 'staggered', 'platoon', 'tight_rotation', 'deep_bench'
  * @param {number} currentQuarter  - 1-4
  * @param {number} timeRemaining   - Minutes remaining in current quarter (0-10)
  * @param {number} scoreDiff       - Team score minus opponent score
  * @param {boolean} isUserTeamLive - Whether this is the user's team during a live game
+ * @param {Object|null} [coach=null] - Head coach (gameManagement shapes the close-game override)
  * @returns {Array|null} New lineup IDs or null
  */
 export function evaluateSubstitutions(
@@ -234,7 +311,8 @@ export function evaluateSubstitutions(
   currentQuarter,
   timeRemaining,
   scoreDiff,
-  isUserTeamLive
+  isUserTeamLive,
+  coach = null
 ) {
   // User controls subs during live games
   if (isUserTeamLive) {
@@ -253,7 +331,8 @@ export function evaluateSubstitutions(
     timeRemaining,
     scoreDiff,
     targetMinutes,
-    boxScore
+    boxScore,
+    coach
   );
   if (closeGameLineup !== null) {
     return closeGameLineup;
@@ -274,9 +353,18 @@ export function evaluateSubstitutions(
     targetPcts[playerId] = mins / TOTAL_GAME_MINUTES;
   }
 
+  // Players in foul trouble sit regardless of pace
+  const foulTroubleIds = currentLineupIds.filter((playerId) =>
+    isInFoulTrouble(boxScore, playerId, currentQuarter)
+  );
+
   // Find players ahead of pace (candidates to sit)
   let sitCandidates = [];
   for (const playerId of currentLineupIds) {
+    if (foulTroubleIds.includes(playerId)) {
+      continue;
+    }
+
     const actualMinutes = boxScore[playerId]?.minutes ?? 0;
     const targetPct = targetPcts[playerId] ?? 0.5;
     const expectedMinutes = gameElapsed * targetPct;
@@ -292,7 +380,7 @@ export function evaluateSubstitutions(
     }
   }
 
-  if (sitCandidates.length === 0) {
+  if (sitCandidates.length === 0 && foulTroubleIds.length === 0) {
     return null;
   }
 
@@ -308,11 +396,21 @@ export function evaluateSubstitutions(
   const maxSubs = strategyData.max_subs_per_check;
   sitCandidates = sitCandidates.slice(0, maxSubs);
 
-  // Build bench (players not in current lineup, not injured)
+  // Foul-trouble subs go first and don't count against the limit
+  const foulTroubleCandidates = foulTroubleIds.map((playerId) => ({
+    id: playerId,
+    paceDelta: 0,
+    position: playerMap[playerId]?.position ?? 'SF',
+    secondary_position: playerMap[playerId]?.secondary_position ?? null,
+    foulTrouble: true,
+  }));
+  sitCandidates = [...foulTroubleCandidates, ...sitCandidates];
+
+  // Build bench (players not in current lineup, not injured or ejected)
   let benchPlayers = [];
   for (const player of fullRoster) {
     if (!currentLineupIds.includes(player.id)) {
-      if (!isPlayerInjured(player)) {
+      if (!isPlayerInjured(player) && !boxScore[player.id]?.ejected) {
         benchPlayers.push(player);
       }
     }
@@ -323,15 +421,27 @@ export function evaluateSubstitutions(
   let subsApplied = 0;
 
   for (const candidate of sitCandidates) {
-    const replacement = findBenchReplacement(
+    let replacement = findBenchReplacement(
       benchPlayers,
       candidate,
       boxScore,
       targetMinutes,
       gameElapsed,
-      newLineupIds
+      newLineupIds,
+      currentQuarter
     );
 
+    // Foul trouble outranks the minutes budget
+    if (!replacement && candidate.foulTrouble) {
+      replacement = findFoulReplacement(
+        benchPlayers,
+        candidate,
+        boxScore,
+        newLineupIds,
+        currentQuarter
+      );
+    }
+
     if (replacement) {
       // Swap in the lineup
       const lineupIndex = newLineupIds.indexOf(candidate.id);
@@ -357,12 +467,16 @@ export function evaluateSubstitutions(
  * Respects target minutes — players who have already exceeded their
  * target are not forced back in.
  *
+ * The coach's gameManagement widens (or narrows) both the time window and
+ * the margin, so good game managers close with their best five sooner.
+ *
  * @param {Array}  fullRoster     - Full roster of player objects
  * @param {number} currentQuarter - 1-4
  * @param {number} timeRemaining  - Minutes remaining in current quarter
  * @param {number} scoreDiff      - Team score minus opponent score
  * @param {Object} targetMinutes  - { [playerId]: targetMinutesNumber }
  * @param {Object} boxScore       - { [playerId]: { minutes, ... } }
+ * @param {Object|null} [coach=null] - Head coach
  * @returns {Array|null} Array of 5 player IDs or null
  */
 export function applyCloseGameOverride(
@@ -371,12 +485,17 @@ export function applyCloseGameOverride(
   timeRemaining,
   scoreDiff,
   targetMinutes,
-  boxScore
+  boxScore,
+  coach = null
 ) {
+  const gameManagement = getCoachAttributeFactor(coach, 'gameManagement');
+  const closeWindow = 5.0 + gameManagement * COACH_EFFECTS.game_management_window_minutes;
+  const margin = CLOSE_GAME_THRESHOLD + Math.round(gameManagement * COACH_EFFECTS.game_management_margin_points);
+
   if (
     currentQuarter < 4 ||
-    timeRemaining > 5.0 ||
-    Math.abs(scoreDiff) > CLOSE_GAME_THRESHOLD
+    timeRemaining > closeWindow ||
+    Math.abs(scoreDiff) > margin
   ) {
     return null;
   }
@@ -386,6 +505,7 @@ export function applyCloseGameOverride(
   const healthy = fullRoster
     .filter((p) => {
       if (isPlayerInjured(p)) return false;
+      if (boxScore && isOutOfGame(boxScore, p.id)) return false;
       if (targetMinutes && boxScore) {
         const target = targetMinutes[p.id];
         const actual = boxScore[p.id]?.minutes ?? 0;
@@ -406,6 +526,63 @@ export function applyCloseGameOverride(
   return best5.map((p) => p.id);
 }
 
+/**
+ * Immediately replace a player who just fouled out or was ejected. Applies
+ * to every team, including the user's during live games, since neither can
+ * stay on the floor.
+ *
+ * @param {Array}  currentLineup  - Array of player objects currently on court
+ * @param {Array}  fullRoster     - Full roster of player objects
+ * @param {Object} boxScore       - { [playerId]: { minutes, fouls, ... } }
+ * @param {string} playerId       - The player who fouled out or was ejected
+ * @param {number} currentQuarter - Current quarter (5+ for overtime)
+ * @returns {Array|null} New lineup IDs, or null if nobody is left to sub in
+ */
+export function replaceFouledOutPlayer(
+  currentLineup,
+  fullRoster,
+  boxScore,
+  playerId,
+  currentQuarter
+) {
+  const currentLineupIds = currentLineup.map((p) => p.id);
+  const lineupIndex = currentLineupIds.indexOf(playerId);
+  if (lineupIndex === -1) {
+    return null;
+  }
+
+  const fouledOut = fullRoster.find((p) => p.id === playerId);
+  const replacement = findFoulReplacement(
+    fullRoster,
+    {
+      id: playerId,
+      position: fouledOut?.position ?? 'SF',
+      secondary_position: fouledOut?.secondary_position ?? null,
+    },
+    boxScore,
+    currentLineupIds,
+    currentQuarter
+  );
+
+  // Everyone else is hurt or out of the game: fall back to anyone still eligible
+  const fallback =
+    replacement ??
+    fullRoster.find(
+      (p) =>
+        !currentLineupIds.includes(p.id) &&
+        !isPlayerInjured(p) &&
+        !isOutOfGame(boxScore, p.id)
+    );
+
+  if (!fallback) {
+    return null;
+  }
+
+  const newLineupIds = [...currentLineupIds];
+  newLineupIds[lineupIndex] = fallback.id;
+  return newLineupIds;
+}
+
 /**
  * Auto-calculate target minutes for AI teams based on strategy.
  * Players are ranked by overall rating; starters get quality bonuses.
@@ -484,7 +661,7 @@ export function applyVariance(targetMinutes) {
     }
 
     // Random between -1.0 and 1.0, scaled by VARIANCE_RANGE (0.15)
-    const randomFactor = (Math.random() * 2 - 1) * VARIANCE_RANGE;
+    const randomFactor = (random() * 2 - 1) * VARIANCE_RANGE;
     const variance = 1.0 + randomFactor;
     let newMins = mins * variance;
 
@@ -0,0 +1,162 @@
+/**
+ * Random.js
+ *
+ * Seedable pseudo-random number generator shared by every engine module.
+ *
+ * Engine code never calls Math.random directly; it calls random(), which
+ * draws from the currently active generator. Callers that need a
+ * reproducible result (a single game, a schedule, a whole campaign build)
+ * run their synchronous work inside withSeed()/withRng() so the same seed
+ * always yields the same sequence.
+ *
+ * Identifiers (UUIDs, news/trade ids) are deliberately not drawn from this
+ * generator so that creating records never shifts a simulation sequence.
+ *
+ * Usage:
+ *   import { random, withSeed } from '../utils/Random'
+ *   const roll = random()                      // [0, 1)
+ *   const result = withSeed(1234, () => sim()) // deterministic
+ */
+
+const UINT32 = 4294967296
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a).
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Normalize a numeric or string seed into a 32-bit unsigned integer.
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) % UINT32
+  }
+  return hashString(String(seed))
+}
+
+// ---------------------------------------------------------------------------
+// SeededRandom (mulberry32)
+// ---------------------------------------------------------------------------
+
+export class SeededRandom {
+  /**
+   * @param {number|string} seed
+   */
+  constructor(seed) {
+    this.seed = normalizeSeed(seed)
+    this.state = this.seed
+  }
+
+  /**
+   * Next float in [0, 1).
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32
+  }
+
+  /**
+   * Serializable generator state (restore with setState).
+   */
+  getState() {
+    return this.state
+  }
+
+  setState(state) {
+    this.state = state >>> 0
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Seeds
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate a fresh, non-deterministic 32-bit seed.
+ * @returns {number}
+ */
+export function generateSeed() {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0]
+  }
+  return Math.floor(Math.random() * UINT32)
+}
+
+/**
+ * Derive a stable child seed from a parent seed and any number of keys,
+ * e.g. deriveSeed(campaign.seed, 'game', gameId).
+ * @returns {number}
+ */
+export function deriveSeed(...parts) {
+  return hashString(parts.map(p => String(p ?? '')).join(':'))
+}
+
+// ---------------------------------------------------------------------------
+// Active generator
+// ---------------------------------------------------------------------------
+
+let activeRng = new SeededRandom(generateSeed())
+
+/**
+ * Next float in [0, 1) from the active generator.
+ * Drop-in replacement for Math.random().
+ */
+export function random() {
+  return activeRng.next()
+}
+
+/**
+ * @returns {SeededRandom} The generator random() currently draws from.
+ */
+export function getActiveRng() {
+  return activeRng
+}
+
+/**
+ * Re-seed the active generator.
+ * @param {number|string} seed
+ */
+export function seedRandom(seed) {
+  activeRng = new SeededRandom(seed)
+}
+
+/**
+ * Run synchronous work with a specific generator active, restoring the
+ * previous one afterwards. Must not be used with async callbacks: the
+ * previous generator is restored as soon as fn returns.
+ *
+ * @param {SeededRandom} rng
+ * @param {Function} fn
+ * @returns {*} Whatever fn returns
+ */
+export function withRng(rng, fn) {
+  const previous = activeRng
+  activeRng = rng
+  try {
+    return fn()
+  } finally {
+    activeRng = previous
+  }
+}
+
+/**
+ * Run synchronous work with a fresh generator seeded from `seed`.
+ *
+ * @param {number|string} seed
+ * @param {Function} fn
+ * @returns {*} Whatever fn returns
+ */
+export function withSeed(seed, fn) {
+  return withRng(new SeededRandom(seed), fn)
+}
@@ -2,7 +2,7 @@
  * SimulationWorkerManager.js
  *
  * Main-thread promise-based API for communicating with the simulation Web Worker.
- * Provides: initialize(), simulateGame(), simulateQuarter(), simToEnd(),
+ * Provides: initialize(), simulateGame(), simulateQuarter(), simulatePossession(), simToEnd(),
  *           simulateBulk(games, onProgress), processPostGame(), processWeekly(),
  *           terminate().
  */
@@ -74,6 +74,18 @@ export class SimulationWorkerManager {
     return this._send('SIMULATE_QUARTER', params)
   }
 
+  /**
+   * Start or continue a live game one possession at a time.
+   * First call sets the game up and plays the opening possession. Later calls
+   * pass the user's calls (timeout, playId, defensiveCall, intentionalFoul,
+   * holdForLastShot) along with the usual adjustments.
+   * @param {Object} params - { homeTeam, awayTeam, homePlayers, awayPlayers, options, adjustments, resumeState }
+   * @returns {Object} Possession result with scores, clock, timeouts, animation data
+   */
+  async simulatePossession(params) {
+    return this._send('SIMULATE_POSSESSION', params)
+  }
+
   /**
    * Sim an in-progress game to completion (skip remaining quarters).
    * @param {Object} adjustments - Optional lineup/style adjustments
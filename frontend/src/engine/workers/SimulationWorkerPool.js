@@ -0,0 +1,208 @@
+/**
+ * SimulationWorkerPool.js
+ *
+ * Spreads bulk AI game simulation across several simulation workers, one per
+ * logical core (capped at MAX_POOL_SIZE). Live games stay on the single
+ * workerManager; the pool only serves simulateBulk().
+ *
+ * Games are cut into waves in schedule order, closing a wave as soon as a team
+ * would appear in it twice. Games within a wave share no players, so they can
+ * run on different workers at once; players evolved by one wave (fatigue,
+ * recent_performances) are handed to the next. Results therefore match a
+ * single-worker run game for game, and come back in the order they were sent.
+ *
+ * A worker that crashes is respawned and its share of the wave retried once.
+ */
+
+import { SimulationWorkerManager } from './SimulationWorkerManager'
+
+const MAX_POOL_SIZE = 8
+
+/**
+ * Default pool size: one worker per logical core.
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency ?? 1
+  return Math.max(1, Math.min(cores, MAX_POOL_SIZE))
+}
+
+/**
+ * Split games into waves in which no team plays twice.
+ * @param {Array} games - Bulk games ({ homeTeam, awayTeam, ... }) in schedule order
+ * @returns {Array<Array<{ game: Object, index: number }>>}
+ */
+export function splitIntoWaves(games) {
+  const waves = []
+  let wave = []
+  let teams = new Set()
+
+  games.forEach((game, index) => {
+    const homeId = game.homeTeam?.id
+    const awayId = game.awayTeam?.id
+    if (teams.has(homeId) || teams.has(awayId)) {
+      waves.push(wave)
+      wave = []
+      teams = new Set()
+    }
+    wave.push({ game, index })
+    teams.add(homeId)
+    teams.add(awayId)
+  })
+
+  if (wave.length > 0) waves.push(wave)
+  return waves
+}
+
+export class SimulationWorkerPool {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.createWorker] - Returns an un-initialized worker manager
+   */
+  constructor({ createWorker = () => new SimulationWorkerManager() } = {}) {
+    this.createWorker = createWorker
+    this.workers = []
+    this.size = 0
+    this.initOptions = {}
+  }
+
+  /**
+   * Size the pool. Workers are spawned on first use, so opening a campaign
+   * doesn't pay for workers a quick session never needs.
+   * @param {Object} options - { size, badgeDefinitions, badgeSynergies }
+   */
+  initialize(options = {}) {
+    this.terminate()
+    const { size, ...initOptions } = options
+    this.size = size ?? defaultPoolSize()
+    this.initOptions = initOptions
+  }
+
+  /**
+   * Simulate multiple games across the pool with combined progress reporting.
+   * Same contract as SimulationWorkerManager.simulateBulk().
+   * @param {Array} games - Array of { gameId, homeTeam, awayTeam, homePlayers, awayPlayers, options, gameDate }
+   * @param {Function} onProgress - Called with { completed, total, gameId } after each game
+   * @param {Object} bulkOptions - { processEvolution, difficulty }
+   * @returns {Object} { results: [{ gameId, result }], total, evolvedPlayers }
+   */
+  async simulateBulk(games, onProgress = null, bulkOptions = {}) {
+    await this._ensureWorkers()
+
+    const total = games.length
+    const results = new Array(total)
+    const playerCache = bulkOptions.processEvolution ? {} : null
+    let completed = 0
+
+    // A lone worker carries evolved players between games itself
+    const waves = this.workers.length > 1
+      ? splitIntoWaves(games)
+      : [games.map((game, index) => ({ game, index }))]
+
+    for (const wave of waves) {
+      const chunks = this._chunk(wave)
+
+      await Promise.all(chunks.map(async (chunk, slot) => {
+        const chunkGames = chunk.map(({ game }) => playerCache ? this._withEvolvedPlayers(game, playerCache) : game)
+        let chunkCompleted = 0
+
+        const onChunkProgress = (progress) => {
+          chunkCompleted++
+          completed++
+          onProgress?.({ completed, total, gameId: progress.gameId })
+        }
+
+        const bulk = await this._runChunk(slot, chunkGames, onChunkProgress, bulkOptions, () => {
+          // Progress from the failed attempt is reported again by the retry
+          completed -= chunkCompleted
+          chunkCompleted = 0
+        })
+
+        bulk.results.forEach((r, i) => {
+          results[chunk[i].index] = r
+        })
+        if (playerCache) {
+          for (const player of (bulk.evolvedPlayers ?? [])) {
+            playerCache[player.id] = player
+          }
+        }
+      }))
+    }
+
+    return {
+      results,
+      total,
+      evolvedPlayers: playerCache ? Object.values(playerCache) : null,
+    }
+  }
+
+  /**
+   * Terminate all workers in the pool.
+   */
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate()
+    }
+    this.workers = []
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  async _ensureWorkers() {
+    if (this.size === 0) {
+      this.size = defaultPoolSize()
+    }
+    while (this.workers.length < this.size) {
+      this.workers.push(await this._spawn())
+    }
+  }
+
+  async _spawn() {
+    const worker = this.createWorker()
+    await worker.initialize(this.initOptions)
+    return worker
+  }
+
+  /**
+   * Deal a wave's games out to the workers in contiguous runs.
+   */
+  _chunk(wave) {
+    const count = Math.min(this.workers.length, wave.length)
+    const perWorker = Math.ceil(wave.length / count)
+    const chunks = []
+    for (let i = 0; i < wave.length; i += perWorker) {
+      chunks.push(wave.slice(i, i + perWorker))
+    }
+    return chunks
+  }
+
+  _withEvolvedPlayers(game, playerCache) {
+    return {
+      ...game,
+      homePlayers: (game.homePlayers || []).map(p => playerCache[p.id] || p),
+      awayPlayers: (game.awayPlayers || []).map(p => playerCache[p.id] || p),
+    }
+  }
+
+  /**
+   * Run one chunk on the worker in the given slot. If the worker fails, it is
+   * replaced with a fresh one and the chunk retried once before giving up.
+   */
+  async _runChunk(slot, games, onProgress, bulkOptions, onRetry) {
+    try {
+      return await this.workers[slot].simulateBulk(games, onProgress, bulkOptions)
+    } catch (err) {
+      console.warn(`[SimulationWorkerPool] Worker ${slot} failed, respawning:`, err.message)
+      this.workers[slot].terminate()
+      this.workers[slot] = await this._spawn()
+      onRetry()
+      return this.workers[slot].simulateBulk(games, onProgress, bulkOptions)
+    }
+  }
+}
+
+// Export singleton instance
+export const workerPool = new SimulationWorkerPool()
+export default workerPool
@@ -2,7 +2,8 @@
  * simulation.worker.js
  *
  * Web Worker entry point for running game simulations off the main thread.
- * Handles message types: INIT, SIMULATE_GAME, SIMULATE_QUARTER, SIMULATE_BULK, PROCESS_WEEKLY.
+ * Handles message types: INIT, SIMULATE_GAME, SIMULATE_QUARTER, SIMULATE_POSSESSION,
+ * SIMULATE_BULK, PROCESS_WEEKLY.
  *
  * All engine modules are imported here so heavy computation happens in the worker.
  * The main thread sends player/team data + config; the worker returns results.
@@ -14,6 +15,7 @@ import {
   processWeeklyEvolution,
   processRestDayRecovery,
   processMultiDayRestRecovery,
+  processScheduledRestRecovery,
   processSeasonEnd,
   recalculateOverall,
 } from '../evolution/PlayerEvolution'
@@ -21,6 +23,7 @@ import { SeasonManager } from '../season/SeasonManager'
 import { selectPlay } from '../simulation/PlayService'
 import { BADGES } from '../data/badges'
 import { SYNERGIES } from '../data/synergies'
+import { deriveSeed, withSeed } from '../utils/Random'
 
 // ---------------------------------------------------------------------------
 // Worker state
@@ -28,7 +31,7 @@ import { SYNERGIES } from '../data/synergies'
 
 let simulator = null
 let initialized = false
-let liveGameState = null  // Stored game state for quarter-by-quarter flow
+let liveGameState = null  // Stored game state for quarter-by-quarter / possession flow
 
 // ---------------------------------------------------------------------------
 // Message handler
@@ -49,6 +52,9 @@ self.onmessage = async function (e) {
       case 'SIMULATE_QUARTER':
         result = handleSimulateQuarter(payload)
         break
+      case 'SIMULATE_POSSESSION':
+        result = handleSimulatePossession(payload)
+        break
       case 'SIM_TO_END':
         result = handleSimToEnd(payload)
         break
@@ -177,6 +183,49 @@ function handleSimulateQuarter(payload) {
   }
 }
 
+/**
+ * Play a live game one possession at a time.
+ * payload: { homeTeam, awayTeam, homePlayers, awayPlayers, options, adjustments, resumeState }
+ *
+ * First call: sets the game up and plays its opening possession.
+ * Subsequent calls: apply the user's calls (adjustments) and play the next one.
+ * Shares the stored state with SIMULATE_QUARTER, so the two can be mixed.
+ */
+function handleSimulatePossession(payload) {
+  ensureInitialized()
+  const { homeTeam, awayTeam, homePlayers, awayPlayers, options, adjustments, resumeState } = payload
+
+  if (!liveGameState && resumeState) {
+    liveGameState = resumeState
+  }
+
+  if (!liveGameState) {
+    homeTeam.players = homePlayers || []
+    awayTeam.players = awayPlayers || []
+    liveGameState = simulator.tipOff(homeTeam, awayTeam, options || {})
+  }
+
+  const result = simulator.stepPossession(liveGameState, adjustments || null)
+
+  if (result.isComplete) {
+    liveGameState = null
+    return {
+      ...result.possessionResult,
+      timeoutCalled: result.timeoutCalled,
+      isGameComplete: true,
+      result: result.finalResult,
+    }
+  }
+
+  liveGameState = result.gameState
+  return {
+    ...result.possessionResult,
+    timeoutCalled: result.timeoutCalled,
+    isGameComplete: false,
+    gameState: result.gameState,
+  }
+}
+
 /**
  * Sim an in-progress game to completion (skip remaining quarters).
  */
@@ -232,15 +281,18 @@ async function handleSimulateBulk(messageId, payload) {
       badgeSynergies: SYNERGIES,
     })
 
-    // Get rosters — use evolved versions if available
+    // Get rosters — use evolved versions if available, then recover
+    // fatigue for the days off since each team's last game
     const homePlayers = game.homePlayers || []
     const awayPlayers = game.awayPlayers || []
-    const homeRoster = playerCache
-      ? homePlayers.map(p => playerCache[p.id] || p)
-      : homePlayers
-    const awayRoster = playerCache
-      ? awayPlayers.map(p => playerCache[p.id] || p)
-      : awayPlayers
+    const homeRoster = processScheduledRestRecovery(
+      playerCache ? homePlayers.map(p => playerCache[p.id] || p) : homePlayers,
+      game.options?.homeRestDays
+    )
+    const awayRoster = processScheduledRestRecovery(
+      playerCache ? awayPlayers.map(p => playerCache[p.id] || p) : awayPlayers,
+      game.options?.awayRestDays
+    )
 
     // Attach players to team objects (simulator reads team.players)
     game.homeTeam.players = homeRoster
@@ -258,15 +310,19 @@ async function handleSimulateBulk(messageId, payload) {
         homeTeamAbbreviation: result.home_team_abbreviation || game.homeTeam.abbreviation || '',
         awayTeamAbbreviation: result.away_team_abbreviation || game.awayTeam.abbreviation || '',
       }
-      const evolution = processPostGame(
+      const evolution = withPostGameSeed(result, () => processPostGame(
         gameData,
         result.home_score, result.away_score,
         result.box_score,
         homeRoster, awayRoster,
         difficulty || 'pro',
         false,
-        game.gameDate || null
-      )
+        game.gameDate || null,
+        {
+          homeCoach: game.homeTeam.coach ?? null,
+          awayCoach: game.awayTeam.coach ?? null,
+        }
+      ))
       // Accumulate evolved player state
       for (const teamKey of ['home', 'away']) {
         const evolvedPlayers = evolution?.[teamKey]?.players
@@ -327,7 +383,7 @@ function handleProcessPostGame(payload) {
   const isPlayoff = options?.isPlayoff || false
   const gameDate = options?.gameDate || gameResult.game_date || null
 
-  return processPostGame(
+  return withPostGameSeed(gameResult, () => processPostGame(
     gameData,
     homeScore,
     awayScore,
@@ -340,8 +396,20 @@ function handleProcessPostGame(payload) {
     {
       userTeamId: options?.userTeamId || null,
       trainerPerks: options?.trainerPerks || {},
+      homeCoach: options?.homeCoach ?? null,
+      awayCoach: options?.awayCoach ?? null,
     }
-  )
+  ))
+}
+
+/**
+ * Run post-game evolution on a seed derived from the game's seed so a
+ * replayed game also reproduces its injuries and development rolls.
+ * Results without a seed (older saves) use the shared generator.
+ */
+function withPostGameSeed(gameResult, fn) {
+  if (gameResult?.seed == null) return fn()
+  return withSeed(deriveSeed(gameResult.seed, 'evolution'), fn)
 }
 
 /**
@@ -3,6 +3,8 @@
  * Scores each available player for the picking team and selects using weighted random.
  */
 
+import { random } from '../engine/utils/Random'
+
 const POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C']
 
 // Badge synergy pairs from the 18 seeded BadgeSynergy definitions
@@ -121,7 +123,7 @@ function scorePlayer(player, teamPicks, currentRound, totalRounds) {
   }
 
   // 7. Random jitter (±3)
-  score += (Math.random() * 6) - 3
+  score += (random() * 6) - 3
 
   return score
 }
@@ -145,7 +147,7 @@ export function selectAIPick(availablePlayers, teamPicks, currentRound, totalRou
   // Weighted random among top 3 (70/20/10%)
   const weights = [0.70, 0.20, 0.10]
   const candidates = scored.slice(0, Math.min(3, scored.length))
-  const roll = Math.random()
+  const roll = random()
 
   let cumulative = 0
   for (let i = 0; i < candidates.length; i++) {
@@ -244,7 +246,7 @@ function scoreRookiePlayer(player, teamRoster, direction, pickNumber, round) {
   else if (posCount <= 3) score += 3 * needWeight
 
   // Random jitter (±3)
-  score += (Math.random() * 6) - 3
+  score += (random() * 6) - 3
 
   return score
 }
@@ -272,7 +274,7 @@ export function selectRookieDraftPick(availablePlayers, teamRoster, teamDirectio
   // Weighted random among top 3 (65/25/10%)
   const weights = [0.65, 0.25, 0.10]
   const candidates = scored.slice(0, Math.min(3, scored.length))
-  const roll = Math.random()
+  const roll = random()
 
   let cumulative = 0
   for (let i = 0; i < candidates.length; i++) {
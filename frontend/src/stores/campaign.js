@@ -6,6 +6,10 @@ import {
   deleteCampaign as engineDeleteCampaign,
   listCampaigns,
 } from '@/engine/campaign/CampaignManager'
+import {
+  exportCampaign as engineExportCampaign,
+  importCampaign as engineImportCampaign,
+} from '@/engine/campaign/SaveFileService'
 import { CampaignRepository } from '@/engine/db/CampaignRepository'
 import { TEAMS } from '@/engine/data/teams'
 import { useSyncStore } from '@/stores/sync'
@@ -198,6 +202,37 @@ export const useCampaignStore = defineStore('campaign', () => {
     }
   }
 
+  async function exportCampaign(id) {
+    error.value = null
+    try {
+      return await engineExportCampaign(id)
+    } catch (err) {
+      error.value = err.message || 'Failed to export campaign'
+      throw err
+    }
+  }
+
+  async function importCampaign(file) {
+    loading.value = true
+    error.value = null
+    try {
+      const imported = await engineImportCampaign(file)
+      campaigns.value = await listCampaigns()
+
+      // Mark for cloud sync
+      const syncStore = useSyncStore()
+      syncStore.setActiveCampaign(imported.id)
+      syncStore.markDirty()
+
+      return campaigns.value.find(c => c.id === imported.id) ?? imported
+    } catch (err) {
+      error.value = err.message || 'Failed to import campaign'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   async function fetchAvailableTeams() {
     try {
       availableTeams.value = TEAMS
@@ -236,6 +271,8 @@ export const useCampaignStore = defineStore('campaign', () => {
     createCampaign,
     updateCampaign,
     deleteCampaign,
+    exportCampaign,
+    importCampaign,
     fetchAvailableTeams,
     updateCurrentDate,
     clearCurrentCampaign,
@@ -6,11 +6,13 @@
  * - Provide reactive state for worker readiness
  * - Terminate worker on navigation away from campaign
  * - Expose the workerManager for direct use by other stores
+ * - Size the worker pool used for bulk AI game simulation
  */
 
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import { workerManager } from '@/engine/workers/SimulationWorkerManager'
+import { workerPool } from '@/engine/workers/SimulationWorkerPool'
 import { StoragePersistence } from '@/engine/db/StoragePersistence'
 
 export const useEngineStore = defineStore('engine', () => {
@@ -41,6 +43,7 @@ export const useEngineStore = defineStore('engine', () => {
 
     try {
       await workerManager.initialize()
+      workerPool.initialize()
       activeCampaignId.value = campaignId
       ready.value = true
 
@@ -61,6 +64,7 @@ export const useEngineStore = defineStore('engine', () => {
    */
   function teardown() {
     workerManager.terminate()
+    workerPool.terminate()
     ready.value = false
     activeCampaignId.value = null
     error.value = null
@@ -77,6 +81,16 @@ export const useEngineStore = defineStore('engine', () => {
     return workerManager
   }
 
+  /**
+   * Get the worker pool for bulk AI game simulation (simulateBulk only).
+   */
+  function getWorkerPool() {
+    if (!ready.value) {
+      throw new Error('Engine not initialized. Call initialize(campaignId) first.')
+    }
+    return workerPool
+  }
+
   return {
     // State
     ready,
@@ -89,5 +103,6 @@ export const useEngineStore = defineStore('engine', () => {
     initialize,
     teardown,
     getWorker,
+    getWorkerPool,
   }
 })
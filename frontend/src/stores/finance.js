@@ -12,11 +12,36 @@ import {
   resignPlayer as financeResignPlayer,
   signFreeAgent as financeSignFreeAgent,
   dropPlayer as financeDropPlayer,
+  calculateRevenue,
+  getOwnerBudget,
   DEFAULT_SALARY_CAP,
 } from '@/engine/finance/FinanceManager'
+import { negotiateFreeAgentContract } from '@/engine/finance/ContractNegotiation'
+import { declineOption, exerciseOption, getPendingOption } from '@/engine/finance/ContractService'
+import { getPlayerOffers, placeUserOffer } from '@/engine/finance/FreeAgencyService'
+import { findWaiverClaim } from '@/engine/ai/AIContractService'
 import { useTeamStore } from '@/stores/team'
+import { useCampaignStore } from '@/stores/campaign'
 import { useSyncStore } from '@/stores/sync'
 
+// Finance summary for a team, with this season's revenue projected from its record so far
+function summarizeFinances({ team, players, seasonYear, seasonData }) {
+  const standings = [...(seasonData?.standings?.east ?? []), ...(seasonData?.standings?.west ?? [])]
+  const record = standings.find(s => s.teamId === team?.id)
+
+  return getFinanceSummary({
+    roster: players || [],
+    salaryCap: team?.salary_cap ?? team?.salaryCap ?? DEFAULT_SALARY_CAP,
+    currentSeasonYear: seasonYear,
+    deadMoney: team?.deadMoney,
+    ownerBudget: team ? getOwnerBudget(team) : null,
+    revenue: team
+      ? calculateRevenue({ teamAbbreviation: team.abbreviation, wins: record?.wins ?? 0, losses: record?.losses ?? 0 })
+      : null,
+    history: team?.financeHistory,
+  })
+}
+
 export const useFinanceStore = defineStore('finance', () => {
   // State
   const rosterWithContracts = ref([])
@@ -39,11 +64,12 @@ export const useFinanceStore = defineStore('finance', () => {
 
   // Getters
   const playersEligibleForResign = computed(() =>
-    rosterWithContracts.value.filter(player => player.contractYearsRemaining === 1)
+    rosterWithContracts.value.filter(player => player.extensionEligible)
   )
 
   const totalPayroll = computed(() =>
-    rosterWithContracts.value.reduce((sum, player) => sum + (player.contractSalary || 0), 0)
+    rosterWithContracts.value.reduce((sum, player) => sum + (player.contractSalary || 0), 0) +
+    (financeSummary.value?.dead_money || 0)
   )
 
   const salaryCap = computed(() => financeSummary.value?.salary_cap || 0)
@@ -71,20 +97,15 @@ export const useFinanceStore = defineStore('finance', () => {
       const userTeamId = campaign.teamId ?? campaign.userTeamId ?? campaign.team_id ?? campaign.user_team_id
       if (!userTeamId) throw new Error('No user team found')
 
-      const [teamData, players] = await Promise.all([
+      const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
+      const [teamData, players, seasonData] = await Promise.all([
         TeamRepository.get(campaignId, userTeamId),
         PlayerRepository.getByTeam(campaignId, userTeamId),
+        SeasonRepository.get(campaignId, seasonYear),
       ])
 
-      const teamSalaryCap = teamData?.salary_cap ?? teamData?.salaryCap ?? DEFAULT_SALARY_CAP
-      const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
-
       // Compute finance summary using FinanceManager
-      const summary = getFinanceSummary({
-        roster: players || [],
-        salaryCap: teamSalaryCap,
-        currentSeasonYear: seasonYear,
-      })
+      const summary = summarizeFinances({ team: teamData, players, seasonYear, seasonData })
 
       financeSummary.value = summary
       return summary
@@ -131,12 +152,7 @@ export const useFinanceStore = defineStore('finance', () => {
       rosterWithContracts.value = enrichedRoster
 
       // Compute finance summary
-      const teamSalaryCap = teamData?.salary_cap ?? teamData?.salaryCap ?? DEFAULT_SALARY_CAP
-      const summary = getFinanceSummary({
-        roster: players || [],
-        salaryCap: teamSalaryCap,
-        currentSeasonYear: seasonYear,
-      })
+      const summary = summarizeFinances({ team: teamData, players, seasonYear, seasonData })
       financeSummary.value = summary
 
       _rosterCampaignId.value = campaignId
@@ -201,31 +217,29 @@ export const useFinanceStore = defineStore('finance', () => {
       const player = rosterWithContracts.value.find(p => p.id === playerId)
       if (!player) throw new Error('Player not found in roster')
 
-      // Use FinanceManager to compute the re-sign result
-      const result = financeResignPlayer({ player, years, salary })
+      // Use FinanceManager to compute the extension (it starts after the current deal)
+      const result = financeResignPlayer({ player, years, salary, salaryCap: salaryCap.value || DEFAULT_SALARY_CAP })
       if (!result.success) throw new Error(result.error || 'Failed to re-sign player')
 
-      const newSalary = result.player.contractSalary ?? salary ?? player.contractSalary
+      const { contractYearsRemaining, contractSalary, contractOption, contractDetails } = result.player
 
       // Persist to IndexedDB -- update the player's contract
       const dbPlayer = await PlayerRepository.get(campaignId, playerId)
       if (dbPlayer) {
-        dbPlayer.contractYearsRemaining = years
-        dbPlayer.contract_years_remaining = years
-        dbPlayer.contractSalary = newSalary
-        dbPlayer.contract_salary = newSalary
+        dbPlayer.contractYearsRemaining = contractYearsRemaining
+        dbPlayer.contract_years_remaining = contractYearsRemaining
+        dbPlayer.contractSalary = contractSalary
+        dbPlayer.contract_salary = contractSalary
+        dbPlayer.contractOption = contractOption
+        dbPlayer.contractDetails = contractDetails
+        dbPlayer.contract_details = contractDetails
         await PlayerRepository.save(dbPlayer)
       }
 
       // Update the player in the local roster
       const playerIndex = rosterWithContracts.value.findIndex(p => p.id === playerId)
       if (playerIndex !== -1) {
-        rosterWithContracts.value[playerIndex] = {
-          ...rosterWithContracts.value[playerIndex],
-          contractYearsRemaining: years,
-          contractSalary: newSalary,
-          contract_salary: newSalary,
-        }
+        rosterWithContracts.value[playerIndex] = enrichPlayerData(result.player)
       }
 
       // Refresh team store so roster/lineup tabs reflect the change immediately
@@ -242,7 +256,12 @@ export const useFinanceStore = defineStore('finance', () => {
     }
   }
 
-  async function signFreeAgent(campaignId, playerId) {
+  /**
+   * Offer a free agent a contract. The player accepts, counters or rejects
+   * (see ContractNegotiation); only an accepted offer signs them.
+   * @returns {Promise<{ negotiation: Object, success?: boolean }>}
+   */
+  async function signFreeAgent(campaignId, playerId, offer) {
     loading.value = true
     error.value = null
     try {
@@ -253,9 +272,33 @@ export const useFinanceStore = defineStore('finance', () => {
       const userTeamId = campaign.teamId ?? campaign.userTeamId ?? campaign.team_id ?? campaign.user_team_id
       if (!userTeamId) throw new Error('No user team found')
 
-      // Get the free agent player from IndexedDB
-      const dbPlayer = await PlayerRepository.get(campaignId, playerId)
+      const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
+      const [teams, leaguePlayers, seasonData] = await Promise.all([
+        TeamRepository.getAllForCampaign(campaignId),
+        PlayerRepository.getAllForCampaign(campaignId),
+        SeasonRepository.get(campaignId, seasonYear),
+      ])
+
+      const dbPlayer = leaguePlayers.find(p => p.id === playerId)
       if (!dbPlayer) throw new Error('Player not found')
+      const userTeam = teams.find(t => t.id === userTeamId)
+      if (!userTeam) throw new Error('No user team found')
+
+      // During free agency the player weighs the offers actually on the table
+      const freeAgency = campaign.freeAgency?.status === 'open' ? campaign.freeAgency : null
+      const negotiation = negotiateFreeAgentContract({
+        player: dbPlayer,
+        offer,
+        userTeam,
+        leaguePlayers,
+        allTeams: teams,
+        standings: seasonData?.standings,
+        seasonPhase: campaign.phase,
+        bids: freeAgency ? getPlayerOffers(freeAgency, playerId).filter(o => !o.isUser) : null,
+      })
+      if (!freeAgency && negotiation.decision !== 'accept') {
+        return { success: false, negotiation }
+      }
 
       // Use FinanceManager to compute the signing result
       // Build a minimal league players list with just this free agent
@@ -263,19 +306,42 @@ export const useFinanceStore = defineStore('finance', () => {
         playerId,
         leaguePlayers: [dbPlayer],
         currentRoster: rosterWithContracts.value,
-        capMode: campaign.settings?.capMode ?? 'normal',
+        offer: negotiation.offer,
         salaryCap: financeSummary.value?.salary_cap ?? DEFAULT_SALARY_CAP,
+        deadMoney: userTeam.deadMoney,
+        ownerBudget: getOwnerBudget(userTeam),
       })
 
       if (!result.success) throw new Error(result.error || 'Failed to sign free agent')
 
+      if (freeAgency) {
+        // The offer joins the bidding; the player decides on their own schedule
+        campaign.freeAgency = placeUserOffer(freeAgency, { player: dbPlayer, team: userTeam, offer: negotiation.offer })
+        await CampaignRepository.save(campaign)
+        const campaignStore = useCampaignStore()
+        if (campaignStore.currentCampaign?.id === campaignId) {
+          campaignStore.currentCampaign.freeAgency = campaign.freeAgency
+        }
+        useSyncStore().markDirty()
+        return {
+          success: false,
+          pending: true,
+          decisionDay: campaign.freeAgency.decisionDays[playerId],
+          negotiation,
+        }
+      }
+
       // Persist to IndexedDB -- update player's team assignment and contract
       dbPlayer.teamId = userTeamId
+      dbPlayer.teamAbbreviation = userTeam.abbreviation
       dbPlayer.isFreeAgent = 0
       dbPlayer.contractSalary = result.player.contractSalary ?? 0
       dbPlayer.contract_salary = result.player.contractSalary ?? 0
       dbPlayer.contractYearsRemaining = result.player.contractYearsRemaining ?? 0
       dbPlayer.contract_years_remaining = result.player.contractYearsRemaining ?? 0
+      dbPlayer.contractOption = result.player.contractOption
+      dbPlayer.contractDetails = result.player.contractDetails
+      dbPlayer.contract_details = result.player.contractDetails
       await PlayerRepository.save(dbPlayer)
 
       // Remove from free agents list
@@ -286,22 +352,15 @@ export const useFinanceStore = defineStore('finance', () => {
       rosterWithContracts.value.push(enrichedPlayer)
 
       // Update summary
-      const teamData = await TeamRepository.get(campaignId, userTeamId)
-      const teamSalaryCap = teamData?.salary_cap ?? teamData?.salaryCap ?? DEFAULT_SALARY_CAP
       const players = await PlayerRepository.getByTeam(campaignId, userTeamId)
-      const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
-      financeSummary.value = getFinanceSummary({
-        roster: players || [],
-        salaryCap: teamSalaryCap,
-        currentSeasonYear: seasonYear,
-      })
+      financeSummary.value = summarizeFinances({ team: userTeam, players, seasonYear, seasonData })
 
       // Refresh team store so roster/lineup tabs reflect the change immediately
       await useTeamStore().fetchTeam(campaignId, { force: true })
       useSyncStore().markDirty()
 
       closeSignModal()
-      return result
+      return { ...result, negotiation }
     } catch (err) {
       error.value = err.message || 'Failed to sign free agent'
       throw err
@@ -310,7 +369,7 @@ export const useFinanceStore = defineStore('finance', () => {
     }
   }
 
-  async function dropPlayer(campaignId, playerId) {
+  async function dropPlayer(campaignId, playerId, { stretch = false } = {}) {
     loading.value = true
     error.value = null
     try {
@@ -318,17 +377,52 @@ export const useFinanceStore = defineStore('finance', () => {
       const player = rosterWithContracts.value.find(p => p.id === playerId)
       if (!player) throw new Error('Player not found in roster')
 
+      const campaign = await CampaignRepository.get(campaignId)
+      if (!campaign) throw new Error('Campaign not found')
+
+      const userTeamId = campaign.teamId ?? campaign.userTeamId ?? campaign.team_id ?? campaign.user_team_id
+      if (!userTeamId) throw new Error('No user team found')
+
+      const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
+      const [teams, leaguePlayers, seasonData] = await Promise.all([
+        TeamRepository.getAllForCampaign(campaignId),
+        PlayerRepository.getAllForCampaign(campaignId),
+        SeasonRepository.get(campaignId, seasonYear),
+      ])
+      const userTeam = teams.find(t => t.id === userTeamId)
+      if (!userTeam) throw new Error('No user team found')
+      const dbPlayer = leaguePlayers.find(p => p.id === playerId)
+      if (!dbPlayer) throw new Error('Player not found')
+
+      // AI teams get first look at the contract on waivers
+      const waiverClaim = findWaiverClaim({
+        player: dbPlayer,
+        aiTeams: teams.filter(t => t.id !== userTeamId),
+        leaguePlayers,
+        standings: seasonData?.standings,
+        allTeams: teams,
+        seasonPhase: campaign.phase,
+      })
+
       // Use FinanceManager to compute the drop result
       const result = financeDropPlayer({
-        player,
+        player: dbPlayer,
         leaguePlayers: [], // Not needed for the core drop logic
+        stretch,
+        seasonYear,
+        waiverClaim,
       })
 
       if (!result.success) throw new Error(result.error || 'Failed to drop player')
 
-      // Persist to IndexedDB -- clear team, mark as free agent
-      const dbPlayer = await PlayerRepository.get(campaignId, playerId)
-      if (dbPlayer) {
+      if (waiverClaim) {
+        // Persist to IndexedDB -- the claiming team takes the contract as it stands
+        dbPlayer.teamId = waiverClaim.teamId
+        dbPlayer.teamAbbreviation = waiverClaim.teamAbbreviation
+        dbPlayer.team_abbreviation = waiverClaim.teamAbbreviation
+        await PlayerRepository.save(dbPlayer)
+      } else {
+        // Persist to IndexedDB -- clear team, mark as free agent
         dbPlayer.teamId = null
         dbPlayer.isFreeAgent = 1
         dbPlayer.contractSalary = 0
@@ -336,25 +430,20 @@ export const useFinanceStore = defineStore('finance', () => {
         dbPlayer.contractYearsRemaining = 0
         dbPlayer.contract_years_remaining = 0
         await PlayerRepository.save(dbPlayer)
+
+        // The guaranteed money stays on our cap
+        if (result.deadMoney) {
+          userTeam.deadMoney = [...(userTeam.deadMoney ?? []), result.deadMoney]
+          await TeamRepository.save(userTeam)
+        }
       }
 
       // Remove from roster
       rosterWithContracts.value = rosterWithContracts.value.filter(p => p.id !== playerId)
 
       // Update summary
-      const campaign = await CampaignRepository.get(campaignId)
-      const userTeamId = campaign?.teamId ?? campaign?.userTeamId ?? campaign?.user_team_id
-      if (userTeamId) {
-        const teamData = await TeamRepository.get(campaignId, userTeamId)
-        const teamSalaryCap = teamData?.salary_cap ?? teamData?.salaryCap ?? DEFAULT_SALARY_CAP
-        const players = await PlayerRepository.getByTeam(campaignId, userTeamId)
-        const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
-        financeSummary.value = getFinanceSummary({
-          roster: players || [],
-          salaryCap: teamSalaryCap,
-          currentSeasonYear: seasonYear,
-        })
-      }
+      const players = await PlayerRepository.getByTeam(campaignId, userTeamId)
+      financeSummary.value = summarizeFinances({ team: userTeam, players, seasonYear, seasonData })
 
       // Refresh team store so roster/lineup tabs reflect the change immediately
       await useTeamStore().fetchTeam(campaignId, { force: true })
@@ -370,6 +459,66 @@ export const useFinanceStore = defineStore('finance', () => {
     }
   }
 
+  /**
+   * Pick up or decline a team option on the coming season. A declined
+   * player becomes a free agent; option years aren't guaranteed, so nothing
+   * stays on the cap.
+   */
+  async function decideTeamOption(campaignId, playerId, exercise) {
+    loading.value = true
+    error.value = null
+    try {
+      const campaign = await CampaignRepository.get(campaignId)
+      if (!campaign) throw new Error('Campaign not found')
+
+      const userTeamId = campaign.teamId ?? campaign.userTeamId ?? campaign.team_id ?? campaign.user_team_id
+      if (!userTeamId) throw new Error('No user team found')
+
+      const dbPlayer = await PlayerRepository.get(campaignId, playerId)
+      if (!dbPlayer || dbPlayer.teamId !== userTeamId) throw new Error('Player not found in roster')
+      if (getPendingOption(dbPlayer) !== 'team') throw new Error('No team option to decide')
+
+      if (exercise) {
+        Object.assign(dbPlayer, exerciseOption(dbPlayer))
+      } else {
+        Object.assign(dbPlayer, declineOption(dbPlayer))
+        dbPlayer.teamId = null
+        dbPlayer.teamAbbreviation = 'FA'
+        dbPlayer.team_abbreviation = 'FA'
+        dbPlayer.isFreeAgent = 1
+      }
+      await PlayerRepository.save(dbPlayer)
+
+      // Update the roster and summary
+      if (exercise) {
+        const playerIndex = rosterWithContracts.value.findIndex(p => p.id === playerId)
+        if (playerIndex !== -1) {
+          rosterWithContracts.value[playerIndex] = enrichPlayerData({ ...rosterWithContracts.value[playerIndex], ...dbPlayer })
+        }
+      } else {
+        rosterWithContracts.value = rosterWithContracts.value.filter(p => p.id !== playerId)
+      }
+
+      const seasonYear = campaign.currentSeasonYear ?? new Date().getFullYear()
+      const [userTeam, players, seasonData] = await Promise.all([
+        TeamRepository.get(campaignId, userTeamId),
+        PlayerRepository.getByTeam(campaignId, userTeamId),
+        SeasonRepository.get(campaignId, seasonYear),
+      ])
+      financeSummary.value = summarizeFinances({ team: userTeam, players, seasonYear, seasonData })
+
+      await useTeamStore().fetchTeam(campaignId, { force: true })
+      useSyncStore().markDirty()
+
+      return { player: dbPlayer, exercised: !!exercise }
+    } catch (err) {
+      error.value = err.message || 'Failed to decide team option'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // Modal actions
   function openResignModal(player) {
     selectedPlayer.value = player
@@ -467,6 +616,7 @@ export const useFinanceStore = defineStore('finance', () => {
     resignPlayer,
     signFreeAgent,
     dropPlayer,
+    decideTeamOption,
     openResignModal,
     closeResignModal,
     openSignModal,
@@ -18,6 +18,8 @@ import { processGameRewards, TOKENS_PER_SYNERGY, WIN_MULTIPLIER, WIN_BONUS_TOKEN
 import { NewsService } from '@/engine/season/NewsService'
 import { processAiToAiTrades, computeAiTradingBlock, analyzeTeamDirection, buildContext } from '@/engine/ai/AITradeService'
 import { AllStarService } from '@/engine/season/AllStarService'
+import { deriveSeed } from '@/engine/utils/Random'
+import { processScheduledRestRecovery } from '@/engine/evolution/PlayerEvolution'
 
 export const useGameStore = defineStore('game', () => {
   // State
@@ -28,10 +30,12 @@ export const useGameStore = defineStore('game', () => {
   const simulating = ref(false)
   const error = ref(null)
 
-  // Live simulation state (quarter-by-quarter)
+  // Live simulation state (quarter-by-quarter or possession-by-possession)
   const isLiveSimulation = ref(false)
   const currentSimQuarter = ref(0)
   const quarterAnimationData = ref([])
+  // Clock, timeouts and ball after the latest live result
+  const liveGameClock = ref(null)
 
   // Simulate to next game state
   const simulatePreview = ref(null)
@@ -65,6 +69,14 @@ export const useGameStore = defineStore('game', () => {
     return { campaign, year, userTeamId, userLineup, userTargetMinutes }
   }
 
+  /**
+   * RNG seed for a scheduled game. Derived from the campaign seed and game id
+   * so any game can be replayed exactly; a seed already stored on the game wins.
+   */
+  function _gameSeed(campaign, game) {
+    return game.seed ?? deriveSeed(campaign?.seed ?? campaign?.id, game.id)
+  }
+
   /**
    * Apply evolution results to player records and save to IndexedDB.
    * Evolution returns { home: { players: {id: playerObj, ...} }, away: { ... } }.
@@ -114,6 +126,8 @@ export const useGameStore = defineStore('game', () => {
       away_score: game.awayScore ?? null,
       box_score: game.boxScore ?? null,
       quarter_scores: game.quarterScores ?? null,
+      lineups: game.lineups ?? null,
+      shots: game.shots ?? null,
       is_user_game: isUserGame,
       current_quarter: game.currentQuarter ?? null,
     }
@@ -147,22 +161,40 @@ export const useGameStore = defineStore('game', () => {
   }
 
   /**
-   * Update player season stats from a box score.
+   * Update player season stats from a box score, in the split the game
+   * belongs to (regular season or playoffs).
    */
-  function _updatePlayerStatsFromBoxScore(seasonData, boxScore, homeTeamId, awayTeamId) {
-    if (!boxScore) return
+  function _updatePlayerStatsFromBoxScore(seasonData, boxScore, game) {
+    if (!boxScore || !game) return
 
-    const sides = { home: homeTeamId, away: awayTeamId }
+    const sides = { home: game.homeTeamId, away: game.awayTeamId }
     for (const [side, teamId] of Object.entries(sides)) {
       for (const playerStats of (boxScore[side] ?? [])) {
         const playerId = playerStats.player_id ?? playerStats.playerId ?? null
         const playerName = playerStats.name ?? 'Unknown'
         if (!playerId) continue
-        SeasonManager.updatePlayerStats(seasonData, playerId, playerName, teamId, playerStats)
+        SeasonManager.updatePlayerStats(seasonData, playerId, playerName, teamId, playerStats, game)
       }
     }
   }
 
+  /**
+   * Clock, timeouts and ball from a live quarter or possession result.
+   * currentQuarter counts finished periods, as saved on the schedule entry.
+   */
+  function _liveClockFromResult(result) {
+    const periodComplete = result.periodComplete ?? true
+    return {
+      quarter: result.quarter,
+      currentQuarter: periodComplete ? result.quarter : result.quarter - 1,
+      periodComplete,
+      timeRemaining: result.timeRemaining ?? 0,
+      possessionTeam: result.possessionTeam ?? null,
+      timeouts: result.timeouts ?? null,
+      timeoutCalled: result.timeoutCalled ?? false,
+    }
+  }
+
   /**
    * Save in-progress game state to IndexedDB so it survives page navigation.
    * Stores the serialized worker gameState on the schedule entry.
@@ -338,7 +370,7 @@ export const useGameStore = defineStore('game', () => {
       const aiTeams = allTeams.filter(t => t.id !== userTeamId)
 
       // Compute and persist AI trading blocks
-      const context = buildContext({ standings: seasonData.standings || { east: [], west: [] }, teams: allTeams, seasonPhase: 'regular_season' })
+      const context = buildContext({ standings: seasonData.standings || { east: [], west: [] }, teams: allTeams, seasonPhase: 'regular_season', seasonLength: campaign.settings?.seasonLength })
       const aiTeamsToSaveBlock = []
       for (const team of aiTeams) {
         const roster = allPlayers.filter(p =>
@@ -365,6 +397,7 @@ export const useGameStore = defineStore('game', () => {
         currentDate,
         seasonYear: year,
         difficulty,
+        seasonLength: campaign.settings?.seasonLength,
       })
 
       if (result.trades.length === 0) return
@@ -611,8 +644,10 @@ export const useGameStore = defineStore('game', () => {
 
   /**
    * Prepare game data for simulation: load teams and players.
+   * With seasonData, also returns each team's rest days (spread into the
+   * simulation options) and applies rest recovery for the days off.
    */
-  async function _loadGameSimData(campaignId, game) {
+  async function _loadGameSimData(campaignId, game, seasonData = null) {
     const [homeTeam, awayTeam, homePlayers, awayPlayers] = await Promise.all([
       TeamRepository.get(campaignId, game.homeTeamId),
       TeamRepository.get(campaignId, game.awayTeamId),
@@ -623,7 +658,18 @@ export const useGameStore = defineStore('game', () => {
     if (!homeTeam) throw new Error(`Home team ${game.homeTeamId} not found`)
     if (!awayTeam) throw new Error(`Away team ${game.awayTeamId} not found`)
 
-    return { homeTeam, awayTeam, homePlayers, awayPlayers }
+    if (!seasonData) {
+      return { homeTeam, awayTeam, homePlayers, awayPlayers, restDays: {} }
+    }
+
+    const restDays = SeasonManager.getRestDays(seasonData, game)
+    return {
+      homeTeam,
+      awayTeam,
+      homePlayers: processScheduledRestRecovery(homePlayers, restDays.homeRestDays),
+      awayPlayers: processScheduledRestRecovery(awayPlayers, restDays.awayRestDays),
+      restDays,
+    }
   }
 
   /**
@@ -638,6 +684,17 @@ export const useGameStore = defineStore('game', () => {
       awayScore: result.away_score,
       boxScore: result.box_score,
       quarterScores: result.quarter_scores,
+      seed: result.seed ?? null,
+    }
+
+    // Keep per-unit stints on user games for the box score lineup view
+    if (isUserGame && result.lineups) {
+      persistData.lineups = result.lineups
+    }
+
+    // Keep located shot attempts on user games for the game shot chart
+    if (isUserGame && result.shots) {
+      persistData.shots = result.shots
     }
 
     // Persist rewards for user games (small object, no need to strip)
@@ -661,20 +718,20 @@ export const useGameStore = defineStore('game', () => {
     // Update schedule entry
     SeasonManager.updateGame(seasonData, gameId, persistData, isUserGame)
 
-    // Update standings
+    // Update standings (regular season) or playoff team stats
     const game = seasonData.schedule.find(g => g.id === gameId)
-    if (game) {
-      SeasonManager.updateStandingsAfterGame(
-        seasonData,
-        game.homeTeamId,
-        game.awayTeamId,
-        result.home_score,
-        result.away_score
-      )
-    }
+    SeasonManager.recordTeamResult(seasonData, game, result.home_score, result.away_score)
 
     // Update player stats
-    _updatePlayerStatsFromBoxScore(seasonData, result.box_score, game?.homeTeamId, game?.awayTeamId)
+    _updatePlayerStatsFromBoxScore(seasonData, result.box_score, game)
+    SeasonManager.updateTeamBoxTotals(seasonData, game, result.box_score)
+    SeasonManager.updateShotCharts(seasonData, game, result.shots)
+
+    // Update season lineup stints
+    if (result.lineups && SeasonManager.getGameSplit(game) === 'regular') {
+      SeasonManager.updateLineupStats(seasonData, game?.homeTeamId, result.lineups.home)
+      SeasonManager.updateLineupStats(seasonData, game?.awayTeamId, result.lineups.away)
+    }
 
     // Generate and persist news
     _generateNews(seasonData, game, result)
@@ -727,6 +784,22 @@ export const useGameStore = defineStore('game', () => {
       newEvents.push(NewsService.createBlowoutNews({ winnerTeam, loserTeam, winnerScore, loserScore, gameDate }))
     }
 
+    // Game-winner: the last go-ahead basket of crunch time in a close game
+    const clutch = result.clutch_play
+    if (clutch?.player && margin <= 3 && clutch.isHomeTeam === winnerIsHome) {
+      newEvents.push(NewsService.createGameWinnerNews({
+        player: clutch.player,
+        homeTeam, awayTeam,
+        homeScore: result.home_score,
+        awayScore: result.away_score,
+        isHomeTeam: clutch.isHomeTeam,
+        shotType: clutch.shotType,
+        secondsLeft: clutch.secondsLeft ?? null,
+        overtime: (clutch.quarter ?? 0) > 4,
+        gameDate,
+      }))
+    }
+
     // OT thriller
     if (result.quarter_scores?.home?.length > 4) {
       const overtimePeriods = result.quarter_scores.home.length - 4
@@ -747,12 +820,22 @@ export const useGameStore = defineStore('game', () => {
         const teamWon = (side === 'home') === winnerIsHome
         for (const ps of (result.box_score[side] ?? [])) {
           const pts = ps.points ?? ps.pts ?? 0
+          const player = {
+            id: ps.player_id ?? ps.playerId,
+            firstName: (ps.name ?? '').split(' ')[0],
+            lastName: (ps.name ?? '').split(' ').slice(1).join(' '),
+          }
+          // Took over down the stretch of a close win
+          if (teamWon && margin <= 10 && (ps.clutch_points ?? 0) >= 8) {
+            newEvents.push(NewsService.createClutchPerformanceNews({
+              player,
+              team: sideTeam,
+              opponent,
+              clutchPoints: ps.clutch_points,
+              gameDate,
+            }))
+          }
           if (pts >= 30) {
-            const player = {
-              id: ps.player_id ?? ps.playerId,
-              firstName: (ps.name ?? '').split(' ')[0],
-              lastName: (ps.name ?? '').split(' ').slice(1).join(' '),
-            }
             newEvents.push(NewsService.createBigPerformanceNews({
               player,
               team: sideTeam,
@@ -766,6 +849,23 @@ export const useGameStore = defineStore('game', () => {
       }
     }
 
+    // Ejections
+    for (const ejection of (result.ejections ?? [])) {
+      const isHome = ejection.team === 'home'
+      newEvents.push(NewsService.createEjectionNews({
+        player: {
+          id: ejection.player_id,
+          firstName: (ejection.name ?? '').split(' ')[0],
+          lastName: (ejection.name ?? '').split(' ').slice(1).join(' '),
+        },
+        team: isHome ? homeTeam : awayTeam,
+        opponent: isHome ? awayTeam : homeTeam,
+        technicals: ejection.technicals,
+        quarter: ejection.quarter,
+        gameDate,
+      }))
+    }
+
     // --- Evolution news ---
     if (result.evolution) {
       for (const teamKey of ['home', 'away']) {
@@ -887,7 +987,7 @@ export const useGameStore = defineStore('game', () => {
       const isUserGame = game.homeTeamId === userTeamId || game.awayTeamId === userTeamId
 
       // Load teams and players
-      const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, game)
+      const { homeTeam, awayTeam, homePlayers, awayPlayers, restDays } = await _loadGameSimData(campaignId, game, seasonData)
 
       // Run simulation via worker
       const engineStore = useEngineStore()
@@ -897,6 +997,8 @@ export const useGameStore = defineStore('game', () => {
       const result = await worker.simulateGame(homeTeam, awayTeam, homePlayers, awayPlayers, {
         generateAnimationData,
         isLiveGame: false,
+        seed: _gameSeed(campaign, game),
+        ...restDays,
         userTeamId,
         userLineup,
         targetMinutes: userTargetMinutes,
@@ -911,6 +1013,8 @@ export const useGameStore = defineStore('game', () => {
         difficulty: campaign.difficulty || 'pro',
         gameDate: game.gameDate,
         trainerPerks,
+        homeCoach: homeTeam.coach ?? null,
+        awayCoach: awayTeam.coach ?? null,
       })
       result.evolution = evolution
 
@@ -1035,10 +1139,12 @@ export const useGameStore = defineStore('game', () => {
 
       // Simulate user's game if present
       if (userGame) {
-        const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, userGame)
+        const { homeTeam, awayTeam, homePlayers, awayPlayers, restDays } = await _loadGameSimData(campaignId, userGame, seasonData)
 
         const result = await worker.simulateGame(homeTeam, awayTeam, homePlayers, awayPlayers, {
           generateAnimationData: false,
+          seed: _gameSeed(campaign, userGame),
+          ...restDays,
           userTeamId,
           userLineup,
           targetMinutes: userTargetMinutes,
@@ -1053,6 +1159,8 @@ export const useGameStore = defineStore('game', () => {
           difficulty: campaign.difficulty || 'pro',
           gameDate: userGame.gameDate,
           trainerPerks,
+          homeCoach: homeTeam.coach ?? null,
+          awayCoach: awayTeam.coach ?? null,
         })
         result.evolution = evolution
 
@@ -1103,7 +1211,7 @@ export const useGameStore = defineStore('game', () => {
 
       // Simulate AI games in bulk
       if (aiGames.length > 0) {
-        await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, worker)
+        await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames)
       }
 
       // Advance date
@@ -1127,18 +1235,22 @@ export const useGameStore = defineStore('game', () => {
   }
 
   /**
-   * Start a live quarter-by-quarter game simulation (Q1).
+   * Start a live game: Q1, or just the opening possession when the user
+   * coaches possession by possession.
    * @param {Object} settings - Optional { home_lineup, away_lineup, offensive_style, defensive_style }
+   * @param {Object} [opts]
+   * @param {boolean} [opts.byPossession=false] - Play only the opening possession
    */
-  async function startLiveGame(campaignId, gameId, settings = null) {
+  async function startLiveGame(campaignId, gameId, settings = null, { byPossession = false } = {}) {
     simulating.value = true
     isLiveSimulation.value = true
     currentSimQuarter.value = 0
     quarterAnimationData.value = []
+    liveGameClock.value = null
     error.value = null
 
     try {
-      const { year, userTeamId, userLineup, userTargetMinutes } = await _getCampaignContext(campaignId)
+      const { year, userTeamId, userLineup, userTargetMinutes, campaign } = await _getCampaignContext(campaignId)
       const seasonData = await SeasonRepository.get(campaignId, year)
       if (!seasonData) throw new Error(`Season ${year} not found`)
 
@@ -1146,14 +1258,15 @@ export const useGameStore = defineStore('game', () => {
       if (!game) throw new Error(`Game ${gameId} not found`)
 
       // Load teams and players
-      const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, game)
+      const { homeTeam, awayTeam, homePlayers, awayPlayers, restDays } = await _loadGameSimData(campaignId, game, seasonData)
       const teams = await TeamRepository.getAllForCampaign(campaignId)
 
       const engineStore = useEngineStore()
       const worker = engineStore.getWorker()
 
-      // Start Q1 simulation
-      const quarterResult = await worker.simulateQuarter({
+      // Start Q1 simulation (or its opening possession)
+      const simulate = byPossession ? worker.simulatePossession : worker.simulateQuarter
+      const quarterResult = await simulate.call(worker, {
         homeTeam,
         awayTeam,
         homePlayers,
@@ -1161,6 +1274,8 @@ export const useGameStore = defineStore('game', () => {
         options: {
           generateAnimationData: true,
           isLiveGame: true,
+          seed: _gameSeed(campaign, game),
+          ...restDays,
           userTeamId,
           userLineup,
           targetMinutes: userTargetMinutes,
@@ -1169,17 +1284,19 @@ export const useGameStore = defineStore('game', () => {
       })
 
       currentSimQuarter.value = 1
+      liveGameClock.value = _liveClockFromResult(quarterResult)
 
       // Store Q1 animation data
       quarterAnimationData.value.push({
         quarter: 1,
         possessions: quarterResult.animation_data.possessions,
         quarterEndIndex: quarterResult.animation_data.quarter_end_index,
+        periodComplete: quarterResult.periodComplete ?? true,
       })
 
       // Persist in-progress state to IndexedDB so it survives navigation
       if (quarterResult.gameState) {
-        await _saveInProgressState(campaignId, year, gameId, quarterResult.gameState, quarterResult.scores, 1)
+        await _saveInProgressState(campaignId, year, gameId, quarterResult.gameState, quarterResult.scores, liveGameClock.value.currentQuarter)
       }
 
       // Update current game state
@@ -1200,7 +1317,7 @@ export const useGameStore = defineStore('game', () => {
           is_in_progress: true,
           home_score: quarterResult.scores.home,
           away_score: quarterResult.scores.away,
-          current_quarter: 1,
+          current_quarter: liveGameClock.value.currentQuarter,
         }
       }
 
@@ -1218,10 +1335,14 @@ export const useGameStore = defineStore('game', () => {
   }
 
   /**
-   * Continue a live game simulation (Q2+).
-   * @param {Object} adjustments - Optional { home_lineup, offensive_style, defensive_style }
+   * Continue a live game simulation: the rest of the current period (or the
+   * next one), or a single possession when byPossession is set.
+   * @param {Object} adjustments - Optional { home_lineup, offensive_style, defensive_style }, plus
+   *   for possessions { timeout, play_id, defensive_call, intentional_foul, hold_for_last_shot }
+   * @param {Object} [opts]
+   * @param {boolean} [opts.byPossession=false] - Play only the next possession
    */
-  async function continueGame(campaignId, gameId, adjustments = null) {
+  async function continueGame(campaignId, gameId, adjustments = null, { byPossession = false } = {}) {
     simulating.value = true
     error.value = null
 
@@ -1258,15 +1379,19 @@ export const useGameStore = defineStore('game', () => {
         }
       }
 
-      const quarterResult = await worker.simulateQuarter(params)
+      const quarterResult = byPossession
+        ? await worker.simulatePossession(params)
+        : await worker.simulateQuarter(params)
 
       currentSimQuarter.value = quarterResult.quarter
+      liveGameClock.value = _liveClockFromResult(quarterResult)
 
-      // Append this quarter's animation data
+      // Append this quarter's (or possession's) animation data
       quarterAnimationData.value.push({
         quarter: quarterResult.quarter,
         possessions: quarterResult.animation_data.possessions,
         quarterEndIndex: quarterResult.animation_data.quarter_end_index,
+        periodComplete: quarterResult.periodComplete ?? true,
       })
 
       if (quarterResult.isGameComplete) {
@@ -1276,16 +1401,15 @@ export const useGameStore = defineStore('game', () => {
 
         // Merge all quarter animation data for replay
         const allPossessions = quarterAnimationData.value.flatMap(q => q.possessions)
-        const quarterEndIndices = quarterAnimationData.value.map(q => q.quarterEndIndex)
+        const quarterEndIndices = quarterAnimationData.value
+          .filter(q => q.periodComplete)
+          .map(q => q.quarterEndIndex)
 
         // Process post-game evolution
         const seasonData = await SeasonRepository.get(campaignId, year)
         const game = seasonData.schedule.find(g => g.id === gameId)
 
-        const [homePlayers, awayPlayers] = await Promise.all([
-          PlayerRepository.getByTeam(campaignId, game.homeTeamId),
-          PlayerRepository.getByTeam(campaignId, game.awayTeamId),
-        ])
+        const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, game, seasonData)
 
         const trainerPerks = { ...await _getTrainerPerks(campaign), ...await _getStaffTrainerPerks(campaign) }
         const evolution = await worker.processPostGame(homePlayers, awayPlayers, result, {
@@ -1295,6 +1419,8 @@ export const useGameStore = defineStore('game', () => {
           difficulty: campaign.difficulty || 'pro',
           gameDate: game.gameDate,
           trainerPerks,
+          homeCoach: homeTeam.coach ?? null,
+          awayCoach: awayTeam.coach ?? null,
         })
         result.evolution = evolution
 
@@ -1393,7 +1519,7 @@ export const useGameStore = defineStore('game', () => {
 
         // Persist updated game state to IndexedDB so it survives navigation
         if (quarterResult.gameState) {
-          await _saveInProgressState(campaignId, year, gameId, quarterResult.gameState, quarterResult.scores, quarterResult.quarter)
+          await _saveInProgressState(campaignId, year, gameId, quarterResult.gameState, quarterResult.scores, liveGameClock.value.currentQuarter)
         }
 
         // Keep games list in sync with scores/quarter
@@ -1404,7 +1530,7 @@ export const useGameStore = defineStore('game', () => {
             is_in_progress: true,
             home_score: quarterResult.scores.home,
             away_score: quarterResult.scores.away,
-            current_quarter: quarterResult.quarter,
+            current_quarter: liveGameClock.value.currentQuarter,
           }
         }
       }
@@ -1445,10 +1571,7 @@ export const useGameStore = defineStore('game', () => {
       const seasonData = await SeasonRepository.get(campaignId, year)
       const game = seasonData.schedule.find(g => g.id === gameId)
 
-      const [homePlayers, awayPlayers] = await Promise.all([
-        PlayerRepository.getByTeam(campaignId, game.homeTeamId),
-        PlayerRepository.getByTeam(campaignId, game.awayTeamId),
-      ])
+      const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, game, seasonData)
 
       const trainerPerks = { ...await _getTrainerPerks(campaign), ...await _getStaffTrainerPerks(campaign) }
       const evolution = await worker.processPostGame(homePlayers, awayPlayers, result, {
@@ -1458,6 +1581,8 @@ export const useGameStore = defineStore('game', () => {
         difficulty: campaign.difficulty || 'pro',
         gameDate: game.gameDate,
         trainerPerks,
+        homeCoach: homeTeam.coach ?? null,
+        awayCoach: awayTeam.coach ?? null,
       })
       result.evolution = evolution
 
@@ -1557,6 +1682,7 @@ export const useGameStore = defineStore('game', () => {
     isLiveSimulation.value = false
     currentSimQuarter.value = 0
     quarterAnimationData.value = []
+    liveGameClock.value = null
   }
 
   /**
@@ -1674,10 +1800,12 @@ export const useGameStore = defineStore('game', () => {
       let userGameResult = null
 
       if (!excludeUserGame && nextUserGame) {
-        const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, nextUserGame)
+        const { homeTeam, awayTeam, homePlayers, awayPlayers, restDays } = await _loadGameSimData(campaignId, nextUserGame, seasonData)
 
         const result = await worker.simulateGame(homeTeam, awayTeam, homePlayers, awayPlayers, {
           generateAnimationData: false,
+          seed: _gameSeed(campaign, nextUserGame),
+          ...restDays,
           userTeamId,
           userLineup,
           targetMinutes: userTargetMinutes,
@@ -1692,6 +1820,8 @@ export const useGameStore = defineStore('game', () => {
           difficulty: campaign.difficulty || 'pro',
           gameDate: nextUserGame.gameDate,
           trainerPerks,
+          homeCoach: homeTeam.coach ?? null,
+          awayCoach: awayTeam.coach ?? null,
         })
         result.evolution = evolution
 
@@ -1797,7 +1927,7 @@ export const useGameStore = defineStore('game', () => {
         const progressToastId = toastStore.showProgress('League games', 0, aiGames.length)
 
         try {
-          await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, worker, (progress) => {
+          await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, (progress) => {
             simulationProgress.value = progress
             toastStore.updateProgress(progressToastId, progress.completed, progress.total)
           })
@@ -1860,9 +1990,11 @@ export const useGameStore = defineStore('game', () => {
 
         // Simulate user games one by one (for evolution tracking)
         for (const game of userGames) {
-          const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, game)
+          const { homeTeam, awayTeam, homePlayers, awayPlayers, restDays } = await _loadGameSimData(campaignId, game, seasonData)
           const result = await worker.simulateGame(homeTeam, awayTeam, homePlayers, awayPlayers, {
             generateAnimationData: false,
+            seed: _gameSeed(campaign, game),
+            ...restDays,
             userTeamId,
             userLineup,
             targetMinutes: userTargetMinutes,
@@ -1874,6 +2006,8 @@ export const useGameStore = defineStore('game', () => {
             difficulty: campaign.difficulty || 'pro',
             gameDate: game.gameDate,
             trainerPerks,
+            homeCoach: homeTeam.coach ?? null,
+            awayCoach: awayTeam.coach ?? null,
           })
           result.evolution = evolution
           await _persistGameResult(campaignId, year, seasonData, game.id, result, true)
@@ -1886,7 +2020,7 @@ export const useGameStore = defineStore('game', () => {
 
         // Simulate AI games in bulk
         if (aiGames.length > 0) {
-          await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, worker, (progress) => {
+          await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, (progress) => {
             const total = remainingGames.length
             const completed = completedCount + progress.completed
             simulationProgress.value = { completed, total }
@@ -1935,8 +2069,6 @@ export const useGameStore = defineStore('game', () => {
       const seasonData = await SeasonRepository.get(campaignId, year)
       if (!seasonData) throw new Error(`Season ${year} not found`)
 
-      const engineStore = useEngineStore()
-      const worker = engineStore.getWorker()
       const toastStore = useToastStore()
       const teams = await TeamRepository.getAllForCampaign(campaignId)
 
@@ -1966,7 +2098,7 @@ export const useGameStore = defineStore('game', () => {
         const progressToastId = toastStore.showProgress('Playoff games', totalCompleted, totalCompleted + aiGames.length)
 
         try {
-          await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, worker, (progress) => {
+          await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, (progress) => {
             simulationProgress.value = { completed: totalCompleted + progress.completed, total: totalCompleted + aiGames.length }
             toastStore.updateProgress(progressToastId, totalCompleted + progress.completed, totalCompleted + aiGames.length)
           })
@@ -1984,16 +2116,14 @@ export const useGameStore = defineStore('game', () => {
         // and new round schedules generated for the next pass
         const bracket = seasonData.playoffBracket
         if (bracket) {
-          for (const round of [1, 2, 3]) {
+          for (const round of [0, 1, 2, 3]) {
             PlayoffManager.advanceWinnerToNextRound(seasonData, {
               series: null,
               round,
               seriesComplete: true,
             })
           }
-          for (let round = 2; round <= 4; round++) {
-            PlayoffManager.generatePlayoffSchedule(seasonData, teams, round, year)
-          }
+          PlayoffManager.generatePendingSchedules(seasonData, teams, year)
         }
       }
 
@@ -2038,13 +2168,15 @@ export const useGameStore = defineStore('game', () => {
   // ---------------------------------------------------------------------------
 
   /**
-   * Simulate a set of AI games in bulk, persist results, and report progress.
+   * Simulate a set of AI games in bulk across the worker pool, persist
+   * results, and report progress.
    */
-  async function _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, worker, onProgress = null) {
+  async function _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, onProgress = null) {
     // Get campaign difficulty for evolution processing
     const { campaign } = await _getCampaignContext(campaignId)
 
-    // Prepare bulk game data
+    // Prepare bulk game data. Rest recovery runs in the worker, after players
+    // evolved by earlier games in the batch are swapped in.
     const bulkGames = []
     for (const game of aiGames) {
       const { homeTeam, awayTeam, homePlayers, awayPlayers } = await _loadGameSimData(campaignId, game)
@@ -2058,12 +2190,14 @@ export const useGameStore = defineStore('game', () => {
         options: {
           generateAnimationData: false,
           isLiveGame: false,
+          seed: _gameSeed(campaign, game),
+          ...SeasonManager.getRestDays(seasonData, game),
         },
       })
     }
 
     // Run bulk simulation with evolution processing
-    const bulkResult = await worker.simulateBulk(bulkGames, onProgress, {
+    const bulkResult = await useEngineStore().getWorkerPool().simulateBulk(bulkGames, onProgress, {
       processEvolution: true,
       difficulty: campaign.difficulty || 'pro',
     })
@@ -2079,14 +2213,19 @@ export const useGameStore = defineStore('game', () => {
         awayScore: r.result.away_score,
         boxScore: r.result.box_score,
         quarterScores: r.result.quarter_scores,
+        lineups: r.result.lineups,
+        shots: r.result.shots,
         isUserGame: false,
       }
     })
 
-    SeasonManager.bulkMergeResults(seasonData, results)
+    // Playoff results are merged one at a time below, so games simulated past
+    // a series clinch are cancelled before their stats reach the playoff split
+    const playoffGames = aiGames.filter(g => g.isPlayoff && g.playoffSeriesId)
+    const playoffGameIds = new Set(playoffGames.map(g => g.id))
+    SeasonManager.bulkMergeResults(seasonData, results.filter(r => !playoffGameIds.has(r.gameId)))
 
     // Update playoff series for any AI playoff games
-    const playoffGames = aiGames.filter(g => g.isPlayoff && g.playoffSeriesId)
     if (playoffGames.length > 0) {
       const teams = await TeamRepository.getAllForCampaign(campaignId)
       // Sort playoff games by game number to process in order within each series
@@ -2095,18 +2234,21 @@ export const useGameStore = defineStore('game', () => {
       for (const game of playoffGames) {
         const r = results.find(res => res.gameId === game.id)
         if (!r) continue
+        const scheduled = seasonData.schedule.find(g => g.id === game.id)
+        if (!scheduled || scheduled.isCancelled) continue
+
+        SeasonManager.bulkMergeResults(seasonData, [r])
         // Re-read the updated game from seasonData (bulkMergeResults marks it complete)
         const updatedGame = seasonData.schedule.find(g => g.id === game.id)
-        if (!updatedGame || !updatedGame.isComplete || updatedGame.isCancelled) continue
+        if (!updatedGame?.isComplete) continue
 
         const seriesUpdate = PlayoffManager.updateSeriesAfterGame(
           seasonData, updatedGame, r.homeScore, r.awayScore
         )
         if (seriesUpdate?.seriesComplete) {
           PlayoffManager.advanceWinnerToNextRound(seasonData, seriesUpdate)
-          const nextRound = seriesUpdate.round + 1
-          if (nextRound <= 4) {
-            PlayoffManager.generatePlayoffSchedule(seasonData, teams, nextRound, year)
+          if (seriesUpdate.round < 4) {
+            PlayoffManager.generatePendingSchedules(seasonData, teams, year)
           }
         }
       }
@@ -2165,8 +2307,6 @@ export const useGameStore = defineStore('game', () => {
 
       if (aiGames.length === 0) return
 
-      const engineStore = useEngineStore()
-      const worker = engineStore.getWorker()
       const toastStore = useToastStore()
 
       backgroundSimulating.value = true
@@ -2174,7 +2314,7 @@ export const useGameStore = defineStore('game', () => {
       const progressToastId = toastStore.showProgress('League games', 0, aiGames.length)
 
       try {
-        await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, worker, (progress) => {
+        await _simulateAiGamesBulk(campaignId, year, seasonData, aiGames, (progress) => {
           simulationProgress.value = progress
           toastStore.updateProgress(progressToastId, progress.completed, progress.total)
         })
@@ -2201,6 +2341,7 @@ export const useGameStore = defineStore('game', () => {
     isLiveSimulation,
     currentSimQuarter,
     quarterAnimationData,
+    liveGameClock,
     simulatePreview,
     loadingPreview,
     // Background simulation state (kept for view compatibility)
@@ -3,6 +3,8 @@ import { ref, computed } from 'vue'
 import { SeasonRepository } from '@/engine/db/SeasonRepository'
 import { CampaignRepository } from '@/engine/db/CampaignRepository'
 import { TeamRepository } from '@/engine/db/TeamRepository'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { AnalyticsService } from '@/engine/season/AnalyticsService'
 
 export const useLeagueStore = defineStore('league', () => {
   // State
@@ -138,11 +140,13 @@ export const useLeagueStore = defineStore('league', () => {
 
       const seasonYear = campaign.currentSeasonYear ?? campaign.settings?.currentSeasonYear ?? new Date().getFullYear()
 
-      // Read player stats and teams from IndexedDB
-      const [playerStats, teams] = await Promise.all([
-        SeasonRepository.getPlayerStats(campaignId, seasonYear),
+      // Read the season and teams from IndexedDB
+      const [seasonData, teams] = await Promise.all([
+        SeasonRepository.get(campaignId, seasonYear),
         TeamRepository.getAllForCampaign(campaignId),
       ])
+      const playerStats = SeasonManager.getAllPlayerStats(seasonData)
+      const advanced = seasonData ? AnalyticsService.getSeasonAnalytics(seasonData).players : {}
 
       if (!playerStats || typeof playerStats !== 'object') {
         playerLeaders.value = []
@@ -183,6 +187,8 @@ export const useLeagueStore = defineStore('league', () => {
           ? ((stats.ftm ?? stats.freeThrowsMade ?? 0) / fta) * 100
           : 0
 
+        const metrics = advanced[playerId] ?? null
+
         // Enrich with team data
         const team = teamsById[stats.teamId] || null
         const teamAbbreviation = team?.abbreviation ?? stats.teamAbbreviation ?? stats.team_abbreviation ?? ''
@@ -204,6 +210,10 @@ export const useLeagueStore = defineStore('league', () => {
           fgPct: Math.round(fgPct * 10) / 10,
           threePct: Math.round(threePct * 10) / 10,
           ftPct: Math.round(ftPct * 10) / 10,
+          per: metrics?.per ?? 0,
+          tsPct: metrics?.tsPct ?? 0,
+          usgPct: metrics?.usgPct ?? 0,
+          ws: metrics?.ws ?? 0,
         })
       }
 
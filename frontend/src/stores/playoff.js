@@ -47,6 +47,7 @@ export const usePlayoffStore = defineStore('playoff', () => {
   // Get playoff round label
   function getPlayoffRoundLabel(round) {
     switch (round) {
+      case 0: return 'Play-In'
       case 1: return 'First Round'
       case 2: return 'Semifinals'
       case 3: return 'Conference Finals'
@@ -58,19 +59,7 @@ export const usePlayoffStore = defineStore('playoff', () => {
   // Look up a series from the already-loaded bracket (synchronous)
   function getSeriesFromBracket(seriesId) {
     if (!bracket.value || !seriesId) return null
-    for (const conf of ['east', 'west']) {
-      const confData = bracket.value[conf]
-      if (!confData) continue
-      for (const series of (confData.round1 || [])) {
-        if (series?.seriesId === seriesId) return series
-      }
-      for (const series of (confData.round2 || [])) {
-        if (series?.seriesId === seriesId) return series
-      }
-      if (confData.confFinals?.seriesId === seriesId) return confData.confFinals
-    }
-    if (bracket.value.finals?.seriesId === seriesId) return bracket.value.finals
-    return null
+    return PlayoffManager.getAllSeries(bracket.value).find(series => series?.seriesId === seriesId) ?? null
   }
 
   // Get all series for a conference
@@ -78,6 +67,7 @@ export const usePlayoffStore = defineStore('playoff', () => {
     if (!bracket.value || !bracket.value[conference]) return []
     const conf = bracket.value[conference]
     return [
+      ...(conf.playIn || []),
       ...(conf.round1 || []),
       ...(conf.round2 || []),
       ...(conf.confFinals ? [conf.confFinals] : [])
@@ -111,7 +101,7 @@ export const usePlayoffStore = defineStore('playoff', () => {
 
       // Get user playoff status
       if (isComplete && seasonData) {
-        userStatus.value = PlayoffManager.getUserPlayoffStatus(seasonData, userTeamId, teams)
+        userStatus.value = PlayoffManager.getUserPlayoffStatus(seasonData, userTeamId, teams, campaign?.settings?.playoffFormat)
       }
 
       // Show season end modal if regular season just completed and bracket not yet generated
@@ -158,11 +148,11 @@ export const usePlayoffStore = defineStore('playoff', () => {
       const teams = await TeamRepository.getAllForCampaign(campaignId)
 
       // Generate the bracket (mutates seasonData in place)
-      const generatedBracket = PlayoffManager.generatePlayoffBracket(seasonData, teams)
+      const generatedBracket = PlayoffManager.generatePlayoffBracket(seasonData, teams, campaign?.settings?.playoffFormat)
       bracket.value = generatedBracket
 
-      // Generate round 1 playoff schedule
-      PlayoffManager.generatePlayoffSchedule(seasonData, teams, 1, year)
+      // Generate the opening schedule (play-in, or the first round)
+      PlayoffManager.generatePendingSchedules(seasonData, teams, year)
 
       // Get user playoff status
       userStatus.value = PlayoffManager.getUserPlayoffStatus(seasonData, userTeamId, teams)
@@ -230,13 +220,12 @@ export const usePlayoffStore = defineStore('playoff', () => {
     if (seriesUpdate.seriesComplete) {
       PlayoffManager.advanceWinnerToNextRound(seasonData, seriesUpdate)
 
-      // Generate schedule for the next round if new matchups were created
-      const nextRound = seriesUpdate.round + 1
-      if (nextRound <= 4) {
+      // Schedule any matchups the result created (play-in game C, next round)
+      if (seriesUpdate.round < 4) {
         const teams = await TeamRepository.getAllForCampaign(campaignId)
         const campaign = await CampaignRepository.get(campaignId)
         const year = campaign?.currentSeasonYear ?? 2025
-        PlayoffManager.generatePlayoffSchedule(seasonData, teams, nextRound, year)
+        PlayoffManager.generatePendingSchedules(seasonData, teams, year)
       }
     }
 
@@ -277,6 +266,14 @@ export const usePlayoffStore = defineStore('playoff', () => {
     for (const conf of ['east', 'west']) {
       if (!bracket.value[conf]) continue
 
+      // Play-In
+      for (let i = 0; i < (bracket.value[conf].playIn?.length || 0); i++) {
+        if (bracket.value[conf].playIn[i].seriesId === seriesId) {
+          bracket.value[conf].playIn[i] = updatedSeries
+          return
+        }
+      }
+
       // Round 1
       for (let i = 0; i < (bracket.value[conf].round1?.length || 0); i++) {
         if (bracket.value[conf].round1[i].seriesId === seriesId) {
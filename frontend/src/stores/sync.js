@@ -6,6 +6,16 @@ import { CampaignRepository } from '@/engine/db/CampaignRepository'
 import { TeamRepository } from '@/engine/db/TeamRepository'
 import { PlayerRepository } from '@/engine/db/PlayerRepository'
 import { SeasonRepository } from '@/engine/db/SeasonRepository'
+import { SyncMetaRepository } from '@/engine/db/SyncMetaRepository'
+import {
+  SYNC_STORES,
+  recordKey,
+  parseRecordKey,
+  collectLocalChanges,
+  findConflicts,
+  dropIdenticalChanges,
+  batchChanges,
+} from '@/engine/db/SyncChanges'
 
 const SYNC_INTERVAL_MS = 43200000 // 12 hours
 const SYNC_COOLDOWN_MS = 300000 // 5 minutes — minimum time between event-driven syncs
@@ -20,6 +30,8 @@ export const useSyncStore = defineStore('sync', () => {
   const activeCampaignId = ref(null)
   const _lastEventSyncAt = ref(0) // timestamp of last event-driven sync
   const _visibilityHandler = ref(null)
+  // Records changed both here and on another device: { campaignId, keys, remote }
+  const conflict = ref(null)
 
   // Getters
   const hasPendingChanges = computed(() => isDirty.value)
@@ -130,22 +142,28 @@ export const useSyncStore = defineStore('sync', () => {
   }
 
   /**
-   * Serialize full campaign state from IndexedDB into a single payload.
-   * Strips duplicate keys and heavy data to keep the snapshot under server limits.
-   * Local IndexedDB retains full-fidelity data.
+   * Load every synced record of a campaign from IndexedDB, grouped by store.
    */
-  async function _serializeCampaignSnapshot(campaignId) {
+  async function _loadLocalRecords(campaignId) {
     const campaign = await CampaignRepository.get(campaignId)
-    const teams = await TeamRepository.getAllForCampaign(campaignId)
-    const players = await PlayerRepository.getAllForCampaign(campaignId)
-    const seasons = await SeasonRepository.getAllForCampaign(campaignId)
-
     return {
-      campaign,
-      teams: teams.map(_stripTeamForSync),
-      players: players.map(_stripPlayerForSync),
-      seasons: seasons.map(_stripSeasonForSync),
-      clientUpdatedAt: new Date().toISOString(),
+      campaign: campaign ? [campaign] : [],
+      teams: await TeamRepository.getAllForCampaign(campaignId),
+      players: await PlayerRepository.getAllForCampaign(campaignId),
+      seasons: await SeasonRepository.getAllForCampaign(campaignId),
+    }
+  }
+
+  /**
+   * Upload form of a record. Strips duplicate keys and heavy data to keep
+   * requests under server limits; local IndexedDB retains full-fidelity data.
+   */
+  function _stripForSync(store, record) {
+    switch (store) {
+      case 'teams': return _stripTeamForSync(record)
+      case 'players': return _stripPlayerForSync(record)
+      case 'seasons': return _stripSeasonForSync(record)
+      default: return record
     }
   }
 
@@ -307,11 +325,12 @@ export const useSyncStore = defineStore('sync', () => {
 
   /**
    * Trigger immediate sync (for "Save to Cloud" button).
-   * Serializes the full campaign snapshot and pushes to server in chunks.
+   * Pushes records changed since the last sync; stops at a conflict, which
+   * waits for the user's choice in resolveConflict().
    */
   async function syncNow() {
     if (!activeCampaignId.value) return
-    if (isSyncing.value) return
+    if (isSyncing.value || conflict.value) return
 
     const toastStore = useToastStore()
 
@@ -319,8 +338,11 @@ export const useSyncStore = defineStore('sync', () => {
       isSyncing.value = true
       syncError.value = null
 
-      // Push snapshot in chunks to cloud
-      await pushChanges(activeCampaignId.value)
+      const result = await pushChanges(activeCampaignId.value)
+      if (result.conflict) {
+        toastStore.showError('Cloud save was changed on another device', 3000)
+        return
+      }
 
       // Update sync timestamp
       lastSyncAt.value = new Date().toISOString()
@@ -336,109 +358,267 @@ export const useSyncStore = defineStore('sync', () => {
   }
 
   /**
-   * Push campaign snapshot to the server in 3 sequential chunked requests.
-   * 1. meta (campaign + teams) — always < 50KB
-   * 2. players — typically ~200-300KB
-   * 3. seasons — variable, but much smaller with aggressive stripping
+   * Push records changed since the last sync.
+   *
+   * First takes what other devices changed since this device's revision (see
+   * _mergeRemoteChanges); a conflict stops the sync before anything is pushed.
+   * Then uploads this device's changes in batches (meta, players, seasons).
+   *
+   * @returns {Promise<{ pushed?: number, conflict?: boolean }>}
    */
   async function pushChanges(campaignId) {
-    const snapshot = await _serializeCampaignSnapshot(campaignId)
-
-    // Only make API call if we have data to push
-    if (!snapshot.campaign) return
-
-    // Chunk 1: meta (campaign + teams)
-    await api.post(`/api/sync/${campaignId}/push`, {
-      part: 'meta',
-      campaign: snapshot.campaign,
-      teams: snapshot.teams,
-      clientUpdatedAt: snapshot.clientUpdatedAt,
-    })
-
-    // Chunk 2: players
-    await api.post(`/api/sync/${campaignId}/push`, {
-      part: 'players',
-      players: snapshot.players,
-      clientUpdatedAt: snapshot.clientUpdatedAt,
-    })
-
-    // Chunk 3: seasons
-    await api.post(`/api/sync/${campaignId}/push`, {
-      part: 'seasons',
-      seasons: snapshot.seasons,
-      clientUpdatedAt: snapshot.clientUpdatedAt,
-    })
+    const meta = await SyncMetaRepository.get(campaignId)
+    const local = await _loadLocalRecords(campaignId)
+
+    // Only make API calls if we have data to push
+    if (local.campaign.length === 0) return { pushed: 0 }
+
+    const changes = await _mergeRemoteChanges(campaignId, collectLocalChanges(local, meta.synced), meta)
+    if (!changes) return { conflict: true }
+
+    const result = await _uploadChanges(campaignId, changes, meta)
+    if (result.conflict) return { conflict: true }
+    return { pushed: changes.changed.length + changes.deleted.length }
   }
 
   /**
-   * Pull latest data from the server and hydrate IndexedDB.
-   * Only used for initial load or recovery -- local is always preferred if it exists.
+   * Take the records other devices changed since this device's revision.
+   * Local changes the server already has a matching copy of are settled;
+   * any other record changed on both sides is a conflict: nothing is applied
+   * and `conflict` is set for the user to resolve.
+   * @returns {Promise<Object|null>} The local changes still to upload, or null on a conflict
    */
-  async function pullChanges(campaignId) {
-    const response = await api.get(`/api/sync/${campaignId}/pull`)
-    const data = response.data
+  async function _mergeRemoteChanges(campaignId, changes, meta) {
+    const remote = await _fetchRemoteChanges(campaignId, meta.revision)
+    if (remote.revision === meta.revision) return changes
+
+    const pending = dropIdenticalChanges(changes, remote, _stripForSync)
+    const keys = findConflicts(pending, remote)
+    if (keys.length > 0) {
+      conflict.value = { campaignId, keys, remote }
+      return null
+    }
 
-    // Hydrate IndexedDB from remote snapshot
-    if (data.campaign) {
-      const localCampaign = await CampaignRepository.get(campaignId)
-      if (!localCampaign) {
-        await CampaignRepository.save(data.campaign)
-        console.log('[Sync] No local campaign data, using remote')
-      } else {
-        console.log('[Sync] Local campaign data exists, keeping local')
-      }
+    await _applyRemoteRecords(campaignId, remote, meta)
+    meta.revision = remote.revision
+    await SyncMetaRepository.save(meta)
+    return pending
+  }
+
+  /**
+   * Records changed on the server since the given revision.
+   * @returns {Promise<{ revision: number, records: Array<{ key, store, data }>, deleted: string[] }>}
+   */
+  async function _fetchRemoteChanges(campaignId, since) {
+    const response = await api.get(`/api/sync/${campaignId}/changes`, { params: { since } })
+    return {
+      revision: response.data.revision ?? 0,
+      records: response.data.records ?? [],
+      deleted: response.data.deleted ?? [],
     }
+  }
 
-    if (data.teams && Array.isArray(data.teams) && data.teams.length > 0) {
-      const localTeams = await TeamRepository.getAllForCampaign(campaignId)
-      if (!localTeams || localTeams.length === 0) {
-        await TeamRepository.saveBulk(data.teams)
-        console.log('[Sync] No local teams data, using remote')
-      } else {
-        console.log('[Sync] Local teams data exists, keeping local')
+  /**
+   * Upload changes batch by batch. Each batch is its own server revision, so
+   * an interrupted sync resumes with whatever didn't make it. If another
+   * device pushes mid-upload the server rejects the batch with 409; its
+   * changes are merged like in pushChanges() and the upload carries on, or
+   * stops at a conflict.
+   * @param {Object} options - { force } skips the server's revision check on the first batch
+   * @returns {Promise<{ conflict: boolean }>}
+   */
+  async function _uploadChanges(campaignId, changes, meta, { force = false } = {}) {
+    let batches = batchChanges(changes)
+    let retried = false
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i]
+      let response
+      try {
+        response = await api.post(`/api/sync/${campaignId}/push`, {
+          part: 'delta',
+          baseRevision: meta.revision,
+          force: force && i === 0,
+          records: batch.records.map(({ key, store, record }) => ({ key, store, data: _stripForSync(store, record) })),
+          deleted: batch.deleted,
+          clientUpdatedAt: new Date().toISOString(),
+        })
+      } catch (err) {
+        if (err.response?.status !== 409 || retried) throw err
+
+        const rest = batches.slice(i)
+        const pending = await _mergeRemoteChanges(campaignId, {
+          changed: rest.flatMap(b => b.records),
+          deleted: rest.flatMap(b => b.deleted),
+        }, meta)
+        if (!pending) return { conflict: true }
+
+        batches = [...batches.slice(0, i), ...batchChanges(pending)]
+        retried = true
+        i--
+        continue
+      }
+      retried = false
+
+      meta.revision = response.data.revision
+      for (const { key, record } of batch.records) {
+        meta.synced[key] = record.version ?? 0
+      }
+      for (const key of batch.deleted) {
+        delete meta.synced[key]
       }
+      await SyncMetaRepository.save(meta)
     }
 
-    if (data.players && Array.isArray(data.players) && data.players.length > 0) {
-      const localPlayers = await PlayerRepository.getAllForCampaign(campaignId)
-      if (!localPlayers || localPlayers.length === 0) {
-        // Rebuild camelCase keys stripped during sync
-        const hydrated = data.players.map(_hydratePlayerKeys)
-        await PlayerRepository.saveBulk(hydrated)
-        console.log('[Sync] No local players data, using remote')
-      } else {
-        console.log('[Sync] Local players data exists, keeping local')
+    return { conflict: false }
+  }
+
+  /**
+   * Write records from the server into IndexedDB and note their new local
+   * versions as synced.
+   * @param {{ records: Array<{ key, store, data }>, deleted: string[] }} remote
+   */
+  async function _applyRemoteRecords(campaignId, remote, meta) {
+    const byStore = { campaign: [], teams: [], players: [], seasons: [] }
+    for (const r of remote.records) {
+      byStore[r.store]?.push(r)
+    }
+
+    for (const r of byStore.campaign) {
+      await CampaignRepository.save(r.data)
+    }
+    if (byStore.teams.length > 0) {
+      await TeamRepository.saveBulk(byStore.teams.map(r => r.data))
+    }
+    if (byStore.players.length > 0) {
+      // Rebuild camelCase keys stripped during sync
+      const hydrated = byStore.players.map(r => _hydratePlayerKeys(r.data))
+      await PlayerRepository.saveBulk(hydrated)
+      byStore.players.forEach((r, i) => { r.data = hydrated[i] })
+    }
+    for (const r of byStore.seasons) {
+      // Completed seasons are synced without their schedule; keep ours
+      if (!r.data.schedule) {
+        const localSeason = await SeasonRepository.get(campaignId, r.data.year ?? r.data.metadata?.year)
+        if (localSeason?.schedule) r.data = { ...r.data, schedule: localSeason.schedule }
       }
+      await SeasonRepository.save(r.data)
     }
 
-    if (data.seasons && Array.isArray(data.seasons)) {
-      for (const season of data.seasons) {
-        const year = season.metadata?.year ?? season.year
-        if (!year) continue
-        const localSeason = await SeasonRepository.get(campaignId, year)
-        if (!localSeason) {
-          await SeasonRepository.save(season)
-          console.log(`[Sync] No local season ${year} data, using remote`)
-        } else {
-          console.log(`[Sync] Local season ${year} data exists, keeping local`)
-        }
+    for (const r of Object.values(byStore).flat()) {
+      meta.synced[r.key] = r.data.version ?? 0
+    }
+
+    for (const key of remote.deleted) {
+      const { store, id } = parseRecordKey(key)
+      if (store === 'teams') await TeamRepository.delete(campaignId, id)
+      if (store === 'players') await PlayerRepository.delete(campaignId, id)
+      if (store === 'seasons') await SeasonRepository.delete(campaignId, Number(id))
+      delete meta.synced[key]
+    }
+  }
+
+  /**
+   * Replace this device's copy of a campaign with the server's.
+   */
+  async function _replaceWithRemote(campaignId, data) {
+    const meta = await SyncMetaRepository.get(campaignId)
+    const records = []
+    for (const store of SYNC_STORES) {
+      const rows = store === 'campaign' ? [data.campaign].filter(Boolean) : (data[store] ?? [])
+      for (const row of rows) {
+        records.push({ key: recordKey(store, row), store, data: row })
       }
     }
 
+    // Anything this device has that the server doesn't goes away
+    const remoteKeys = new Set(records.map(r => r.key))
+    const { changed } = collectLocalChanges(await _loadLocalRecords(campaignId), {})
+    const deleted = changed.map(c => c.key).filter(key => !remoteKeys.has(key))
+
+    meta.synced = {}
+    await _applyRemoteRecords(campaignId, { records, deleted }, meta)
+    meta.revision = data.revision ?? 0
+    await SyncMetaRepository.save(meta)
+  }
+
+  /**
+   * Pull the full campaign from the server into IndexedDB.
+   * Only used for initial load or recovery on a device without the campaign;
+   * one that has it keeps its copy and takes remote changes via pushChanges().
+   */
+  async function pullChanges(campaignId) {
+    const response = await api.get(`/api/sync/${campaignId}/pull`)
+    const data = response.data
+
+    const localCampaign = await CampaignRepository.get(campaignId)
+    if (localCampaign) {
+      console.log('[Sync] Local campaign data exists, keeping local')
+    } else if (data.campaign) {
+      await _replaceWithRemote(campaignId, data)
+      console.log('[Sync] No local campaign data, using remote')
+    }
+
     return data
   }
 
   /**
-   * Resolve conflict between local and remote data.
-   * Strategy: Local always wins if it exists (local is the working copy).
+   * Resolve a sync conflict by keeping one side wholesale: two devices'
+   * progress through the same campaign can't be meaningfully interleaved.
+   * @param {'local'|'remote'} choice - 'local' overwrites the cloud save with
+   *   this device's campaign; 'remote' replaces this device's with the cloud's
    */
-  function resolveConflict(localData, remoteData) {
-    // If local data exists, it always wins (it's the active working copy)
-    if (localData) {
-      return { winner: 'local', data: localData }
+  async function resolveConflict(choice) {
+    const pending = conflict.value
+    if (!pending || isSyncing.value) return
+
+    const toastStore = useToastStore()
+    const { campaignId, remote } = pending
+
+    try {
+      isSyncing.value = true
+      syncError.value = null
+
+      if (choice === 'local') {
+        const meta = await SyncMetaRepository.get(campaignId)
+        const local = await _loadLocalRecords(campaignId)
+        const changes = collectLocalChanges(local, meta.synced)
+
+        // Also re-send whatever the other device touched, so the server ends
+        // up matching this device
+        const everything = collectLocalChanges(local, {}).changed
+        const localByKey = new Map(everything.map(c => [c.key, c]))
+        const pushing = new Set([...changes.changed.map(c => c.key), ...changes.deleted])
+        for (const key of [...remote.records.map(r => r.key), ...remote.deleted]) {
+          if (pushing.has(key)) continue
+          if (localByKey.has(key)) {
+            changes.changed.push(localByKey.get(key))
+          } else {
+            changes.deleted.push(key)
+          }
+          pushing.add(key)
+        }
+
+        const result = await _uploadChanges(campaignId, changes, meta, { force: true })
+        if (result.conflict) {
+          toastStore.showError('Cloud save was changed on another device', 3000)
+          return
+        }
+      } else {
+        const response = await api.get(`/api/sync/${campaignId}/pull`)
+        await _replaceWithRemote(campaignId, response.data)
+      }
+
+      conflict.value = null
+      lastSyncAt.value = new Date().toISOString()
+      isDirty.value = false
+      toastStore.showSuccess(choice === 'local' ? 'Saved to cloud' : 'Loaded cloud save', 2000)
+    } catch (err) {
+      syncError.value = err.message || 'Sync failed'
+      toastStore.showError('Sync failed - will retry', 3000)
+    } finally {
+      isSyncing.value = false
     }
-    // Only use remote if no local data exists
-    return { winner: 'remote', data: remoteData }
   }
 
   /**
@@ -455,12 +635,13 @@ export const useSyncStore = defineStore('sync', () => {
 
   /**
    * Queue a background sync check.
-   * Push-only: just pushes local changes if dirty, never pulls.
+   * Pushes local changes if dirty; leaves any conflict for the user.
    */
   async function queueSyncCheck(campaignId) {
-    if (isDirty.value) {
+    if (isDirty.value && !conflict.value) {
       try {
-        await pushChanges(campaignId)
+        const result = await pushChanges(campaignId)
+        if (result.conflict) return
         lastSyncAt.value = new Date().toISOString()
         isDirty.value = false
       } catch {
@@ -476,6 +657,7 @@ export const useSyncStore = defineStore('sync', () => {
     isDirty,
     syncError,
     activeCampaignId,
+    conflict,
     // Getters
     hasPendingChanges,
     lastSyncText,
@@ -10,10 +10,68 @@ import { getStrategyDisplayInfo, getDefaultTargetMinutes } from '@/engine/simula
 import { SUBSTITUTION_STRATEGIES } from '@/engine/config/GameConfig'
 import { useSyncStore } from '@/stores/sync'
 import { recalculateOverall } from '@/engine/evolution/PlayerEvolution'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { createContract } from '@/engine/finance/ContractService'
 
 /**
- * Attach season_stats (per-game averages) to each player in an array.
- * Mutates player objects in place.
+ * Per-game averages (plus raw totals) for a SeasonManager player stats record,
+ * or null if the player hasn't played.
+ */
+function _toPerGameStats(raw) {
+  if (!raw || !(raw.gamesPlayed > 0)) return null
+
+  const gp = raw.gamesPlayed
+  return {
+    games_played: gp,
+    gamesPlayed: gp,
+    games_started: raw.gamesStarted ?? 0,
+    gamesStarted: raw.gamesStarted ?? 0,
+    ppg: Math.round((raw.points / gp) * 10) / 10,
+    rpg: Math.round((raw.rebounds / gp) * 10) / 10,
+    apg: Math.round((raw.assists / gp) * 10) / 10,
+    spg: Math.round((raw.steals / gp) * 10) / 10,
+    bpg: Math.round((raw.blocks / gp) * 10) / 10,
+    mpg: Math.round((raw.minutesPlayed / gp) * 10) / 10,
+    fg_pct: raw.fieldGoalsAttempted > 0
+      ? Math.round((raw.fieldGoalsMade / raw.fieldGoalsAttempted) * 1000) / 10
+      : 0,
+    fgPct: raw.fieldGoalsAttempted > 0
+      ? Math.round((raw.fieldGoalsMade / raw.fieldGoalsAttempted) * 1000) / 10
+      : 0,
+    three_pct: raw.threePointersAttempted > 0
+      ? Math.round((raw.threePointersMade / raw.threePointersAttempted) * 1000) / 10
+      : 0,
+    threePct: raw.threePointersAttempted > 0
+      ? Math.round((raw.threePointersMade / raw.threePointersAttempted) * 1000) / 10
+      : 0,
+    ft_pct: raw.freeThrowsAttempted > 0
+      ? Math.round((raw.freeThrowsMade / raw.freeThrowsAttempted) * 1000) / 10
+      : 0,
+    ftPct: raw.freeThrowsAttempted > 0
+      ? Math.round((raw.freeThrowsMade / raw.freeThrowsAttempted) * 1000) / 10
+      : 0,
+    // Raw totals for detail views
+    points: raw.points,
+    rebounds: raw.rebounds,
+    assists: raw.assists,
+    steals: raw.steals,
+    blocks: raw.blocks,
+    turnovers: raw.turnovers,
+    minutesPlayed: raw.minutesPlayed,
+    fgm: raw.fieldGoalsMade,
+    fga: raw.fieldGoalsAttempted,
+    fg3m: raw.threePointersMade,
+    fg3a: raw.threePointersAttempted,
+    ftm: raw.freeThrowsMade,
+    fta: raw.freeThrowsAttempted,
+    plusMinus: raw.plusMinus ?? 0,
+    plus_minus_per_game: Math.round(((raw.plusMinus ?? 0) / gp) * 10) / 10,
+  }
+}
+
+/**
+ * Attach season_stats and playoff_stats (per-game averages) to each player
+ * in an array. Mutates player objects in place.
  */
 async function _attachSeasonStats(players, campaignId) {
   if (!players || players.length === 0) return
@@ -22,59 +80,16 @@ async function _attachSeasonStats(players, campaignId) {
   if (!campaign) return
 
   const seasonYear = campaign.currentSeasonYear ?? campaign.settings?.currentSeasonYear ?? 2025
-  const allPlayerStats = await SeasonRepository.getPlayerStats(campaignId, seasonYear)
+  const seasonData = await SeasonRepository.get(campaignId, seasonYear)
+  const allPlayerStats = seasonData?.playerStats
   if (!allPlayerStats || typeof allPlayerStats !== 'object') return
+  const allPlayoffStats = seasonData.playoffPlayerStats ?? {}
 
   for (const player of players) {
     if (!player) continue
-    const raw = allPlayerStats[player.id]
-    if (raw && raw.gamesPlayed > 0) {
-      const gp = raw.gamesPlayed
-      player.season_stats = {
-        games_played: gp,
-        gamesPlayed: gp,
-        ppg: Math.round((raw.points / gp) * 10) / 10,
-        rpg: Math.round((raw.rebounds / gp) * 10) / 10,
-        apg: Math.round((raw.assists / gp) * 10) / 10,
-        spg: Math.round((raw.steals / gp) * 10) / 10,
-        bpg: Math.round((raw.blocks / gp) * 10) / 10,
-        mpg: Math.round((raw.minutesPlayed / gp) * 10) / 10,
-        fg_pct: raw.fieldGoalsAttempted > 0
-          ? Math.round((raw.fieldGoalsMade / raw.fieldGoalsAttempted) * 1000) / 10
-          : 0,
-        fgPct: raw.fieldGoalsAttempted > 0
-          ? Math.round((raw.fieldGoalsMade / raw.fieldGoalsAttempted) * 1000) / 10
-          : 0,
-        three_pct: raw.threePointersAttempted > 0
-          ? Math.round((raw.threePointersMade / raw.threePointersAttempted) * 1000) / 10
-          : 0,
-        threePct: raw.threePointersAttempted > 0
-          ? Math.round((raw.threePointersMade / raw.threePointersAttempted) * 1000) / 10
-          : 0,
-        ft_pct: raw.freeThrowsAttempted > 0
-          ? Math.round((raw.freeThrowsMade / raw.freeThrowsAttempted) * 1000) / 10
-          : 0,
-        ftPct: raw.freeThrowsAttempted > 0
-          ? Math.round((raw.freeThrowsMade / raw.freeThrowsAttempted) * 1000) / 10
-          : 0,
-        // Raw totals for detail views
-        points: raw.points,
-        rebounds: raw.rebounds,
-        assists: raw.assists,
-        steals: raw.steals,
-        blocks: raw.blocks,
-        turnovers: raw.turnovers,
-        minutesPlayed: raw.minutesPlayed,
-        fgm: raw.fieldGoalsMade,
-        fga: raw.fieldGoalsAttempted,
-        fg3m: raw.threePointersMade,
-        fg3a: raw.threePointersAttempted,
-        ftm: raw.freeThrowsMade,
-        fta: raw.freeThrowsAttempted,
-      }
-    } else {
-      player.season_stats = null
-    }
+    player.season_stats = _toPerGameStats(allPlayerStats[player.id])
+    player.playoff_stats = _toPerGameStats(allPlayoffStats[player.id])
+    player.shot_chart = SeasonManager.getShotChart(seasonData, { playerId: player.id })
   }
 }
 
@@ -362,6 +377,33 @@ export const useTeamStore = defineStore('team', () => {
     }
   }
 
+  /**
+   * Season five-man unit stats for a team (defaults to the user's team),
+   * most-used units first.
+   */
+  async function fetchLineupStats(campaignId, teamId = null, { minMinutes = 0 } = {}) {
+    const campaign = await CampaignRepository.get(campaignId)
+    if (!campaign) return []
+
+    const seasonYear = campaign.currentSeasonYear ?? campaign.settings?.currentSeasonYear ?? 2025
+    const seasonData = await SeasonRepository.get(campaignId, seasonYear)
+    const resolvedTeamId = teamId ?? campaign.teamId ?? campaign.userTeamId
+    return SeasonManager.getLineupStats(seasonData, resolvedTeamId, { minMinutes })
+  }
+
+  /**
+   * Season shot chart for a team (defaults to the user's team).
+   */
+  async function fetchShotChart(campaignId, teamId = null, { playoffs = false } = {}) {
+    const campaign = await CampaignRepository.get(campaignId)
+    if (!campaign) return null
+
+    const seasonYear = campaign.currentSeasonYear ?? campaign.settings?.currentSeasonYear ?? 2025
+    const seasonData = await SeasonRepository.get(campaignId, seasonYear)
+    const resolvedTeamId = teamId ?? campaign.teamId ?? campaign.userTeamId
+    return SeasonManager.getShotChart(seasonData, { teamId: resolvedTeamId, playoffs })
+  }
+
   async function fetchFreeAgents(campaignId) {
     loading.value = true
     error.value = null
@@ -393,10 +435,7 @@ export const useTeamStore = defineStore('team', () => {
       // Update player: assign to team with contract
       player.teamId = userTeamId
       player.isFreeAgent = 0
-      player.contractSalary = salary
-      player.contract_salary = salary
-      player.contractYearsRemaining = years
-      player.contract_years_remaining = years
+      Object.assign(player, createContract({ salary, years }))
       await PlayerRepository.save(player)
       useSyncStore().markDirty()
 
@@ -703,6 +742,8 @@ export const useTeamStore = defineStore('team', () => {
     updateTargetMinutes,
     fetchAllTeams,
     fetchTeamRoster,
+    fetchLineupStats,
+    fetchShotChart,
     fetchFreeAgents,
     signPlayer,
     releasePlayer,
@@ -5,6 +5,8 @@ import { SALARY_CAP } from '@/engine/data/teams'
 import { PlayerRepository } from '@/engine/db/PlayerRepository'
 import { CampaignRepository } from '@/engine/db/CampaignRepository'
 import { SeasonRepository } from '@/engine/db/SeasonRepository'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { AnalyticsService } from '@/engine/season/AnalyticsService'
 import { useSyncStore } from '@/stores/sync'
 import {
   evaluateTrade,
@@ -18,10 +20,12 @@ import {
 } from '@/engine/ai/AITradeService'
 import {
   validateSalaryCap,
+  validateNoTradeClauses,
   buildTradeDetails,
   executeTrade as executeTradeEngine,
   formatTradeForDisplay,
 } from '@/engine/finance/TradeExecutor'
+import { getDeadMoneyTotal, getOwnerBudget } from '@/engine/finance/FinanceManager'
 
 export const useTradeStore = defineStore('trade', () => {
   // State
@@ -80,6 +84,46 @@ export const useTradeStore = defineStore('trade', () => {
     return (playerId) => map[String(playerId)] || null
   }
 
+  // Helper: build a season stats lookup (with advanced metrics) for trade valuation
+  function _buildPlayerStatsLookup(seasonData) {
+    if (!seasonData) return () => null
+    const allStats = SeasonManager.getAllPlayerStats(seasonData)
+    const analytics = AnalyticsService.getSeasonAnalytics(seasonData).players
+    return (playerId) => {
+      const stats = allStats[String(playerId)]
+      return stats ? { ...stats, advanced: analytics[String(playerId)] ?? null } : null
+    }
+  }
+
+  // Helper: check the cap rules for one team in a trade, with `gives` and
+  // `receives` seen from that team's side
+  function _checkSalaryCap(teamId, allTeams, allPlayers, { gives, receives, getPlayerFn }) {
+    const team = allTeams.find(t => t.id === teamId)
+    const payroll = allPlayers
+      .filter(p => p.teamId === teamId)
+      .reduce((sum, p) => sum + (p.contractSalary ?? p.contract_salary ?? 0), 0)
+    return validateSalaryCap({
+      userGiving: gives,
+      userReceiving: receives,
+      getPlayerFn,
+      currentPayroll: payroll + getDeadMoneyTotal(team?.deadMoney),
+      salaryCap: team?.salary_cap ?? team?.salaryCap ?? SALARY_CAP,
+      ownerBudget: team ? getOwnerBudget(team) : Infinity,
+    })
+  }
+
+  // Helper: throw when a player with a no-trade clause won't agree to the move
+  async function _assertNoTradeClausesWaived(campaignId, campaign, { userGives, userReceives, getPlayerFn, userTeam, aiTeam }) {
+    const year = campaign?.settings?.currentYear ?? campaign?.year ?? new Date().getFullYear()
+    const [seasonData, allTeams] = await Promise.all([
+      SeasonRepository.get(campaignId, year),
+      TeamRepository.getAllForCampaign(campaignId),
+    ])
+    const context = buildContext({ standings: seasonData?.standings ?? { east: [], west: [] }, teams: allTeams })
+    const check = validateNoTradeClauses({ userGiving: userGives, userReceiving: userReceives, getPlayerFn, userTeam, aiTeam, context })
+    if (!check.valid) throw new Error(check.reason)
+  }
+
   // Helper: get campaign year
   async function _getCampaignYear(campaignId) {
     const campaign = await CampaignRepository.get(campaignId)
@@ -206,8 +250,39 @@ export const useTradeStore = defineStore('trade', () => {
       const aiTeamRoster = await PlayerRepository.getByTeam(campaignId, aiTeamId)
       const getPlayerFn = _buildPlayerLookup(allPlayers)
 
+      // The league's cap rules come before the other GM's opinion, and
+      // they bind both teams
+      const userTeamId = campaign?.team_id ?? campaign?.teamId
+      const userTeam = allTeams.find(t => t.id === userTeamId)
+      const userGives = userOffering.value.map(formatAssetForApi)
+      const userReceives = userRequesting.value.map(formatAssetForApi)
+      const capCheck = _checkSalaryCap(userTeamId, allTeams, allPlayers, { gives: userGives, receives: userReceives, getPlayerFn })
+      if (!capCheck.valid) {
+        lastProposalResult.value = { decision: 'invalid', reason: capCheck.reason }
+        return lastProposalResult.value
+      }
+      const aiCapCheck = _checkSalaryCap(aiTeamId, allTeams, allPlayers, { gives: userReceives, receives: userGives, getPlayerFn })
+      if (!aiCapCheck.valid) {
+        lastProposalResult.value = { decision: 'invalid', reason: `${selectedTeam.value.name}: ${aiCapCheck.reason}` }
+        return lastProposalResult.value
+      }
+
       const standings = seasonData?.standings ?? { east: [], west: [] }
-      const context = buildContext({ standings, teams: allTeams, seasonPhase: 'regular_season' })
+      const context = buildContext({ standings, teams: allTeams, seasonPhase: 'regular_season', seasonLength: campaign?.settings?.seasonLength })
+
+      // Players with a no-trade clause have to agree to go
+      const noTradeCheck = validateNoTradeClauses({
+        userGiving: userOffering.value.map(formatAssetForApi),
+        userReceiving: userRequesting.value.map(formatAssetForApi),
+        getPlayerFn,
+        userTeam,
+        aiTeam: selectedTeam.value,
+        context,
+      })
+      if (!noTradeCheck.valid) {
+        lastProposalResult.value = { decision: 'invalid', reason: noTradeCheck.reason }
+        return lastProposalResult.value
+      }
 
       // Build the proposal in AI format: aiReceives = what user is offering, aiGives = what user is requesting
       const proposal = {
@@ -222,6 +297,7 @@ export const useTradeStore = defineStore('trade', () => {
         difficulty,
         context,
         getPlayerFn,
+        getPlayerStatsFn: _buildPlayerStatsLookup(seasonData),
       })
 
       lastProposalResult.value = result
@@ -247,12 +323,18 @@ export const useTradeStore = defineStore('trade', () => {
       const allPlayers = await PlayerRepository.getAllForCampaign(campaignId)
       const getPlayerFn = _buildPlayerLookup(allPlayers)
 
+      const userGives = userOffering.value.map(formatAssetForApi)
+      const userReceives = userRequesting.value.map(formatAssetForApi)
+      await _assertNoTradeClausesWaived(campaignId, campaign, {
+        userGives, userReceives, getPlayerFn, userTeam, aiTeam: selectedTeam.value,
+      })
+
       // Build trade details
       const details = buildTradeDetails({
         userTeam,
         aiTeam: selectedTeam.value,
-        userGives: userOffering.value.map(formatAssetForApi),
-        userReceives: userRequesting.value.map(formatAssetForApi),
+        userGives,
+        userReceives,
         getPlayerFn,
       })
 
@@ -466,6 +548,7 @@ export const useTradeStore = defineStore('trade', () => {
         newProposals = generateWeeklyProposals({
           aiTeams,
           userRoster,
+          userTeamId,
           standings,
           allTeams,
           currentDate,
@@ -475,7 +558,9 @@ export const useTradeStore = defineStore('trade', () => {
           pendingProposals: allProposals,
           getTeamRosterFn,
           getPlayerFn,
+          getPlayerStatsFn: _buildPlayerStatsLookup(seasonData),
           userTradingBlock: tradingBlockIds,
+          seasonLength: campaign?.settings?.seasonLength,
         })
 
         // Track last generation date so we don't re-generate on same game day
@@ -574,6 +659,15 @@ export const useTradeStore = defineStore('trade', () => {
         abbreviation: proposal.proposing_team_abbreviation,
       }
 
+      // Standings or morale may have moved since the offer was made
+      await _assertNoTradeClausesWaived(campaignId, campaign, {
+        userGives: proposal.proposal.aiReceives,
+        userReceives: proposal.proposal.aiGives,
+        getPlayerFn,
+        userTeam,
+        aiTeam,
+      })
+
       const details = buildTradeDetails({
         userTeam,
         aiTeam,
@@ -0,0 +1,100 @@
+// =============================================================================
+// Game simulation calibration
+// =============================================================================
+// Simulates a few thousand games between generated rosters and checks that
+// league-wide outputs stay inside target bands. A failure here means an
+// engine change shifted game balance — retune deliberately and update the
+// band, don't just widen it.
+// =============================================================================
+
+import { describe, it, expect, beforeAll } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague, calculateLeagueAverages } from '@/engine/season/LeagueSimulator'
+import { POSSESSIONS_PER_MINUTE, TOTAL_GAME_MINUTES } from '@/engine/config/GameConfig'
+import { deriveSeed } from '@/engine/utils/Random'
+
+const SEED = 20251021
+const GAMES = 2000
+
+// Inclusive [min, max] bands for league averages (per team per game unless
+// noted). Shooting and free throw ratios follow real basketball; counts are
+// real per-possession rates at this 40-minute game's pace.
+const BANDS = {
+  ppg: [60, 76],
+  fgPct: [0.44, 0.5],
+  fg3Pct: [0.33, 0.39],
+  ftPct: [0.65, 0.78],
+  fta: [11, 19],
+  freeThrowRate: [0.2, 0.32],    // FTA per FGA
+  fouls: [12, 20],
+  turnovers: [8.5, 12.5],
+  overtimeRate: [0.005, 0.06],   // share of games
+  homeWinPct: [0.53, 0.62],      // share of games
+}
+
+// Regulation possessions per team may drift this far from the configured rate
+const POSSESSION_TOLERANCE = 0.06
+
+describe('GameSimulator calibration', () => {
+  const results = []
+  let averages
+
+  beforeAll(() => {
+    const { teams } = createLeague({ seed: SEED })
+    const simulator = new GameSimulator()
+
+    for (let i = 0; i < GAMES; i++) {
+      const home = teams[i % teams.length]
+      const away = teams[(i + 1 + Math.floor(i / teams.length)) % teams.length]
+      if (home === away) continue
+
+      results.push(simulator.simulateGame(home, away, {
+        generateAnimationData: false,
+        seed: deriveSeed(SEED, i),
+      }))
+    }
+
+    averages = calculateLeagueAverages(results)
+  })
+
+  it('simulates the full sample', () => {
+    expect(results.length).toBeGreaterThan(GAMES * 0.95)
+  })
+
+  it('keeps regulation possessions near POSSESSIONS_PER_MINUTE * game length', () => {
+    // Pace counts one team's possessions; the configured rate counts both
+    const target = POSSESSIONS_PER_MINUTE * TOTAL_GAME_MINUTES / 2
+
+    expect(Math.abs(averages.pace - target) / target).toBeLessThanOrEqual(POSSESSION_TOLERANCE)
+  })
+
+  for (const [stat, [min, max]] of Object.entries(BANDS)) {
+    it(`keeps ${stat} within [${min}, ${max}]`, () => {
+      expect(averages[stat]).toBeGreaterThanOrEqual(min)
+      expect(averages[stat]).toBeLessThanOrEqual(max)
+    })
+  }
+
+  it('makes threes at a lower rate than field goals overall', () => {
+    expect(averages.fg3Pct).toBeLessThan(averages.fgPct)
+  })
+
+  it('scores every point in the box score exactly once', () => {
+    const boxPoints = lines => lines.reduce((sum, line) => sum + line.points, 0)
+    const mismatched = results.filter(r =>
+      boxPoints(r.box_score.home) !== r.home_score || boxPoints(r.box_score.away) !== r.away_score)
+
+    expect(mismatched).toHaveLength(0)
+  })
+
+  it('never produces a tie', () => {
+    expect(results.every(r => r.home_score !== r.away_score)).toBe(true)
+  })
+
+  it('reproduces a game exactly from its seed', () => {
+    const { teams } = createLeague({ seed: SEED })
+    const replay = (seed) => new GameSimulator().simulateGame(teams[0], teams[1], { seed }).box_score
+
+    expect(replay(42)).toEqual(replay(42))
+  })
+})
@@ -0,0 +1,40 @@
+// Player and roster factories for tests of contracts, free agency and team finances
+
+const POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C']
+
+export const motivations = weights => Object.fromEntries(
+  Object.entries(weights).map(([key, weight]) => [key, { weight, satisfaction: 0.5 }])
+)
+
+export const BALANCED = motivations({ money: 0.6, winning: 0.6, loyalty: 0.5, role: 0.5, starPairing: 0.4, coaching: 0.4, market: 0.3, legacy: 0.4 })
+
+export const freeAgent = (id, rating, extra = {}) => ({
+  id,
+  firstName: 'Free',
+  lastName: id,
+  position: 'SG',
+  age: 27,
+  overallRating: rating,
+  isFreeAgent: 1,
+  teamId: null,
+  teamAbbreviation: 'FA',
+  motivations: structuredClone(BALANCED),
+  ...extra,
+})
+
+export const rosterOf = (team, count, { rating = 70, salary = 5_000_000, positions = POSITIONS } = {}) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: `${team.abbreviation}-${i}`,
+    teamId: team.id,
+    teamAbbreviation: team.abbreviation,
+    position: positions[i % positions.length],
+    age: 28,
+    overallRating: rating,
+    contractSalary: salary,
+  }))
+
+// League players from [team, count, rosterOf options] entries, then the free agents
+export const league = (rosters, freeAgents = []) => [
+  ...rosters.flatMap(([team, count, options]) => rosterOf(team, count, options)),
+  ...freeAgents,
+]
@@ -0,0 +1,65 @@
+// In-memory stand-in for IndexedDB, for tests that mock '@/engine/db/GameDatabase'.
+// vi.mock factories are hoisted, so load this from inside the factory:
+//
+//   vi.mock('@/engine/db/GameDatabase', async () =>
+//     (await import('../helpers/memoryDatabase')).mockGameDatabase(() => database))
+
+const KEY_PATHS = {
+  campaigns: r => r.id,
+  teams: r => `${r.campaignId}|${r.id}`,
+  players: r => `${r.campaignId}|${r.id}`,
+  seasons: r => `${r.campaignId}|${r.year}`,
+  news: null,
+  trades: null,
+  syncMeta: r => r.key,
+}
+
+const CAMPAIGN_STORES = ['teams', 'players', 'seasons', 'news', 'trades']
+
+// Stores without a key path number their records like autoIncrement does.
+// Pass a database to start from a copy of its data.
+export function createMemoryDatabase(copyOf) {
+  const stores = Object.fromEntries(Object.keys(KEY_PATHS).map(name =>
+    [name, copyOf ? structuredClone(copyOf.stores[name]) : new Map()]))
+  let nextId = copyOf?.nextId() ?? 1
+  const keyOf = key => (Array.isArray(key) ? key.join('|') : key)
+  const clone = value => (value === undefined ? undefined : structuredClone(value))
+  const put = (store, record) => {
+    const copy = clone(record)
+    if (!KEY_PATHS[store] && copy.id === undefined) copy.id = nextId++
+    stores[store].set(KEY_PATHS[store] ? KEY_PATHS[store](copy) : copy.id, copy)
+  }
+  const db = {
+    get: async (store, key) => clone(stores[store].get(keyOf(key))),
+    put: async (store, record) => put(store, record),
+    add: async (store, record) => put(store, record),
+    delete: async (store, key) => { stores[store].delete(keyOf(key)) },
+    getAllFromIndex: async (store, _index, campaignId) =>
+      [...stores[store].values()].filter(r => r.campaignId === campaignId).map(clone),
+    transaction: store => ({
+      store: { put: record => put(store, record) },
+      done: Promise.resolve(),
+    }),
+  }
+  return { db, stores, nextId: () => nextId }
+}
+
+export function touchRecord(record, now = new Date().toISOString()) {
+  record.updatedAt = now
+  record.version = (record.version ?? 0) + 1
+  return record
+}
+
+// Module stand-in for GameDatabase, backed by whichever database `current` returns
+export function mockGameDatabase(current) {
+  return {
+    withDB: fn => fn(current().db),
+    touchRecord,
+    clearCampaignData: async campaignId => {
+      const { stores } = current()
+      for (const name of CAMPAIGN_STORES) {
+        for (const [key, r] of stores[name]) if (r.campaignId === campaignId) stores[name].delete(key)
+      }
+    },
+  }
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import { evaluateCoachJobSecurity, runCoachingCarousel } from '@/engine/ai/AICoachingService'
+import { updateAfterCoachingChange } from '@/engine/evolution/MoraleService'
+import { withSeed } from '@/engine/utils/Random'
+
+const makeCoach = (id, overall, extra = {}) => ({
+  id,
+  name: `Coach ${id}`,
+  overallRating: overall,
+  overall_rating: overall,
+  contractYearsRemaining: 3,
+  contract_years_remaining: 3,
+  seasons_with_team: 4,
+  career_stats: { seasons_coached: 4, wins: 164, losses: 164, win_pct: 0.5, championships: 0 },
+  ...extra,
+})
+
+// A loaded roster is read as a contender, so a losing season is a big miss
+const contenderRoster = teamId => Array.from({ length: 10 }, (_, i) => ({
+  id: `${teamId}-p${i}`,
+  teamId,
+  age: 28,
+  overall_rating: 86 - i,
+  contract: { years_remaining: 3 },
+}))
+
+const team = (id, coach) => ({ id, name: `Team ${id}`, abbreviation: id.toUpperCase(), coach, coaching_scheme: {} })
+
+describe('evaluateCoachJobSecurity', () => {
+  const roster = contenderRoster('a')
+
+  it('never puts a title-winning coach in danger', () => {
+    const result = evaluateCoachJobSecurity(team('a', makeCoach('c1', 70)), roster, { wins: 20, losses: 62 }, { wonTitle: true })
+    expect(result.fireChance).toBe(0)
+  })
+
+  it('leaves a coach who meets expectations alone', () => {
+    const result = evaluateCoachJobSecurity(team('a', makeCoach('c1', 70)), roster, { wins: 60, losses: 22 }, { madePlayoffs: true })
+    expect(result.fireChance).toBe(0)
+  })
+
+  it('puts a coach on the hot seat after a large shortfall', () => {
+    const result = evaluateCoachJobSecurity(team('a', makeCoach('c1', 70)), roster, { wins: 20, losses: 62 })
+    expect(result.fireChance).toBeGreaterThan(0.5)
+  })
+})
+
+describe('runCoachingCarousel', () => {
+  const run = () => {
+    const teams = [team('user', makeCoach('u', 70)), team('ai', makeCoach('a', 70))]
+    const players = [...contenderRoster('user'), ...contenderRoster('ai')]
+    const standings = {
+      east: [
+        { teamId: 'user', wins: 10, losses: 72 },
+        { teamId: 'ai', wins: 10, losses: 72 },
+      ],
+      west: [],
+    }
+    const coachPool = [makeCoach('fa1', 88, { contractYearsRemaining: 0 }), makeCoach('fa2', 60, { contractYearsRemaining: 0 })]
+    const result = withSeed(7, () => runCoachingCarousel({
+      teams, players, standings, coachPool, userTeamId: 'user', year: 2026,
+    }))
+    return { teams, result }
+  }
+
+  it("never fires the user's coach and ticks their contract down", () => {
+    const { teams, result } = run()
+    expect(result.firings.some(f => f.teamId === 'user')).toBe(false)
+    expect(teams[0].coach.id).toBe('u')
+    expect(teams[0].coach.contractYearsRemaining).toBe(2)
+  })
+
+  it('fills every AI vacancy from the pool', () => {
+    const { teams, result } = run()
+    expect(result.firings.map(f => f.teamId)).toEqual(['ai'])
+    for (const firing of result.firings) {
+      const hiring = result.hirings.find(h => h.teamId === firing.teamId)
+      expect(hiring).toBeDefined()
+      expect(hiring.coach.id).not.toBe(firing.coach.id)
+      expect(teams.find(t => t.id === firing.teamId).coach.id).toBe(hiring.coach.id)
+      expect(result.coachPool.some(c => c.id === firing.coach.id)).toBe(true)
+    }
+  })
+})
+
+describe('updateAfterCoachingChange', () => {
+  const player = { id: 'p1', personality: { morale: 70, traits: [] } }
+
+  it('costs morale when the new coach is a downgrade and less for an upgrade', () => {
+    const downgrade = updateAfterCoachingChange(player, { overallRating: 85 }, { overallRating: 65 }).personality.morale
+    const upgrade = updateAfterCoachingChange(player, { overallRating: 65 }, { overallRating: 85 }).personality.morale
+    expect(downgrade).toBeLessThan(70)
+    expect(upgrade).toBeGreaterThan(downgrade)
+  })
+})
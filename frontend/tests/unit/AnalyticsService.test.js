@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { AnalyticsService } from '@/engine/season/AnalyticsService'
+import { calculateExpectedSalary } from '@/engine/ai/AITradeService'
+
+function playSeasonSlice(gameCount = 4) {
+  const { teams } = createLeague({ seed: 3 })
+  const seasonData = SeasonManager.initializeSeason(teams, 2025, 'c1')
+  SeasonManager.generateSchedule(seasonData, teams, null, 2025)
+
+  const simulator = new GameSimulator()
+  const results = seasonData.schedule.slice(0, gameCount).map((game, i) => {
+    const home = teams.find(t => t.id === game.homeTeamId)
+    const away = teams.find(t => t.id === game.awayTeamId)
+    const result = simulator.simulateGame(home, away, { generateAnimationData: false, seed: 20 + i })
+    return {
+      gameId: game.id,
+      homeTeamId: game.homeTeamId,
+      awayTeamId: game.awayTeamId,
+      homeScore: result.home_score,
+      awayScore: result.away_score,
+      boxScore: result.box_score,
+      quarterScores: result.quarter_scores,
+      isUserGame: false,
+    }
+  })
+  SeasonManager.bulkMergeResults(seasonData, results)
+
+  return { seasonData, results }
+}
+
+describe('team box totals', () => {
+  it('records each side and what it allowed', () => {
+    const { seasonData, results } = playSeasonSlice(1)
+    const [result] = results
+    const home = SeasonManager.getTeamStats(seasonData, result.homeTeamId)
+    const away = SeasonManager.getTeamStats(seasonData, result.awayTeamId)
+
+    expect(home.boxGames).toBe(1)
+    expect(home.box.points).toBe(result.homeScore)
+    expect(home.opponentBox.points).toBe(result.awayScore)
+    expect(away.box).toEqual(home.opponentBox)
+  })
+})
+
+describe('AnalyticsService', () => {
+  it('gives opponents mirrored ratings', () => {
+    const { seasonData, results } = playSeasonSlice(1)
+    const { teams } = AnalyticsService.getSeasonAnalytics(seasonData)
+    const home = teams[results[0].homeTeamId]
+    const away = teams[results[0].awayTeamId]
+
+    expect(home.possessions).toBeCloseTo(away.possessions, 1)
+    expect(home.offRating).toBeCloseTo(away.defRating, 1)
+    expect(home.netRating).toBeCloseTo(-away.netRating, 1)
+    expect(home.pace).toBeGreaterThan(0)
+    expect(home.fourFactors.efgPct).toBeGreaterThan(0)
+    expect(home.opponentFourFactors).toEqual(away.fourFactors)
+  })
+
+  it('normalises PER to a league average of 15', () => {
+    const { seasonData } = playSeasonSlice()
+    const { players } = AnalyticsService.getSeasonAnalytics(seasonData)
+
+    let weighted = 0
+    let minutes = 0
+    for (const p of Object.values(players)) {
+      weighted += p.per * p.minutesPlayed
+      minutes += p.minutesPlayed
+    }
+    expect(weighted / minutes).toBeCloseTo(15, 0)
+  })
+
+  it('averages usage to 20% of a team\'s plays', () => {
+    const { seasonData, results } = playSeasonSlice(1)
+    const { players } = AnalyticsService.getSeasonAnalytics(seasonData)
+    const teamId = results[0].homeTeamId
+    const roster = Object.values(players).filter(p => p.teamId === teamId && p.minutesPlayed > 0)
+
+    const weighted = roster.reduce((sum, p) => sum + p.usgPct * p.minutesPlayed, 0)
+    const minutes = roster.reduce((sum, p) => sum + p.minutesPlayed, 0)
+    expect(weighted / minutes).toBeCloseTo(20, 0)
+  })
+
+  it('computes true shooting from points and attempts', () => {
+    const { seasonData } = playSeasonSlice(1)
+    const [playerId, stats] = Object.entries(seasonData.playerStats)
+      .find(([, s]) => s.fieldGoalsAttempted > 0)
+    const metrics = AnalyticsService.getPlayerAnalytics(seasonData, playerId)
+
+    const expected = stats.points / (2 * (stats.fieldGoalsAttempted + 0.44 * stats.freeThrowsAttempted)) * 100
+    expect(metrics.tsPct).toBeCloseTo(expected, 1)
+    expect(metrics.ws).toBeCloseTo(metrics.ows + metrics.dws, 0)
+  })
+
+  it('hands out roughly one win share per win', () => {
+    const { seasonData } = playSeasonSlice(12)
+    const { players } = AnalyticsService.getSeasonAnalytics(seasonData)
+    const total = Object.values(players).reduce((sum, p) => sum + p.ws, 0)
+
+    expect(total).toBeGreaterThan(10)
+    expect(total).toBeLessThan(14)
+  })
+
+  it('keeps playoff games out of the regular-season ratings', () => {
+    const { seasonData, results } = playSeasonSlice(1)
+    const game = { ...seasonData.schedule[1], isPlayoff: true, playoffRound: 1 }
+    SeasonManager.updateTeamBoxTotals(seasonData, game, results[0].boxScore)
+
+    const regular = SeasonManager.getTeamStats(seasonData, results[0].homeTeamId)
+    expect(regular.boxGames).toBe(1)
+    const playoffs = AnalyticsService.getSeasonAnalytics(seasonData, { playoffs: true })
+    expect(Object.keys(playoffs.teams)).toEqual(expect.arrayContaining([game.homeTeamId, game.awayTeamId]))
+  })
+})
+
+describe('calculateExpectedSalary with advanced stats', () => {
+  const stats = { gamesPlayed: 20, minutesPlayed: 600, points: 360, rebounds: 100, assists: 60 }
+
+  it('pays efficient producers more than inefficient ones', () => {
+    const efficient = calculateExpectedSalary({ ...stats, advanced: { per: 22 } }, 82)
+    const inefficient = calculateExpectedSalary({ ...stats, advanced: { per: 11 } }, 82)
+    const plain = calculateExpectedSalary(stats, 82)
+
+    expect(efficient).toBeGreaterThan(plain)
+    expect(inefficient).toBeLessThan(plain)
+  })
+})
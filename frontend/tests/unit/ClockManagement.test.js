@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { NewsService } from '@/engine/season/NewsService'
+import { LATE_GAME, SHOT_CLOCK_SECONDS } from '@/engine/config/GameConfig'
+import { withSeed } from '@/engine/utils/Random'
+
+// A simulator set up at the given point of the game, home team on offense
+function atClock({ quarter = 4, seconds, home = 100, away = 100 }) {
+  const { teams } = createLeague({ seed: 3 })
+  const simulator = new GameSimulator()
+  simulator.tipOff(teams[0], teams[1], { seed: 9 })
+  simulator.deserializeState(simulator.serializeState())
+  simulator.currentQuarter = quarter
+  simulator.timeRemaining = seconds / 60
+  simulator.homeScore = home
+  simulator.awayScore = away
+  return simulator
+}
+
+const plan = (simulator, calls = {}) => simulator.planPossession(true, calls)
+
+describe('planPossession', () => {
+  it('plays normal possessions outside crunch time', () => {
+    const result = plan(atClock({ quarter: 2, seconds: 300 }))
+    expect(result.tempo).toBe('normal')
+    expect(result.shotClock).toBe(SHOT_CLOCK_SECONDS)
+  })
+
+  it('goes two-for-one and holds for the last shot at the end of a period', () => {
+    const twoForOne = plan(atClock({ quarter: 1, seconds: 33 }))
+    expect(twoForOne.tempo).toBe('two_for_one')
+    expect(twoForOne.seconds).toBeLessThanOrEqual(LATE_GAME.quick_shot_seconds[1])
+
+    const lastShot = plan(atClock({ quarter: 3, seconds: 18 }))
+    expect(lastShot.tempo).toBe('last_shot')
+    expect(lastShot.seconds).toBe(18)
+  })
+
+  it('milks the clock with a lead and hurries for threes when behind', () => {
+    const milk = plan(atClock({ seconds: 90, home: 104, away: 100 }))
+    expect(milk.tempo).toBe('milk')
+    expect(milk.seconds).toBeGreaterThanOrEqual(LATE_GAME.milk_seconds[0])
+    expect(milk.shotClock).toBeLessThan(8)
+
+    const hurry = plan(atClock({ seconds: 90, home: 95, away: 101 }))
+    expect(hurry.tempo).toBe('hurry')
+    expect(hurry.huntThree).toBe(true)
+  })
+
+  it('has a trailing defense foul once the shot clock is off', () => {
+    expect(plan(atClock({ seconds: 20, home: 102, away: 100 })).tempo).toBe('foul')
+    expect(plan(atClock({ seconds: 40, home: 106, away: 100 })).tempo).toBe('foul')
+    // Down one possession with more than a shot clock left: play defense
+    expect(plan(atClock({ seconds: 40, home: 102, away: 100 })).tempo).toBe('milk')
+    // Too far behind for fouling to help
+    expect(plan(atClock({ seconds: 20, home: 115, away: 100 })).tempo).toBe('milk')
+  })
+
+  it('leaves fouling to the user while they coach each possession', () => {
+    const simulator = atClock({ seconds: 20, home: 102, away: 100 })
+    simulator.userTeamId = simulator.awayTeam.id
+    simulator.userCallsTimeouts = true
+    expect(plan(simulator).tempo).toBe('milk')
+  })
+})
+
+describe('endgame results', () => {
+  it('turns over the ball on a shot-clock violation', () => {
+    const simulator = atClock({ quarter: 1, seconds: 300 })
+    const turnovers = () => Object.values(simulator.homeBoxScore).reduce((n, s) => n + s.turnovers, 0)
+    const before = turnovers()
+
+    const keepsBall = simulator.simulatePossession('home', 0.4, { shotClockViolation: true })
+    expect(keepsBall).toBe(false)
+    expect(turnovers()).toBe(before + 1)
+    expect(simulator.homeScore).toBe(100)
+  })
+
+  it('takes more threes when hunting them down late', () => {
+    const threeRate = (calls) => {
+      const simulator = atClock({ seconds: 90, home: 95, away: 101 })
+      withSeed(5, () => {
+        for (let i = 0; i < 2000; i++) simulator.simulatePossession('home', 0.1, calls)
+      })
+      const box = Object.values(simulator.homeBoxScore)
+      const attempts = box.reduce((n, s) => n + s.fieldGoalsAttempted, 0)
+      return box.reduce((n, s) => n + s.threePointersAttempted, 0) / attempts
+    }
+
+    expect(threeRate({ huntThree: true })).toBeGreaterThan(threeRate({}) + 0.02)
+  })
+
+  it('only keeps a clutch play while the lead holds', () => {
+    const simulator = atClock({ seconds: 30, home: 99, away: 100 })
+    const shooter = simulator.homeLineup[0]
+    simulator.processPlayResult({
+      outcome: 'made',
+      points: 2,
+      shotAttempt: { shooter: shooter.id, shotType: 'midRange', made: true },
+    }, simulator.homeLineup, simulator.awayLineup, true, 0.1)
+
+    expect(simulator.lastClutchPlay).toMatchObject({ isHomeTeam: true, shotType: 'jumper', secondsLeft: 24 })
+    simulator.addPoints(false, 1)
+    expect(simulator.lastClutchPlay).toBeNull()
+  })
+
+  it('writes buzzer-beaters into the news', () => {
+    const news = NewsService.createGameWinnerNews({
+      player: { id: 'p1', first_name: 'Sam', last_name: 'Reed' },
+      homeTeam: { id: 'h', name: 'Hawks' },
+      awayTeam: { id: 'a', name: 'Owls' },
+      homeScore: 101,
+      awayScore: 100,
+      isHomeTeam: true,
+      shotType: 'three-pointer',
+      secondsLeft: 0,
+      gameDate: '2025-11-02',
+    })
+    expect(news.eventType).toBe('game_winner')
+    expect(news.body).toContain('three-pointer at the buzzer')
+  })
+})
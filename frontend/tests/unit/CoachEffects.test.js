@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { getCoachAttributeFactor } from '@/engine/data/coaches'
+import { coachingEngine } from '@/engine/simulation/CoachingEngine'
+import { applyCloseGameOverride } from '@/engine/simulation/SubstitutionEngine'
+import { updateAfterGame, updateWeekly } from '@/engine/evolution/MoraleService'
+import { getCoachDevelopmentMultiplier } from '@/engine/evolution/DevelopmentCalculator'
+import { COACH_EFFECTS } from '@/engine/config/GameConfig'
+
+const coachWith = (attributes) => ({ attributes })
+const ELITE = coachWith({ offensiveIQ: 95, defensiveIQ: 95, playerDevelopment: 95, motivation: 95, gameManagement: 95 })
+const POOR = coachWith({ offensiveIQ: 55, defensiveIQ: 55, playerDevelopment: 55, motivation: 55, gameManagement: 55 })
+
+const ROSTER = Array.from({ length: 8 }, (_, i) => ({ id: `p${i}`, overall_rating: 80 - i }))
+
+describe('getCoachAttributeFactor', () => {
+  it('is zero for an average coach or a missing rating', () => {
+    expect(getCoachAttributeFactor(coachWith({ motivation: COACH_EFFECTS.average_rating }), 'motivation')).toBe(0)
+    expect(getCoachAttributeFactor(null, 'motivation')).toBe(0)
+    expect(getCoachAttributeFactor(coachWith({}), 'motivation')).toBe(0)
+  })
+
+  it('clamps to [-1, 1]', () => {
+    expect(getCoachAttributeFactor(coachWith({ motivation: 99 }), 'motivation')).toBe(1)
+    expect(getCoachAttributeFactor(coachWith({ motivation: 40 }), 'motivation')).toBe(-1)
+  })
+})
+
+describe('coach defensiveIQ', () => {
+  it('makes shots harder and turnovers likelier for a better defensive coach', () => {
+    const play = { category: 'motion' }
+    const base = coachingEngine.calculateDefensiveModifiers('man', play)
+    const elite = coachingEngine.calculateDefensiveModifiers('man', play, ELITE)
+    const poor = coachingEngine.calculateDefensiveModifiers('man', play, POOR)
+
+    expect(elite.shotModifier).toBeLessThan(base.shotModifier)
+    expect(elite.turnoverModifier).toBeGreaterThan(base.turnoverModifier)
+    expect(poor.shotModifier).toBeGreaterThan(base.shotModifier)
+  })
+})
+
+describe('coach gameManagement', () => {
+  // Q4, 6:00 left, up 7: outside the default close-game window and margin
+  const override = coach => applyCloseGameOverride(ROSTER, 4, 6.0, 7, {}, {}, coach)
+
+  it('closes with the best five earlier for a good game manager', () => {
+    expect(override(null)).toBeNull()
+    expect(override(ELITE)).toEqual(['p0', 'p1', 'p2', 'p3', 'p4'])
+  })
+
+  it('waits longer for a poor game manager', () => {
+    expect(applyCloseGameOverride(ROSTER, 4, 4.5, 0, {}, {}, null)).not.toBeNull()
+    expect(applyCloseGameOverride(ROSTER, 4, 4.5, 0, {}, {}, POOR)).toBeNull()
+  })
+})
+
+describe('coach motivation', () => {
+  const player = { id: 'p1', overall_rating: 80, personality: { morale: 70, traits: [] } }
+  const loss = { won: false, streak: -4 }
+  const benched = { minutes: 0 }
+
+  it('softens morale drops under a good motivator', () => {
+    const neutral = updateAfterGame(player, loss, benched, 'pro').personality.morale
+    const elite = updateAfterGame(player, loss, benched, 'pro', ELITE).personality.morale
+    const poor = updateAfterGame(player, loss, benched, 'pro', POOR).personality.morale
+
+    expect(neutral).toBeLessThan(70)
+    expect(elite).toBeGreaterThan(neutral)
+    expect(poor).toBeLessThan(neutral)
+  })
+
+  it('tempers morale gains the same way', () => {
+    const win = { won: true, streak: 4 }
+    const starter = { minutes: 36 }
+    const neutral = updateAfterGame(player, win, starter, 'pro').personality.morale
+    const elite = updateAfterGame(player, win, starter, 'pro', ELITE).personality.morale
+    const poor = updateAfterGame(player, win, starter, 'pro', POOR).personality.morale
+
+    expect(neutral).toBeGreaterThan(70)
+    expect(elite).toBeLessThan(neutral)
+    expect(poor).toBeGreaterThan(neutral)
+  })
+
+  it('steadies weekly morale too', () => {
+    const expiring = { ...player, contractYearsRemaining: 1 }
+    const losing = { wins: 2, losses: 8 }
+    const neutral = updateWeekly(expiring, losing).personality.morale
+    const elite = updateWeekly(expiring, losing, ELITE).personality.morale
+
+    expect(neutral).toBeLessThan(70)
+    expect(elite).toBeGreaterThan(neutral)
+  })
+})
+
+describe('coach playerDevelopment', () => {
+  it('scales development around 1.0', () => {
+    expect(getCoachDevelopmentMultiplier(null)).toBe(1)
+    expect(getCoachDevelopmentMultiplier(ELITE)).toBeCloseTo(1 + COACH_EFFECTS.player_development_scale)
+    expect(getCoachDevelopmentMultiplier(POOR)).toBeLessThan(1)
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import { negotiateFreeAgentContract, getAskingContract, normalizeOffer } from '@/engine/finance/ContractNegotiation'
+import { signFreeAgent } from '@/engine/finance/FinanceManager'
+import { freeAgent, league, motivations } from '../helpers/leagueFixtures'
+
+const RING_CHASER = motivations({ money: 0.3, winning: 1, loyalty: 0.2, role: 0.3, starPairing: 0.9, coaching: 0.4, market: 0.2, legacy: 0.7 })
+
+const USER = { id: 'user', abbreviation: 'SAC', name: 'Kings' }
+const RIVAL = { id: 'rival', abbreviation: 'BOS', name: 'Celtics' }
+
+function market({ rivalRoster = 15, rivalRating = 74 } = {}) {
+  return {
+    teams: [USER, RIVAL],
+    players: league([[USER, 13, { rating: 72 }], [RIVAL, rivalRoster, { rating: rivalRating }]]),
+    standings: {
+      east: [{ teamId: 'rival', wins: 30, losses: 10 }],
+      west: [{ teamId: 'user', wins: 20, losses: 20 }],
+    },
+  }
+}
+
+function negotiate(player, offer, setup = market()) {
+  return negotiateFreeAgentContract({
+    player,
+    offer,
+    userTeam: USER,
+    leaguePlayers: [...setup.players, player],
+    allTeams: setup.teams,
+    standings: setup.standings,
+  })
+}
+
+describe('free agent negotiation', () => {
+  it('prices players by rating', () => {
+    const bench = getAskingContract(freeAgent('bench', 60))
+    const star = getAskingContract(freeAgent('star', 90))
+
+    expect(bench.salary).toBeLessThan(3_000_000)
+    expect(star.salary).toBeGreaterThan(35_000_000)
+
+    const sameOffer = { years: 2, salary: 8_000_000 }
+    expect(negotiate(freeAgent('bench', 60), sameOffer).decision).toBe('accept')
+    expect(negotiate(freeAgent('star', 90), sameOffer).decision).toBe('reject')
+  })
+
+  it('counters a near miss with terms the player then accepts', () => {
+    const player = freeAgent('wing', 80)
+    const asking = getAskingContract(player)
+    const result = negotiate(player, { years: asking.years, salary: Math.round(asking.salary * 0.75) })
+
+    expect(result.decision).toBe('counter')
+    expect(result.counter.salary).toBeGreaterThan(result.offer.salary)
+    expect(negotiate(player, result.counter).decision).toBe('accept')
+  })
+
+  it('values options and contract length', () => {
+    const player = freeAgent('wing', 80)
+    const asking = getAskingContract(player)
+    const offer = { years: asking.years, salary: asking.salary }
+
+    expect(negotiate(player, { ...offer, option: 'player' }).decision).toBe('accept')
+    expect(negotiate(player, { ...offer, option: 'team' }).decision).not.toBe('accept')
+    expect(normalizeOffer({ years: 1, salary: 5_000_000, option: 'player' }).option).toBe('none')
+  })
+
+  it('weighs a contender bid against the user offer', () => {
+    const player = freeAgent('vet', 78, { motivations: structuredClone(RING_CHASER) })
+    const asking = getAskingContract(player)
+    const offer = { years: asking.years, salary: asking.salary }
+
+    // A full rival roster can't bid; an open one can
+    expect(negotiate(player, offer).competingOffers).toEqual([])
+
+    const contested = negotiate(player, offer, market({ rivalRoster: 12, rivalRating: 80 }))
+    expect(contested.competingOffers.map(o => o.teamAbbreviation)).toEqual(['BOS'])
+    expect(contested.decision).not.toBe('accept')
+  })
+
+  it('signs on the agreed terms', () => {
+    const player = freeAgent('bench', 60)
+    const result = signFreeAgent({
+      playerId: 'bench',
+      leaguePlayers: [player],
+      currentRoster: [],
+      offer: { years: 3, salary: 2_500_000, option: 'team' },
+    })
+
+    expect(result.success).toBe(true)
+    expect(result.player).toMatchObject({ contractYearsRemaining: 3, contractSalary: 2_500_000, contractOption: 'team' })
+    expect(result.transaction.totalValue).toBe(2_500_000 + 2_630_000 + 2_750_000)
+  })
+})
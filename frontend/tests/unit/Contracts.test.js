@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createContract,
+  advanceContract,
+  exerciseOption,
+  declineOption,
+  getPendingOption,
+  getGuaranteedYears,
+  getSalarySchedule,
+  isExtensionEligible,
+  willWaiveNoTradeClause,
+} from '@/engine/finance/ContractService'
+import { calculateDeadMoney, resignPlayer } from '@/engine/finance/FinanceManager'
+import { validateNoTradeClauses } from '@/engine/finance/TradeExecutor'
+import { processContractOptions } from '@/engine/ai/AIContractService'
+import { evaluateTrade } from '@/engine/ai/AITradeService'
+import { assignRookieContract } from '@/engine/draft/RookieContractService'
+
+const BOS = { id: 'bos', abbreviation: 'BOS', name: 'Celtics' }
+const DET = { id: 'det', abbreviation: 'DET', name: 'Pistons' }
+
+const player = (id, contract, extra = {}) => ({
+  id,
+  firstName: 'Deal',
+  lastName: id,
+  position: 'SF',
+  age: 27,
+  overallRating: 72,
+  teamId: 'bos',
+  teamAbbreviation: 'BOS',
+  ...contract,
+  ...extra,
+})
+
+// Play out seasons of a contract
+const advance = (p, seasons) => {
+  let current = p
+  for (let i = 0; i < seasons; i++) current = { ...current, ...advanceContract(current) }
+  return current
+}
+
+describe('salary schedules', () => {
+  it('raises the salary every season of the deal', () => {
+    const deal = player('p', createContract({ salary: 10_000_000, years: 3 }))
+    expect(getSalarySchedule(deal)).toEqual([10_000_000, 10_500_000, 11_000_000])
+
+    const nextSeason = advance(deal, 1)
+    expect(nextSeason).toMatchObject({ contractSalary: 10_500_000, contractYearsRemaining: 2 })
+    expect(getSalarySchedule(nextSeason)).toEqual([10_500_000, 11_000_000])
+  })
+
+  it('reads a flat schedule off contracts without one', () => {
+    expect(getSalarySchedule({ contractSalary: 4_000_000, contractYearsRemaining: 2 })).toEqual([4_000_000, 4_000_000])
+  })
+})
+
+describe('options', () => {
+  it('comes up for a decision in the option season', () => {
+    const deal = player('p', createContract({ salary: 8_000_000, years: 2, option: 'team' }))
+    expect(getPendingOption(deal)).toBeNull()
+    expect(getPendingOption(advance(deal, 1))).toBe('team')
+  })
+
+  it('keeps the player when exercised and ends the deal when declined', () => {
+    const optionSeason = advance(player('p', createContract({ salary: 8_000_000, years: 2, option: 'team' })), 1)
+
+    const exercised = { ...optionSeason, ...exerciseOption(optionSeason) }
+    expect(getPendingOption(exercised)).toBeNull()
+    expect(exercised.contractYearsRemaining).toBe(1)
+
+    expect(declineOption(optionSeason)).toMatchObject({ contractYearsRemaining: 0 })
+  })
+
+  it('lets players opt out for a better market and AI teams drop options not worth the money', () => {
+    const underpaid = advance(player('star', createContract({ salary: 5_000_000, years: 2, option: 'player' }), { overallRating: 86 }), 1)
+    const overpaid = advance(player('bust', createContract({ salary: 25_000_000, years: 2, option: 'team' }), { overallRating: 66 }), 1)
+    const userOption = advance(player('mine', createContract({ salary: 25_000_000, years: 2, option: 'team' }), { teamId: 'det', teamAbbreviation: 'DET' }), 1)
+
+    const { decisions, updatedPlayers } = processContractOptions({
+      leaguePlayers: [underpaid, overpaid, userOption],
+      allTeams: [BOS, DET],
+      userTeamId: 'det',
+      standings: { east: [], west: [] },
+    })
+
+    expect(decisions.map(d => [d.playerId, d.option, d.exercised])).toEqual([
+      ['star', 'player', false],
+      ['bust', 'team', false],
+    ])
+    expect(updatedPlayers.find(p => p.id === 'star').contractYearsRemaining).toBe(0)
+    expect(getPendingOption(updatedPlayers.find(p => p.id === 'mine'))).toBe('team')
+  })
+
+  it('leaves team option years off the dead money', () => {
+    const deal = player('p', createContract({ salary: 6_000_000, years: 3, option: 'team' }))
+    expect(getGuaranteedYears(deal)).toBe(2)
+    expect(calculateDeadMoney({ player: deal })).toMatchObject({ seasonsRemaining: 2, totalAmount: 12_300_000 })
+  })
+})
+
+describe('rookie-scale contracts', () => {
+  it('guarantees two seasons with team options on the third and fourth', () => {
+    const rookie = player('rookie', assignRookieContract(3))
+    expect(getGuaranteedYears(rookie)).toBe(2)
+    expect(getPendingOption(advance(rookie, 2))).toBe('team')
+    expect(assignRookieContract(45).contractDetails.rookieScale).toBe(false)
+  })
+
+  it('can be extended once the last option is picked up, up to the rookie max', () => {
+    let rookie = advance(player('rookie', assignRookieContract(3)), 3)
+    expect(isExtensionEligible(rookie)).toBe(false)
+    rookie = { ...rookie, ...exerciseOption(rookie) }
+    expect(isExtensionEligible(rookie)).toBe(true)
+
+    expect(resignPlayer({ player: rookie, years: 4, salary: 60_000_000, salaryCap: 140_000_000 }).success).toBe(false)
+
+    const result = resignPlayer({ player: rookie, years: 4, salary: 30_000_000, salaryCap: 140_000_000 })
+    expect(result.success).toBe(true)
+    expect(result.player.contractSalary).toBe(rookie.contractSalary)
+    expect(getSalarySchedule(result.player)).toHaveLength(5)
+    expect(getSalarySchedule(advance(result.player, 1))[0]).toBe(30_000_000)
+  })
+
+  it("can't be extended before the last season", () => {
+    const veteran = player('vet', createContract({ salary: 10_000_000, years: 3 }))
+    expect(resignPlayer({ player: veteran, years: 2, salary: 10_000_000 }).success).toBe(false)
+  })
+})
+
+describe('no-trade clauses', () => {
+  const standings = { BOS: { wins: 30, losses: 10 }, DET: { wins: 10, losses: 30 } }
+  const context = { standings }
+  const protectedPlayer = (extra = {}) => player('ntc', createContract({ salary: 30_000_000, years: 3, noTradeClause: true }), {
+    overallRating: 88,
+    morale: 80,
+    motivations: { winning: { weight: 0.8 } },
+    ...extra,
+  })
+
+  it('waives only for a clearly better team, or when unhappy', () => {
+    const fromDet = protectedPlayer({ teamId: 'det', teamAbbreviation: 'DET' })
+    expect(willWaiveNoTradeClause(fromDet, BOS, context)).toBe(true)
+    expect(willWaiveNoTradeClause(protectedPlayer(), DET, context)).toBe(false)
+    expect(willWaiveNoTradeClause(protectedPlayer({ morale: 30 }), DET, context)).toBe(true)
+  })
+
+  it('blocks trades the player won\'t agree to', () => {
+    const star = protectedPlayer()
+    const getPlayerFn = (id) => (id === star.id ? star : null)
+
+    const check = validateNoTradeClauses({
+      userGiving: [{ type: 'player', playerId: star.id }],
+      userReceiving: [],
+      getPlayerFn,
+      userTeam: BOS,
+      aiTeam: DET,
+      context,
+    })
+    expect(check.valid).toBe(false)
+    expect(check.reason).toContain('no-trade clause')
+
+    const evaluation = evaluateTrade({
+      proposal: { aiReceives: [{ type: 'player', playerId: star.id }], aiGives: [] },
+      team: DET,
+      teamRoster: [],
+      context,
+      getPlayerFn,
+    })
+    expect(evaluation.decision).toBe('reject')
+    expect(evaluation.reason).toContain('no-trade clause')
+  })
+})
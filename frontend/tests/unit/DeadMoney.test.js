@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import {
+  dropPlayer,
+  getFinanceSummary,
+  calculateDeadMoney,
+  advanceDeadMoney,
+} from '@/engine/finance/FinanceManager'
+import { recalculatePayrolls } from '@/engine/finance/TradeExecutor'
+import { findWaiverClaim } from '@/engine/ai/AIContractService'
+import { rosterOf } from '../helpers/leagueFixtures'
+
+const player = (id, extra = {}) => ({
+  id,
+  firstName: 'Cut',
+  lastName: id,
+  position: 'SF',
+  age: 27,
+  overallRating: 66,
+  contractSalary: 12_000_000,
+  contractYearsRemaining: 3,
+  ...extra,
+})
+
+describe('dead money', () => {
+  it('keeps a released contract on the cap', () => {
+    const released = player('bust')
+    const result = dropPlayer({ player: released, leaguePlayers: [] })
+
+    expect(result.deadMoney).toMatchObject({ playerId: 'bust', annualAmount: 12_000_000, seasonsRemaining: 3, totalAmount: 36_000_000 })
+
+    const summary = getFinanceSummary({ roster: rosterOf({ id: 't', abbreviation: 'SAC' }, 12), salaryCap: 140_000_000, deadMoney: [result.deadMoney] })
+    expect(summary).toMatchObject({ active_payroll: 60_000_000, dead_money: 12_000_000, total_payroll: 72_000_000, cap_space: 68_000_000 })
+  })
+
+  it('leaves the team option year off the books', () => {
+    const deadMoney = calculateDeadMoney({ player: player('opt', { contractOption: 'team' }) })
+    expect(deadMoney.seasonsRemaining).toBe(2)
+    expect(deadMoney.totalAmount).toBe(24_000_000)
+  })
+
+  it('stretches the same money over more seasons', () => {
+    const stretched = calculateDeadMoney({ player: player('bust'), stretch: true })
+    expect(stretched).toMatchObject({ seasonsRemaining: 7, totalAmount: 36_000_000, stretched: true })
+    expect(stretched.annualAmount).toBeLessThan(12_000_000)
+
+    let entries = [stretched]
+    for (let season = 0; season < 6; season++) entries = advanceDeadMoney(entries)
+    expect(entries[0].seasonsRemaining).toBe(1)
+    expect(advanceDeadMoney(entries)).toEqual([])
+  })
+
+  it('counts in recalculated payrolls', () => {
+    const team = { id: 'det', abbreviation: 'DET', deadMoney: [calculateDeadMoney({ player: player('bust') })] }
+    const payrolls = recalculatePayrolls({
+      teamIds: ['det'],
+      userRoster: [],
+      leaguePlayers: rosterOf(team, 10),
+      userTeamId: 'user',
+      teams: [team],
+    })
+    expect(payrolls.det).toBe(62_000_000)
+  })
+})
+
+describe('waivers', () => {
+  const USER = { id: 'user', abbreviation: 'SAC', name: 'Kings' }
+  const BOS = { id: 'bos', abbreviation: 'BOS', name: 'Celtics' }
+  const DET = { id: 'det', abbreviation: 'DET', name: 'Pistons' }
+  const standings = {
+    east: [{ teamId: 'bos', wins: 30, losses: 10 }, { teamId: 'det', wins: 12, losses: 28 }],
+    west: [{ teamId: 'user', wins: 20, losses: 20 }],
+  }
+
+  function claimFor(released) {
+    const leaguePlayers = [...rosterOf(USER, 13), ...rosterOf(BOS, 12), ...rosterOf(DET, 12, { rating: 64 }), { ...released, teamId: 'user', teamAbbreviation: 'SAC' }]
+    return findWaiverClaim({ player: released, aiTeams: [BOS, DET], leaguePlayers, standings, allTeams: [USER, BOS, DET] })
+  }
+
+  it('gives the worst team first claim on a fair contract', () => {
+    const bargain = player('bargain', { overallRating: 74, contractSalary: 4_500_000 })
+    expect(claimFor(bargain)).toMatchObject({ teamId: 'det' })
+
+    const result = dropPlayer({ player: bargain, leaguePlayers: [bargain], waiverClaim: claimFor(bargain) })
+    expect(result.deadMoney).toBeNull()
+    expect(result.updatedLeaguePlayers[0]).toMatchObject({ teamId: 'det', contractSalary: 4_500_000 })
+  })
+
+  it('lets a bad contract clear waivers', () => {
+    expect(claimFor(player('bust', { overallRating: 62, contractSalary: 25_000_000 }))).toBeNull()
+  })
+})
@@ -0,0 +1,259 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { createMemoryDatabase } from '../helpers/memoryDatabase'
+
+// In-memory stand-ins for IndexedDB (one per device) and the sync endpoints
+
+let device
+
+vi.mock('@/engine/db/GameDatabase', async () =>
+  (await import('../helpers/memoryDatabase')).mockGameDatabase(() => device))
+
+const server = { revision: 0, records: {}, deleted: {} }
+
+vi.mock('@/composables/useApi', () => ({
+  default: {
+    async get(url, config) {
+      if (url.endsWith('/changes')) {
+        const since = config.params.since
+        return {
+          data: {
+            revision: server.revision,
+            records: Object.entries(server.records)
+              .filter(([, e]) => e.rev > since)
+              .map(([key, e]) => ({ key, store: e.store, data: structuredClone(e.data) })),
+            deleted: Object.keys(server.deleted).filter(key => server.deleted[key] > since),
+          },
+        }
+      }
+      const snapshot = { campaign: null, teams: [], players: [], seasons: [], revision: server.revision }
+      for (const e of Object.values(server.records)) {
+        if (e.store === 'campaign') snapshot.campaign = structuredClone(e.data)
+        else snapshot[e.store].push(structuredClone(e.data))
+      }
+      return { data: snapshot }
+    },
+    async post(_url, body) {
+      if (!body.force && body.baseRevision !== server.revision) {
+        throw Object.assign(new Error('Campaign was changed on another device'), { response: { status: 409 } })
+      }
+      server.revision++
+      for (const r of body.records) {
+        server.records[r.key] = { rev: server.revision, store: r.store, data: structuredClone(r.data) }
+        delete server.deleted[r.key]
+      }
+      for (const key of body.deleted) {
+        delete server.records[key]
+        server.deleted[key] = server.revision
+      }
+      return { data: { revision: server.revision } }
+    },
+  },
+}))
+
+const { useSyncStore } = await import('@/stores/sync')
+const { CampaignRepository } = await import('@/engine/db/CampaignRepository')
+const { PlayerRepository } = await import('@/engine/db/PlayerRepository')
+const { SeasonRepository } = await import('@/engine/db/SeasonRepository')
+
+const CAMPAIGN = 'c1'
+
+async function seedCampaign() {
+  await CampaignRepository.save({ id: CAMPAIGN, name: 'Dynasty', currentDate: '2025-10-21' })
+  await PlayerRepository.saveBulk([
+    { campaignId: CAMPAIGN, id: 'p1', first_name: 'Sam', last_name: 'Reed', overall_rating: 70 },
+    { campaignId: CAMPAIGN, id: 'p2', first_name: 'Ari', last_name: 'Cole', overall_rating: 65 },
+  ])
+  await SeasonRepository.save({ campaignId: CAMPAIGN, year: 2025, standings: {} })
+}
+
+function pushedKeys(spy) {
+  return spy.mock.calls.flatMap(([, body]) => body.records.map(r => r.key))
+}
+
+describe('incremental sync', () => {
+  let api
+
+  beforeEach(async () => {
+    setActivePinia(createPinia())
+    Object.assign(server, { revision: 0, records: {}, deleted: {} })
+    api = (await import('@/composables/useApi')).default
+    vi.restoreAllMocks()
+  })
+
+  it('pushes everything once, then only what changed', async () => {
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const sync = useSyncStore()
+
+    const post = vi.spyOn(api, 'post')
+    await sync.pushChanges(CAMPAIGN)
+    expect(pushedKeys(post).sort()).toEqual(['campaign:c1', 'players:p1', 'players:p2', 'seasons:2025'])
+
+    post.mockClear()
+    const player = await PlayerRepository.get(CAMPAIGN, 'p2')
+    await PlayerRepository.save({ ...player, overall_rating: 66 })
+    await PlayerRepository.delete(CAMPAIGN, 'p1')
+    await sync.pushChanges(CAMPAIGN)
+
+    expect(pushedKeys(post)).toEqual(['players:p2'])
+    expect(post.mock.calls[0][1].deleted).toEqual(['players:p1'])
+    expect(server.records['players:p2'].data.overall_rating).toBe(66)
+
+    post.mockClear()
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ pushed: 0 })
+    expect(post).not.toHaveBeenCalled()
+  })
+
+  it('takes changes to other records from another device without a conflict', async () => {
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const laptop = device
+    await useSyncStore().pushChanges(CAMPAIGN)
+
+    // A second device picks the campaign up and plays on
+    device = createMemoryDatabase()
+    setActivePinia(createPinia())
+    await useSyncStore().pullChanges(CAMPAIGN)
+    await SeasonRepository.save({ ...(await SeasonRepository.get(CAMPAIGN, 2025)), standings: { wins: 1 } })
+    await useSyncStore().pushChanges(CAMPAIGN)
+
+    // Back on the laptop, a different record changed
+    device = laptop
+    setActivePinia(createPinia())
+    const sync = useSyncStore()
+    const player = await PlayerRepository.get(CAMPAIGN, 'p1')
+    await PlayerRepository.save({ ...player, overall_rating: 71 })
+    await sync.pushChanges(CAMPAIGN)
+
+    expect(sync.conflict).toBeNull()
+    expect((await SeasonRepository.get(CAMPAIGN, 2025)).standings).toEqual({ wins: 1 })
+    expect(server.records['players:p1'].data.overall_rating).toBe(71)
+  })
+
+  it('stops on records changed on both devices and lets the user pick a side', async () => {
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const laptop = device
+    await useSyncStore().pushChanges(CAMPAIGN)
+
+    device = createMemoryDatabase()
+    setActivePinia(createPinia())
+    await useSyncStore().pullChanges(CAMPAIGN)
+    await CampaignRepository.save({ ...(await CampaignRepository.get(CAMPAIGN)), currentDate: '2025-11-30' })
+    await useSyncStore().pushChanges(CAMPAIGN)
+    const cloudRevision = server.revision
+
+    device = laptop
+    setActivePinia(createPinia())
+    const sync = useSyncStore()
+    await CampaignRepository.save({ ...(await CampaignRepository.get(CAMPAIGN)), currentDate: '2025-11-02' })
+
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ conflict: true })
+    expect(sync.conflict.keys).toEqual(['campaign:c1'])
+    expect(server.revision).toBe(cloudRevision)
+
+    await sync.resolveConflict('remote')
+    expect(sync.conflict).toBeNull()
+    expect((await CampaignRepository.get(CAMPAIGN)).currentDate).toBe('2025-11-30')
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ pushed: 0 })
+  })
+
+  it('overwrites the cloud save when the user keeps this device', async () => {
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const laptop = device
+    await useSyncStore().pushChanges(CAMPAIGN)
+
+    device = createMemoryDatabase()
+    setActivePinia(createPinia())
+    await useSyncStore().pullChanges(CAMPAIGN)
+    await CampaignRepository.save({ ...(await CampaignRepository.get(CAMPAIGN)), currentDate: '2025-11-30' })
+    const player = await PlayerRepository.get(CAMPAIGN, 'p2')
+    await PlayerRepository.save({ ...player, overall_rating: 80 })
+    await useSyncStore().pushChanges(CAMPAIGN)
+
+    device = laptop
+    setActivePinia(createPinia())
+    const sync = useSyncStore()
+    await CampaignRepository.save({ ...(await CampaignRepository.get(CAMPAIGN)), currentDate: '2025-11-02' })
+    await sync.pushChanges(CAMPAIGN)
+    await sync.resolveConflict('local')
+
+    expect(sync.conflict).toBeNull()
+    expect(server.records['campaign:c1'].data.currentDate).toBe('2025-11-02')
+    // The other device's change to a record this one never touched is undone too
+    expect(server.records['players:p2'].data.overall_rating).toBe(65)
+  })
+
+  it("doesn't flag records both devices already hold identical copies of", async () => {
+    // Two devices upgraded from snapshot sync: same campaign, nothing marked synced
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const phone = createMemoryDatabase(device)
+    await useSyncStore().pushChanges(CAMPAIGN)
+
+    device = phone
+    setActivePinia(createPinia())
+    const sync = useSyncStore()
+    const post = vi.spyOn(api, 'post')
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ pushed: 0 })
+    expect(sync.conflict).toBeNull()
+    expect(post).not.toHaveBeenCalled()
+
+    // From then on only real changes go up
+    const player = await PlayerRepository.get(CAMPAIGN, 'p1')
+    await PlayerRepository.save({ ...player, overall_rating: 71 })
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ pushed: 1 })
+    expect(pushedKeys(post)).toEqual(['players:p1'])
+  })
+
+  it('stops at a conflict when another device pushes mid-sync', async () => {
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const sync = useSyncStore()
+    await sync.pushChanges(CAMPAIGN)
+
+    await CampaignRepository.save({ ...(await CampaignRepository.get(CAMPAIGN)), currentDate: '2025-11-02' })
+
+    // The other device's push lands between this one's check and upload
+    vi.spyOn(api, 'post').mockImplementationOnce(async () => {
+      server.revision++
+      server.records['campaign:c1'] = {
+        rev: server.revision,
+        store: 'campaign',
+        data: { ...server.records['campaign:c1'].data, currentDate: '2025-11-30' },
+      }
+      throw Object.assign(new Error('Campaign was changed on another device'), { response: { status: 409 } })
+    })
+
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ conflict: true })
+    expect(sync.conflict.keys).toEqual(['campaign:c1'])
+    expect(server.records['campaign:c1'].data.currentDate).toBe('2025-11-30')
+  })
+
+  it('carries on uploading when the mid-sync push touched other records', async () => {
+    device = createMemoryDatabase()
+    await seedCampaign()
+    const sync = useSyncStore()
+    await sync.pushChanges(CAMPAIGN)
+
+    const player = await PlayerRepository.get(CAMPAIGN, 'p1')
+    await PlayerRepository.save({ ...player, overall_rating: 71 })
+
+    vi.spyOn(api, 'post').mockImplementationOnce(async () => {
+      server.revision++
+      server.records['players:p2'] = {
+        rev: server.revision,
+        store: 'players',
+        data: { ...server.records['players:p2'].data, overall_rating: 68 },
+      }
+      throw Object.assign(new Error('Campaign was changed on another device'), { response: { status: 409 } })
+    })
+
+    expect(await sync.pushChanges(CAMPAIGN)).toEqual({ pushed: 1 })
+    expect(sync.conflict).toBeNull()
+    expect(server.records['players:p1'].data.overall_rating).toBe(71)
+    expect((await PlayerRepository.get(CAMPAIGN, 'p2')).overall_rating).toBe(68)
+  })
+})
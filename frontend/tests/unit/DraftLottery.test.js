@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import { runDraftLottery, buildRookieDraftOrder } from '@/engine/draft/DraftOrderService'
+import { withSeed } from '@/engine/utils/Random'
+
+const YEAR = 2
+
+// 30 teams, 15 per conference; team i has i wins
+const teams = Array.from({ length: 30 }, (_, i) => ({
+  id: `t${i}`,
+  abbreviation: `T${i}`,
+  city: 'City',
+  name: `Team ${i}`,
+  draftPicks: [1, 2].map(round => ({
+    id: `pick-t${i}-${round}`,
+    original_team_abbreviation: `T${i}`,
+    year: YEAR,
+    round,
+    currentOwnerId: `t${i}`,
+  })),
+}))
+
+// The worst team's first-rounder belongs to the best team
+teams[0].draftPicks[0].currentOwnerId = 't29'
+teams[0].draftPicks[0].isTraded = true
+
+const standings = { east: [], west: [] }
+teams.forEach((team, i) => {
+  standings[i % 2 === 0 ? 'east' : 'west'].push({ teamId: team.id, wins: i, losses: 82 - i })
+})
+
+describe('runDraftLottery', () => {
+  it('enters only the non-playoff teams, worst record as seed 1', () => {
+    const lottery = withSeed(1, () => runDraftLottery(teams, standings, YEAR))
+    expect(lottery.odds).toHaveLength(14)
+    expect(lottery.odds[0].teamId).toBe('t0')
+    expect(lottery.odds.reduce((sum, e) => sum + e.firstPickPct, 0)).toBeCloseTo(100, 0)
+  })
+
+  it('draws four picks and never drops a team more than four spots', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+      const lottery = withSeed(seed, () => runDraftLottery(teams, standings, YEAR))
+      expect(lottery.draws).toHaveLength(4)
+      for (const slot of lottery.order) {
+        expect(slot.movement).toBeGreaterThanOrEqual(-4)
+      }
+    }
+  })
+
+  it('is reproducible under the same seed', () => {
+    const a = withSeed(42, () => runDraftLottery(teams, standings, YEAR))
+    const b = withSeed(42, () => runDraftLottery(teams, standings, YEAR))
+    expect(a.order.map(s => s.teamId)).toEqual(b.order.map(s => s.teamId))
+  })
+
+  it('gives the bottom seeds about 14% at the first pick', () => {
+    let wins = 0
+    const trials = 2000
+    withSeed(7, () => {
+      for (let i = 0; i < trials; i++) {
+        if (runDraftLottery(teams, standings, YEAR).order[0].seed === 1) wins++
+      }
+    })
+    expect(wins / trials).toBeGreaterThan(0.11)
+    expect(wins / trials).toBeLessThan(0.17)
+  })
+
+  it('keeps strict reverse order with the reverse_order format', () => {
+    const lottery = runDraftLottery(teams, standings, YEAR, { format: 'reverse_order' })
+    expect(lottery.draws).toHaveLength(0)
+    expect(lottery.order.map(s => s.seed)).toEqual(lottery.odds.map(e => e.seed))
+  })
+})
+
+describe('buildRookieDraftOrder with a lottery', () => {
+  it('puts the lottery order at the top of round 1 and respects pick ownership', () => {
+    const lottery = withSeed(3, () => runDraftLottery(teams, standings, YEAR))
+    const order = buildRookieDraftOrder(teams, standings, YEAR, lottery)
+    const round1 = order.filter(s => s.round === 1)
+
+    expect(round1.slice(0, 14).map(s => s.originalTeamId)).toEqual(lottery.order.map(s => s.teamId))
+    expect(round1.find(s => s.originalTeamId === 't0').teamId).toBe('t29')
+
+    // Round 2 stays in reverse order of record
+    expect(order.find(s => s.round === 2).originalTeamId).toBe('t0')
+  })
+})
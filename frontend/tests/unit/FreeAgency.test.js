@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest'
+import {
+  openFreeAgency,
+  runFreeAgencyDay,
+  placeUserOffer,
+  getPlayerOffers,
+  FREE_AGENCY_DAYS,
+} from '@/engine/finance/FreeAgencyService'
+import { getAskingContract } from '@/engine/finance/ContractNegotiation'
+import { freeAgent, league, rosterOf } from '../helpers/leagueFixtures'
+
+const USER = { id: 'user', abbreviation: 'SAC', name: 'Kings' }
+const BOS = { id: 'bos', abbreviation: 'BOS', name: 'Celtics' }
+const DET = { id: 'det', abbreviation: 'DET', name: 'Pistons' }
+const TEAMS = [USER, BOS, DET]
+
+const STANDINGS = {
+  east: [{ teamId: 'bos', wins: 30, losses: 10 }, { teamId: 'det', wins: 15, losses: 25 }],
+  west: [{ teamId: 'user', wins: 20, losses: 20 }],
+}
+
+const ROSTERS = [[USER, 12, { rating: 72 }], [BOS, 12, { rating: 76 }], [DET, 12, { rating: 70 }]]
+
+function runDays(state, players, days = Infinity, standings = STANDINGS) {
+  const signings = []
+  for (let i = 0; i < days && state.status === 'open'; i++) {
+    const result = runFreeAgencyDay({ state, leaguePlayers: players, allTeams: TEAMS, userTeamId: USER.id, standings })
+    state = result.state
+    players = result.updatedPlayers
+    signings.push(...result.signings)
+  }
+  return { state, players, signings }
+}
+
+describe('free agency period', () => {
+  it('opens on the calendar and closes after the last day', () => {
+    const state = openFreeAgency(2025)
+    expect(state).toMatchObject({ status: 'open', day: 1, date: '2026-07-01', lastDay: FREE_AGENCY_DAYS })
+
+    const after = runDays(state, league(ROSTERS), 3).state
+    expect(after).toMatchObject({ day: 4, date: '2026-07-04' })
+    expect(runDays(after, league(ROSTERS)).state.status).toBe('closed')
+  })
+
+  it('has AI teams bid on day one and players take a few days to sign', () => {
+    const star = freeAgent('star', 84)
+    const role = freeAgent('role', 68)
+    const { state, players } = runDays(openFreeAgency(2025), league(ROSTERS, [star, role]), 1)
+
+    const starOffers = getPlayerOffers(state, 'star')
+    expect(starOffers.length).toBeGreaterThan(0)
+    expect(starOffers.every(o => !o.isUser)).toBe(true)
+    // Nobody signs the day the market opens
+    expect(players.find(p => p.id === 'star').teamAbbreviation).toBe('FA')
+
+    const rest = runDays(state, players)
+    const starSigning = rest.signings.find(s => s.playerId === 'star')
+    expect(starSigning.day).toBeGreaterThanOrEqual(4)
+    expect(rest.players.find(p => p.id === 'star')).toMatchObject({
+      teamAbbreviation: starSigning.teamAbbreviation,
+      contractSalary: starSigning.salary,
+      isFreeAgent: 0,
+    })
+    expect(rest.state.tracker.filter(e => e.type === 'signing').map(e => e.playerId)).toContain('star')
+  })
+
+  it('lets a contending user team outbid the AI teams', () => {
+    const star = freeAgent('star', 84)
+    const asking = getAskingContract(star)
+    const state = placeUserOffer(openFreeAgency(2025), {
+      player: star,
+      team: USER,
+      offer: { years: asking.years, salary: Math.round(asking.salary * 1.3), option: 'player' },
+    })
+
+    const contending = { ...STANDINGS, west: [{ teamId: 'user', wins: 30, losses: 10 }] }
+    const result = runDays(state, league(ROSTERS, [star]), Infinity, contending)
+    const signing = result.signings.find(s => s.playerId === 'star')
+    expect(signing).toMatchObject({ teamId: 'user', isUser: true, option: 'player' })
+    expect(result.players.find(p => p.id === 'star').teamId).toBe('user')
+
+    // The user hears about rival bids on their target
+    expect(result.state.tracker.some(e => e.type === 'offer' && e.playerId === 'star')).toBe(true)
+  })
+
+  it('sends a player elsewhere when the user offer is beaten', () => {
+    const star = freeAgent('star', 84)
+    const asking = getAskingContract(star)
+    const state = placeUserOffer(openFreeAgency(2025), {
+      player: star,
+      team: USER,
+      offer: { years: asking.years, salary: Math.round(asking.salary * 0.6) },
+    })
+
+    const signing = runDays(state, league(ROSTERS, [star])).signings.find(s => s.playerId === 'star')
+    expect(signing.teamId).not.toBe('user')
+  })
+
+  it("drops offers the team's payroll can no longer fit", () => {
+    // 150M on the books: room under the second apron for one of the two deals
+    const user = { ...USER, ownerBudget: 1_000_000_000 }
+    const teams = [user]
+    const wings = [freeAgent('wing1', 70, { position: 'SF' }), freeAgent('wing2', 70, { position: 'SF' })]
+    const players = [...rosterOf(USER, 10, { rating: 72, salary: 15_000_000 }), ...wings]
+
+    let state = openFreeAgency(2025)
+    for (const player of wings) {
+      state = placeUserOffer(state, { player, team: user, offer: { years: 2, salary: 20_000_000 } })
+    }
+
+    const signings = []
+    let current = players
+    while (state.status === 'open') {
+      const result = runFreeAgencyDay({ state, leaguePlayers: current, allTeams: teams, userTeamId: USER.id, standings: STANDINGS })
+      state = result.state
+      current = result.updatedPlayers
+      signings.push(...result.signings)
+    }
+
+    expect(signings.filter(s => s.isUser)).toHaveLength(1)
+    const payroll = current.filter(p => p.teamId === USER.id).reduce((sum, p) => sum + p.contractSalary, 0)
+    expect(payroll).toBe(170_000_000)
+  })
+
+  it("won't take bids once it has closed", () => {
+    const closed = runDays(openFreeAgency(2025), league(ROSTERS)).state
+    expect(() => placeUserOffer(closed, { player: freeAgent('x', 70), team: USER, offer: { years: 1, salary: 2_000_000 } }))
+      .toThrow('closed')
+  })
+})
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { processScheduledRestRecovery } from '@/engine/evolution/PlayerEvolution'
+import { HOME_COURT, REST } from '@/engine/config/GameConfig'
+import { deriveSeed } from '@/engine/utils/Random'
+
+const GAMES = 400
+
+// Two copies of the same roster, so only situational effects separate them
+function mirrorMatchup() {
+  const { teams } = createLeague({ seed: 7 })
+  return [teams[0], { ...teams[0], id: 'mirror' }]
+}
+
+function averageHomeMargin(options) {
+  const [home, away] = mirrorMatchup()
+  const simulator = new GameSimulator()
+  let margin = 0
+  for (let i = 0; i < GAMES; i++) {
+    const result = simulator.simulateGame(home, away, {
+      generateAnimationData: false,
+      seed: deriveSeed(1, i),
+      ...options,
+    })
+    margin += result.home_score - result.away_score
+  }
+  return margin / GAMES
+}
+
+describe('home court advantage', () => {
+  it('outscores a neutral site for the same matchup', () => {
+    expect(averageHomeMargin({})).toBeGreaterThan(averageHomeMargin({ homeCourtAdvantage: 0 }) + 0.5)
+  })
+
+  it('lifts only the home offense, scaled by homeCourtAdvantage', () => {
+    const simulator = new GameSimulator()
+    simulator.homeCourtAdvantage = 1
+
+    expect(simulator.calculateSituationalShotModifier(true, [])).toBeCloseTo(HOME_COURT.shot_modifier)
+    expect(simulator.calculateSituationalShotModifier(false, [])).toBe(0)
+
+    simulator.homeCourtAdvantage = 0
+    expect(simulator.calculateSituationalShotModifier(true, [])).toBe(0)
+  })
+})
+
+describe('rest and fatigue', () => {
+  it('penalises a back-to-back and rewards a long rest', () => {
+    const simulator = new GameSimulator()
+    expect(simulator.getRestShotModifier(null)).toBe(0)
+    expect(simulator.getRestShotModifier(1)).toBe(REST.back_to_back_shot_modifier)
+    expect(simulator.getRestShotModifier(2)).toBe(0)
+    expect(simulator.getRestShotModifier(REST.rested_days)).toBe(REST.rested_shot_modifier)
+  })
+
+  it('costs a tired lineup shooting', () => {
+    const simulator = new GameSimulator()
+    simulator.homeCourtAdvantage = 0
+    const lineup = fatigue => Array.from({ length: 5 }, (_, i) => ({ id: `p${i}`, fatigue }))
+
+    expect(simulator.calculateSituationalShotModifier(true, lineup(30))).toBe(0)
+    expect(simulator.calculateSituationalShotModifier(true, lineup(100))).toBeCloseTo(-REST.fatigue_shot_penalty)
+  })
+
+  it('hurts the team on the second night of a back-to-back', () => {
+    const neutral = averageHomeMargin({ homeCourtAdvantage: 0 })
+    expect(averageHomeMargin({ homeCourtAdvantage: 0, homeRestDays: 1, awayRestDays: 3 })).toBeLessThan(neutral)
+  })
+
+  it('recovers fatigue once per day off', () => {
+    const players = [{ id: 'p1', fatigue: 80, attributes: { physical: { stamina: 70, durability: 70 } } }]
+
+    expect(processScheduledRestRecovery(players, 1)[0].fatigue).toBe(80)
+    expect(processScheduledRestRecovery(players, null)[0].fatigue).toBe(80)
+    const oneDay = processScheduledRestRecovery(players, 2)[0].fatigue
+    const threeDays = processScheduledRestRecovery(players, 4)[0].fatigue
+    expect(oneDay).toBeLessThan(80)
+    expect(threeDays).toBeLessThan(oneDay)
+  })
+})
+
+describe('SeasonManager.getRestDays', () => {
+  const seasonData = {
+    schedule: [
+      { id: 'g1', homeTeamId: 'bos', awayTeamId: 'nyk', gameDate: '2025-11-01' },
+      { id: 'g2', homeTeamId: 'bos', awayTeamId: 'lal', gameDate: '2025-11-02' },
+      { id: 'g3', homeTeamId: 'gsw', awayTeamId: 'nyk', gameDate: '2025-11-04', isCancelled: true },
+      { id: 'g4', homeTeamId: 'nyk', awayTeamId: 'bos', gameDate: '2025-11-05' },
+    ],
+  }
+
+  it('counts days since each team last played', () => {
+    expect(SeasonManager.getRestDays(seasonData, seasonData.schedule[1])).toEqual({ homeRestDays: 1, awayRestDays: null })
+    expect(SeasonManager.getRestDays(seasonData, seasonData.schedule[3])).toEqual({ homeRestDays: 4, awayRestDays: 3 })
+  })
+})
+
+describe('opening possession', () => {
+  it('gives the tip winner Q1 and Q4 and the loser Q2 and Q3', () => {
+    const simulator = new GameSimulator()
+    simulator.openingTipWinner = 'away'
+    const byQuarter = [1, 2, 3, 4].map(quarter => {
+      simulator.currentQuarter = quarter
+      return simulator.getQuarterOpeningPossession()
+    })
+    expect(byQuarter).toEqual(['away', 'home', 'home', 'away'])
+  })
+})
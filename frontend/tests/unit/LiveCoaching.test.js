@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { TIMEOUTS, SHOT_CLOCK_SECONDS } from '@/engine/config/GameConfig'
+
+const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] ?? 0), 0)
+
+function tipOff(seed = 21) {
+  const { teams } = createLeague({ seed: 3 })
+  const simulator = new GameSimulator()
+  const state = simulator.tipOff(teams[0], teams[1], { userTeamId: teams[0].id, seed })
+  return { simulator, state }
+}
+
+// Step possessions until `until` says stop or the game ends
+function stepUntil(simulator, state, command, until = () => false) {
+  let result
+  do {
+    result = simulator.stepPossession(state, typeof command === 'function' ? command(result) : command)
+    state = result.gameState
+  } while (!result.isComplete && !until(result))
+  return result
+}
+
+describe('possession-by-possession coaching', () => {
+  it('plays a full game one possession at a time', () => {
+    const { simulator, state } = tipOff()
+    const result = stepUntil(simulator, state, null)
+
+    expect(result.isComplete).toBe(true)
+    const final = result.finalResult
+    expect(final.home_score).not.toBe(final.away_score)
+    expect(sum(final.box_score.home, 'points')).toBe(final.home_score)
+    expect(sum(final.box_score.away, 'points')).toBe(final.away_score)
+  })
+
+  it('hands a mid-period state back to continueGame', () => {
+    const { simulator, state } = tipOff()
+    const mid = stepUntil(simulator, state, null, r => r.possessionResult.timeRemaining < 6)
+    expect(mid.possessionResult.periodComplete).toBe(false)
+
+    const { quarterResult, gameState } = simulator.continueGame(mid.gameState)
+    expect(quarterResult.quarter).toBe(1)
+    expect(gameState.periodInProgress).toBe(false)
+    expect(gameState.completedQuarters).toHaveLength(1)
+  })
+
+  it('charges timeouts and refuses them once the half runs out', () => {
+    const { simulator, state } = tipOff()
+    const timeoutsIn = r => r.possessionResult.play_by_play.filter(p => p.outcome === 'timeout' && p.team === 'home')
+    let result = { gameState: state }
+    for (let i = 0; i < TIMEOUTS.per_half; i++) {
+      result = simulator.stepPossession(result.gameState, { timeout: true })
+      expect(result.timeoutCalled).toBe(true)
+      expect(timeoutsIn(result)).toHaveLength(1)
+    }
+    expect(result.possessionResult.timeouts.home).toBe(0)
+
+    result = simulator.stepPossession(result.gameState, { timeout: true })
+    expect(result.timeoutCalled).toBe(false)
+    expect(timeoutsIn(result)).toHaveLength(0)
+  })
+
+  it('runs the called play on the next offensive trip', () => {
+    const { simulator, state } = tipOff()
+    const result = stepUntil(simulator, state, { playId: 'pick-and-roll-basic' }, r => r.possessionResult.possessionTeam === 'home')
+    const next = simulator.stepPossession(result.gameState, { playId: 'pick-and-roll-basic' })
+
+    const homePlays = next.possessionResult.play_by_play.filter(p => p.team === 'home' && p.play_id)
+    expect(homePlays.at(-1).play_id).toBe('pick-and-roll-basic')
+  })
+
+  it('commits an intentional foul on the next defensive trip', () => {
+    const { simulator, state } = tipOff()
+    const before = stepUntil(simulator, state, null, r => r.possessionResult.possessionTeam === 'away')
+    const fouls = sum(before.possessionResult.box_score.home, 'fouls')
+
+    const after = simulator.stepPossession(before.gameState, { intentionalFoul: true })
+    expect(sum(after.possessionResult.box_score.home, 'fouls')).toBe(fouls + 1)
+    expect(sum(after.possessionResult.box_score.away, 'fga')).toBe(sum(before.possessionResult.box_score.away, 'fga'))
+  })
+
+  it('holds for the last shot to close the period', () => {
+    const { simulator, state } = tipOff()
+    // Home ball with the shot clock switched off
+    const late = stepUntil(simulator, state, null,
+      r => r.possessionResult.possessionTeam === 'home' && r.possessionResult.timeRemaining * 60 <= SHOT_CLOCK_SECONDS)
+    const result = simulator.stepPossession(late.gameState, { holdForLastShot: true })
+
+    expect(result.possessionResult.periodComplete).toBe(true)
+    expect(result.possessionResult.timeRemaining).toBe(0)
+  })
+
+  it('round-trips the coaching state through serialisation', () => {
+    const { simulator, state } = tipOff()
+    const result = simulator.stepPossession(state, { timeout: true, defensiveCall: 'zone_2_3' })
+    const restored = JSON.parse(JSON.stringify(result.gameState))
+
+    expect(restored.homeTimeouts).toBe(TIMEOUTS.per_half - 1)
+    expect(restored.periodInProgress).toBe(true)
+    expect(simulator.stepPossession(restored, null).gameState.possessionCount)
+      .toBeGreaterThan(restored.possessionCount)
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { NewsService } from '@/engine/season/NewsService'
+import { PERSONALITY_TRAITS, PERSONALITY_IN_GAME } from '@/engine/config/GameConfig'
+
+const techFoulChance = PERSONALITY_TRAITS.hot_head.tech_foul_chance
+
+afterEach(() => {
+  PERSONALITY_TRAITS.hot_head.tech_foul_chance = techFoulChance
+})
+
+// A live simulator with the given traits on the home team's first starter
+function tipOff(traits) {
+  const { teams } = createLeague({ seed: 3 })
+  const simulator = new GameSimulator()
+  simulator.tipOff(teams[0], teams[1], { seed: 9 })
+  simulator.deserializeState(simulator.serializeState())
+  const player = simulator.homeLineup[0]
+  player.personality = { ...(player.personality ?? {}), traits }
+  return { simulator, player }
+}
+
+// Field goal attempts per game for one starter carrying the given traits
+function averageFga(traits, games = 20) {
+  const { teams } = createLeague({ seed: 3 })
+  const star = teams[0].players.find(p => p.id === teams[0].lineup_settings.starters[0])
+  star.personality = { ...(star.personality ?? {}), traits }
+  const simulator = new GameSimulator()
+  let fga = 0
+  for (let i = 0; i < games; i++) {
+    const result = simulator.simulateGame(teams[0], teams[1], { generateAnimationData: false, seed: 100 + i })
+    fga += result.box_score.home.find(s => s.player_id === star.id)?.fga ?? 0
+  }
+  return fga / games
+}
+
+describe('personality in games', () => {
+  it('gives ball hogs more shots than team players', () => {
+    expect(averageFga(['ball_hog'])).toBeGreaterThan(averageFga(['team_player']) + 2)
+  })
+
+  it('only applies clutch modifiers in clutch minutes', () => {
+    const { simulator, player } = tipOff(['competitor'])
+    simulator.currentQuarter = 4
+    simulator.homeScore = 100
+    simulator.awayScore = 98
+
+    simulator.timeRemaining = 8
+    expect(simulator.getPlayerModifiers(simulator.homeLineup)[player.id]).toBeUndefined()
+
+    simulator.timeRemaining = PERSONALITY_IN_GAME.clutch_seconds / 60 - 1
+    expect(simulator.getPlayerModifiers(simulator.homeLineup)[player.id].shot)
+      .toBe(PERSONALITY_TRAITS.competitor.clutch_boost / 100)
+
+    simulator.homeScore = 120
+    expect(simulator.isClutchTime()).toBe(false)
+  })
+
+  it('charges technicals to hot heads and ejects them on the second', () => {
+    PERSONALITY_TRAITS.hot_head.tech_foul_chance = 1
+    const { simulator, player } = tipOff(['hot_head'])
+    const awayFta = () => Object.values(simulator.awayBoxScore).reduce((n, s) => n + s.fta, 0)
+    const before = awayFta()
+
+    simulator.checkTechnical(player.id, true)
+    expect(simulator.homeBoxScore[player.id].technicals).toBe(1)
+    expect(awayFta()).toBe(before + PERSONALITY_IN_GAME.technical_free_throws)
+
+    simulator.checkTechnical(player.id, true)
+    const stats = simulator.formatBoxScoreStats(simulator.homeBoxScore[player.id])
+    expect(stats).toMatchObject({ technicals: 2, ejected: true })
+    expect(simulator.homeLineup.map(p => p.id)).not.toContain(player.id)
+    expect(simulator.ejections).toEqual([expect.objectContaining({ player_id: player.id, team: 'home', technicals: 2 })])
+  })
+
+  it('leaves even-tempered players alone', () => {
+    PERSONALITY_TRAITS.hot_head.tech_foul_chance = 1
+    const { simulator, player } = tipOff([])
+    simulator.checkTechnical(player.id, true)
+    expect(simulator.homeBoxScore[player.id].technicals).toBe(0)
+  })
+
+  it('writes ejections into the news', () => {
+    const news = NewsService.createEjectionNews({
+      player: { id: 'p1', first_name: 'Sam', last_name: 'Reed' },
+      team: { id: 'h', name: 'Hawks' },
+      opponent: { id: 'a', name: 'Owls' },
+      technicals: 2,
+      quarter: 3,
+      gameDate: '2025-11-02',
+    })
+    expect(news.headline).toBe('Sam Reed ejected against the Owls')
+    expect(news.body).toContain('the third quarter after picking up a second technical foul')
+  })
+})
@@ -0,0 +1,244 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { PlayoffManager } from '@/engine/season/PlayoffManager'
+
+function buildTeams(perConference) {
+  const teams = []
+  for (const conference of ['east', 'west']) {
+    for (let i = 1; i <= perConference; i++) {
+      const abbreviation = `${conference[0].toUpperCase()}${i}`
+      teams.push({ id: abbreviation.toLowerCase(), abbreviation, name: abbreviation, city: '', conference })
+    }
+  }
+  return teams
+}
+
+// 8 teams per conference so the default bracket fills completely
+const TEAMS = buildTeams(8)
+
+/**
+ * Season where seed order matches team number (E1 best, E8 worst).
+ */
+function buildSeason(teams = TEAMS, format = undefined) {
+  const seasonData = SeasonManager.initializeSeason(teams, 2025, 'test')
+  for (const conf of ['east', 'west']) {
+    seasonData.standings[conf].forEach((standing, index) => {
+      standing.wins = 50 - index
+      standing.losses = 4 + index
+    })
+  }
+  PlayoffManager.generatePlayoffBracket(seasonData, teams, format)
+  PlayoffManager.generatePendingSchedules(seasonData, teams, 2025)
+  return seasonData
+}
+
+function seriesGames(seasonData, seriesId) {
+  return seasonData.schedule
+    .filter(g => g.playoffSeriesId === seriesId)
+    .sort((a, b) => a.playoffGameNumber - b.playoffGameNumber)
+}
+
+/**
+ * Play the next game of a series; `team1Wins` picks the winner.
+ */
+function playNext(seasonData, seriesId, team1Wins) {
+  const game = seriesGames(seasonData, seriesId).find(g => !g.isComplete)
+  const series = PlayoffManager.getSeries(seasonData, seriesId)
+  const team1IsHome = game.homeTeamId === series.team1.teamId
+  const homeWins = team1IsHome === team1Wins
+  const [homeScore, awayScore] = homeWins ? [70, 60] : [60, 70]
+
+  game.isComplete = true
+  game.homeScore = homeScore
+  game.awayScore = awayScore
+  return PlayoffManager.updateSeriesAfterGame(seasonData, game, homeScore, awayScore)
+}
+
+describe('PlayoffManager.updateSeriesAfterGame', () => {
+  let seasonData
+
+  beforeEach(() => {
+    seasonData = buildSeason()
+  })
+
+  it('ignores regular season games', () => {
+    const game = { id: 'g1', isPlayoff: false, homeTeamId: 'e1', awayTeamId: 'e8' }
+    expect(PlayoffManager.updateSeriesAfterGame(seasonData, game, 70, 60)).toBeNull()
+  })
+
+  it('credits the winner whether they were home or away', () => {
+    // Game 1 is at the higher seed, game 3 at the lower seed
+    playNext(seasonData, 'E_R1_1v8', true)
+    playNext(seasonData, 'E_R1_1v8', false)
+    const result = playNext(seasonData, 'E_R1_1v8', true)
+
+    expect(result).toMatchObject({ seriesId: 'E_R1_1v8', seriesComplete: false, round: 1 })
+    expect(result.series).toMatchObject({ team1Wins: 2, team2Wins: 1, status: 'in_progress' })
+  })
+
+  it('completes the series at four wins and cancels unplayed games', () => {
+    let result
+    for (let i = 0; i < 4; i++) result = playNext(seasonData, 'E_R1_1v8', true)
+
+    expect(result.seriesComplete).toBe(true)
+    expect(result.winner.teamId).toBe('e1')
+    expect(result.series.status).toBe('complete')
+
+    const games = seriesGames(seasonData, 'E_R1_1v8')
+    expect(games.slice(0, 4).every(g => !g.isCancelled)).toBe(true)
+    expect(games.slice(4).every(g => g.isComplete && g.isCancelled && g.homeScore === null)).toBe(true)
+  })
+
+  it('lets the lower seed win a seven-game series', () => {
+    const pattern = [true, true, false, false, true, false, false]
+    let result
+    for (const team1Wins of pattern) result = playNext(seasonData, 'W_R1_4v5', team1Wins)
+
+    expect(result.seriesComplete).toBe(true)
+    expect(result.winner.teamId).toBe('w5')
+    expect(result.series).toMatchObject({ team1Wins: 3, team2Wins: 4 })
+  })
+
+  it('does not count games after the series is decided', () => {
+    for (let i = 0; i < 4; i++) playNext(seasonData, 'E_R1_1v8', true)
+    const extra = seriesGames(seasonData, 'E_R1_1v8')[4]
+
+    expect(PlayoffManager.updateSeriesAfterGame(seasonData, extra, 60, 70)).toBeNull()
+    expect(PlayoffManager.getSeries(seasonData, 'E_R1_1v8')).toMatchObject({ team1Wins: 4, team2Wins: 0 })
+  })
+
+  it('flags the Finals winner as champion', () => {
+    const bracket = seasonData.playoffBracket
+    bracket.finals = PlayoffManager._createMatchup(
+      bracket.east.round1[0].team1, bracket.west.round1[0].team1, 'finals', 4, 'FINALS'
+    )
+    PlayoffManager.generatePlayoffSchedule(seasonData, TEAMS, 4, 2025)
+
+    let result
+    for (let i = 0; i < 4; i++) result = playNext(seasonData, 'FINALS', false)
+
+    expect(result).toMatchObject({ isFinals: true, isChampion: true })
+    expect(result.winner.teamId).toBe('w1')
+  })
+})
+
+describe('PlayoffManager.calculateSeriesMVP', () => {
+  it('reads the full stat lines from the series playoff stats', () => {
+    const seasonData = buildSeason()
+    for (const game of seriesGames(seasonData, 'E_R1_1v8').slice(0, 4)) {
+      // Compacted AI box score: no steals or blocks
+      game.boxScore = { home: [], away: [] }
+      const e1Side = game.homeTeamId === 'e1' ? 'home' : 'away'
+      game.boxScore[e1Side] = [
+        { player_id: 'scorer', name: 'Scorer', points: 20 },
+        { player_id: 'stopper', name: 'Stopper', points: 12 },
+      ]
+      const teamId = game[`${e1Side}TeamId`]
+      SeasonManager.updatePlayerStats(seasonData, 'scorer', 'Scorer', teamId, { points: 20 }, game)
+      SeasonManager.updatePlayerStats(seasonData, 'stopper', 'Stopper', teamId, { points: 12, steals: 3, blocks: 2 }, game)
+    }
+
+    let result
+    for (let i = 0; i < 4; i++) result = playNext(seasonData, 'E_R1_1v8', true)
+
+    expect(result.seriesMVP).toMatchObject({ playerId: 'stopper', teamId: 'e1', spg: 3, bpg: 2 })
+  })
+
+  it('falls back to box scores when no playoff stats were recorded', () => {
+    const seasonData = buildSeason()
+    for (const game of seriesGames(seasonData, 'E_R1_1v8').slice(0, 4)) {
+      const e1Side = game.homeTeamId === 'e1' ? 'home' : 'away'
+      game.boxScore = { home: [], away: [] }
+      game.boxScore[e1Side] = [{ player_id: 'scorer', name: 'Scorer', points: 20 }]
+    }
+
+    let result
+    for (let i = 0; i < 4; i++) result = playNext(seasonData, 'E_R1_1v8', true)
+
+    expect(result.seriesMVP).toMatchObject({ playerId: 'scorer', ppg: 20 })
+  })
+})
+
+describe('PlayoffManager formats', () => {
+  const TEN_TEAMS = buildTeams(10)
+
+  it('forces the play-in on for 10-team fields and off for 4-team fields', () => {
+    expect(PlayoffManager.resolveFormat({ teamsPerConference: 10 })).toMatchObject({ playIn: true, bracketSize: 8 })
+    expect(PlayoffManager.resolveFormat({ teamsPerConference: 4, playIn: true })).toMatchObject({ playIn: false, bracketSize: 4 })
+    expect(PlayoffManager.resolveFormat({ teamsPerConference: 9, seriesLengths: [2, 5] })).toMatchObject({
+      teamsPerConference: 8,
+      seriesLengths: [7, 5, 7, 7],
+    })
+  })
+
+  it('plays 7v8 and 9v10, then the 7v8 loser hosts the 9v10 winner for the 8 seed', () => {
+    const seasonData = buildSeason(TEN_TEAMS, { teamsPerConference: 10 })
+    const east = seasonData.playoffBracket.east
+
+    expect(east.playIn.map(s => s.seriesId)).toEqual(['E_PI_A', 'E_PI_B'])
+    expect(east.round1).toHaveLength(0)
+
+    // The 8 seed upsets the 7 seed: the loser only drops to game C
+    const resultA = playNext(seasonData, 'E_PI_A', false)
+    expect(resultA).toMatchObject({ seriesComplete: true, isPlayIn: true, eliminatesLoser: false })
+    PlayoffManager.advanceWinnerToNextRound(seasonData, resultA.series)
+    expect(east.seeds[6]).toMatchObject({ teamId: 'e8', seed: 7 })
+
+    const resultB = playNext(seasonData, 'E_PI_B', true)
+    expect(resultB.eliminatesLoser).toBe(true)
+    PlayoffManager.advanceWinnerToNextRound(seasonData, resultB.series)
+    PlayoffManager.generatePendingSchedules(seasonData, TEN_TEAMS, 2025)
+
+    const gameC = east.playIn[2]
+    expect(gameC).toMatchObject({ seriesId: 'E_PI_C', team1: { teamId: 'e7' }, team2: { teamId: 'e9' } })
+    const resultC = playNext(seasonData, 'E_PI_C', false)
+    PlayoffManager.advanceWinnerToNextRound(seasonData, resultC.series)
+
+    expect(east.round1.map(s => s.seriesId)).toEqual(['E_R1_1v8', 'E_R1_4v5', 'E_R1_3v6', 'E_R1_2v7'])
+    expect(east.round1[0].team2).toMatchObject({ teamId: 'e9', seed: 8 })
+    expect(east.round1[3].team2).toMatchObject({ teamId: 'e8', seed: 7 })
+    expect([...PlayoffManager.getPlayoffTeamIds(seasonData.playoffBracket)]).not.toContain('e7')
+  })
+
+  it('ends a best-of-3 series at two wins', () => {
+    const seasonData = buildSeason(TEAMS, { seriesLengths: [3, 7, 7, 7] })
+    expect(seriesGames(seasonData, 'E_R1_1v8')).toHaveLength(3)
+
+    playNext(seasonData, 'E_R1_1v8', false)
+    const result = playNext(seasonData, 'E_R1_1v8', false)
+    expect(result.seriesComplete).toBe(true)
+    expect(result.winner.teamId).toBe('e8')
+    expect(seriesGames(seasonData, 'E_R1_1v8')[2].isCancelled).toBe(true)
+  })
+
+  it('gives the top two seeds a bye in a 6-team bracket', () => {
+    const seasonData = buildSeason(TEAMS, { teamsPerConference: 6 })
+    const bracket = seasonData.playoffBracket
+
+    expect(bracket.east.round1.map(s => s.seriesId)).toEqual(['E_R1_4v5', 'E_R1_3v6'])
+    expect(PlayoffManager.getRound2Preview(bracket, 'east', 'A')).toMatchObject({ team1: { teamId: 'e1' }, team2: null })
+
+    let result
+    for (let i = 0; i < 4; i++) result = playNext(seasonData, 'E_R1_4v5', false)
+    PlayoffManager.advanceWinnerToNextRound(seasonData, result.series)
+
+    expect(bracket.east.round2[0]).toMatchObject({ seriesId: 'E_R2_A', team1: { teamId: 'e1' }, team2: { teamId: 'e5' } })
+  })
+
+  it('reports play-in and bye paths in the user playoff status', () => {
+    const playInSeason = buildSeason(TEN_TEAMS, { teamsPerConference: 10 })
+    expect(PlayoffManager.getUserPlayoffStatus(playInSeason, 'e9', TEN_TEAMS)).toMatchObject({
+      qualified: true,
+      playIn: true,
+      opponent: { teamId: 'e10', seed: 10 },
+    })
+    // The 1 seed's opponent comes out of the play-in
+    const topSeed = PlayoffManager.getUserPlayoffStatus(playInSeason, 'e1', TEN_TEAMS)
+    expect(topSeed).toMatchObject({ qualified: true, playIn: false })
+    expect(topSeed.opponent).toBeUndefined()
+
+    const byeSeason = buildSeason(TEAMS, { teamsPerConference: 6 })
+    expect(PlayoffManager.getUserPlayoffStatus(byeSeason, 'e2', TEAMS)).toMatchObject({ qualified: true, bye: true })
+    expect(PlayoffManager.getUserPlayoffStatus(byeSeason, 'e7', TEAMS)).toMatchObject({ qualified: false, fieldSize: 6 })
+  })
+})
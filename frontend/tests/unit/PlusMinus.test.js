@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+
+function playGame(seed = 11) {
+  const { teams } = createLeague({ seed: 3 })
+  const simulator = new GameSimulator()
+  const result = simulator.simulateGame(teams[0], teams[1], { generateAnimationData: false, seed })
+  return { teams, result }
+}
+
+const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] ?? 0), 0)
+
+describe('per-game plus-minus', () => {
+  it('sums to five times the margin for each team', () => {
+    const { result } = playGame()
+    const margin = result.home_score - result.away_score
+
+    expect(sum(result.box_score.home, 'plus_minus')).toBe(margin * 5)
+    expect(sum(result.box_score.away, 'plus_minus')).toBe(-margin * 5)
+  })
+
+  it('flags exactly five starters per team', () => {
+    const { result } = playGame()
+    expect(result.box_score.home.filter(p => p.is_starter)).toHaveLength(5)
+    expect(result.box_score.away.filter(p => p.is_starter)).toHaveLength(5)
+  })
+})
+
+describe('lineup stints', () => {
+  it('accounts for every point and possession', () => {
+    const { result } = playGame()
+    const { home, away } = result.lineups
+
+    expect(sum(home, 'points_for')).toBe(result.home_score)
+    expect(sum(home, 'points_against')).toBe(result.away_score)
+    expect(sum(away, 'points_for')).toBe(result.away_score)
+    expect(sum(home, 'off_possessions') + sum(home, 'def_possessions')).toBe(result.total_possessions)
+    for (const unit of home) expect(unit.player_ids).toHaveLength(5)
+  })
+
+  it('matches the minutes credited in the box score', () => {
+    const { teams } = createLeague({ seed: 3 })
+    const simulator = new GameSimulator()
+    simulator.simulateGame(teams[0], teams[1], { generateAnimationData: false, seed: 11 })
+
+    const playerMinutes = sum(Object.values(simulator.homeBoxScore), 'minutes')
+    const unitMinutes = sum(Object.values(simulator.homeLineupStats), 'minutes')
+    expect(unitMinutes).toBeCloseTo(playerMinutes / 5, 6)
+  })
+
+  it('survives quarter-by-quarter serialisation', () => {
+    const { teams } = createLeague({ seed: 3 })
+    const simulator = new GameSimulator()
+    let state = simulator.startGame(teams[0], teams[1], { seed: 5 }).gameState
+    let final = null
+    while (!final) {
+      const next = new GameSimulator().continueGame(state)
+      state = next.gameState
+      final = next.finalResult
+    }
+
+    expect(sum(final.lineups.home, 'points_for')).toBe(final.home_score)
+    expect(sum(final.box_score.away, 'plus_minus')).toBe((final.away_score - final.home_score) * 5)
+  })
+})
+
+describe('season accumulation', () => {
+  it('credits games started, plus-minus and unit totals', () => {
+    const { teams, result } = playGame()
+    const seasonData = SeasonManager.initializeSeason(teams, 2025, 'c1')
+    SeasonManager.generateSchedule(seasonData, teams, null, 2025)
+    const game = seasonData.schedule[0]
+
+    const merge = gameId => SeasonManager.bulkMergeResults(seasonData, [{
+      gameId,
+      homeTeamId: teams[0].id,
+      awayTeamId: teams[1].id,
+      homeScore: result.home_score,
+      awayScore: result.away_score,
+      boxScore: result.box_score,
+      quarterScores: result.quarter_scores,
+      lineups: result.lineups,
+      isUserGame: false,
+    }])
+    merge(game.id)
+    merge(seasonData.schedule[1].id)
+
+    const starter = result.box_score.home.find(p => p.is_starter)
+    const stats = SeasonManager.getPlayerStats(seasonData, starter.player_id)
+    expect(stats.gamesStarted).toBe(2)
+    expect(stats.plusMinus).toBe(starter.plus_minus * 2)
+
+    const units = SeasonManager.getLineupStats(seasonData, teams[0].id)
+    expect(units[0].games).toBe(2)
+    expect(sum(units, 'pointsFor')).toBe(result.home_score * 2)
+    expect(units[0].netRating).toBeCloseTo(units[0].offRating - units[0].defRating, 0)
+    expect(SeasonManager.getLineupStats(seasonData, teams[0].id, { minMinutes: 1000 })).toHaveLength(0)
+  })
+})
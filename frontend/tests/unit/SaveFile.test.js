@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createMemoryDatabase } from '../helpers/memoryDatabase'
+
+let database
+
+vi.mock('@/engine/db/GameDatabase', async () =>
+  (await import('../helpers/memoryDatabase')).mockGameDatabase(() => database))
+
+const {
+  buildSaveFile,
+  validateSaveFile,
+  remapSaveIds,
+  encodeSaveFile,
+  decodeSaveFile,
+  saveFileName,
+  exportCampaign,
+  importCampaign,
+  SAVE_SCHEMA_VERSION,
+} = await import('@/engine/campaign/SaveFileService')
+
+const C = '11111111-1111-4111-8111-111111111111'
+const T1 = '22222222-2222-4222-8222-222222222222'
+const T2 = '33333333-3333-4333-8333-333333333333'
+const P1 = '44444444-4444-4444-8444-444444444444'
+
+function sampleData() {
+  return {
+    campaign: { id: C, name: 'Lakers Dynasty', teamId: T1, currentSeasonYear: 2026, version: 12 },
+    teams: [
+      { campaignId: C, id: T1, name: 'Lakers', lineup_settings: { starters: [P1] } },
+      { campaignId: C, id: T2, name: 'Celtics' },
+    ],
+    players: [{ campaignId: C, id: P1, teamId: T1, first_name: 'Sam', version: 3 }],
+    seasons: [{ campaignId: C, year: 2026, playerStats: { [P1]: { points: 30 } }, schedule: [{ homeTeamId: T1, awayTeamId: T2 }] }],
+    news: [{ id: 7, campaignId: C, headline: 'Sam signs', playerId: P1 }],
+    trades: [{ id: 3, campaignId: C, offerId: `fa_${P1}_1700000000000` }],
+  }
+}
+
+describe('save files', () => {
+  beforeEach(() => {
+    database = createMemoryDatabase()
+  })
+
+  it('accepts a well-formed save and rejects damaged or foreign ones', () => {
+    expect(validateSaveFile(buildSaveFile(sampleData())).campaign.id).toBe(C)
+
+    expect(() => validateSaveFile({ format: 'something-else' })).toThrow('not a campaign save')
+    expect(() => validateSaveFile({ ...buildSaveFile(sampleData()), schemaVersion: SAVE_SCHEMA_VERSION + 1 }))
+      .toThrow('newer version')
+
+    const strayPlayer = buildSaveFile(sampleData())
+    strayPlayer.players[0].teamId = '99999999-9999-4999-8999-999999999999'
+    expect(() => validateSaveFile(strayPlayer)).toThrow('not in the save')
+
+    const mixed = buildSaveFile(sampleData())
+    mixed.news[0].campaignId = 'other'
+    expect(() => validateSaveFile(mixed)).toThrow('news from another campaign')
+
+    const noTeam = buildSaveFile(sampleData())
+    noTeam.teams.shift()
+    expect(() => validateSaveFile(noTeam)).toThrow("user's team")
+  })
+
+  it('gives every id a new one, consistently, wherever it appears', () => {
+    const remapped = remapSaveIds(buildSaveFile(sampleData()))
+    const json = JSON.stringify(remapped)
+    for (const id of [C, T1, T2, P1]) expect(json).not.toContain(id)
+
+    const newPlayer = remapped.players[0].id
+    expect(remapped.teams[0].lineup_settings.starters).toEqual([newPlayer])
+    expect(remapped.seasons[0].playerStats[newPlayer].points).toBe(30)
+    expect(remapped.seasons[0].schedule[0].homeTeamId).toBe(remapped.teams[0].id)
+    expect(remapped.trades[0].offerId).toBe(`fa_${newPlayer}_1700000000000`)
+    expect(remapped.campaign.teamId).toBe(remapped.teams[0].id)
+    expect(remapped.news[0].id).toBeUndefined()
+  })
+
+  it('compresses saves and reads both gzipped and plain JSON back', async () => {
+    const save = buildSaveFile(sampleData())
+    const blob = await encodeSaveFile(save)
+    const head = new Uint8Array(await blob.slice(0, 2).arrayBuffer())
+
+    expect([...head]).toEqual([0x1f, 0x8b])
+    expect(await decodeSaveFile(blob)).toEqual(save)
+    expect(await decodeSaveFile(new Blob([JSON.stringify(save)]))).toEqual(save)
+    await expect(decodeSaveFile(new Blob(['not json']))).rejects.toThrow('not a campaign save')
+  })
+
+  it('names saves after the campaign', () => {
+    expect(saveFileName({ name: 'Lakers Dynasty!', currentSeasonYear: 2026 })).toBe('lakers-dynasty-2026.bbsave')
+    expect(saveFileName({ name: '???' })).toBe('campaign.bbsave')
+  })
+
+  it('imports an exported campaign alongside the original', async () => {
+    const { stores } = database
+    const data = sampleData()
+    stores.campaigns.set(C, data.campaign)
+    for (const name of ['teams', 'players', 'seasons', 'news', 'trades']) {
+      for (const r of data[name]) stores[name].set(`${name}-${r.id ?? r.year}`, r)
+    }
+
+    const { blob, filename } = await exportCampaign(C)
+    expect(filename).toBe('lakers-dynasty-2026.bbsave')
+
+    const imported = await importCampaign(blob)
+    expect(imported.id).not.toBe(C)
+    expect(stores.campaigns.size).toBe(2)
+
+    const importedOf = name => [...stores[name].values()].filter(r => r.campaignId === imported.id)
+    expect(importedOf('teams')).toHaveLength(2)
+    expect(importedOf('news')[0].headline).toBe('Sam signs')
+    expect(importedOf('news')[0].id).not.toBe(7)
+    const [player] = importedOf('players')
+    expect(player.teamId).toBe(imported.teamId)
+    // Sync history starts over for the copy
+    expect(player.version).toBe(1)
+    expect(stores.players.get(`players-${P1}`).campaignId).toBe(C)
+  })
+})
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { TEAMS as LEAGUE_TEAMS } from '@/engine/data/teams'
+import { withSeed } from '@/engine/utils/Random'
+
+const TEAMS = [
+  { id: 'bos', abbreviation: 'BOS', conference: 'east' },
+  { id: 'nyk', abbreviation: 'NYK', conference: 'east' },
+  { id: 'lal', abbreviation: 'LAL', conference: 'west' },
+  { id: 'gsw', abbreviation: 'GSW', conference: 'west' },
+]
+
+function findStanding(seasonData, teamId) {
+  return [...seasonData.standings.east, ...seasonData.standings.west].find(s => s.teamId === teamId)
+}
+
+describe('SeasonManager.updateStandingsAfterGame', () => {
+  let seasonData
+
+  beforeEach(() => {
+    seasonData = SeasonManager.initializeSeason(TEAMS, 2025, 'test')
+  })
+
+  it('credits the home win and away loss', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 70, 64)
+
+    const home = findStanding(seasonData, 'bos')
+    const away = findStanding(seasonData, 'nyk')
+    expect(home).toMatchObject({ wins: 1, losses: 0, homeRecord: '1-0', awayRecord: '0-0', streak: 'W1' })
+    expect(away).toMatchObject({ wins: 0, losses: 1, homeRecord: '0-0', awayRecord: '0-1', streak: 'L1' })
+  })
+
+  it('credits a road win to the away team', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'lal', 'gsw', 60, 66)
+
+    expect(findStanding(seasonData, 'gsw')).toMatchObject({ wins: 1, awayRecord: '1-0' })
+    expect(findStanding(seasonData, 'lal')).toMatchObject({ losses: 1, homeRecord: '0-1' })
+  })
+
+  it('accumulates points for and against', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 70, 64)
+    SeasonManager.updateStandingsAfterGame(seasonData, 'nyk', 'bos', 72, 68)
+
+    expect(findStanding(seasonData, 'bos')).toMatchObject({ pointsFor: 138, pointsAgainst: 136 })
+    expect(findStanding(seasonData, 'nyk')).toMatchObject({ pointsFor: 136, pointsAgainst: 138 })
+  })
+
+  it('extends and breaks streaks', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 70, 64)
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 70, 64)
+    expect(findStanding(seasonData, 'bos').streak).toBe('W2')
+
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 60, 64)
+    expect(findStanding(seasonData, 'bos').streak).toBe('L1')
+    expect(findStanding(seasonData, 'nyk').streak).toBe('W1')
+  })
+
+  it('sorts each conference by win percentage, then point differential', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'nyk', 'bos', 70, 64)
+    expect(seasonData.standings.east.map(s => s.teamId)).toEqual(['nyk', 'bos'])
+
+    // 1-1 each: BOS wins the second game by more, so leads on differential
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 80, 60)
+    expect(seasonData.standings.east.map(s => s.teamId)).toEqual(['bos', 'nyk'])
+  })
+
+  it('updates team stats including home splits', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 70, 64)
+
+    expect(seasonData.teamStats.bos).toMatchObject({
+      wins: 1, losses: 0, homeWins: 1, homeLosses: 0, pointsScored: 70, pointsAllowed: 64,
+    })
+    expect(seasonData.teamStats.nyk).toMatchObject({
+      wins: 0, losses: 1, homeWins: 0, homeLosses: 0, pointsScored: 64, pointsAllowed: 70,
+    })
+  })
+
+  it('leaves the other conference untouched', () => {
+    SeasonManager.updateStandingsAfterGame(seasonData, 'bos', 'nyk', 70, 64)
+
+    for (const standing of seasonData.standings.west) {
+      expect(standing).toMatchObject({ wins: 0, losses: 0, pointsFor: 0 })
+    }
+  })
+
+  it('ignores a missing season', () => {
+    expect(() => SeasonManager.updateStandingsAfterGame(null, 'bos', 'nyk', 70, 64)).not.toThrow()
+  })
+})
+
+describe('SeasonManager.generateSchedule', () => {
+  const league = LEAGUE_TEAMS.map(t => ({ ...t, id: t.abbreviation.toLowerCase() }))
+
+  function buildSchedule(teams, seasonLength) {
+    const seasonData = SeasonManager.initializeSeason(teams, 2025, 'test')
+    withSeed(7, () => SeasonManager.generateSchedule(seasonData, teams, teams[0].id, 2025, '2025-10-21', { seasonLength }))
+    return SeasonManager.validateSchedule(seasonData, teams)
+  }
+
+  it.each([
+    [54, { division: 4, conference: 2, interConference: 1 }],
+    [82, { division: 4, conference: 3, interConference: 2 }],
+  ])('builds a balanced %i-game divisional schedule', (seasonLength, minPerOpponent) => {
+    const report = buildSchedule(league, seasonLength)
+
+    expect(report.errors).toEqual([])
+    expect(report.totalGames).toBe(league.length * seasonLength / 2)
+    expect(report.gamesPerTeam).toEqual({ min: seasonLength, max: seasonLength })
+    expect(report.homeGames.max - report.homeGames.min).toBeLessThanOrEqual(1)
+    expect(report.gamesPerOpponent.division).toEqual({ min: 4, max: 4 })
+    expect(report.gamesPerOpponent.conference.min).toBe(minPerOpponent.conference)
+    expect(report.gamesPerOpponent.interConference.min).toBe(minPerOpponent.interConference)
+    expect(report.threeInThree).toBe(0)
+  })
+
+  it('falls back to a round robin when teams have no divisions', () => {
+    const report = buildSchedule(TEAMS, 6)
+
+    expect(report.errors).toEqual([])
+    expect(report.gamesPerTeam).toEqual({ min: 6, max: 6 })
+    expect(report.homeGames).toEqual({ min: 3, max: 3 })
+  })
+})
+
+describe('SeasonManager playoff split', () => {
+  const line = (playerId, points) => ({ player_id: playerId, name: playerId, minutes: 30, points, rebounds: 5, assists: 3 })
+
+  function merge(seasonData, game) {
+    SeasonManager.bulkMergeResults(seasonData, [{
+      gameId: game.id,
+      homeTeamId: game.homeTeamId,
+      awayTeamId: game.awayTeamId,
+      homeScore: 70,
+      awayScore: 64,
+      boxScore: { home: [line('p1', 20)], away: [line('p2', 10)] },
+      isUserGame: false,
+    }])
+  }
+
+  let seasonData
+
+  beforeEach(() => {
+    seasonData = SeasonManager.initializeSeason(TEAMS, 2025, 'test')
+    seasonData.schedule = [
+      { id: 'rs', homeTeamId: 'bos', awayTeamId: 'nyk', isPlayoff: false },
+      { id: 'pi', homeTeamId: 'bos', awayTeamId: 'nyk', isPlayoff: true, playoffRound: 0, playoffSeriesId: 'E_PI_7v8' },
+      { id: 'po', homeTeamId: 'bos', awayTeamId: 'nyk', isPlayoff: true, playoffRound: 1, playoffSeriesId: 'E_R1_1v8' },
+    ]
+    for (const game of [...seasonData.schedule]) merge(seasonData, game)
+  })
+
+  it('keeps playoff games out of the regular-season player stats and standings', () => {
+    expect(SeasonManager.getPlayerStats(seasonData, 'p1')).toMatchObject({ gamesPlayed: 1, points: 20 })
+    expect(SeasonManager.getPlayerStats(seasonData, 'p1', { playoffs: true })).toMatchObject({ gamesPlayed: 1, points: 20 })
+    expect(findStanding(seasonData, 'bos')).toMatchObject({ wins: 1, losses: 0 })
+    expect(SeasonManager.getTeamStats(seasonData, 'bos')).toMatchObject({ wins: 1, pointsScored: 70 })
+    expect(SeasonManager.getTeamStats(seasonData, 'nyk', { playoffs: true })).toMatchObject({ wins: 0, losses: 1, pointsAllowed: 70 })
+  })
+
+  it('counts play-in games only toward their series', () => {
+    expect(SeasonManager.getSeriesPlayerStats(seasonData, 'E_PI_7v8').p2).toMatchObject({ gamesPlayed: 1, points: 10 })
+    expect(SeasonManager.getSeriesPlayerStats(seasonData, 'E_R1_1v8').p2).toMatchObject({ gamesPlayed: 1 })
+    expect(SeasonManager.getPlayerStats(seasonData, 'p2', { playoffs: true }).gamesPlayed).toBe(1)
+  })
+
+  it('routes single-game team results by split', () => {
+    const before = findStanding(seasonData, 'bos').wins
+    SeasonManager.recordTeamResult(seasonData, seasonData.schedule[2], 80, 60)
+    expect(findStanding(seasonData, 'bos').wins).toBe(before)
+    expect(SeasonManager.getTeamStats(seasonData, 'bos', { playoffs: true }).wins).toBe(2)
+  })
+})
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import GameSimulator from '@/engine/simulation/GameSimulator'
+import { createLeague } from '@/engine/season/LeagueSimulator'
+import { SeasonManager } from '@/engine/season/SeasonManager'
+import { classifyShotZone, classifyContest, SHOT_ZONES } from '@/engine/simulation/ShotZones'
+
+const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] ?? 0), 0)
+
+function playGame(seed = 11) {
+  const { teams } = createLeague({ seed: 3 })
+  const simulator = new GameSimulator()
+  const result = simulator.simulateGame(teams[0], teams[1], { generateAnimationData: false, seed })
+  return { teams, result }
+}
+
+describe('classifyShotZone', () => {
+  it('separates twos by distance from the rim', () => {
+    expect(classifyShotZone(0.5, 0.85, 'paint')).toBe('restrictedArea')
+    expect(classifyShotZone(0.35, 0.7, 'paint')).toBe('paint')
+    expect(classifyShotZone(0.25, 0.55, 'midRange')).toBe('midRange')
+  })
+
+  it('splits threes into corner and above the break', () => {
+    expect(classifyShotZone(0.92, 0.85, 'threePoint')).toBe('corner3')
+    expect(classifyShotZone(0.15, 0.25, 'threePoint')).toBe('aboveBreak3')
+    // The shot type wins over a spot drawn inside the arc
+    expect(classifyShotZone(0.5, 0.35, 'threePoint')).toBe('aboveBreak3')
+  })
+})
+
+describe('classifyContest', () => {
+  it('reads open looks, blocks and the shooter-defender matchup', () => {
+    expect(classifyContest(0, { setupOutcome: 'shooter_open' })).toBe('open')
+    expect(classifyContest(10)).toBe('open')
+    expect(classifyContest(0)).toBe('contested')
+    expect(classifyContest(-10)).toBe('tight')
+    expect(classifyContest(10, { outcome: 'blocked' })).toBe('tight')
+  })
+})
+
+describe('game shot data', () => {
+  it('records one located shot per field goal attempt', () => {
+    const { result } = playGame()
+
+    for (const side of ['home', 'away']) {
+      const shots = result.shots[side]
+      const box = result.box_score[side]
+      expect(shots).toHaveLength(sum(box, 'fga'))
+      expect(shots.filter(s => s.made)).toHaveLength(sum(box, 'fgm'))
+      expect(shots.filter(s => s.shot_type === 'threePoint')).toHaveLength(sum(box, 'fg3a'))
+      for (const shot of shots) {
+        expect(SHOT_ZONES).toContain(shot.zone)
+        expect(shot.x).toBeGreaterThanOrEqual(0)
+        expect(shot.x).toBeLessThanOrEqual(1)
+      }
+    }
+  })
+
+  it('aggregates per player and team for the season', () => {
+    const { teams, result } = playGame()
+    const seasonData = SeasonManager.initializeSeason(teams, 2025, 'c1')
+    SeasonManager.generateSchedule(seasonData, teams, null, 2025)
+    const game = { ...seasonData.schedule[0], homeTeamId: teams[0].id, awayTeamId: teams[1].id }
+
+    SeasonManager.updateShotCharts(seasonData, game, result.shots)
+    SeasonManager.updateShotCharts(seasonData, { ...game, isPlayoff: true, playoffRound: 0 }, result.shots)
+
+    const team = SeasonManager.getShotChart(seasonData, { teamId: teams[0].id })
+    expect(team.attempts).toBe(result.shots.home.length)
+    expect(Object.values(team.zones).reduce((n, z) => n + z.attempts, 0)).toBe(team.attempts)
+    expect(Object.values(team.spots).reduce((n, s) => n + s.made, 0)).toBe(team.made)
+
+    const shooter = result.shots.home[0].player_id
+    const player = SeasonManager.getShotChart(seasonData, { playerId: shooter })
+    expect(player.attempts).toBe(result.shots.home.filter(s => s.player_id === shooter).length)
+  })
+})
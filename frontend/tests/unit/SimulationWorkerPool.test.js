@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { SimulationWorkerPool, splitIntoWaves } from '@/engine/workers/SimulationWorkerPool'
+
+// Stands in for a SimulationWorkerManager: each game bumps its players'
+// gamesPlayed, like the real worker's evolution cache
+class FakeWorker {
+  constructor(log, { failFirst = false } = {}) {
+    this.log = log
+    this.failFirst = failFirst
+    this.calls = 0
+  }
+
+  async initialize() {}
+
+  async simulateBulk(games, onProgress) {
+    this.calls++
+    this.log.push(games.map(g => g.gameId))
+    const cache = {}
+    const results = []
+    for (const game of games) {
+      if (this.failFirst && this.calls === 1 && results.length === 1) {
+        throw new Error('Worker error: crashed')
+      }
+      for (const p of [...game.homePlayers, ...game.awayPlayers]) {
+        const current = cache[p.id] ?? p
+        cache[p.id] = { ...current, gamesPlayed: (current.gamesPlayed ?? 0) + 1 }
+      }
+      results.push({ gameId: game.gameId, result: { home_score: 100, away_score: 90 } })
+      onProgress?.({ completed: results.length, total: games.length, gameId: game.gameId })
+    }
+    return { results, total: games.length, evolvedPlayers: Object.values(cache) }
+  }
+
+  terminate() {}
+}
+
+const team = id => ({ id })
+const game = (gameId, home, away) => ({
+  gameId,
+  homeTeam: team(home),
+  awayTeam: team(away),
+  homePlayers: [{ id: `${home}-1` }],
+  awayPlayers: [{ id: `${away}-1` }],
+})
+
+// Two game days: every team plays on each
+const schedule = [
+  game('g1', 'A', 'B'), game('g2', 'C', 'D'), game('g3', 'E', 'F'), game('g4', 'G', 'H'),
+  game('g5', 'B', 'C'), game('g6', 'D', 'A'), game('g7', 'F', 'G'), game('g8', 'H', 'E'),
+]
+
+function createPool(size, workerOptions = () => ({})) {
+  const log = []
+  let spawned = 0
+  const pool = new SimulationWorkerPool({ createWorker: () => new FakeWorker(log, workerOptions(spawned++)) })
+  pool.initialize({ size })
+  return { pool, log }
+}
+
+describe('SimulationWorkerPool', () => {
+  it('closes a wave when a team would play twice', () => {
+    const waves = splitIntoWaves(schedule).map(w => w.map(({ game }) => game.gameId))
+    expect(waves).toEqual([['g1', 'g2', 'g3', 'g4'], ['g5', 'g6', 'g7', 'g8']])
+  })
+
+  it('splits waves across workers and returns results in schedule order', async () => {
+    const { pool, log } = createPool(2)
+    const bulk = await pool.simulateBulk(schedule, null, { processEvolution: true })
+
+    expect(log).toEqual([['g1', 'g2'], ['g3', 'g4'], ['g5', 'g6'], ['g7', 'g8']])
+    expect(bulk.results.map(r => r.gameId)).toEqual(schedule.map(g => g.gameId))
+  })
+
+  it('carries evolved players from one wave into the next', async () => {
+    const { pool } = createPool(4)
+    const bulk = await pool.simulateBulk(schedule, null, { processEvolution: true })
+
+    expect(bulk.evolvedPlayers).toHaveLength(8)
+    expect(bulk.evolvedPlayers.every(p => p.gamesPlayed === 2)).toBe(true)
+  })
+
+  it('sends everything to a lone worker in one batch', async () => {
+    const { pool, log } = createPool(1)
+    await pool.simulateBulk(schedule)
+    expect(log).toEqual([schedule.map(g => g.gameId)])
+  })
+
+  it('respawns a crashed worker and keeps progress consistent', async () => {
+    // The second worker spawned dies partway through its first chunk
+    const { pool, log } = createPool(2, n => ({ failFirst: n === 1 }))
+    const progress = []
+    const bulk = await pool.simulateBulk(schedule, p => progress.push(p.completed), { processEvolution: true })
+
+    expect(bulk.results.map(r => r.gameId)).toEqual(schedule.map(g => g.gameId))
+    expect(log.filter(ids => ids[0] === 'g3')).toHaveLength(2)
+    expect(Math.max(...progress)).toBe(schedule.length)
+    expect(progress.at(-1)).toBe(schedule.length)
+    expect(bulk.evolvedPlayers.every(p => p.gamesPlayed === 2)).toBe(true)
+  })
+})
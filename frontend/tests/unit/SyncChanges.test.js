@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import {
+  recordKey,
+  parseRecordKey,
+  collectLocalChanges,
+  findConflicts,
+  dropIdenticalChanges,
+  batchChanges,
+} from '@/engine/db/SyncChanges'
+
+const local = () => ({
+  campaign: [{ id: 'c1', version: 4 }],
+  teams: [{ id: 't1', version: 2 }, { id: 't2', version: 1 }],
+  players: [{ id: 'p1', version: 7 }, { id: 'p2' }],
+  seasons: [{ year: 2025, version: 9 }],
+})
+
+describe('SyncChanges', () => {
+  it('keys records by store and id, seasons by year', () => {
+    expect(recordKey('players', { id: 'p1' })).toBe('players:p1')
+    expect(recordKey('seasons', { year: 2025 })).toBe('seasons:2025')
+    expect(parseRecordKey('seasons:2025')).toEqual({ store: 'seasons', id: '2025' })
+    expect(parseRecordKey('players:a:b')).toEqual({ store: 'players', id: 'a:b' })
+  })
+
+  it('treats everything as changed before the first sync', () => {
+    const { changed, deleted } = collectLocalChanges(local(), {})
+    expect(changed).toHaveLength(6)
+    expect(deleted).toEqual([])
+  })
+
+  it('finds records whose version moved, and synced records now gone', () => {
+    const synced = {
+      'campaign:c1': 4,
+      'teams:t1': 1,
+      'teams:t2': 1,
+      'players:p1': 7,
+      'players:p2': 0,
+      'players:p3': 5,
+      'seasons:2025': 9,
+    }
+    const { changed, deleted } = collectLocalChanges(local(), synced)
+    expect(changed.map(c => c.key)).toEqual(['teams:t1'])
+    expect(deleted).toEqual(['players:p3'])
+  })
+
+  it('only reports records changed on both sides as conflicts', () => {
+    const localChanges = { changed: [{ key: 'campaign:c1' }, { key: 'players:p1' }], deleted: ['players:p9'] }
+    const remote = { records: [{ key: 'players:p1' }, { key: 'players:p2' }], deleted: ['players:p9'] }
+    expect(findConflicts(localChanges, remote)).toEqual(['players:p1', 'players:p9'])
+    expect(findConflicts(localChanges, { records: [{ key: 'teams:t1' }], deleted: [] })).toEqual([])
+  })
+
+  it('drops local changes the server already has an identical copy of', () => {
+    const localChanges = {
+      changed: [
+        { key: 'campaign:c1', store: 'campaign', record: { name: 'Dynasty', id: 'c1', settings: {} } },
+        { key: 'players:p1', store: 'players', record: { id: 'p1', overall_rating: 71 } },
+      ],
+      deleted: ['players:p8', 'players:p9'],
+    }
+    const remote = {
+      records: [
+        { key: 'campaign:c1', data: { id: 'c1', name: 'Dynasty', settings: [] } },
+        { key: 'players:p1', data: { id: 'p1', overall_rating: 70 } },
+      ],
+      deleted: ['players:p9'],
+    }
+    expect(dropIdenticalChanges(localChanges, remote)).toEqual({
+      changed: [localChanges.changed[1]],
+      deleted: ['players:p8'],
+    })
+  })
+
+  it('batches meta first, players in groups and seasons one at a time', () => {
+    const players = Array.from({ length: 450 }, (_, i) => ({ key: `players:${i}`, store: 'players', record: {} }))
+    const batches = batchChanges({
+      changed: [
+        { key: 'seasons:2024', store: 'seasons', record: {} },
+        ...players,
+        { key: 'teams:t1', store: 'teams', record: {} },
+        { key: 'seasons:2025', store: 'seasons', record: {} },
+        { key: 'campaign:c1', store: 'campaign', record: {} },
+      ],
+      deleted: ['players:old'],
+    })
+
+    expect(batches.map(b => b.records.length)).toEqual([2, 200, 200, 50, 1, 1])
+    expect(batches[0].records.map(r => r.key)).toEqual(['campaign:c1', 'teams:t1'])
+    expect(batches[0].deleted).toEqual(['players:old'])
+    expect(batches.slice(1).every(b => b.deleted.length === 0)).toBe(true)
+  })
+
+  it('still sends a batch for deletions alone', () => {
+    expect(batchChanges({ changed: [], deleted: ['players:p1'] })).toEqual([{ records: [], deleted: ['players:p1'] }])
+    expect(batchChanges({ changed: [], deleted: [] })).toEqual([])
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateLuxuryTax,
+  calculateRevenue,
+  getCapStatus,
+  getOwnerBudget,
+  settleSeasonFinances,
+  validateSigning,
+  LUXURY_TAX_LINE,
+  FIRST_APRON,
+  SECOND_APRON,
+  MINIMUM_SALARY,
+} from '@/engine/finance/FinanceManager'
+import { planFreeAgentOffers } from '@/engine/ai/AIContractService'
+import { rosterOf } from '../helpers/leagueFixtures'
+
+describe('luxury tax', () => {
+  it('charges nothing up to the tax line', () => {
+    expect(calculateLuxuryTax(LUXURY_TAX_LINE).bill).toBe(0)
+  })
+
+  it('charges each bracket over the line at a higher rate', () => {
+    // $5M at 1.5 plus $2M at 1.75
+    const tax = calculateLuxuryTax(LUXURY_TAX_LINE + 7_000_000)
+    expect(tax.bill).toBe(11_000_000)
+    expect(tax.brackets.map(b => b.rate)).toEqual([1.5, 1.75])
+
+    const deep = calculateLuxuryTax(LUXURY_TAX_LINE + 30_000_000)
+    expect(deep.brackets.map(b => b.rate)).toEqual([1.5, 1.75, 2.5, 3.25, 3.75, 4.25])
+  })
+
+  it('places a payroll against the cap, tax line and aprons', () => {
+    expect(getCapStatus(120_000_000, 136_000_000).status).toBe('under_cap')
+    expect(getCapStatus(150_000_000, 136_000_000).status).toBe('over_cap')
+    expect(getCapStatus(LUXURY_TAX_LINE + 1, 136_000_000).status).toBe('taxpayer')
+    expect(getCapStatus(FIRST_APRON + 1, 136_000_000).status).toBe('first_apron')
+    expect(getCapStatus(SECOND_APRON + 1, 136_000_000)).toMatchObject({ status: 'second_apron', isInTax: true })
+  })
+})
+
+describe('revenue', () => {
+  it('sells more tickets in big markets and for winning teams', () => {
+    const bigMarket = calculateRevenue({ teamAbbreviation: 'LAL', wins: 27, losses: 27 })
+    const smallMarket = calculateRevenue({ teamAbbreviation: 'SAC', wins: 27, losses: 27 })
+    expect(bigMarket.sharedRevenue).toBe(smallMarket.sharedRevenue)
+    expect(bigMarket.ticketRevenue).toBeGreaterThan(smallMarket.ticketRevenue)
+
+    const winner = calculateRevenue({ teamAbbreviation: 'SAC', wins: 40, losses: 14 })
+    expect(winner.ticketRevenue).toBeGreaterThan(smallMarket.ticketRevenue)
+  })
+
+  it('adds the gate from playoff home games', () => {
+    const withPlayoffs = calculateRevenue({ teamAbbreviation: 'BOS', wins: 40, losses: 14, playoffHomeGames: 6 })
+    expect(withPlayoffs.playoffRevenue).toBeGreaterThan(0)
+    expect(withPlayoffs.totalRevenue).toBe(withPlayoffs.sharedRevenue + withPlayoffs.ticketRevenue + withPlayoffs.playoffRevenue)
+  })
+})
+
+describe('season settlement', () => {
+  it('bills the tax and sets next season budget from revenue', () => {
+    const team = { id: 'lal', abbreviation: 'LAL', deadMoney: [{ annualAmount: 10_000_000, seasonsRemaining: 1 }] }
+    const finances = settleSeasonFinances({
+      team,
+      roster: rosterOf(team, 12, { salary: 14_000_000 }),
+      seasonYear: 2025,
+      wins: 35,
+      losses: 19,
+      playoffHomeGames: 3,
+    })
+
+    expect(finances.payroll).toBe(178_000_000)
+    expect(finances.luxuryTax).toBe(calculateLuxuryTax(178_000_000).bill)
+    expect(finances.profit).toBe(finances.totalRevenue - finances.payroll - finances.luxuryTax)
+    expect(finances.ownerBudget).toBeGreaterThan(finances.totalRevenue)
+    expect(getOwnerBudget({ ...team, ownerBudget: finances.ownerBudget })).toBe(finances.ownerBudget)
+  })
+})
+
+describe('spending limits', () => {
+  it('holds teams past the second apron to minimum contracts', () => {
+    expect(validateSigning({ salary: 5_000_000, currentPayroll: SECOND_APRON })).toMatchObject({ valid: false })
+    expect(validateSigning({ salary: MINIMUM_SALARY, currentPayroll: SECOND_APRON }).valid).toBe(true)
+  })
+
+  it("won't sign past the owner's budget", () => {
+    const result = validateSigning({ salary: 10_000_000, currentPayroll: 150_000_000, ownerBudget: 155_000_000 })
+    expect(result.valid).toBe(false)
+    expect(result.reason).toContain('Ownership')
+  })
+
+  it('keeps AI teams out of the market when ownership is tapped out', () => {
+    const BOS = { id: 'bos', abbreviation: 'BOS', name: 'Celtics' }
+    const PHI = { id: 'phi', abbreviation: 'PHI', name: '76ers' }
+    const freeAgent = { id: 'fa', firstName: 'Free', lastName: 'Agent', position: 'SG', age: 27, overallRating: 78, isFreeAgent: 1, teamAbbreviation: 'FA' }
+    const leaguePlayers = [...rosterOf(BOS, 12, { salary: 12_000_000 }), ...rosterOf(PHI, 12, { salary: 12_000_000 }), freeAgent]
+    const standings = {
+      east: [{ teamId: 'bos', wins: 20, losses: 20 }, { teamId: 'phi', wins: 20, losses: 20 }],
+      west: [],
+    }
+
+    const plan = (teams) => planFreeAgentOffers({ aiTeams: teams, leaguePlayers, freeAgents: [freeAgent], standings, allTeams: teams })
+
+    expect(plan([BOS, PHI]).map(o => o.teamId)).toContain('phi')
+    expect(plan([BOS, { ...PHI, ownerBudget: 150_000_000 }]).map(o => o.teamId)).not.toContain('phi')
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import { validateSalaryCap } from '@/engine/finance/TradeExecutor'
+
+const PLAYERS = {
+  p10: { id: 'p10', contractSalary: 10_000_000 },
+  p12: { id: 'p12', contractSalary: 12_000_000 },
+  p13: { id: 'p13', contract_salary: 13_000_000 },
+  p20: { id: 'p20', contractSalary: 20_000_000 },
+}
+
+const getPlayerFn = id => PLAYERS[id] ?? null
+const player = playerId => ({ type: 'player', playerId })
+const pick = pickId => ({ type: 'pick', pickId })
+
+describe('TradeExecutor.validateSalaryCap', () => {
+  describe('under the cap', () => {
+    it('takes back any salary that fits under the cap', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p10')],
+        userReceiving: [player('p20')],
+        getPlayerFn,
+        currentPayroll: 120_000_000,
+      })
+      expect(result).toMatchObject({ valid: true, incoming_salary: 20_000_000, outgoing_salary: 10_000_000 })
+    })
+
+    it('absorbs salary into cap room without sending any out', () => {
+      const result = validateSalaryCap({
+        userGiving: [pick('pick-1')],
+        userReceiving: [player('p20')],
+        getPlayerFn,
+      })
+      expect(result.valid).toBe(true)
+    })
+  })
+
+  describe('over the cap (125% + $100K)', () => {
+    const currentPayroll = 150_000_000
+
+    it('accepts incoming salary up to the limit', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p10')],
+        userReceiving: [player('p12')],
+        getPlayerFn,
+        currentPayroll,
+      })
+      expect(result).toMatchObject({ valid: true, incoming_salary: 12_000_000, outgoing_salary: 10_000_000 })
+    })
+
+    it('rejects incoming salary over 125% of outgoing + $100K', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p10')],
+        userReceiving: [player('p13')],
+        getPlayerFn,
+        currentPayroll,
+      })
+      expect(result.valid).toBe(false)
+      expect(result.max_incoming).toBe(12_600_000)
+      expect(result.incoming_salary).toBe(13_000_000)
+    })
+
+    it('reads snake_case salaries and ignores non-player assets', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p12'), pick('pick-1')],
+        userReceiving: [player('p13')],
+        getPlayerFn,
+        currentPayroll,
+      })
+      expect(result).toMatchObject({ valid: true, incoming_salary: 13_000_000, outgoing_salary: 12_000_000 })
+    })
+
+    it('treats unknown players as zero salary', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p10')],
+        userReceiving: [player('missing')],
+        getPlayerFn,
+        currentPayroll,
+      })
+      expect(result).toMatchObject({ valid: true, incoming_salary: 0 })
+    })
+
+    it('rejects a trade the owner will not pay for', () => {
+      const trade = { userGiving: [player('p10')], userReceiving: [player('p12')], getPlayerFn, currentPayroll }
+      expect(validateSalaryCap({ ...trade, ownerBudget: 160_000_000 }).valid).toBe(true)
+      expect(validateSalaryCap({ ...trade, ownerBudget: 150_000_000 })).toMatchObject({ valid: false, owner_budget: 150_000_000 })
+    })
+  })
+
+  describe('aprons', () => {
+    it('limits incoming salary to outgoing over the first apron', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p10')],
+        userReceiving: [player('p12')],
+        getPlayerFn,
+        currentPayroll: 172_000_000,
+      })
+      expect(result).toMatchObject({ valid: false, max_incoming: 10_000_000 })
+    })
+
+    it('rejects a trade that adds salary past the second apron', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p10')],
+        userReceiving: [player('p12')],
+        getPlayerFn,
+        currentPayroll: 183_000_000,
+      })
+      expect(result).toMatchObject({ valid: false, net_change: 2_000_000, second_apron: 184_000_000 })
+    })
+
+    it('allows shedding salary over the aprons', () => {
+      const result = validateSalaryCap({
+        userGiving: [player('p20')],
+        userReceiving: [player('p10')],
+        getPlayerFn,
+        currentPayroll: 190_000_000,
+      })
+      expect(result.valid).toBe(true)
+    })
+  })
+})
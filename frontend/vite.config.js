@@ -74,6 +74,13 @@ export default defineConfig({
   worker: {
     format: 'es'
   },
+  test: {
+    environment: 'node',
+    include: ['tests/**/*.test.js'],
+    // Calibration suites simulate thousands of games
+    testTimeout: 120000,
+    hookTimeout: 120000
+  },
   server: {
     port: 3000,
     proxy: {